@@ -0,0 +1,41 @@
+import React from 'react';
+import useSWR from 'swr';
+
+import { apiRequest } from '../../utils';
+
+// Roles an admin can allow to download
+const ROLES = [
+  { role: 'admin', label: 'Admins can download media' },
+  { role: 'viewer', label: 'Viewers can download media' },
+];
+
+const DownloadSettings = () => {
+  const { data: settings, mutate } = useSWR('/admin/settings/downloads');
+
+  const toggleRole = async (role, allowed) => {
+    const roles = (settings?.roles || []).filter((item) => item !== role);
+    const response = await apiRequest('/admin/settings/downloads', 'PUT', {
+      roles: allowed ? [...roles, role] : roles,
+    });
+    if (!response.errors) {
+      mutate(response, false);
+    }
+  };
+
+  return (
+    <React.Fragment>
+      {ROLES.map(({ role, label }) => (
+        <label key={role} className="account-section-item registration-option">
+          <input
+            type="checkbox"
+            checked={Boolean(settings?.roles?.includes(role))}
+            onChange={(e) => toggleRole(role, e.currentTarget.checked)}
+          />
+          {label}
+        </label>
+      ))}
+    </React.Fragment>
+  );
+};
+
+export default DownloadSettings;
@@ -0,0 +1,94 @@
+import React, { useState } from 'react';
+import useSWR from 'swr';
+
+import { apiRequest } from '../../utils';
+
+const InviteCodes = () => {
+  const { data: invites, mutate } = useSWR('/admin/invites');
+  const [expiresInDays, setExpiresInDays] = useState(7);
+  const [message, setMessage] = useState('');
+
+  const createInvite = async (e) => {
+    e.preventDefault();
+    const response = await apiRequest('/admin/invites', 'POST', {
+      expires_in_days: Number(expiresInDays),
+    });
+    if (response.errors) {
+      setMessage(response.errors[0].message);
+      return;
+    }
+    setMessage(`Created invite code ${response.invite.code}`);
+    mutate();
+  };
+
+  const revokeInvite = async (invite) => {
+    await apiRequest(`/admin/invites/${invite.id}`, 'DELETE');
+    mutate();
+  };
+
+  const inviteLink = (invite) =>
+    `${window.location.origin}/register?invite=${invite.code}`;
+
+  return (
+    <React.Fragment>
+      <form className="account-section-item" onSubmit={createInvite}>
+        Valid for{' '}
+        <input
+          type="number"
+          min={1}
+          max={90}
+          value={expiresInDays}
+          onChange={(e) => setExpiresInDays(e.target.value)}
+        />{' '}
+        days <button type="submit">Create invite code</button>
+      </form>
+      {message && <p className="account-section-item">{message}</p>}
+      <table className="user-table">
+        <thead>
+          <tr>
+            <th>Code</th>
+            <th>Status</th>
+            <th>Created by</th>
+            <th>Redeemed by</th>
+            <th>Expires</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {invites?.results?.map((invite) => (
+            <tr
+              key={invite.id}
+              className={
+                invite.status !== 'active' ? 'user-disabled' : undefined
+              }
+            >
+              <td>
+                <code>{invite.code}</code>
+              </td>
+              <td>{invite.status}</td>
+              <td>{invite.created_by}</td>
+              <td>{invite.redeemed_by}</td>
+              <td>{new Date(invite.expires_at).toLocaleDateString()}</td>
+              <td className="user-actions">
+                {invite.status === 'active' && (
+                  <React.Fragment>
+                    <button
+                      onClick={() =>
+                        navigator.clipboard?.writeText(inviteLink(invite))
+                      }
+                    >
+                      Copy link
+                    </button>
+                    <button onClick={() => revokeInvite(invite)}>Revoke</button>
+                  </React.Fragment>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </React.Fragment>
+  );
+};
+
+export default InviteCodes;
@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import useSWR from 'swr';
+
+import { apiRequest } from '../../utils';
+
+// What was read from a release name, as in 'Breaking Bad S01E02'
+const describeRelease = (match) => {
+  const parts = [match.title || '?'];
+  if (match.year) parts.push(`(${match.year})`);
+  if (match.season_number != null && match.episode_number != null) {
+    parts.push(
+      `S${String(match.season_number).padStart(2, '0')}E${String(
+        match.episode_number
+      ).padStart(2, '0')}`
+    );
+  }
+  return parts.join(' ');
+};
+
+const MatchReview = () => {
+  const { data: matches, mutate } = useSWR('/admin/matches');
+  const [tmdbIds, setTmdbIds] = useState({});
+  const [message, setMessage] = useState('');
+
+  const acceptMatch = async (match) => {
+    const response = await apiRequest(
+      `/admin/matches/${match.id}/accept`,
+      'POST',
+      tmdbIds[match.id] ? { tmdb_id: Number(tmdbIds[match.id]) } : {}
+    );
+    if (response.errors) {
+      setMessage(response.errors[0].message);
+      return;
+    }
+    setMessage(
+      `Renamed ${response.files.length} file(s), they are added on the next sync`
+    );
+    mutate();
+  };
+
+  if (!matches?.count) {
+    return <p className="account-section-item">No files waiting for review</p>;
+  }
+
+  return (
+    <React.Fragment>
+      {message && <p className="account-section-item">{message}</p>}
+      <table className="user-table">
+        <thead>
+          <tr>
+            <th>File</th>
+            <th>Read as</th>
+            <th>Suggested match</th>
+            <th>Confidence</th>
+            <th>TMDb ID</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {matches.results.map((match) => (
+            <tr key={match.id}>
+              <td title={match.fs_path}>
+                {match.fs_path.split(/[\\/]/).pop()}
+              </td>
+              <td>{describeRelease(match)}</td>
+              <td>
+                {match.suggestion
+                  ? `${match.suggestion.title} (${
+                      match.suggestion.year || '?'
+                    }) ${match.suggestion.tmdb_id}`
+                  : 'None'}
+              </td>
+              <td>
+                {match.suggestion
+                  ? `${Math.round(match.suggestion.confidence * 100)}%`
+                  : ''}
+              </td>
+              <td>
+                <input
+                  type="number"
+                  min={1}
+                  placeholder={match.suggestion?.tmdb_id}
+                  value={tmdbIds[match.id] || ''}
+                  onChange={(e) =>
+                    setTmdbIds((ids) => ({
+                      ...ids,
+                      [match.id]: e.target.value,
+                    }))
+                  }
+                />
+              </td>
+              <td className="user-actions">
+                <button
+                  disabled={!match.suggestion && !tmdbIds[match.id]}
+                  onClick={() => acceptMatch(match)}
+                >
+                  Accept
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </React.Fragment>
+  );
+};
+
+export default MatchReview;
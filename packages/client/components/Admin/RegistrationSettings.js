@@ -0,0 +1,42 @@
+import React from 'react';
+import useSWR from 'swr';
+
+import { apiRequest } from '../../utils';
+
+const RegistrationSettings = () => {
+  const { data: registration, mutate } = useSWR('/registration');
+
+  const setMode = async (mode) => {
+    const response = await apiRequest('/admin/settings/registration', 'PUT', {
+      mode,
+    });
+    if (!response.errors) {
+      mutate(response, false);
+    }
+  };
+
+  return (
+    <React.Fragment>
+      <label className="account-section-item registration-option">
+        <input
+          type="radio"
+          name="registration-mode"
+          checked={registration?.mode === 'open'}
+          onChange={() => setMode('open')}
+        />
+        Anyone who can reach the server can register
+      </label>
+      <label className="account-section-item registration-option">
+        <input
+          type="radio"
+          name="registration-mode"
+          checked={registration?.mode === 'invite'}
+          onChange={() => setMode('invite')}
+        />
+        Registration requires an invite code
+      </label>
+    </React.Fragment>
+  );
+};
+
+export default RegistrationSettings;
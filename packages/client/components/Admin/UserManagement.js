@@ -0,0 +1,189 @@
+import React, { useState } from 'react';
+import useSWR from 'swr';
+
+import { useAuth } from '../../contexts/AuthProvider';
+import { apiRequest } from '../../utils';
+
+const CERTIFICATIONS = ['G', 'PG', 'PG-13', 'R', 'NC-17'];
+
+const UserManagement = () => {
+  const { user: currentUser } = useAuth();
+  const { data: users, mutate } = useSWR('/admin/users');
+  const [resettingId, setResettingId] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [message, setMessage] = useState('');
+
+  const request = async (resource, method, data, success) => {
+    const response = await apiRequest(resource, method, data);
+    if (response.errors) {
+      setMessage(response.errors[0].message);
+      return false;
+    }
+    setMessage(success);
+    mutate();
+    return true;
+  };
+
+  const updateUser = (user, changes) =>
+    request(
+      `/admin/users/${user.id}`,
+      'PATCH',
+      changes,
+      `Updated ${user.username}`
+    );
+
+  const deleteUser = (user) => {
+    if (window.confirm(`Delete ${user.username} and everything they saved?`)) {
+      request(
+        `/admin/users/${user.id}`,
+        'DELETE',
+        undefined,
+        `Deleted ${user.username}`
+      );
+    }
+  };
+
+  const resetPassword = async (e, user) => {
+    e.preventDefault();
+    const reset = await request(
+      `/admin/users/${user.id}/password`,
+      'POST',
+      { password, confirmPassword },
+      `Reset the password of ${user.username}`
+    );
+    if (reset) {
+      setResettingId(null);
+      setPassword('');
+      setConfirmPassword('');
+    }
+  };
+
+  return (
+    <React.Fragment>
+      {message && <p className="account-section-item">{message}</p>}
+      <table className="user-table">
+        <thead>
+          <tr>
+            <th>Username</th>
+            <th>Email</th>
+            <th>Role</th>
+            <th>Status</th>
+            <th>Content limits</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {users?.results?.map((user) => {
+            const isSelf = user.id === currentUser?.id;
+            return (
+              <React.Fragment key={user.id}>
+                <tr className={user.disabled ? 'user-disabled' : undefined}>
+                  <td>{user.username}</td>
+                  <td>{user.email}</td>
+                  <td>
+                    <select
+                      value={user.role}
+                      disabled={isSelf}
+                      onChange={(e) =>
+                        updateUser(user, { role: e.target.value })
+                      }
+                    >
+                      <option value="viewer">Viewer</option>
+                      <option value="admin">Admin</option>
+                    </select>
+                  </td>
+                  <td>{user.disabled ? 'Disabled' : 'Active'}</td>
+                  <td className="user-restrictions">
+                    <select
+                      aria-label={`Maximum certification for ${user.username}`}
+                      value={user.maxCertification || ''}
+                      onChange={(e) =>
+                        updateUser(user, {
+                          maxCertification: e.target.value || null,
+                        })
+                      }
+                    >
+                      <option value="">No limit</option>
+                      {CERTIFICATIONS.map((certification) => (
+                        <option key={certification} value={certification}>
+                          Up to {certification}
+                        </option>
+                      ))}
+                    </select>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={user.hideAdult}
+                        onChange={(e) =>
+                          updateUser(user, { hideAdult: e.target.checked })
+                        }
+                      />{' '}
+                      Hide adult
+                    </label>
+                    <label>
+                      <input
+                        type="checkbox"
+                        checked={user.hideExplicit}
+                        onChange={(e) =>
+                          updateUser(user, { hideExplicit: e.target.checked })
+                        }
+                      />{' '}
+                      Hide explicit
+                    </label>
+                  </td>
+                  <td className="user-actions">
+                    <button
+                      disabled={isSelf}
+                      onClick={() =>
+                        updateUser(user, { disabled: !user.disabled })
+                      }
+                    >
+                      {user.disabled ? 'Enable' : 'Disable'}
+                    </button>
+                    <button
+                      onClick={() =>
+                        setResettingId(resettingId === user.id ? null : user.id)
+                      }
+                    >
+                      Reset password
+                    </button>
+                    <button disabled={isSelf} onClick={() => deleteUser(user)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+                {resettingId === user.id && (
+                  <tr>
+                    <td colSpan={6}>
+                      <form
+                        className="user-password-form"
+                        onSubmit={(e) => resetPassword(e, user)}
+                      >
+                        <input
+                          type="password"
+                          placeholder="New password"
+                          value={password}
+                          onChange={(e) => setPassword(e.target.value)}
+                        />
+                        <input
+                          type="password"
+                          placeholder="Confirm new password"
+                          value={confirmPassword}
+                          onChange={(e) => setConfirmPassword(e.target.value)}
+                        />
+                        <button type="submit">Save password</button>
+                      </form>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+    </React.Fragment>
+  );
+};
+
+export default UserManagement;
@@ -4,6 +4,11 @@ import useSWR from 'swr';
 import AdminHeader from '../AdminHeader';
 import Footer from '../Footer';
 import StepForm from '../MediaWizard/StepForm';
+import DownloadSettings from './DownloadSettings';
+import InviteCodes from './InviteCodes';
+import MatchReview from './MatchReview';
+import RegistrationSettings from './RegistrationSettings';
+import UserManagement from './UserManagement';
 import './Admin.css';
 
 const Admin = () => {
@@ -55,6 +60,56 @@ const Admin = () => {
           </section>
         </div>
 
+        <div className="account-section">
+          <header className="account-section-header">
+            <h2 className="account-section-heading">Users</h2>
+          </header>
+
+          <section className="account-section-content">
+            <UserManagement />
+          </section>
+        </div>
+
+        <div className="account-section">
+          <header className="account-section-header">
+            <h2 className="account-section-heading">Registration</h2>
+          </header>
+
+          <section className="account-section-content">
+            <RegistrationSettings />
+          </section>
+        </div>
+
+        <div className="account-section">
+          <header className="account-section-header">
+            <h2 className="account-section-heading">Downloads</h2>
+          </header>
+
+          <section className="account-section-content">
+            <DownloadSettings />
+          </section>
+        </div>
+
+        <div className="account-section">
+          <header className="account-section-header">
+            <h2 className="account-section-heading">Invite Codes</h2>
+          </header>
+
+          <section className="account-section-content">
+            <InviteCodes />
+          </section>
+        </div>
+
+        <div className="account-section">
+          <header className="account-section-header">
+            <h2 className="account-section-heading">Match Review</h2>
+          </header>
+
+          <section className="account-section-content">
+            <MatchReview />
+          </section>
+        </div>
+
         <div className="account-section">
           <header className="account-section-header">
             <h2 className="account-section-heading">Media Wizard</h2>
@@ -96,6 +151,13 @@ const Admin = () => {
                 episode_file_name) (.mp4|.mkv)
               </code>
             </pre>
+            <p>
+              Movies and episodes without an ID, such as{' '}
+              <code>The.Matrix.1999.1080p.BluRay.x264.mkv</code> or{' '}
+              <code>Breaking.Bad.S01E02.720p.HDTV.mkv</code>, are searched on
+              TMDb by the title and year in their name. Uncertain matches wait
+              in Match Review
+            </p>
             <p>
               🎵<strong>Music</strong>
             </p>
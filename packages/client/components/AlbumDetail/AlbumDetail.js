@@ -1,3 +1,5 @@
+import { faCheck, faPlus } from '@fortawesome/free-solid-svg-icons';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { FastAverageColor } from 'fast-average-color';
 import React, { useEffect, useRef } from 'react';
 import { useParams } from 'react-router-dom';
@@ -5,7 +7,16 @@ import useSWR from 'swr';
 
 import Time from '../../assets/AlbumDetail/Time';
 import { useGlobalContext } from '../../contexts/context';
-import { findTotalDurationMillis, millisToEnglishWords } from '../../utils';
+import useFavorite from '../../hooks/useFavorite';
+import useRating from '../../hooks/useRating';
+import {
+  findTotalDurationMillis,
+  getImageUrl,
+  millisToEnglishWords,
+  getImageCrossOrigin,
+} from '../../utils';
+import DownloadButton, { AUDIO_QUALITIES } from '../DownloadButton';
+import Rating from '../Rating';
 import style from './AlbumDetail.module.css';
 import { DiscHeader } from './DiscHeader/DiscHeader';
 import { SongItem } from './SongItem/SongItem';
@@ -15,10 +26,14 @@ const AlbumDetail = () => {
   const coverRef = useRef(null);
   const { data: album } = useSWR(`/music/albums/${id}`);
   const { playerState, changeSong } = useGlobalContext();
+  const { isFavorite, toggleFavorite } = useFavorite('albums', id);
+  const { ratings, rate } = useRating('albums', id);
 
   useEffect(() => {
     if (coverRef.current) {
-      coverRef.current.crossOrigin = 'Anonymous';
+      // Colors are read from the cover, images of other hosts are read without credentials
+      coverRef.current.crossOrigin =
+        getImageCrossOrigin(album.image_url) || 'Anonymous';
       const fac = new FastAverageColor();
       fac
         .getColorAsync(coverRef.current)
@@ -55,7 +70,12 @@ const AlbumDetail = () => {
             <div className={style.Background} id="Background"></div>
             <div className={style.Gradient}></div>
             <div className={style.Img}>
-              <img src={album.image_url} alt="album img" ref={coverRef} />
+              <img
+                src={getImageUrl(album.image_url)}
+                crossOrigin={getImageCrossOrigin(album.image_url)}
+                alt="album img"
+                ref={coverRef}
+              />
             </div>
             <div className={style.Infos}>
               <div className={style.Album}>
@@ -79,6 +99,36 @@ const AlbumDetail = () => {
                     )}`}
                 </span>
               </div>
+              <div className={style.Actions}>
+                <button
+                  className={[
+                    style.Favorite,
+                    isFavorite ? style.Favorite_Active : '',
+                  ].join(' ')}
+                  onClick={() => toggleFavorite()}
+                  title={isFavorite ? 'Remove from My List' : 'Add to My List'}
+                >
+                  <FontAwesomeIcon icon={isFavorite ? faCheck : faPlus} />
+                </button>
+                <DownloadButton
+                  request={{ type: 'Album', id }}
+                  qualities={AUDIO_QUALITIES}
+                />
+                {ratings && (
+                  <React.Fragment>
+                    <Rating
+                      value={ratings.mine?.rating}
+                      onChange={(rating) => rate(rating, ratings.mine?.review)}
+                      color="#1db954"
+                    />
+                    <span className={style.Text_Light}>
+                      {ratings.average !== null
+                        ? `Household ${ratings.average} out of 10 (${ratings.count})`
+                        : 'Not rated yet'}
+                    </span>
+                  </React.Fragment>
+                )}
+              </div>
             </div>
           </div>
 
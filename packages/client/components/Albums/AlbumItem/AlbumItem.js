@@ -2,6 +2,7 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 
 import Play from '../../../assets/NowPlayingBar/Play';
+import { getImageUrl, getImageCrossOrigin } from '../../../utils';
 import style from './AlbumItem.module.css';
 
 const AlbumItem = (props) => {
@@ -10,7 +11,11 @@ const AlbumItem = (props) => {
     <Link to={'/music/album/' + album.id} className={style.LinkAlbum}>
       <div className={style.Album}>
         <div className={style.imgContainer}>
-          <img src={album.image_url} alt="Tokyo" />
+          <img
+            src={getImageUrl(album.image_url)}
+            crossOrigin={getImageCrossOrigin(album.image_url)}
+            alt="Tokyo"
+          />
           <div className={style.PlayContainer}>
             <button className={style.PlayButton} title="Play">
               <Play />
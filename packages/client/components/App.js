@@ -2,6 +2,8 @@ import React, { lazy, Suspense } from 'react';
 import { BrowserRouter, Route, Routes } from 'react-router-dom';
 import { SWRConfig } from 'swr';
 
+import { apiFetch } from '../utils';
+
 // Lazy loaded auth components
 const Login = lazy(() => import('./Auth/Login'));
 const Register = lazy(() => import('./Auth/Register'));
@@ -21,6 +23,7 @@ import Music from './Music';
 import MusicHome from './MusicHome/MusicHome';
 import MusicSearch from './MusicSearch';
 import NotFound from './NotFound';
+import Profiles from './Profiles';
 import Songs from './Songs/Songs';
 import TVShows from './TVShows';
 
@@ -30,20 +33,29 @@ const App = () => {
       <SWRConfig
         value={{
           fetcher: (resource, init) =>
-            fetch(
-              `${process.env.REACT_APP_HOMEHOST_BASE}/api` + resource,
-              init
-            ).then((res) => res.json()),
+            apiFetch(resource, init).then((res) => res.json()),
         }}
       >
         <BrowserRouter basename={process.env.PUBLIC_URL}>
           <Routes>
-            {/* Public Routes */}
-            <Route path="/movies" element={<Movies />} />
-            <Route path="/tv" element={<TVShows />} />
+            {/* Library Routes */}
+            <Route path="/movies" element={
+              <ProtectedRoute requireProfile>
+                <Movies />
+              </ProtectedRoute>
+            } />
+            <Route path="/tv" element={
+              <ProtectedRoute requireProfile>
+                <TVShows />
+              </ProtectedRoute>
+            } />
             
             {/* Music Routes */}
-            <Route path="music" element={<Music />}>
+            <Route path="music" element={
+              <ProtectedRoute requireProfile>
+                <Music />
+              </ProtectedRoute>
+            }>
               <Route index element={<MusicHome />} />
               <Route path="search" element={<MusicSearch />} />
               <Route path="search/:id" element={<MusicSearch />} />
@@ -71,6 +83,12 @@ const App = () => {
             } />
             
             {/* Protected Routes */}
+            <Route path="/profiles" element={
+              <ProtectedRoute>
+                <Profiles />
+              </ProtectedRoute>
+            } />
+            
             <Route path="/profile" element={
               <ProtectedRoute>
                 <Suspense fallback={<LoadingSpinner />}>
@@ -80,7 +98,7 @@ const App = () => {
             } />
             
             <Route path="/admin" element={
-              <ProtectedRoute>
+              <ProtectedRoute roles={['admin']}>
                 <Admin />
               </ProtectedRoute>
             } />
@@ -2,6 +2,7 @@ import React from 'react';
 import { Link } from 'react-router-dom';
 
 import Play from '../../../assets/NowPlayingBar/Play';
+import { getImageUrl, getImageCrossOrigin } from '../../../utils';
 import style from './ArtistItem.module.css';
 
 const ArtistItem = (props) => {
@@ -11,7 +12,11 @@ const ArtistItem = (props) => {
     <Link to={'/music/artist/' + artist.id} className={style.LinkAlbum}>
       <div className={style.Album}>
         <div className={style.imgContainer}>
-          <img src={artist.image_url} alt={'Tokyo'} />
+          <img
+            src={getImageUrl(artist.image_url)}
+            crossOrigin={getImageCrossOrigin(artist.image_url)}
+            alt={'Tokyo'}
+          />
           <div className={style.PlayContainer}>
             <button className={style.PlayButton} title="Play">
               <Play />
@@ -0,0 +1,124 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import axios from 'axios';
+import './Profile.css';
+
+/**
+ * Summarizes a User-Agent header as a browser and platform name
+ * @param {string|null} userAgent - The User-Agent header of the device
+ * @returns {string} A short description of the device
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find((name) =>
+    userAgent.includes(name)
+  );
+  const platform = ['Windows', 'Android', 'iPhone', 'iPad', 'Mac OS', 'Linux'].find(
+    (name) => userAgent.includes(name)
+  );
+
+  return [browser === 'Edg' ? 'Edge' : browser, platform]
+    .filter(Boolean)
+    .join(' on ') || 'Unknown device';
+};
+
+/**
+ * ActiveSessions component that lists the devices the user is signed in on
+ * @param {Object} props - Component props
+ * @param {Function} props.onLogoutAll - Called once the user is logged out of all devices
+ * @returns {JSX.Element} ActiveSessions component
+ */
+const ActiveSessions = ({ onLogoutAll }) => {
+  const [sessions, setSessions] = useState([]);
+  const [error, setError] = useState('');
+
+  /**
+   * Fetches the active sessions from the API
+   */
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/sessions', { withCredentials: true });
+      setSessions(response?.data?.results || []);
+    } catch (error) {
+      setError('Failed to load active sessions.');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  /**
+   * Signs out one device
+   * @param {number} id - The session ID
+   */
+  const handleRevoke = async (id) => {
+    try {
+      await axios.delete(`/api/sessions/${id}`, { withCredentials: true });
+      fetchSessions();
+    } catch (error) {
+      setError('Failed to sign out the device. Please try again.');
+    }
+  };
+
+  /**
+   * Signs out every device, including this one
+   */
+  const handleLogoutAll = async () => {
+    try {
+      await axios.post('/api/logout/all', {}, { withCredentials: true });
+      onLogoutAll();
+    } catch (error) {
+      setError('Failed to logout of all devices. Please try again.');
+    }
+  };
+
+  return (
+    <div className="profile-sessions" data-testid="active-sessions">
+      <label className="form-label">Active Sessions</label>
+      {error && <p className="server-error">{error}</p>}
+      <ul className="session-list">
+        {sessions.map((session) => (
+          <li key={session.id} className="session-item" data-testid="session-item">
+            <div>
+              <div className="profile-value">
+                {describeDevice(session.user_agent)}
+                {session.current && <span className="session-current">This device</span>}
+              </div>
+              <div className="session-meta">
+                {session.ip_address && `${session.ip_address} · `}
+                Last active {new Date(session.last_used_at).toLocaleString()}
+              </div>
+            </div>
+            {!session.current && (
+              <button
+                className="secondary-button"
+                onClick={() => handleRevoke(session.id)}
+              >
+                Sign out
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+      <div className="profile-actions">
+        <button
+          className="secondary-button"
+          onClick={handleLogoutAll}
+          data-testid="logout-all-button"
+        >
+          Log out all devices
+        </button>
+      </div>
+    </div>
+  );
+};
+
+ActiveSessions.propTypes = {
+  onLogoutAll: PropTypes.func.isRequired
+};
+
+export default ActiveSessions;
@@ -0,0 +1,81 @@
+import React from 'react';
+import useDownloads from '../../hooks/useDownloads';
+import './Profile.css';
+
+// What each status of a download tells the user
+const STATUS_LABELS = {
+  queued: 'Waiting to be prepared',
+  preparing: 'Preparing',
+  ready: 'Ready',
+  failed: 'Failed'
+};
+
+/**
+ * Describes the state of a download, with how many of its files are prepared
+ * @param {Object} download - The download from the API
+ * @returns {string} The status shown under the title
+ */
+const describeStatus = (download) => {
+  const label = STATUS_LABELS[download.status] || download.status;
+
+  if (download.status === 'preparing' && download.files > 1) {
+    return `${label} (${download.ready_files} of ${download.files} files)`;
+  }
+  if (download.status === 'failed' && download.error) {
+    return `${label}: ${download.error}`;
+  }
+  return label;
+};
+
+/**
+ * Downloads component that lists the download queue of the user, with a link to save each
+ * ready download. Nothing is shown when downloads are disabled for the role of the user
+ * @returns {JSX.Element|null} Downloads component
+ */
+const Downloads = () => {
+  const { enabled, downloads, removeDownload } = useDownloads();
+
+  if (!enabled) {
+    return null;
+  }
+
+  return (
+    <div className="profile-sessions" data-testid="downloads">
+      <label className="form-label">Downloads</label>
+      {downloads.length === 0 && (
+        <p className="session-meta">Movies, episodes, seasons and albums you download appear here.</p>
+      )}
+      <ul className="session-list">
+        {downloads.map((download) => (
+          <li key={download.id} className="session-item" data-testid="download-item">
+            <div>
+              <div className="profile-value">{download.title}</div>
+              <div className="session-meta">
+                {download.quality || 'Original'} · {describeStatus(download)}
+              </div>
+            </div>
+            <div>
+              {download.status === 'ready' && (
+                <a
+                  className="secondary-button"
+                  href={`/api/downloads/${download.id}/file`}
+                  download
+                >
+                  Save
+                </a>
+              )}
+              <button
+                className="secondary-button"
+                onClick={() => removeDownload(download.id)}
+              >
+                Remove
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default Downloads;
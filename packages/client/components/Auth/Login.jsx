@@ -75,7 +75,7 @@ const Login = ({ onLoginSuccess }) => {
         if (onLoginSuccess) {
           onLoginSuccess(response.data);
         }
-        navigate('/profile');
+        navigate('/profiles');
       }
     } catch (error) {
       setIsLoading(false);
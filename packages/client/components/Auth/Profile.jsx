@@ -2,8 +2,14 @@ import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { useNavigate } from 'react-router-dom';
 import axios from 'axios';
+import ActiveSessions from './ActiveSessions';
+import Downloads from './Downloads';
+import { getLanguageName } from '../../utils';
 import './Profile.css';
 
+// Languages offered as the default audio track of the player
+const AUDIO_LANGUAGES = ['en', 'fr', 'de', 'es', 'it', 'pt', 'nl', 'sv', 'ru', 'ja', 'ko', 'zh', 'hi', 'ar'];
+
 /**
  * Profile component that displays user information
  * @param {Object} props - Component props
@@ -14,6 +20,8 @@ const Profile = ({ onLogout }) => {
   const [userData, setUserData] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
+  const [audioLanguage, setAudioLanguage] = useState('');
+  const [preferenceError, setPreferenceError] = useState('');
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -26,6 +34,7 @@ const Profile = ({ onLogout }) => {
         
         if (response.status === 200) {
           setUserData(response.data.user);
+          setAudioLanguage(response.data.user?.audioLanguage || '');
         }
       } catch (error) {
         if (error.response?.status === 401) {
@@ -62,6 +71,34 @@ const Profile = ({ onLogout }) => {
     }
   };
 
+  /**
+   * Saves the language of the audio track the player picks by default
+   * @param {Object} event - The change event of the select
+   */
+  const handleAudioLanguageChange = async (event) => {
+    const { value } = event.target;
+    const previous = audioLanguage;
+    setAudioLanguage(value);
+    setPreferenceError('');
+
+    try {
+      await axios.patch('/api/me/preferences', { audioLanguage: value || null }, { withCredentials: true });
+    } catch (error) {
+      setAudioLanguage(previous);
+      setPreferenceError('Failed to save the audio language. Please try again.');
+    }
+  };
+
+  /**
+   * Handles logout from all devices
+   */
+  const handleLogoutAll = () => {
+    if (onLogout) {
+      onLogout();
+    }
+    navigate('/login');
+  };
+
   // Loading skeleton UI
   if (isLoading) {
     return (
@@ -119,6 +156,27 @@ const Profile = ({ onLogout }) => {
             </div>
           </div>
           
+          <div className="profile-field">
+            <label className="form-label" htmlFor="audio-language">Audio language</label>
+            <select
+              id="audio-language"
+              className="profile-select"
+              value={audioLanguage}
+              onChange={handleAudioLanguageChange}
+              data-testid="profile-audio-language"
+            >
+              <option value="">Original</option>
+              {AUDIO_LANGUAGES.map((language) => (
+                <option key={language} value={language}>
+                  {getLanguageName(language)}
+                </option>
+              ))}
+            </select>
+            {preferenceError && (
+              <p className="server-error" data-testid="profile-preference-error">{preferenceError}</p>
+            )}
+          </div>
+
           {/* Additional fields can be added here */}
           
           <div className="profile-actions">
@@ -138,6 +196,10 @@ const Profile = ({ onLogout }) => {
               Logout
             </button>
           </div>
+
+          <ActiveSessions onLogoutAll={handleLogoutAll} />
+
+          <Downloads />
         </div>
       )}
     </div>
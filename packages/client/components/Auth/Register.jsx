@@ -1,6 +1,6 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import axios from 'axios';
 import './Register.css';
 
@@ -16,11 +16,28 @@ const Register = ({ onRegisterSuccess, showToast }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
+  const [searchParams] = useSearchParams();
+  const [inviteCode, setInviteCode] = useState(searchParams.get('invite') || '');
+  const [inviteRequired, setInviteRequired] = useState(false);
   const [errors, setErrors] = useState({});
   const [serverError, setServerError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const navigate = useNavigate();
 
+  // Ask the server whether registration is restricted to invite codes
+  useEffect(() => {
+    const checkRegistrationMode = async () => {
+      try {
+        const response = await axios.get('/api/registration', { withCredentials: true });
+        setInviteRequired(response?.data?.mode === 'invite');
+      } catch (error) {
+        setInviteRequired(false);
+      }
+    };
+
+    checkRegistrationMode();
+  }, []);
+
   /**
    * Validates the form fields
    * @returns {boolean} Whether the form is valid
@@ -51,6 +68,10 @@ const Register = ({ onRegisterSuccess, showToast }) => {
       newErrors.confirmPassword = 'Passwords do not match';
     }
 
+    if (inviteRequired && !inviteCode.trim()) {
+      newErrors.inviteCode = 'Invite code is required';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -103,7 +124,8 @@ const Register = ({ onRegisterSuccess, showToast }) => {
         username,
         email,
         password,
-        confirmPassword
+        confirmPassword,
+        ...(inviteRequired && { inviteCode })
       }, {
         headers: {
           'Content-Type': 'application/json'
@@ -126,7 +148,13 @@ const Register = ({ onRegisterSuccess, showToast }) => {
       }
     } catch (error) {
       setIsLoading(false);
-      if (error.response?.data?.message) {
+      const inviteError = error.response?.data?.errors?.find(
+        (fieldError) => fieldError.field === 'inviteCode'
+      );
+      if (inviteError) {
+        setInviteRequired(true);
+        setErrors(prev => ({ ...prev, inviteCode: inviteError.message }));
+      } else if (error.response?.data?.message) {
         setServerError(error.response.data.message);
       } else {
         setServerError('An error occurred during registration. Please try again.');
@@ -262,6 +290,35 @@ const Register = ({ onRegisterSuccess, showToast }) => {
           )}
         </div>
 
+        {inviteRequired && (
+          <div className="form-group">
+            <label htmlFor="inviteCode" className="form-label">
+              Invite Code
+            </label>
+            <input
+              type="text"
+              id="inviteCode"
+              name="inviteCode"
+              value={inviteCode}
+              onChange={(e) => {
+                setInviteCode(e.target.value);
+                if (errors.inviteCode) {
+                  setErrors(prev => ({ ...prev, inviteCode: '' }));
+                }
+              }}
+              className={`form-input ${errors.inviteCode ? 'input-error' : ''}`}
+              placeholder="Enter the code you were given"
+              aria-describedby={errors.inviteCode ? "invite-code-error" : undefined}
+              data-testid="invite-code-input"
+            />
+            {errors.inviteCode && (
+              <span id="invite-code-error" className="error-message" data-testid="invite-code-error">
+                {errors.inviteCode}
+              </span>
+            )}
+          </div>
+        )}
+
         {serverError && (
           <div className="server-error-container" data-testid="server-error">
             <p className="server-error">{serverError}</p>
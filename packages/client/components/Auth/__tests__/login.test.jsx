@@ -90,7 +90,7 @@ describe('Login Component', () => {
       });
       
       // Verify navigation and callback
-      expect(mockNavigate).toHaveBeenCalledWith('/profile');
+      expect(mockNavigate).toHaveBeenCalledWith('/profiles');
       expect(mockOnLoginSuccess).toHaveBeenCalledWith({ user: { id: 1, email: 'test@example.com' } });
     });
   });
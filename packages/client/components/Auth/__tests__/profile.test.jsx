@@ -155,4 +155,25 @@ describe('Profile Component', () => {
     // Check if navigation happened
     expect(mockNavigate).toHaveBeenCalledWith('/edit-profile');
   });
-});
\ No newline at end of file
+
+  test('saves the audio language preference', async () => {
+    axios.get.mockResolvedValue({
+      status: 200,
+      data: { user: { ...mockUserData, audioLanguage: 'fr' } }
+    });
+    axios.patch.mockResolvedValue({ status: 200 });
+
+    renderWithRouter(<Profile />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('profile-audio-language')).toHaveValue('fr');
+    });
+
+    fireEvent.change(screen.getByTestId('profile-audio-language'), { target: { value: '' } });
+
+    await waitFor(() => {
+      expect(axios.patch).toHaveBeenCalledWith('/api/me/preferences', { audioLanguage: null }, { withCredentials: true });
+    });
+    expect(screen.getByTestId('profile-audio-language')).toHaveValue('');
+  });
+});
@@ -262,4 +262,31 @@ describe('Register Component', () => {
     // Check that password match error appears
     expect(await screen.findByText(/passwords do not match/i)).toBeInTheDocument();
   });
-});
\ No newline at end of file
+
+  test('asks for an invite code when registration requires one', async () => {
+    axios.get.mockResolvedValueOnce({ data: { mode: 'invite' } });
+    axios.post.mockResolvedValueOnce({ status: 201, data: {} });
+    render(
+      <MemoryRouter initialEntries={['/register?invite=K7QM-4TZP']}>
+        <Register onRegisterSuccess={mockOnRegisterSuccess} showToast={mockShowToast} />
+      </MemoryRouter>
+    );
+    
+    // The code from the invite link is filled in
+    expect(await screen.findByTestId('invite-code-input')).toHaveValue('K7QM-4TZP');
+    
+    await userEvent.type(screen.getByTestId('name-input'), 'Test User');
+    await userEvent.type(screen.getByTestId('email-input'), 'test@example.com');
+    await userEvent.type(screen.getByTestId('password-input'), 'password123');
+    await userEvent.type(screen.getByTestId('confirm-password-input'), 'password123');
+    await userEvent.click(screen.getByTestId('register-button'));
+    
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith(
+        '/api/register',
+        expect.objectContaining({ inviteCode: 'K7QM-4TZP' }),
+        expect.any(Object)
+      );
+    });
+  });
+});
@@ -4,6 +4,7 @@ import React from 'react';
 import useSWR from 'swr';
 
 import { useGlobalContext } from '../../contexts/context';
+import { getArtworkUrl, getImageCrossOrigin } from '../../utils';
 
 function BigBillboard() {
   const { data: item } = useSWR(`/watch/billboard`);
@@ -16,7 +17,8 @@ function BigBillboard() {
         <div className="billboard-base">
           <div className="billboard-image-wrapper">
             <img
-              src={`${process.env.REACT_APP_IMAGE_BASE}original/${item.backdrop_path}`}
+              src={getArtworkUrl(item.backdrop_path, 'original')}
+              crossOrigin={getImageCrossOrigin(item.backdrop_path)}
               alt={'hero'}
             />
 
@@ -32,7 +34,8 @@ function BigBillboard() {
               {item.logo_path ? (
                 <img
                   className="logo"
-                  src={`${process.env.REACT_APP_IMAGE_BASE}w500/${item.logo_path}`}
+                  src={getArtworkUrl(item.logo_path, 'w500')}
+                  crossOrigin={getImageCrossOrigin(item.logo_path)}
                   alt="boxart"
                 />
               ) : (
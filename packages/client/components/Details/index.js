@@ -1,6 +1,20 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+
+import useRating from '../../hooks/useRating';
+import DownloadButton, { VIDEO_QUALITIES } from '../DownloadButton';
+import Rating from '../Rating';
 
 const Details = ({ currentSlide }) => {
+  const { ratings, rate, removeRating } = useRating(
+    currentSlide.type === 'Movie' ? 'movies' : 'tv',
+    currentSlide.id
+  );
+  const [review, setReview] = useState('');
+
+  useEffect(() => {
+    setReview(ratings?.mine?.review || '');
+  }, [ratings?.mine?.review]);
+
   const findOnebyType = (name, type, data) => {
     let first = data.find((item) => item.department === type);
 
@@ -46,6 +60,73 @@ const Details = ({ currentSlide }) => {
             <span>{currentSlide.production_companies[0].name}</span>
           </div>
         )}
+
+        <div className="menu-details-item">
+          <span className="details-item-title">Ratings</span>
+          <span>{`TMDb ${currentSlide.vote_average}`}</span>
+          {ratings && (
+            <span>
+              {ratings.average !== null
+                ? `Household ${ratings.average} (${ratings.count})`
+                : 'Household not rated yet'}
+            </span>
+          )}
+        </div>
+
+        {ratings && (
+          <div className="menu-details-item menu-details-rating">
+            <span className="details-item-title">Your Rating</span>
+            <Rating
+              value={ratings.mine?.rating}
+              onChange={(rating) => rate(rating, review)}
+            />
+            <textarea
+              className="rating-review"
+              value={review}
+              onChange={(e) => setReview(e.currentTarget.value)}
+              placeholder="Write a review..."
+              maxLength="1000"
+            />
+            <span className="rating-actions">
+              <button
+                disabled={!ratings.mine}
+                onClick={() => rate(ratings.mine.rating, review)}
+              >
+                Save
+              </button>
+              <button disabled={!ratings.mine} onClick={() => removeRating()}>
+                Remove
+              </button>
+            </span>
+          </div>
+        )}
+
+        {currentSlide.type === 'Movie' && (
+          <div className="menu-details-item">
+            <span className="details-item-title">Offline</span>
+            <DownloadButton
+              request={{ type: 'Movie', id: currentSlide.id }}
+              qualities={VIDEO_QUALITIES}
+            />
+          </div>
+        )}
+
+        {ratings?.reviews.some((item) => item.review) && (
+          <div className="menu-details-item menu-details-reviews">
+            <span className="details-item-title">Reviews</span>
+            {ratings.reviews
+              .filter((item) => item.review)
+              .slice(0, 3)
+              .map((item, index) => (
+                <span key={index}>
+                  <strong>{item.username}</strong>{' '}
+                  <Rating value={item.rating} />
+                  <br />
+                  {item.review}
+                </span>
+              ))}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,70 @@
+import React from 'react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import DownloadButton, { VIDEO_QUALITIES } from '..';
+import useDownloads from '../../../hooks/useDownloads';
+
+jest.mock('../../../hooks/useDownloads');
+
+describe('DownloadButton', () => {
+  const request = { type: 'Season', id: 1399, season_number: 1 };
+  let addDownload;
+
+  beforeEach(() => {
+    addDownload = jest
+      .fn()
+      .mockResolvedValue({ download: { status: 'queued' } });
+    useDownloads.mockReturnValue({ enabled: true, addDownload });
+  });
+
+  it('renders nothing when downloads are disabled', () => {
+    useDownloads.mockReturnValue({ enabled: false, addDownload });
+    const { container } = render(
+      <DownloadButton request={request} qualities={VIDEO_QUALITIES} />
+    );
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('queues the original files by default', async () => {
+    render(<DownloadButton request={request} qualities={VIDEO_QUALITIES} />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Download'));
+    });
+
+    expect(addDownload).toHaveBeenCalledWith({ ...request, quality: null });
+    expect(screen.getByText('Added to your downloads')).toBeInTheDocument();
+  });
+
+  it('queues a transcoded copy in the quality picked', async () => {
+    render(
+      <DownloadButton
+        request={request}
+        qualities={VIDEO_QUALITIES}
+        title="Download season"
+      />
+    );
+
+    fireEvent.change(screen.getByLabelText('Download quality'), {
+      target: { value: '720p' },
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByText('Download season'));
+    });
+
+    expect(addDownload).toHaveBeenCalledWith({ ...request, quality: '720p' });
+  });
+
+  it('shows why the download was refused', async () => {
+    addDownload.mockResolvedValue({
+      errors: [{ field: 'general', message: 'Download queue full' }],
+    });
+    render(<DownloadButton request={request} qualities={VIDEO_QUALITIES} />);
+
+    await act(async () => {
+      fireEvent.click(screen.getByText('Download'));
+    });
+
+    expect(screen.getByText('Download queue full')).toBeInTheDocument();
+  });
+});
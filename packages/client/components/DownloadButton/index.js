@@ -0,0 +1,58 @@
+import { faDownload } from '@fortawesome/free-solid-svg-icons';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import React, { useState } from 'react';
+
+import useDownloads from '../../hooks/useDownloads';
+import style from './DownloadButton.module.css';
+
+// Qualities the server can transcode a download to, the original files are kept without one
+export const VIDEO_QUALITIES = ['1080p', '720p', '480p'];
+export const AUDIO_QUALITIES = ['320k', '192k', '128k'];
+
+const DownloadButton = ({ request, qualities, title = 'Download' }) => {
+  const { enabled, addDownload } = useDownloads();
+  const [quality, setQuality] = useState('');
+  const [message, setMessage] = useState(null);
+
+  if (!enabled) return null;
+
+  const download = async () => {
+    const response = await addDownload({
+      ...request,
+      quality: quality || null,
+    });
+    if (response.errors) {
+      setMessage(response.errors[0].message);
+    } else {
+      setMessage(
+        response.download.status === 'ready'
+          ? 'Ready in your downloads'
+          : 'Added to your downloads'
+      );
+    }
+  };
+
+  return (
+    <span className={style.DownloadButton}>
+      <select
+        className={style.Quality}
+        value={quality}
+        onChange={(e) => setQuality(e.currentTarget.value)}
+        aria-label="Download quality"
+      >
+        <option value="">Original</option>
+        {qualities.map((item) => (
+          <option key={item} value={item}>
+            {item}
+          </option>
+        ))}
+      </select>
+      <button type="button" className={style.Button} onClick={download}>
+        <FontAwesomeIcon icon={faDownload} /> {title}
+      </button>
+      {message && <span className={style.Message}>{message}</span>}
+    </span>
+  );
+};
+
+export default DownloadButton;
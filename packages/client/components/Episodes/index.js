@@ -3,6 +3,8 @@ import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import React, { useState } from 'react';
 
 import { useGlobalContext } from '../../contexts/context';
+import { getArtworkUrl, getImageCrossOrigin } from '../../utils';
+import DownloadButton, { VIDEO_QUALITIES } from '../DownloadButton';
 import SeasonSelect from './SeasonSelect';
 
 const Episodes = ({ currentSlide, noEpisodesTab }) => {
@@ -31,6 +33,15 @@ const Episodes = ({ currentSlide, noEpisodesTab }) => {
     currentSlide.type === 'Show' && (
       <div className="menu-episodes">
         <SeasonSelect items={currentSlide.seasons} onChange={changeSeason} />
+        <DownloadButton
+          request={{
+            type: 'Season',
+            id: currentSlide.id,
+            season_number: seasonNumber,
+          }}
+          qualities={VIDEO_QUALITIES}
+          title="Download season"
+        />
         <div className="menu-episode-content">
           {currentSlide.seasons
             .find((season) => season.season_number === seasonNumber)
@@ -57,7 +68,11 @@ const Episodes = ({ currentSlide, noEpisodesTab }) => {
                           episode_number: index + 1,
                         })
                       }
-                      src={`${process.env.REACT_APP_IMAGE_BASE}w500_and_h282_face/${episode.still_path}`}
+                      src={getArtworkUrl(
+                        episode.still_path,
+                        'w500_and_h282_face'
+                      )}
+                      crossOrigin={getImageCrossOrigin(episode.still_path)}
                       alt={'item'}
                     />
                   </div>
@@ -65,6 +80,16 @@ const Episodes = ({ currentSlide, noEpisodesTab }) => {
                     <span className="episode-item-title">{episode.name}</span>
                     <br />
                     <span className="release-date">{episode.air_date}</span>
+                    <br />
+                    <DownloadButton
+                      request={{
+                        type: 'Episode',
+                        id: currentSlide.id,
+                        season_number: seasonNumber,
+                        episode_number: episode.episode_number,
+                      }}
+                      qualities={VIDEO_QUALITIES}
+                    />
                   </div>
                   <div className="episode-item-synopsis">
                     {episode.overview}
@@ -1,13 +1,22 @@
 import { faBell, faGift, faSearch } from '@fortawesome/free-solid-svg-icons';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import React, { useEffect, useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import useSWR, { useSWRConfig } from 'swr';
 
 import logo from '../../assets/logos/Homehost_White.svg';
+import { useAuth } from '../../contexts/AuthProvider';
 import { useGlobalContext } from '../../contexts/context';
+import ProfileAvatar from '../Profiles/ProfileAvatar';
+import '../Profiles/Profiles.css';
 
 function Header() {
   const { moviesAndTVSearchInput, setMoviesAndTVSearchInput } =
     useGlobalContext();
+  const { profile, selectProfile } = useAuth();
+  const { data: profiles } = useSWR('/profiles');
+  const { mutate } = useSWRConfig();
+  const navigate = useNavigate();
 
   const [pinHeader, setHeader] = useState(false);
   const [searchBox, setSearchBox] = useState(false);
@@ -22,6 +31,12 @@ function Header() {
     }
   };
 
+  const switchProfile = async (other) => {
+    await selectProfile(other.id);
+    // Favorites, ratings and progress belong to the profile, refetch them all
+    mutate(() => true);
+  };
+
   const toggleSearchBox = () => {
     if (!searchBox && inputRef.current) inputRef.current.focus();
 
@@ -151,16 +166,33 @@ function Header() {
           </div>
           <div className="account-menu">
             <div className="account-dropdown-menu">
-              <span className="presentation">
-                <img
-                  src={
-                    'https://occ-0-2692-360.1.nflxso.net/dnm/api/v6/Z-WHgqd_TeJxSuha8aZ5WpyLcX8/AAAABWyw3UeUMaPP3aLxzskg3Bn5htGHqQymxiEGTbfM91FZ0zJAPoEfYQdvHW7FV06FcdXhPC_4F7zNR7TFKLLv6yo.png?r=88c'
-                  }
-                  alt={'avatar'}
-                />
+              <span className="presentation" title={profile?.name}>
+                {profile && <ProfileAvatar profile={profile} />}
               </span>
               <span className="caret"></span>
             </div>
+            <div className="account-submenu">
+              <ul>
+                {profiles?.results
+                  ?.filter((other) => other.id !== profile?.id)
+                  .map((other) => (
+                    <li key={other.id}>
+                      <button onClick={() => switchProfile(other)}>
+                        <ProfileAvatar profile={other} />
+                        <span>{other.name}</span>
+                      </button>
+                    </li>
+                  ))}
+                <li>
+                  <button onClick={() => navigate('/profiles')}>
+                    Manage Profiles
+                  </button>
+                </li>
+                <li>
+                  <button onClick={() => navigate('/profile')}>Account</button>
+                </li>
+              </ul>
+            </div>
           </div>
         </div>
       </div>
@@ -1,16 +1,11 @@
 import React from 'react';
 
 import { useGlobalContext } from '../../contexts/context';
+import { apiRequest } from '../../utils';
 import './styles.css';
 
-const addItem = (resource, data) =>
-  fetch(`${process.env.REACT_APP_HOMEHOST_BASE}/api` + resource, {
-    method: 'POST', // or 'PUT'
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify(data),
-  }).then((res) => res.json());
+// Adding files is for admins, the request carries the session cookie
+const addItem = (resource, data) => apiRequest(resource, 'POST', data);
 
 const FormFour = () => {
   const { mediaWizard, setMediaWizard } = useGlobalContext();
@@ -35,7 +30,7 @@ const FormFour = () => {
   };
 
   const applyMovie = async (item) => {
-    await addItem('movies/add', {
+    await addItem('/movies/add', {
       type: mediaWizard.selectedFile.type,
       fs_path: mediaWizard.selectedFile.fs_path,
       id: item.id,
@@ -45,7 +40,7 @@ const FormFour = () => {
   };
 
   const applyEpisode = async (item) => {
-    await addItem('tv/episodes/add', {
+    await addItem('/tv/episodes/add', {
       type: mediaWizard.selectedFile.type,
       fs_path: mediaWizard.selectedFile.fs_path,
       id: item.id,
@@ -54,7 +49,7 @@ const FormFour = () => {
   };
 
   const applySong = async (item) => {
-    await addItem('music/songs/add', {
+    await addItem('/music/songs/add', {
       type: mediaWizard.selectedFile.type,
       fs_path: mediaWizard.selectedFile.fs_path,
       album_id: item.album.id,
@@ -67,7 +62,7 @@ const FormFour = () => {
   };
 
   const applyUnknownAlbumSong = async () => {
-    await addItem('music/songs/add', {
+    await addItem('/music/songs/add', {
       type: mediaWizard.selectedFile.type,
       fs_path: mediaWizard.selectedFile.fs_path,
       album_name: 'Unknown Album',
@@ -107,7 +107,7 @@ const FormThree = () => {
                       <h3>{`${item.album.name} (${parseInt(
                         item.album.release_date
                       )})`}</h3>
-                      <h4>{`Spotify Album ID: ${item.album.id}`}</h4>
+                      <h4>{`Album ID: ${item.album.id}`}</h4>
                       <button onClick={next}>Apply</button>
                     </div>
                   </div>
@@ -15,6 +15,7 @@ function Movies() {
     document.body.className = 'movies-html-and-body'; //<body>
   }, []);
 
+  const { data: continueWatchingMovies } = useSWR('/movies/continue_watching');
   const { data: recentlyAddedMovies } = useSWR('/movies/recently_added');
   const { data: popularMovies } = useSWR('/movies/most_popular');
   const { data: highestRatedMovies } = useSWR('/movies/highest_rated');
@@ -34,6 +35,14 @@ function Movies() {
           <React.Fragment>
             <BigBillboard />
 
+            {continueWatchingMovies?.length > 0 && (
+              <Slider
+                mainTitle={'Continue Watching'}
+                data={continueWatchingMovies}
+                poster={false}
+              />
+            )}
+
             {recentlyAddedMovies && (
               <Slider
                 mainTitle={'Recently Added'}
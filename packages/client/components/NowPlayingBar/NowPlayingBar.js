@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
 
 import Like from '../../assets/NowPlayingBar/Like';
 import Next from '../../assets/NowPlayingBar/Next';
@@ -10,7 +10,13 @@ import Shuffle from '../../assets/NowPlayingBar/Shuffle';
 import Volume from '../../assets/NowPlayingBar/Volume';
 import VolumeMuted from '../../assets/NowPlayingBar/VolumeMuted';
 import { useGlobalContext } from '../../contexts/context';
+import { getImageUrl, getImageCrossOrigin } from '../../utils';
 import style from './NowPlayingBar.module.css';
+import StreamingQuality, {
+  ORIGINAL_QUALITY,
+  QUALITY_STORAGE_KEY,
+  getSongUrl,
+} from './StreamingQuality';
 
 const NowPlayingBar = () => {
   const {
@@ -30,6 +36,25 @@ const NowPlayingBar = () => {
     toggleRepeat,
     toggleShuffle,
   } = useGlobalContext();
+  const [quality, setQuality] = useState(
+    () => localStorage.getItem(QUALITY_STORAGE_KEY) || ORIGINAL_QUALITY
+  );
+  // Position to pick up from when the source changes with the quality
+  const switchPosition = useRef(null);
+
+  const changeQuality = (id) => {
+    switchPosition.current = audioPlayer.current.currentTime;
+    localStorage.setItem(QUALITY_STORAGE_KEY, id);
+    setQuality(id);
+  };
+
+  const loadedMetadata = () => {
+    songChanged();
+    if (switchPosition.current !== null) {
+      audioPlayer.current.currentTime = switchPosition.current;
+      switchPosition.current = null;
+    }
+  };
 
   if (!playerState.currentSong) {
     return null;
@@ -40,7 +65,10 @@ const NowPlayingBar = () => {
         <div className={style.Song}>
           <div className={style.Img}>
             <img
-              src={playerState.currentSong.album_image_url}
+              src={getImageUrl(playerState.currentSong.album_image_url)}
+              crossOrigin={getImageCrossOrigin(
+                playerState.currentSong.album_image_url
+              )}
               alt="currentSong"
             />
           </div>
@@ -111,6 +139,7 @@ const NowPlayingBar = () => {
 
         {/* Right */}
         <div className={style.Volume}>
+          <StreamingQuality quality={quality} onChange={changeQuality} />
           <div>
             <button onClick={toggleMute}>
               {playerState.isMuted ? <VolumeMuted /> : <Volume />}
@@ -127,9 +156,12 @@ const NowPlayingBar = () => {
 
         <audio
           ref={audioPlayer}
-          src={`${process.env.REACT_APP_HOMEHOST_BASE}${playerState.currentSong.url_path}`}
+          src={`${process.env.REACT_APP_HOMEHOST_BASE}${getSongUrl(
+            playerState.currentSong.url_path,
+            quality
+          )}`}
           preload="metadata"
-          onLoadedMetadata={songChanged}
+          onLoadedMetadata={loadedMetadata}
         ></audio>
       </div>
     );
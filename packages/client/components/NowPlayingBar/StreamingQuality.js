@@ -0,0 +1,45 @@
+import React from 'react';
+
+import style from './NowPlayingBar.module.css';
+
+export const QUALITY_STORAGE_KEY = 'musicStreamingQuality';
+export const ORIGINAL_QUALITY = 'original';
+
+// Bit rates in kbps lossless songs are transcoded to, lossy songs always play as is
+export const STREAMING_QUALITIES = [
+  { id: ORIGINAL_QUALITY, label: 'Original' },
+  { id: 'high', label: 'High (320 kbps)', bitrate: 320 },
+  { id: 'normal', label: 'Normal (160 kbps)', bitrate: 160 },
+  { id: 'low', label: 'Low (96 kbps)', bitrate: 96 },
+];
+
+// Opus is the lightest format for the bit rate, AAC plays everywhere else
+export const getStreamFormat = () =>
+  document.createElement('audio').canPlayType('audio/ogg; codecs="opus"')
+    ? 'opus'
+    : 'aac';
+
+export const getSongUrl = (url_path, quality) => {
+  const { bitrate } =
+    STREAMING_QUALITIES.find(({ id }) => id === quality) || {};
+  return bitrate
+    ? `${url_path}?format=${getStreamFormat()}&bitrate=${bitrate}`
+    : url_path;
+};
+
+const StreamingQuality = ({ quality, onChange }) => (
+  <select
+    className={style.Quality}
+    aria-label="Streaming quality"
+    value={quality}
+    onChange={(e) => onChange(e.target.value)}
+  >
+    {STREAMING_QUALITIES.map(({ id, label }) => (
+      <option key={id} value={id}>
+        {label}
+      </option>
+    ))}
+  </select>
+);
+
+export default StreamingQuality;
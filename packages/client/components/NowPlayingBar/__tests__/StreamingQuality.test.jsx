@@ -0,0 +1,44 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import StreamingQuality, { getSongUrl } from '../StreamingQuality';
+
+describe('getSongUrl', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('asks for the bit rate of the quality', () => {
+    jest
+      .spyOn(HTMLMediaElement.prototype, 'canPlayType')
+      .mockReturnValue('probably');
+
+    expect(getSongUrl('/music/abc/1/2', 'low')).toBe(
+      '/music/abc/1/2?format=opus&bitrate=96'
+    );
+  });
+
+  it('falls back to AAC without Opus support', () => {
+    jest.spyOn(HTMLMediaElement.prototype, 'canPlayType').mockReturnValue('');
+
+    expect(getSongUrl('/music/abc/1/2', 'high')).toBe(
+      '/music/abc/1/2?format=aac&bitrate=320'
+    );
+  });
+
+  it('streams the file as is for the original quality', () => {
+    expect(getSongUrl('/music/abc/1/2', 'original')).toBe('/music/abc/1/2');
+    expect(getSongUrl('/music/abc/1/2', 'unknown')).toBe('/music/abc/1/2');
+  });
+});
+
+describe('StreamingQuality', () => {
+  it('switches qualities', () => {
+    const onChange = jest.fn();
+    render(<StreamingQuality quality="original" onChange={onChange} />);
+    const select = screen.getByLabelText('Streaming quality');
+
+    expect(select).toHaveValue('original');
+    fireEvent.change(select, { target: { value: 'normal' } });
+    expect(onChange).toHaveBeenCalledWith('normal');
+  });
+});
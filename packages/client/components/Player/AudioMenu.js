@@ -0,0 +1,33 @@
+import { faVolumeUp } from '@fortawesome/free-solid-svg-icons';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import React from 'react';
+
+import { getLanguageName } from '../../utils';
+import style from './TrackMenu.module.css';
+
+// Channel counts named like on the media badges
+const CHANNEL_LAYOUTS = { 1: 'Mono', 2: 'Stereo', 6: '5.1', 8: '7.1' };
+
+export const getAudioLabel = ({ index, language, title, channels }) =>
+  [getLanguageName(language), title, CHANNEL_LAYOUTS[channels]]
+    .filter(Boolean)
+    .join(' - ') || `Track ${index}`;
+
+const AudioMenu = ({ tracks, selected, onChange }) => (
+  <label className={style.TrackMenu}>
+    <FontAwesomeIcon icon={faVolumeUp} />
+    <select
+      aria-label="Audio"
+      value={selected ?? ''}
+      onChange={(e) => onChange(Number(e.target.value))}
+    >
+      {tracks.map((track) => (
+        <option key={track.index} value={track.index}>
+          {getAudioLabel(track)}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+export default AudioMenu;
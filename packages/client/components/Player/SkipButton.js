@@ -0,0 +1,34 @@
+import React from 'react';
+
+import style from './SkipButton.module.css';
+
+export const INTRO = 'intro';
+export const CREDITS = 'credits';
+
+// Seconds before the end of the intro the button goes away, skipping would barely move
+const INTRO_END_MARGIN = 1;
+
+// Finds the prompt for the markers of the episode at the time played
+export const getMarkerPrompt = (episode, time, hasNextEpisode) => {
+  if (!episode) return null;
+  const { intro_start, intro_end, credits_start } = episode;
+  if (
+    intro_end != null &&
+    time >= (intro_start ?? 0) &&
+    time < intro_end - INTRO_END_MARGIN
+  ) {
+    return INTRO;
+  }
+  if (hasNextEpisode && credits_start != null && time >= credits_start) {
+    return CREDITS;
+  }
+  return null;
+};
+
+const SkipButton = ({ onClick }) => (
+  <button className={style.SkipButton} onClick={onClick}>
+    Skip Intro
+  </button>
+);
+
+export default SkipButton;
@@ -0,0 +1,53 @@
+import { faClosedCaptioning } from '@fortawesome/free-solid-svg-icons';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import React from 'react';
+
+import { getLanguageName } from '../../utils';
+import style from './TrackMenu.module.css';
+
+export const SUBTITLES_OFF = 'off';
+
+export const getSubtitleLabel = ({ language, title, is_forced }) =>
+  [getLanguageName(language), title, is_forced && 'Forced']
+    .filter(Boolean)
+    .join(' - ') || 'Unknown';
+
+// Picks the track in the language chosen last, else the forced track shown for foreign dialogue
+export const pickSubtitle = (subtitles = [], language) => {
+  const forced = subtitles.find((subtitle) => subtitle.is_forced);
+  const inLanguage = subtitles.filter(
+    (subtitle) => language && subtitle.language === language
+  );
+  return (
+    inLanguage.find((subtitle) => !subtitle.is_forced) ||
+    inLanguage[0] ||
+    forced ||
+    null
+  );
+};
+
+const SubtitleMenu = ({ subtitles, selected, onChange }) => (
+  <label className={style.TrackMenu}>
+    <FontAwesomeIcon icon={faClosedCaptioning} />
+    <select
+      aria-label="Subtitles"
+      value={selected ?? SUBTITLES_OFF}
+      onChange={(e) =>
+        onChange(
+          subtitles.find(
+            (subtitle) => String(subtitle.id) === e.target.value
+          ) || null
+        )
+      }
+    >
+      <option value={SUBTITLES_OFF}>Off</option>
+      {subtitles.map((subtitle) => (
+        <option key={subtitle.id} value={subtitle.id}>
+          {getSubtitleLabel(subtitle)}
+        </option>
+      ))}
+    </select>
+  </label>
+);
+
+export default SubtitleMenu;
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+
+import style from './ThumbnailPreview.module.css';
+
+// Progress bar of react-netflix-player, whose range input spans the duration
+const PROGRESS_BAR_SELECTOR = '#player input.progress-bar';
+
+// Space between the preview and the progress bar
+const PREVIEW_MARGIN = 12;
+
+const parseCueTime = (time) =>
+  time.split(':').reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+
+// Reads the cues of a WebVTT thumbnail track, each pointing to an area of a sprite sheet
+export const parseThumbnailTrack = (text, trackUrl) => {
+  const base = new URL(trackUrl, window.location.href);
+  return text
+    .split(/\r?\n\r?\n/)
+    .map((block) => {
+      const match = block.match(
+        /([\d:.]+)\s+-->\s+([\d:.]+)\s*\r?\n(.+)#xywh=(\d+),(\d+),(\d+),(\d+)/
+      );
+      if (!match) return null;
+      const [, start, end, sprite, x, y, width, height] = match;
+      return {
+        start: parseCueTime(start),
+        end: parseCueTime(end),
+        url: new URL(sprite.trim(), base).href,
+        x: Number(x),
+        y: Number(y),
+        width: Number(width),
+        height: Number(height),
+      };
+    })
+    .filter(Boolean);
+};
+
+export const findCue = (cues, time) =>
+  cues.find((cue) => time >= cue.start && time < cue.end) ||
+  (cues.length && time >= cues[cues.length - 1].end
+    ? cues[cues.length - 1]
+    : null);
+
+// Shows the thumbnail of the time under the pointer while it moves over the progress bar
+const ThumbnailPreview = ({ cues }) => {
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    // The player remounts its controls, so the pointer is followed on the whole document
+    const onPointerMove = (e) => {
+      const bar = e.target.closest?.(PROGRESS_BAR_SELECTOR);
+      if (!bar || !Number(bar.max)) return setPreview(null);
+
+      const rect = bar.getBoundingClientRect();
+      const ratio = Math.min(
+        Math.max((e.clientX - rect.left) / rect.width, 0),
+        1
+      );
+      const cue = findCue(cues, ratio * Number(bar.max));
+      setPreview(
+        cue && {
+          cue,
+          left: Math.min(
+            Math.max(e.clientX - cue.width / 2, 0),
+            window.innerWidth - cue.width
+          ),
+          top: rect.top - cue.height - PREVIEW_MARGIN,
+        }
+      );
+    };
+    const onPointerLeave = () => setPreview(null);
+
+    document.addEventListener('pointermove', onPointerMove);
+    document.documentElement.addEventListener('pointerleave', onPointerLeave);
+    return () => {
+      document.removeEventListener('pointermove', onPointerMove);
+      document.documentElement.removeEventListener(
+        'pointerleave',
+        onPointerLeave
+      );
+    };
+  }, [cues]);
+
+  if (!preview) return null;
+  const { cue, left, top } = preview;
+  return (
+    <div
+      className={style.ThumbnailPreview}
+      data-testid="thumbnail-preview"
+      style={{
+        left,
+        top,
+        width: cue.width,
+        height: cue.height,
+        backgroundImage: `url("${cue.url}")`,
+        backgroundPosition: `-${cue.x}px -${cue.y}px`,
+      }}
+    />
+  );
+};
+
+export default ThumbnailPreview;
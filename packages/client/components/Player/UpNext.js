@@ -0,0 +1,50 @@
+import React from 'react';
+
+import style from './UpNext.module.css';
+
+// Seconds the next episode waits before playing on its own
+export const AUTOPLAY_COUNTDOWN = 10;
+
+const byNumber = (key) => (a, b) => a[key] - b[key];
+
+// Finds the episode after this one, in the following season after the last one of a season.
+// Episode numbers can skip, and specials only lead to other specials
+export const getNextEpisode = (seasons = [], season_number, episode_number) => {
+  const sorted = [...seasons]
+    .filter((season) => season.episodes?.length)
+    .sort(byNumber('season_number'));
+  const season = sorted.find((item) => item.season_number === season_number);
+  if (!season) return null;
+
+  const next = [...season.episodes]
+    .sort(byNumber('episode_number'))
+    .find((episode) => episode.episode_number > episode_number);
+  if (next) return { ...next, season_number };
+
+  const nextSeason = sorted.find(
+    (item) => season_number > 0 && item.season_number > season_number
+  );
+  if (!nextSeason) return null;
+  const [first] = [...nextSeason.episodes].sort(byNumber('episode_number'));
+  return { ...first, season_number: nextSeason.season_number };
+};
+
+export const getEpisodeTitle = ({ season_number, episode_number, name }) =>
+  `S${season_number}E${episode_number} ${name}`;
+
+const UpNext = ({ episode, seconds, onPlay, onCancel }) => (
+  <div className={style.UpNext} role="dialog" aria-label="Up next">
+    <div className={style.Countdown}>Next episode in {seconds}</div>
+    <div className={style.Title}>{getEpisodeTitle(episode)}</div>
+    <div className={style.Actions}>
+      <button className={style.Play} onClick={onPlay}>
+        Play now
+      </button>
+      <button className={style.Cancel} onClick={onCancel}>
+        Cancel
+      </button>
+    </div>
+  </div>
+);
+
+export default UpNext;
@@ -0,0 +1,32 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import AudioMenu, { getAudioLabel } from '../AudioMenu';
+
+const tracks = [
+  { index: 1, codec: 'dts', language: 'eng', title: null, channels: 6 },
+  { index: 2, codec: 'ac3', language: 'fre', title: 'Commentary', channels: 2 },
+  { index: 3, codec: 'aac', language: null, title: null, channels: null },
+];
+
+describe('getAudioLabel', () => {
+  it('names the language, title and channel layout', () => {
+    expect(getAudioLabel(tracks[0])).toBe('English - 5.1');
+    expect(getAudioLabel(tracks[1])).toBe('French - Commentary - Stereo');
+  });
+
+  it('falls back to the track number', () => {
+    expect(getAudioLabel(tracks[2])).toBe('Track 3');
+  });
+});
+
+describe('AudioMenu', () => {
+  it('switches to the stream index of the track', () => {
+    const onChange = jest.fn();
+    render(<AudioMenu tracks={tracks} selected={1} onChange={onChange} />);
+    const select = screen.getByLabelText('Audio');
+
+    expect(select).toHaveValue('1');
+    fireEvent.change(select, { target: { value: '2' } });
+    expect(onChange).toHaveBeenCalledWith(2);
+  });
+});
@@ -0,0 +1,181 @@
+import React from 'react';
+import { act, fireEvent, render } from '@testing-library/react';
+import Hls from 'hls.js';
+import { ReactNetflixPlayer } from 'react-netflix-player';
+import useSWR from 'swr';
+import Player from '..';
+import { useGlobalContext } from '../../../contexts/context';
+import { apiRequest } from '../../../utils';
+
+jest.mock('hls.js', () => {
+  const Hls = jest.fn().mockImplementation(() => ({
+    on: jest.fn(),
+    loadSource: jest.fn(),
+    attachMedia: jest.fn(),
+    destroy: jest.fn(),
+    levels: [],
+  }));
+  Hls.isSupported = () => true;
+  Hls.Events = { MANIFEST_PARSED: 'hlsManifestParsed' };
+  return { __esModule: true, default: Hls };
+});
+
+jest.mock('react-netflix-player', () => ({
+  ReactNetflixPlayer: jest.fn(),
+}));
+
+jest.mock('swr', () => ({
+  __esModule: true,
+  default: jest.fn(),
+  mutate: jest.fn(),
+}));
+
+jest.mock('../../../contexts/context', () => ({
+  useGlobalContext: jest.fn(),
+}));
+
+jest.mock('../../../utils', () => ({
+  ...jest.requireActual('../../../utils'),
+  apiRequest: jest.fn(),
+}));
+
+const movie = {
+  type: 'Movie',
+  id: 550,
+  title: 'Fight Club',
+  url_path: '/api/movies/550',
+};
+
+// A transcoded MKV, its playlist grows while ffmpeg writes it
+const playback = {
+  method: 'transcode',
+  url: '/api/movies/550/hls/index.m3u8',
+  adaptive_url: null,
+  duration: 8340,
+  audio: 1,
+  audio_tracks: [
+    { index: 1, codec: 'dts', language: 'eng' },
+    { index: 2, codec: 'ac3', language: 'fre' },
+  ],
+  subtitles: [],
+};
+
+// The same title with the French track, transcoded from the start
+const frenchPlayback = {
+  ...playback,
+  url: '/api/movies/550/hls/index.m3u8?audio=2',
+  audio: 2,
+};
+
+describe('Player', () => {
+  const seekable = Object.getOwnPropertyDescriptor(
+    window.HTMLMediaElement.prototype,
+    'seekable'
+  );
+  // End of the part of the video the transcode wrote
+  let transcoded;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transcoded = 0;
+    Object.defineProperty(window.HTMLMediaElement.prototype, 'seekable', {
+      configurable: true,
+      get: () => ({ length: 1, end: () => transcoded }),
+    });
+    useGlobalContext.mockReturnValue({
+      moviesAndTVPlayerState: movie,
+      setMoviesAndTVPlayerState: jest.fn(),
+    });
+    useSWR.mockImplementation((key) => ({
+      data: key.startsWith('/progress')
+        ? { progress: { position: 600, completed: false } }
+        : key.endsWith('?audio=2')
+        ? frenchPlayback
+        : playback,
+    }));
+    apiRequest.mockResolvedValue({});
+    // The video of the player, reporting its playback to the Player
+    ReactNetflixPlayer.mockImplementation((props) =>
+      React.createElement('video', { onTimeUpdate: props.onTimeUpdate })
+    );
+  });
+
+  afterEach(() => {
+    Object.defineProperty(
+      window.HTMLMediaElement.prototype,
+      'seekable',
+      seekable
+    );
+  });
+
+  it('resumes a transcoded title once the transcode reaches its position', () => {
+    const { container } = render(<Player />);
+    const video = container.querySelector('video');
+
+    expect(Hls).toHaveBeenCalledWith(
+      expect.objectContaining({ startPosition: 0 })
+    );
+    expect(video.currentTime).toBe(0);
+
+    // Playing the start while waiting keeps the saved position
+    transcoded = 30;
+    video.currentTime = 20;
+    act(() => {
+      fireEvent.timeUpdate(video);
+    });
+    expect(video.currentTime).toBe(20);
+    expect(apiRequest).not.toHaveBeenCalled();
+
+    transcoded = 606;
+    act(() => {
+      fireEvent.progress(video);
+    });
+    expect(video.currentTime).toBe(600);
+  });
+
+  describe('audio tracks', () => {
+    const switchAudio = (container) => {
+      act(() => {
+        fireEvent.change(container.querySelector('select'), {
+          target: { value: '2' },
+        });
+      });
+      // The transcode of the new track starts from the beginning
+      transcoded = 0;
+      return container.querySelector('video');
+    };
+
+    it('keeps the position across an audio track change', () => {
+      const { container } = render(<Player />);
+      let video = container.querySelector('video');
+      transcoded = 1300;
+      act(() => {
+        fireEvent.progress(video);
+      });
+      video.currentTime = 1200;
+
+      video = switchAudio(container);
+
+      expect(Hls).toHaveBeenLastCalledWith(
+        expect.objectContaining({ startPosition: 0 })
+      );
+      transcoded = 1206;
+      act(() => {
+        fireEvent.progress(video);
+      });
+      expect(video.currentTime).toBe(1200);
+    });
+
+    it('keeps the resume position when the track changes before it is reached', () => {
+      const { container } = render(<Player />);
+
+      const video = switchAudio(container);
+
+      transcoded = 606;
+      act(() => {
+        fireEvent.progress(video);
+      });
+      expect(video.currentTime).toBe(600);
+    });
+  });
+});
@@ -0,0 +1,35 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import SkipButton, { CREDITS, INTRO, getMarkerPrompt } from '../SkipButton';
+
+const episode = { intro_start: 62.4, intro_end: 92.1, credits_start: 1290 };
+
+describe('getMarkerPrompt', () => {
+  it('offers to skip the intro while it plays', () => {
+    expect(getMarkerPrompt(episode, 50, true)).toBeNull();
+    expect(getMarkerPrompt(episode, 70, true)).toBe(INTRO);
+    expect(getMarkerPrompt(episode, 91.5, true)).toBeNull();
+  });
+
+  it('offers the next episode once the credits start', () => {
+    expect(getMarkerPrompt(episode, 1300, true)).toBe(CREDITS);
+    expect(getMarkerPrompt(episode, 1300, false)).toBeNull();
+  });
+
+  it('has no prompt without markers', () => {
+    expect(
+      getMarkerPrompt({ intro_end: null, credits_start: null }, 70, true)
+    ).toBeNull();
+    expect(getMarkerPrompt(null, 70, true)).toBeNull();
+  });
+});
+
+describe('SkipButton', () => {
+  it('skips the intro', () => {
+    const onClick = jest.fn();
+    render(<SkipButton onClick={onClick} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Skip Intro' }));
+    expect(onClick).toHaveBeenCalled();
+  });
+});
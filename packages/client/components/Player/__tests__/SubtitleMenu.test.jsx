@@ -0,0 +1,45 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import SubtitleMenu, { getSubtitleLabel, pickSubtitle } from '../SubtitleMenu';
+
+const subtitles = [
+  { id: 1, language: 'en', title: null, is_forced: true },
+  { id: 2, language: 'en', title: 'SDH', is_forced: false },
+  { id: 3, language: 'fre', title: null, is_forced: false },
+];
+
+describe('getSubtitleLabel', () => {
+  it('names the language, title and forced tracks', () => {
+    expect(getSubtitleLabel(subtitles[0])).toBe('English - Forced');
+    expect(getSubtitleLabel(subtitles[1])).toBe('English - SDH');
+    expect(getSubtitleLabel({ language: null, title: null })).toBe('Unknown');
+  });
+});
+
+describe('pickSubtitle', () => {
+  it('prefers the full track in the language chosen last', () => {
+    expect(pickSubtitle(subtitles, 'en').id).toBe(2);
+    expect(pickSubtitle(subtitles, 'fre').id).toBe(3);
+  });
+
+  it('falls back to the forced track', () => {
+    expect(pickSubtitle(subtitles, 'off').id).toBe(1);
+    expect(pickSubtitle(subtitles.slice(1), null)).toBeNull();
+  });
+});
+
+describe('SubtitleMenu', () => {
+  it('switches tracks and turns them off', () => {
+    const onChange = jest.fn();
+    render(
+      <SubtitleMenu subtitles={subtitles} selected={2} onChange={onChange} />
+    );
+    const select = screen.getByLabelText('Subtitles');
+
+    expect(select).toHaveValue('2');
+    fireEvent.change(select, { target: { value: '3' } });
+    expect(onChange).toHaveBeenLastCalledWith(subtitles[2]);
+    fireEvent.change(select, { target: { value: 'off' } });
+    expect(onChange).toHaveBeenLastCalledWith(null);
+  });
+});
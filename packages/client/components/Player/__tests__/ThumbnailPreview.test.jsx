@@ -0,0 +1,76 @@
+import React from 'react';
+import { act, render, screen } from '@testing-library/react';
+import ThumbnailPreview, {
+  findCue,
+  parseThumbnailTrack,
+} from '../ThumbnailPreview';
+
+const track = `WEBVTT
+
+00:00:00.000 --> 00:00:10.000
+sprite001.jpg#xywh=0,0,160,90
+
+00:00:10.000 --> 00:00:20.000
+sprite001.jpg#xywh=160,0,160,90
+
+00:00:20.000 --> 00:00:25.000
+sprite001.jpg#xywh=320,0,160,90
+`;
+
+const cues = parseThumbnailTrack(
+  track,
+  'http://localhost:5000/api/movies/550/thumbnails/thumbnails.vtt'
+);
+
+describe('parseThumbnailTrack', () => {
+  it('reads the area of each cue next to the track', () => {
+    expect(cues).toHaveLength(3);
+    expect(cues[1]).toEqual({
+      start: 10,
+      end: 20,
+      url: 'http://localhost:5000/api/movies/550/thumbnails/sprite001.jpg',
+      x: 160,
+      y: 0,
+      width: 160,
+      height: 90,
+    });
+  });
+});
+
+describe('findCue', () => {
+  it('finds the cue of a time, the last one past the end', () => {
+    expect(findCue(cues, 12).x).toBe(160);
+    expect(findCue(cues, 30).x).toBe(320);
+    expect(findCue([], 12)).toBeNull();
+  });
+});
+
+// jsdom has no PointerEvent, a mouse event of the same type carries the position
+const pointerMove = (target, clientX) =>
+  act(() => {
+    target.dispatchEvent(
+      new MouseEvent('pointermove', { bubbles: true, clientX })
+    );
+  });
+
+describe('ThumbnailPreview', () => {
+  it('follows the pointer over the progress bar', () => {
+    render(
+      <div id="player">
+        <input type="range" className="progress-bar" max="25" readOnly />
+        <ThumbnailPreview cues={cues} />
+      </div>
+    );
+    const bar = document.querySelector('.progress-bar');
+    bar.getBoundingClientRect = () => ({ left: 0, top: 500, width: 1000 });
+
+    pointerMove(bar, 500);
+    expect(screen.getByTestId('thumbnail-preview')).toHaveStyle({
+      backgroundPosition: '-160px -0px',
+      top: '398px',
+    });
+
+    pointerMove(document.body, 500);
+    expect(screen.queryByTestId('thumbnail-preview')).toBeNull();
+  });
+});
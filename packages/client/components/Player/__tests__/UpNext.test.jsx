@@ -0,0 +1,61 @@
+import React from 'react';
+import { fireEvent, render, screen } from '@testing-library/react';
+import UpNext, { getNextEpisode } from '../UpNext';
+
+const seasons = [
+  { season_number: 2, episodes: [{ episode_number: 1, name: 'Return' }] },
+  {
+    season_number: 1,
+    episodes: [
+      { episode_number: 3, name: 'Third' },
+      { episode_number: 1, name: 'Pilot' },
+    ],
+  },
+  { season_number: 0, episodes: [{ episode_number: 1, name: 'Special' }] },
+  { season_number: 3, episodes: [] },
+];
+
+describe('getNextEpisode', () => {
+  it('skips missing episode numbers', () => {
+    expect(getNextEpisode(seasons, 1, 1)).toMatchObject({
+      season_number: 1,
+      episode_number: 3,
+      name: 'Third',
+    });
+  });
+
+  it('moves on to the next season', () => {
+    expect(getNextEpisode(seasons, 1, 3)).toMatchObject({
+      season_number: 2,
+      episode_number: 1,
+    });
+  });
+
+  it('stops after the last episode and the specials', () => {
+    expect(getNextEpisode(seasons, 2, 1)).toBeNull();
+    expect(getNextEpisode(seasons, 0, 1)).toBeNull();
+    expect(getNextEpisode(seasons, 4, 1)).toBeNull();
+  });
+});
+
+describe('UpNext', () => {
+  it('counts down to the next episode and can be cancelled', () => {
+    const onPlay = jest.fn();
+    const onCancel = jest.fn();
+    render(
+      <UpNext
+        episode={{ season_number: 2, episode_number: 1, name: 'Return' }}
+        seconds={7}
+        onPlay={onPlay}
+        onCancel={onCancel}
+      />
+    );
+
+    expect(screen.getByText('Next episode in 7')).toBeInTheDocument();
+    expect(screen.getByText('S2E1 Return')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Play now' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Cancel' }));
+    expect(onPlay).toHaveBeenCalled();
+    expect(onCancel).toHaveBeenCalled();
+  });
+});
@@ -1,7 +1,41 @@
-import React from 'react';
+import Hls from 'hls.js';
+import React, { useEffect, useRef, useState } from 'react';
 import { ReactNetflixPlayer } from 'react-netflix-player';
+import useSWR, { mutate } from 'swr';
 
 import { useGlobalContext } from '../../contexts/context';
+import { apiRequest } from '../../utils';
+import AudioMenu from './AudioMenu';
+import SkipButton, { CREDITS, INTRO, getMarkerPrompt } from './SkipButton';
+import SubtitleMenu, {
+  SUBTITLES_OFF,
+  getSubtitleLabel,
+  pickSubtitle,
+} from './SubtitleMenu';
+import ThumbnailPreview, { parseThumbnailTrack } from './ThumbnailPreview';
+import UpNext, {
+  AUTOPLAY_COUNTDOWN,
+  getEpisodeTitle,
+  getNextEpisode,
+} from './UpNext';
+import style from './TrackMenu.module.css';
+
+// Seconds of playback between two progress reports
+const PROGRESS_REPORT_INTERVAL = 10;
+
+// The quality picked in the player menu is kept for the next videos
+const QUALITY_STORAGE_KEY = 'playerQuality';
+const AUTO_QUALITY = 'auto';
+const ORIGINAL_QUALITY = 'original';
+
+// So is the subtitle language, or 'off'
+const SUBTITLE_STORAGE_KEY = 'playerSubtitleLanguage';
+
+const WATCHING_ROWS = [
+  '/movies/continue_watching',
+  '/tv/continue_watching',
+  '/tv/up_next',
+];
 
 const Player = () => {
   const { moviesAndTVPlayerState, setMoviesAndTVPlayerState } =
@@ -22,58 +56,399 @@ const Player = () => {
 
   moviesAndTVPlayerState && openFullscreen();
   var episode = null;
+  var season = null;
   if (
     moviesAndTVPlayerState &&
     moviesAndTVPlayerState.data &&
     moviesAndTVPlayerState.data.type === 'Show'
   ) {
-    episode = moviesAndTVPlayerState.data.seasons
-      .find(
-        (season) =>
-          season.season_number === moviesAndTVPlayerState.season_number
-      )
-      .episodes.find(
-        (episode) =>
-          episode.episode_number === moviesAndTVPlayerState.episode_number
-      );
+    season = moviesAndTVPlayerState.data.seasons.find(
+      (season) => season.season_number === moviesAndTVPlayerState.season_number
+    );
+    episode = season.episodes.find(
+      (episode) =>
+        episode.episode_number === moviesAndTVPlayerState.episode_number
+    );
   }
+  // The episodes of the season, picked from the list of the player
   var episodeList = [];
   if (episode != null) {
-    moviesAndTVPlayerState.data.seasons
-      .find(
-        (season) =>
-          season.season_number === moviesAndTVPlayerState.season_number
-      )
-      .episodes.map((episode) =>
-        episodeList.push({
-          id: episode.episode_number,
-          nome: episode.name,
-          playing: false,
-        })
-      );
-    episodeList.find(
-      (episode) => episode.id === moviesAndTVPlayerState.episode_number
-    ).playing = true;
+    episodeList = [...season.episodes]
+      .sort((a, b) => a.episode_number - b.episode_number)
+      .map((item) => ({
+        id: item.episode_number,
+        nome: item.name,
+        playing: item.episode_number === episode.episode_number,
+      }));
   }
   var nextEpisode = null;
   if (episode != null) {
-    if (moviesAndTVPlayerState.episode_number === episodeList.length) {
-      nextEpisode = {};
-    } else {
-      nextEpisode = episodeList[moviesAndTVPlayerState.episode_number];
-    }
+    nextEpisode = getNextEpisode(
+      moviesAndTVPlayerState.data.seasons,
+      season.season_number,
+      episode.episode_number
+    );
+  }
+
+  var progressKey = null;
+  if (moviesAndTVPlayerState) {
+    progressKey =
+      moviesAndTVPlayerState.type === 'Movie'
+        ? `/progress/movies/${moviesAndTVPlayerState.id}`
+        : `/progress/episodes/${episode.id}`;
+  }
+  const { data: savedProgress, error: progressError } = useSWR(progressKey, {
+    revalidateOnFocus: false,
+  });
+  const lastReportedPosition = useRef(0);
+
+  var mediaPath = null;
+  if (moviesAndTVPlayerState) {
+    mediaPath =
+      moviesAndTVPlayerState.type === 'Movie'
+        ? moviesAndTVPlayerState.url_path
+        : episode.url_path;
   }
 
+  // Audio track picked in the player, the server picks one in the user's language otherwise
+  const [audioChoice, setAudioChoice] = useState(null);
+  const audioIndex =
+    audioChoice && audioChoice.mediaPath === mediaPath
+      ? audioChoice.index
+      : null;
+
+  // The server tells whether the file plays as is or through an HLS transcode
+  var playbackKey = null;
+  if (mediaPath) {
+    playbackKey = `${mediaPath}/playback${
+      audioIndex !== null ? `?audio=${audioIndex}` : ''
+    }`;
+  }
+  const { data: playback } = useSWR(playbackKey, {
+    revalidateOnFocus: false,
+    // Keeps the player open while the source of another audio track loads
+    keepPreviousData: true,
+  });
+  const [quality, setQuality] = useState(
+    () => localStorage.getItem(QUALITY_STORAGE_KEY) || ORIGINAL_QUALITY
+  );
+  // Position to pick up from when the source changes with the quality or audio track
+  const switchPosition = useRef(null);
+  const hlsRef = useRef(null);
+
+  const renditions = playback?.renditions || [];
+  // Files without renditions, or without the saved one, play the original
+  const activeQuality =
+    playback?.adaptive_url &&
+    (quality === AUTO_QUALITY ||
+      renditions.some((rendition) => rendition.name === quality))
+      ? quality
+      : ORIGINAL_QUALITY;
+  const isAdaptive = activeQuality !== ORIGINAL_QUALITY;
+  const sourceUrl = isAdaptive ? playback.adaptive_url : playback?.url;
+  const src = sourceUrl
+    ? `${process.env.REACT_APP_HOMEHOST_BASE}${sourceUrl}`
+    : null;
+  const isHls = isAdaptive || playback?.method === 'transcode';
+  const showPlayer = Boolean(
+    moviesAndTVPlayerState && (savedProgress || progressError) && src
+  );
+
+  // Resume unless the item was already watched to the end
+  const resumePosition =
+    savedProgress?.progress && !savedProgress.progress.completed
+      ? savedProgress.progress.position
+      : 0;
+  const startPosition =
+    switchPosition.current?.mediaPath === mediaPath
+      ? switchPosition.current.position
+      : resumePosition;
+
+  // Picks the rendition of the quality, or lets hls.js follow the bandwidth
+  const applyQuality = (hls, name) => {
+    if (!hls.levels.length) return;
+    hls.currentLevel =
+      name === AUTO_QUALITY
+        ? -1
+        : hls.levels.findIndex((level) => level.name === name);
+  };
+
+  // Position playback moves to once the transcode reaches it, progress is not reported until then
+  const pendingSeek = useRef(null);
+
+  // The playlist of the original grows while transcoding, the position is seeked once it is in the playlist
+  const seekWhenAvailable = (video, position) => {
+    const events = [
+      'loadedmetadata',
+      'durationchange',
+      'progress',
+      'timeupdate',
+    ];
+    const stop = () => {
+      pendingSeek.current = null;
+      events.forEach((event) => video.removeEventListener(event, seek));
+    };
+    const seek = () => {
+      const { seekable } = video;
+      if (!seekable?.length || seekable.end(seekable.length - 1) < position) {
+        return;
+      }
+      stop();
+      video.currentTime = position;
+    };
+    if (!position) return stop;
+    pendingSeek.current = position;
+    events.forEach((event) => video.addEventListener(event, seek));
+    seek();
+    return stop;
+  };
+
+  // Browsers other than Safari play HLS through hls.js
+  useEffect(() => {
+    const video = document.querySelector('#player video');
+    if (!showPlayer || !isHls || !video) return;
+    if (video.canPlayType('application/vnd.apple.mpegurl')) {
+      // Safari switches renditions by itself, a fixed quality loads its playlist
+      const rendition = renditions.find(({ name }) => name === activeQuality);
+      video.src = rendition
+        ? `${process.env.REACT_APP_HOMEHOST_BASE}${rendition.url}`
+        : src;
+      return seekWhenAvailable(video, startPosition);
+    }
+    if (!Hls.isSupported()) return;
+    const stopSeeking = isAdaptive
+      ? () => {}
+      : seekWhenAvailable(video, startPosition);
+    const hls = new Hls({
+      // The playlist of the original is played from the start until the position is transcoded
+      startPosition: isAdaptive ? startPosition : 0,
+      xhrSetup: (xhr) => {
+        xhr.withCredentials = true;
+      },
+    });
+    hls.on(Hls.Events.MANIFEST_PARSED, () =>
+      applyQuality(hls, localStorage.getItem(QUALITY_STORAGE_KEY))
+    );
+    hls.loadSource(src);
+    hls.attachMedia(video);
+    hlsRef.current = hls;
+    return () => {
+      stopSeeking();
+      hlsRef.current = null;
+      hls.destroy();
+    };
+  }, [showPlayer, isHls, src]);
+
+  // Switching between renditions keeps the source and only changes the level
+  useEffect(() => {
+    if (hlsRef.current && isAdaptive) {
+      applyQuality(hlsRef.current, activeQuality);
+    }
+  }, [activeQuality]);
+
+  const subtitles = playback?.subtitles || [];
+  const [subtitleId, setSubtitleId] = useState(null);
+
+  useEffect(() => {
+    const subtitle = pickSubtitle(
+      playback?.subtitles,
+      localStorage.getItem(SUBTITLE_STORAGE_KEY)
+    );
+    setSubtitleId(subtitle ? subtitle.id : null);
+  }, [playback]);
+
+  // The WebVTT file is fetched with the session cookie and shown as a track of the video
+  useEffect(() => {
+    const video = document.querySelector('#player video');
+    const subtitle = subtitles.find(({ id }) => id === subtitleId);
+    if (!showPlayer || !video || !subtitle) return;
+
+    let cancelled = false;
+    let objectUrl = null;
+    const track = document.createElement('track');
+    fetch(`${process.env.REACT_APP_HOMEHOST_BASE}${subtitle.url}`, {
+      credentials: 'include',
+    })
+      .then((res) => (res.ok ? res.blob() : Promise.reject(res)))
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        track.kind = 'subtitles';
+        track.label = getSubtitleLabel(subtitle);
+        track.srclang = subtitle.language || '';
+        track.src = objectUrl;
+        video.appendChild(track);
+        track.track.mode = 'showing';
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+      track.remove();
+      objectUrl && URL.revokeObjectURL(objectUrl);
+    };
+  }, [showPlayer, subtitleId, playback]);
+
+  // The thumbnail track is fetched with the session cookie, its sprite sheets load as images
+  const thumbnailTrack = playback?.thumbnails;
+  const [thumbnailCues, setThumbnailCues] = useState([]);
+
+  useEffect(() => {
+    setThumbnailCues([]);
+    if (!thumbnailTrack) return;
+
+    let cancelled = false;
+    const trackUrl = `${process.env.REACT_APP_HOMEHOST_BASE}${thumbnailTrack}`;
+    fetch(trackUrl, { credentials: 'include' })
+      .then((res) => (res.ok ? res.text() : Promise.reject(res)))
+      .then((text) => {
+        if (!cancelled) setThumbnailCues(parseThumbnailTrack(text, trackUrl));
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [thumbnailTrack]);
+
+  const changeSubtitle = (subtitle) => {
+    localStorage.setItem(
+      SUBTITLE_STORAGE_KEY,
+      subtitle ? subtitle.language || '' : SUBTITLES_OFF
+    );
+    setSubtitleId(subtitle ? subtitle.id : null);
+  };
+
+  const qualities = playback?.adaptive_url
+    ? [
+        { id: AUTO_QUALITY, nome: 'Auto' },
+        ...renditions.map(({ name }) => ({ id: name, nome: name })),
+        { id: ORIGINAL_QUALITY, nome: 'Original' },
+      ].map((option) => ({
+        ...option,
+        prefix: false,
+        playing: option.id === activeQuality,
+      }))
+    : [];
+
+  const keepPosition = () => {
+    const video = document.querySelector('#player video');
+    if (video) {
+      // A position the transcode has not reached yet is kept for the next source
+      switchPosition.current = {
+        mediaPath,
+        position: pendingSeek.current ?? video.currentTime,
+      };
+    }
+  };
+
+  const changeQuality = (id) => {
+    keepPosition();
+    localStorage.setItem(QUALITY_STORAGE_KEY, id);
+    setQuality(id);
+  };
+
+  const changeAudio = (index) => {
+    keepPosition();
+    setAudioChoice({ mediaPath, index });
+  };
+
+  const reportProgress = (video, completed = false) => {
+    // Transcoded videos only know the duration written so far
+    const duration = playback?.duration || video?.duration;
+    if (!progressKey || !video || !duration) return Promise.resolve();
+    // The resume position is kept while the transcode has not reached it
+    if (!completed && pendingSeek.current !== null) return Promise.resolve();
+    lastReportedPosition.current = video.currentTime;
+    return apiRequest(progressKey, 'PUT', {
+      position: video.currentTime,
+      duration,
+      completed,
+    }).then((data) => data.progress && mutate(progressKey, data, false));
+  };
+
+  // Refresh the rows built from watch progress once playback stops
+  const refreshWatchingRows = () => {
+    WATCHING_ROWS.forEach((key) => mutate(key));
+  };
+
+  const playEpisode = (season_number, episode_number) => {
+    setMoviesAndTVPlayerState({
+      ...moviesAndTVPlayerState,
+      season_number,
+      episode_number,
+    });
+  };
+
+  // The viewer has watched this episode once they move on to the next one
+  const playNextEpisode = () => {
+    if (!nextEpisode) return;
+    reportProgress(document.querySelector('#player video'), true).then(
+      refreshWatchingRows
+    );
+    playEpisode(nextEpisode.season_number, nextEpisode.episode_number);
+  };
+
+  const playListedEpisode = (episode_number, playing) => {
+    if (playing) return;
+    reportProgress(document.querySelector('#player video')).then(
+      refreshWatchingRows
+    );
+    playEpisode(season.season_number, episode_number);
+  };
+
+  // The next episode plays on its own after a countdown, from the credits or the end of this one
+  const [countdown, setCountdown] = useState(null);
+  // Video the viewer cancelled the countdown for
+  const autoplayCancelled = useRef(null);
+
+  const startCountdown = () => {
+    if (!nextEpisode || autoplayCancelled.current === mediaPath) return;
+    setCountdown((countdown) => countdown ?? AUTOPLAY_COUNTDOWN);
+  };
+
+  const cancelCountdown = () => {
+    autoplayCancelled.current = mediaPath;
+    setCountdown(null);
+  };
+
+  useEffect(() => {
+    if (countdown === null) return;
+    if (countdown <= 0) return playNextEpisode();
+    const timer = setTimeout(() => setCountdown(countdown - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [countdown]);
+
+  // The intro and credits detected by the server drive the skip button and the countdown
+  const [markerPrompt, setMarkerPrompt] = useState(null);
+
+  // Prompts belong to the video they were shown for, including when the player is closed
+  useEffect(() => {
+    setMarkerPrompt(null);
+    setCountdown(null);
+  }, [mediaPath]);
+
+  const updateMarkers = (video) => {
+    const prompt = getMarkerPrompt(episode, video.currentTime, !!nextEpisode);
+    setMarkerPrompt(prompt);
+    if (prompt === CREDITS) {
+      startCountdown();
+    } else if (!video.ended) {
+      // Seeking back out of the credits stops the countdown
+      setCountdown(null);
+    }
+  };
+
+  const skipIntro = () => {
+    const video = document.querySelector('#player video');
+    if (video) video.currentTime = episode.intro_end;
+  };
+
   return (
     <React.Fragment>
-      {moviesAndTVPlayerState && (
+      {showPlayer && (
         <div id={'player'}>
           <ReactNetflixPlayer
-            src={`${process.env.REACT_APP_HOMEHOST_BASE}${
-              moviesAndTVPlayerState.type === 'Movie'
-                ? moviesAndTVPlayerState.url_path
-                : episode.url_path
-            }`}
+            // HLS sources are attached to the video element by hls.js
+            src={isHls ? undefined : src}
             // Pause screen
             // movie or show name
             title={
@@ -102,35 +477,49 @@ const Player = () => {
             }
             playerLanguage="en"
             backButton={() => {
+              reportProgress(document.querySelector('#player video')).then(
+                refreshWatchingRows
+              );
               setMoviesAndTVPlayerState(null);
             }}
             // The player uses all the viewport
             fullPlayer
             autoPlay
-            startPosition={0}
+            startPosition={startPosition}
+            // Renditions of the quality menu, the original file comes last
+            qualities={qualities}
+            onChangeQuality={changeQuality}
             // The info of the next video action
             dataNext={
-              moviesAndTVPlayerState.type === 'Movie'
-                ? {}
-                : { title: nextEpisode.nome }
+              nextEpisode ? { title: getEpisodeTitle(nextEpisode) } : {}
             }
             // The action call when the next video is clicked
-            onNextClick={() => {}}
+            onNextClick={nextEpisode ? playNextEpisode : undefined}
             // The list reproduction data, will be render in this order
             reprodutionList={
               moviesAndTVPlayerState.type === 'Movie' ? [] : episodeList
             }
             // The function call when an item in reproductionList is clicked
-            onClickItemListReproduction={(id, playing) => {
-              return {
-                id,
-                playing,
-              };
-            }}
+            onClickItemListReproduction={playListedEpisode}
             // The function is call when the video finish
-            onEnded={() => {}}
+            onEnded={() => {
+              reportProgress(
+                document.querySelector('#player video'),
+                true
+              ).then(refreshWatchingRows);
+              startCountdown();
+            }}
             // The function is call when the video is playing (One time for frame)
-            onTimeUpdate={() => {}}
+            onTimeUpdate={(e) => {
+              const { currentTime } = e.target;
+              updateMarkers(e.target);
+              if (
+                Math.abs(currentTime - lastReportedPosition.current) >=
+                PROGRESS_REPORT_INTERVAL
+              ) {
+                reportProgress(e.target);
+              }
+            }}
             // Enable the overlay when player is paused
             overlayEnabled
             // Enabled the auto clode controlls of player
@@ -139,9 +528,35 @@ const Player = () => {
             primaryColor="#db0000"
             secundaryColor="#ffffff"
             fontFamily="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif"
-
-            // subtitleMedia="/file.vtt"
           />
+          {markerPrompt === INTRO && <SkipButton onClick={skipIntro} />}
+          {countdown !== null && (
+            <UpNext
+              episode={nextEpisode}
+              seconds={countdown}
+              onPlay={playNextEpisode}
+              onCancel={cancelCountdown}
+            />
+          )}
+          {thumbnailCues.length > 0 && (
+            <ThumbnailPreview cues={thumbnailCues} />
+          )}
+          <div className={style.TrackMenus}>
+            {playback.audio_tracks.length > 1 && (
+              <AudioMenu
+                tracks={playback.audio_tracks}
+                selected={playback.audio}
+                onChange={changeAudio}
+              />
+            )}
+            {subtitles.length > 0 && (
+              <SubtitleMenu
+                subtitles={subtitles}
+                selected={subtitleId}
+                onChange={changeSubtitle}
+              />
+            )}
+          </div>
         </div>
       )}
     </React.Fragment>
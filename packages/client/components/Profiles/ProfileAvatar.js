@@ -0,0 +1,17 @@
+import React from 'react';
+
+// Avatars accepted by the server, identified by their color
+export const AVATARS = ['red', 'orange', 'yellow', 'green', 'blue', 'purple'];
+
+const ProfileAvatar = ({ profile, className = '' }) => (
+  <span
+    className={`profile-avatar profile-avatar-${
+      profile.avatar || 'blue'
+    } ${className}`}
+    aria-hidden="true"
+  >
+    {profile.name.charAt(0).toUpperCase()}
+  </span>
+);
+
+export default ProfileAvatar;
@@ -0,0 +1,187 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import useSWR, { useSWRConfig } from 'swr';
+
+import { useAuth } from '../../contexts/AuthProvider';
+import { apiRequest } from '../../utils';
+import ProfileAvatar, { AVATARS } from './ProfileAvatar';
+import './Profiles.css';
+
+const ProfileForm = ({ profile, onSave, onDelete, onCancel }) => {
+  const [name, setName] = useState(profile.name || '');
+  const [avatar, setAvatar] = useState(profile.avatar || AVATARS[0]);
+  const [kid, setKid] = useState(Boolean(profile.kid));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({ name, avatar, kid });
+  };
+
+  return (
+    <form className="profile-form" onSubmit={handleSubmit}>
+      <h2>{profile.id ? 'Edit Profile' : 'Add Profile'}</h2>
+      <input
+        type="text"
+        placeholder="Name"
+        aria-label="Name"
+        maxLength={30}
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+      />
+      <div className="profile-form-avatars">
+        {AVATARS.map((color) => (
+          <label key={color}>
+            <input
+              type="radio"
+              name="avatar"
+              aria-label={color}
+              checked={avatar === color}
+              onChange={() => setAvatar(color)}
+            />
+            <ProfileAvatar profile={{ name: name || '?', avatar: color }} />
+          </label>
+        ))}
+      </div>
+      <label className="profile-form-kid">
+        <input
+          type="checkbox"
+          checked={kid}
+          onChange={(e) => setKid(e.target.checked)}
+        />{' '}
+        Kid? Only shows titles rated PG and under, without explicit songs
+      </label>
+      <div className="profile-form-buttons">
+        <button type="submit">Save</button>
+        <button type="button" onClick={onCancel}>
+          Cancel
+        </button>
+        {profile.id && (
+          <button type="button" onClick={() => onDelete(profile)}>
+            Delete Profile
+          </button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+const Profiles = () => {
+  const { profile: current, selectProfile } = useAuth();
+  const { data: profiles, mutate } = useSWR('/profiles');
+  const { mutate: mutateAll } = useSWRConfig();
+  const navigate = useNavigate();
+  const [managing, setManaging] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    document.documentElement.className = 'movies-html-and-body'; //<html>
+    document.body.className = 'movies-html-and-body'; //<body>
+  }, []);
+
+  const pickProfile = async (profile) => {
+    if (managing) {
+      setEditing(profile);
+      return;
+    }
+    await selectProfile(profile.id);
+    // Favorites, ratings and progress belong to the profile, refetch them all
+    mutateAll(() => true);
+    navigate('/movies');
+  };
+
+  const saveProfile = async (fields) => {
+    const response = editing.id
+      ? await apiRequest(`/profiles/${editing.id}`, 'PATCH', fields)
+      : await apiRequest('/profiles', 'POST', fields);
+    if (response.errors) {
+      setMessage(response.errors[0].message);
+      return;
+    }
+    setMessage('');
+    setEditing(null);
+    mutate();
+  };
+
+  const deleteProfile = async (profile) => {
+    if (
+      !window.confirm(
+        `Delete ${profile.name} along with its list, ratings and progress?`
+      )
+    ) {
+      return;
+    }
+    const response = await apiRequest(`/profiles/${profile.id}`, 'DELETE');
+    if (response.errors) {
+      setMessage(response.errors[0].message);
+      return;
+    }
+    setMessage('');
+    setEditing(null);
+    mutate();
+  };
+
+  const canManage = !current?.kid;
+  const canAdd = (profiles?.count || 0) < 5;
+
+  return (
+    <div className="profiles">
+      {editing ? (
+        <ProfileForm
+          profile={editing}
+          onSave={saveProfile}
+          onDelete={deleteProfile}
+          onCancel={() => {
+            setMessage('');
+            setEditing(null);
+          }}
+        />
+      ) : (
+        <React.Fragment>
+          <h1>{managing ? 'Manage Profiles:' : "Who's watching?"}</h1>
+          <ul className="profiles-list">
+            {profiles?.results?.map((profile) => (
+              <li key={profile.id}>
+                <button
+                  className={`profiles-item ${managing ? 'managing' : ''}`}
+                  onClick={() => pickProfile(profile)}
+                >
+                  <ProfileAvatar
+                    profile={profile}
+                    className="profile-avatar-large"
+                  />
+                  <span className="profiles-name">{profile.name}</span>
+                  {profile.kid && <span className="profiles-kid">Kid</span>}
+                </button>
+              </li>
+            ))}
+            {managing && canAdd && (
+              <li>
+                <button
+                  className="profiles-item"
+                  onClick={() => setEditing({})}
+                >
+                  <span className="profile-avatar profile-avatar-large profile-avatar-add">
+                    +
+                  </span>
+                  <span className="profiles-name">Add Profile</span>
+                </button>
+              </li>
+            )}
+          </ul>
+          {canManage && (
+            <button
+              className="profiles-manage"
+              onClick={() => setManaging((prevState) => !prevState)}
+            >
+              {managing ? 'Done' : 'Manage Profiles'}
+            </button>
+          )}
+        </React.Fragment>
+      )}
+      {message && <p className="profiles-message">{message}</p>}
+    </div>
+  );
+};
+
+export default Profiles;
@@ -0,0 +1,37 @@
+import { faStar } from '@fortawesome/free-solid-svg-icons';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import React, { useState } from 'react';
+
+import style from './Rating.module.css';
+
+// Each of the five stars is worth two points on the 0-10 rating scale
+const STARS = [1, 2, 3, 4, 5];
+
+const Rating = ({ value, onChange, color = '#db0000' }) => {
+  const [hover, setHover] = useState(null);
+  const filled = hover !== null ? hover : Math.round((value || 0) / 2);
+
+  return (
+    <span
+      className={[style.Rating, onChange ? style.Editable : ''].join(' ')}
+      onMouseLeave={() => setHover(null)}
+    >
+      {STARS.map((star) => (
+        <button
+          key={star}
+          type="button"
+          className={style.Star}
+          style={star <= filled ? { color } : undefined}
+          disabled={!onChange}
+          onMouseEnter={() => onChange && setHover(star)}
+          onClick={() => onChange && onChange(star * 2)}
+          aria-label={`${star} star${star > 1 ? 's' : ''}`}
+        >
+          <FontAwesomeIcon icon={faStar} />
+        </button>
+      ))}
+    </span>
+  );
+};
+
+export default Rating;
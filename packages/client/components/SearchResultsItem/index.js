@@ -8,6 +8,7 @@ import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import React, { useContext, useEffect, useRef, useState } from 'react';
 
 import useVisibility from '../../hooks/useVisibility';
+import { getArtworkUrl, getImageCrossOrigin } from '../../utils';
 import SliderContext from '../SearchResults/context';
 
 function SearchResultsItem(props) {
@@ -63,7 +64,8 @@ function SearchResultsItem(props) {
               {props.data.backdrop_path ? (
                 <img
                   className="background"
-                  src={`${process.env.REACT_APP_IMAGE_BASE}w500/${props.data.poster_path}`}
+                  src={getArtworkUrl(props.data.poster_path, 'w500')}
+                  crossOrigin={getImageCrossOrigin(props.data.poster_path)}
                   alt="boxart"
                 />
               ) : (
@@ -75,7 +77,8 @@ function SearchResultsItem(props) {
               {props.data.backdrop_path ? (
                 <img
                   className="background"
-                  src={`${process.env.REACT_APP_IMAGE_BASE}w500/${props.data.backdrop_path}`}
+                  src={getArtworkUrl(props.data.backdrop_path, 'w500')}
+                  crossOrigin={getImageCrossOrigin(props.data.backdrop_path)}
                   alt="boxart"
                 />
               ) : (
@@ -84,7 +87,8 @@ function SearchResultsItem(props) {
               {props.data.logo_path && (
                 <img
                   className="logo"
-                  src={`${process.env.REACT_APP_IMAGE_BASE}w500/${props.data.logo_path}`}
+                  src={getArtworkUrl(props.data.logo_path, 'w500')}
+                  crossOrigin={getImageCrossOrigin(props.data.logo_path)}
                   alt="boxart"
                 />
               )}
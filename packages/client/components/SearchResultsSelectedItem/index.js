@@ -4,6 +4,7 @@ import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import React, { useState } from 'react';
 
 import { useGlobalContext } from '../../contexts/context';
+import { getArtworkUrl } from '../../utils';
 import Details from '../Details';
 import Episodes from '../Episodes';
 import Similar from '../Similar';
@@ -40,7 +41,10 @@ const SearchResultsSelectedItem = ({
           <div
             className="ai-background-image"
             style={{
-              backgroundImage: `url(${process.env.REACT_APP_IMAGE_BASE}original/${currentSlide.backdrop_path})`,
+              backgroundImage: `url(${getArtworkUrl(
+                currentSlide.backdrop_path,
+                'original'
+              )})`,
             }}
           />
 
@@ -55,7 +59,10 @@ const SearchResultsSelectedItem = ({
                   <div
                     className="ai-content-area-banner-logo"
                     style={{
-                      backgroundImage: `url(${process.env.REACT_APP_IMAGE_BASE}w500/${currentSlide.logo_path})`,
+                      backgroundImage: `url(${getArtworkUrl(
+                        currentSlide.logo_path,
+                        'w500'
+                      )})`,
                     }}
                     alt="boxart"
                   />
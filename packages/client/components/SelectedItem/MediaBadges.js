@@ -0,0 +1,47 @@
+import React from 'react';
+
+// Highest value of a field across the tracks of a file or show
+const highest = (streams, field) =>
+  Math.max(0, ...streams.map((stream) => stream[field] || 0));
+
+export const getMediaBadges = (streams = []) => {
+  const video = streams.filter((stream) => stream.codec_type === 'video');
+  const audio = streams.filter((stream) => stream.codec_type === 'audio');
+  const badges = [];
+
+  const width = highest(video, 'width');
+  const height = highest(video, 'height');
+  if (width >= 3800 || height >= 2100) {
+    badges.push('4K');
+  } else if (width >= 1280 || height >= 720) {
+    badges.push('HD');
+  }
+
+  const ranges = video.map((stream) => stream.dynamic_range).filter(Boolean);
+  if (ranges.includes('Dolby Vision')) {
+    badges.push('Dolby Vision');
+  } else if (ranges.length) {
+    badges.push('HDR');
+  }
+
+  const channels = highest(audio, 'channels');
+  if (channels >= 8) {
+    badges.push('7.1');
+  } else if (channels >= 6) {
+    badges.push('5.1');
+  }
+
+  return badges;
+};
+
+const MediaBadges = ({ streams }) => (
+  <React.Fragment>
+    {getMediaBadges(streams).map((badge) => (
+      <span key={badge} className="media-badge">
+        {badge}
+      </span>
+    ))}
+  </React.Fragment>
+);
+
+export default MediaBadges;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import MediaBadges, { getMediaBadges } from '../MediaBadges';
+
+describe('getMediaBadges', () => {
+  it('shows resolution, dynamic range and surround sound', () => {
+    const streams = [
+      { codec_type: 'video', width: 3840, height: 2160, dynamic_range: 'HDR10' },
+      { codec_type: 'audio', channels: 6 },
+      { codec_type: 'audio', channels: 2 },
+    ];
+
+    expect(getMediaBadges(streams)).toEqual(['4K', 'HDR', '5.1']);
+  });
+
+  it('prefers Dolby Vision and 7.1 when any track has them', () => {
+    const streams = [
+      { codec_type: 'video', width: 1920, height: 800, dynamic_range: 'HDR10' },
+      { codec_type: 'video', width: 1920, height: 800, dynamic_range: 'Dolby Vision' },
+      { codec_type: 'audio', channels: 8 },
+    ];
+
+    expect(getMediaBadges(streams)).toEqual(['HD', 'Dolby Vision', '7.1']);
+  });
+
+  it('shows nothing for standard definition stereo or unprobed files', () => {
+    expect(getMediaBadges([{ codec_type: 'video', width: 720, height: 480 }, { codec_type: 'audio', channels: 2 }])).toEqual([]);
+    expect(getMediaBadges(undefined)).toEqual([]);
+  });
+});
+
+describe('MediaBadges', () => {
+  it('renders a badge per feature', () => {
+    render(<MediaBadges streams={[{ codec_type: 'video', width: 3840, height: 2160 }]} />);
+
+    expect(screen.getByText('4K')).toHaveClass('media-badge');
+  });
+});
@@ -1,16 +1,41 @@
 import { faImdb } from '@fortawesome/free-brands-svg-icons';
-import { faPlay, faPlus, faTimes } from '@fortawesome/free-solid-svg-icons';
+import {
+  faCheck,
+  faPlay,
+  faPlus,
+  faTimes,
+} from '@fortawesome/free-solid-svg-icons';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import React, { useState } from 'react';
+import useSWR from 'swr';
 
 import { useGlobalContext } from '../../contexts/context';
+import useFavorite from '../../hooks/useFavorite';
+import { getArtworkUrl } from '../../utils';
 import Details from '../Details';
 import Episodes from '../Episodes';
 import Similar from '../Similar';
+import MediaBadges from './MediaBadges';
 
 const SelectedItem = ({ currentSlide, closeInformationWindow }) => {
   const [menuOption, setMenuOption] = useState('general-info');
   const { setMoviesAndTVPlayerState } = useGlobalContext();
+  const { isFavorite, toggleFavorite } = useFavorite(
+    currentSlide.type === 'Movie' ? 'movies' : 'tv',
+    currentSlide.id
+  );
+  // Rows only carry the library fields, the tracks come with the details
+  const { data: details } = useSWR(
+    currentSlide.type === 'Movie'
+      ? `/movies/${currentSlide.id}`
+      : `/tv/${currentSlide.id}`
+  );
+  const streams =
+    currentSlide.type === 'Movie'
+      ? details?.media_streams
+      : details?.seasons?.flatMap((season) =>
+          season.episodes.flatMap((episode) => episode.media_streams || [])
+        );
 
   return (
     <div className="additional-information">
@@ -23,7 +48,10 @@ const SelectedItem = ({ currentSlide, closeInformationWindow }) => {
         <div
           className="ai-background-image"
           style={{
-            backgroundImage: `url(${process.env.REACT_APP_IMAGE_BASE}original/${currentSlide.backdrop_path})`,
+            backgroundImage: `url(${getArtworkUrl(
+              currentSlide.backdrop_path,
+              'original'
+            )})`,
           }}
         />
 
@@ -38,7 +66,10 @@ const SelectedItem = ({ currentSlide, closeInformationWindow }) => {
                 <div
                   className="ai-content-area-banner-logo"
                   style={{
-                    backgroundImage: `url(${process.env.REACT_APP_IMAGE_BASE}w500/${currentSlide.logo_path})`,
+                    backgroundImage: `url(${getArtworkUrl(
+                      currentSlide.logo_path,
+                      'w500'
+                    )})`,
                   }}
                   alt="boxart"
                 />
@@ -77,6 +108,7 @@ const SelectedItem = ({ currentSlide, closeInformationWindow }) => {
                             currentSlide.seasons.length > 1 ? `s` : ``
                           }`}
                     </span>
+                    <MediaBadges streams={streams} />
                   </div>
 
                   <div className="synopsis">{currentSlide.overview}</div>
@@ -90,24 +122,33 @@ const SelectedItem = ({ currentSlide, closeInformationWindow }) => {
                             ? setMoviesAndTVPlayerState(currentSlide)
                             : setMoviesAndTVPlayerState({
                                 data: currentSlide,
-                                season_number:
-                                  currentSlide.seasons[0].season_number,
-                                episode_number:
-                                  currentSlide.seasons[0].episodes[0]
-                                    .episode_number,
+                                season_number: currentSlide.resume_episode
+                                  ? currentSlide.resume_episode.season_number
+                                  : currentSlide.seasons[0].season_number,
+                                episode_number: currentSlide.resume_episode
+                                  ? currentSlide.resume_episode.episode_number
+                                  : currentSlide.seasons[0].episodes[0]
+                                      .episode_number,
                               });
                         }}
                       >
                         <span className="play-icon">
                           <FontAwesomeIcon icon={faPlay} />
                         </span>
-                        <span>Play</span>
+                        <span>
+                          {currentSlide.resume_episode
+                            ? `Play S${currentSlide.resume_episode.season_number}E${currentSlide.resume_episode.episode_number}`
+                            : 'Play'}
+                        </span>
                       </button>
                     </div>
 
-                    <button className="hasLabel play-link-secondary">
+                    <button
+                      className="hasLabel play-link-secondary"
+                      onClick={() => toggleFavorite()}
+                    >
                       <span className="play-icon">
-                        <FontAwesomeIcon icon={faPlus} />
+                        <FontAwesomeIcon icon={isFavorite ? faCheck : faPlus} />
                       </span>
                       <span>My List</span>
                     </button>
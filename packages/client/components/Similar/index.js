@@ -1,5 +1,7 @@
 import React from 'react';
 
+import { getArtworkUrl, getImageCrossOrigin } from '../../utils';
+
 const Similar = ({ currentSlide }) => {
   return (
     <div className="menu-similar">
@@ -10,7 +12,10 @@ const Similar = ({ currentSlide }) => {
               <div className="similar-item" key={index}>
                 <div className="similar-item-image">
                   <img
-                    src={`${process.env.REACT_APP_IMAGE_BASE}original/${similarMovie.backdrop_path}`}
+                    src={getArtworkUrl(similarMovie.backdrop_path, 'original')}
+                    crossOrigin={getImageCrossOrigin(
+                      similarMovie.backdrop_path
+                    )}
                     alt={'item'}
                   />
                 </div>
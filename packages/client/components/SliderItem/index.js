@@ -8,6 +8,7 @@ import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import React, { useContext, useEffect, useRef, useState } from 'react';
 
 import useVisibility from '../../hooks/useVisibility';
+import { getArtworkUrl, getImageCrossOrigin } from '../../utils';
 import SliderContext from '../Slider/context';
 
 function SliderItem(props) {
@@ -70,7 +71,8 @@ function SliderItem(props) {
               {props.data.backdrop_path ? (
                 <img
                   className="background"
-                  src={`${process.env.REACT_APP_IMAGE_BASE}w500/${props.data.poster_path}`}
+                  src={getArtworkUrl(props.data.poster_path, 'w500')}
+                  crossOrigin={getImageCrossOrigin(props.data.poster_path)}
                   alt="boxart"
                 />
               ) : (
@@ -82,7 +84,8 @@ function SliderItem(props) {
               {props.data.backdrop_path ? (
                 <img
                   className="background"
-                  src={`${process.env.REACT_APP_IMAGE_BASE}w500/${props.data.backdrop_path}`}
+                  src={getArtworkUrl(props.data.backdrop_path, 'w500')}
+                  crossOrigin={getImageCrossOrigin(props.data.backdrop_path)}
                   alt="boxart"
                 />
               ) : (
@@ -91,12 +94,26 @@ function SliderItem(props) {
               {props.data.logo_path && (
                 <img
                   className="logo"
-                  src={`${process.env.REACT_APP_IMAGE_BASE}w500/${props.data.logo_path}`}
+                  src={getArtworkUrl(props.data.logo_path, 'w500')}
+                  crossOrigin={getImageCrossOrigin(props.data.logo_path)}
                   alt="boxart"
                 />
               )}
             </React.Fragment>
           )}
+          {props.data.progress && (
+            <div className="boxart-progress">
+              <span
+                style={{
+                  width: `${
+                    (props.data.progress.position /
+                      props.data.progress.duration) *
+                    100
+                  }%`,
+                }}
+              />
+            </div>
+          )}
         </div>
       </div>
 
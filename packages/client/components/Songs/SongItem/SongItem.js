@@ -3,7 +3,12 @@ import React from 'react';
 import NowPlaying from '../../../assets/AlbumDetail/NowPlaying.gif';
 import Pause from '../../../assets/NowPlayingBar/Pause';
 import Play from '../../../assets/NowPlayingBar/Play';
-import { formatDate, millisToMinutesAndSeconds } from '../../../utils';
+import {
+  formatDate,
+  getImageUrl,
+  millisToMinutesAndSeconds,
+  getImageCrossOrigin,
+} from '../../../utils';
 import style from '../../AlbumDetail/SongItem/SongItem.module.css';
 
 export const SongItem = ({ song, songClicked, current, index }) => {
@@ -25,7 +30,11 @@ export const SongItem = ({ song, songClicked, current, index }) => {
           </div>
 
           <div className={style.Title}>
-            <img src={song.album_image_url} alt="cover img" />
+            <img
+              src={getImageUrl(song.album_image_url)}
+              crossOrigin={getImageCrossOrigin(song.album_image_url)}
+              alt="cover img"
+            />
             <div className={style.NameContainer}>
               <div
                 className={style.Name}
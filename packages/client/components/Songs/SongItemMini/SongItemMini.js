@@ -2,7 +2,11 @@ import React from 'react';
 
 import Pause from '../../../assets/NowPlayingBar/Pause';
 import Play from '../../../assets/NowPlayingBar/Play';
-import { millisToMinutesAndSeconds } from '../../../utils';
+import {
+  getImageUrl,
+  millisToMinutesAndSeconds,
+  getImageCrossOrigin,
+} from '../../../utils';
 import style from './SongItemMini.module.css';
 
 export const SongItemMini = ({ song, songClicked, current }) => {
@@ -18,7 +22,11 @@ export const SongItemMini = ({ song, songClicked, current }) => {
         >
           <div className={style.Title}>
             <div className={style.ImageContainer}>
-              <img src={song.album_image_url} alt="cover img" />
+              <img
+                src={getImageUrl(song.album_image_url)}
+                crossOrigin={getImageCrossOrigin(song.album_image_url)}
+                alt="cover img"
+              />
               <button>{current ? <Pause /> : <Play />}</button>
             </div>
             <div className={style.NameContainer}>
@@ -10,6 +10,8 @@ import Search from '../Search';
 import Slider from '../Slider';
 
 function TVShows() {
+  const { data: continueWatchingTVShows } = useSWR(`/tv/continue_watching`);
+  const { data: upNextTVShows } = useSWR(`/tv/up_next`);
   const { data: recentlyAddedTVShows } = useSWR(`/tv/recently_added`);
   const { data: popularTVShows } = useSWR(`/tv/most_popular`);
   const { data: highestRatedTVShows } = useSWR(`/tv/highest_rated`);
@@ -33,6 +35,22 @@ function TVShows() {
           <React.Fragment>
             <BigBillboard />
 
+            {continueWatchingTVShows?.length > 0 && (
+              <Slider
+                mainTitle={'Continue Watching'}
+                data={continueWatchingTVShows}
+                poster={false}
+              />
+            )}
+
+            {upNextTVShows?.length > 0 && (
+              <Slider
+                mainTitle={'Up Next'}
+                data={upNextTVShows}
+                poster={false}
+              />
+            )}
+
             {recentlyAddedTVShows && (
               <Slider
                 mainTitle={'Recently Added'}
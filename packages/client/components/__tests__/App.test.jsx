@@ -9,6 +9,7 @@ jest.mock('../Auth/Login', () => () => <div>Login Page</div>);
 jest.mock('../Auth/Register', () => () => <div>Register Page</div>);
 jest.mock('../Auth/Profile', () => () => <div>Profile Page</div>);
 jest.mock('../Admin', () => () => <div>Admin Page</div>);
+jest.mock('../Profiles', () => () => <div>Profiles Page</div>);
 
 // Mock the ProtectedRoute and PublicOnlyRoute components to simplify testing
 jest.mock('../../routes/ProtectedRoute', () => ({
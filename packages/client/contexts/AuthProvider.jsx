@@ -1,6 +1,10 @@
 // packages/client/context/AuthContext.jsx
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
+import { refreshSession } from '../utils';
+
+// Access tokens expire after 15 minutes, refresh them before that happens
+const SESSION_REFRESH_INTERVAL = 10 * 60 * 1000;
 
 // Create the authentication context
 const AuthContext = createContext();
@@ -11,8 +15,9 @@ const AuthContext = createContext();
  * @param {React.ReactNode} props.children - Child components
  */
 export const AuthProvider = ({ children }) => {
-  // State for authenticated user, loading status, and errors
+  // State for authenticated user, the profile picked on this device, loading status, and errors
   const [user, setUser] = useState(null);
+  const [profile, setProfile] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -31,15 +36,25 @@ export const AuthProvider = ({ children }) => {
       
       if (response.status === 200 && response.data.user) {
         setUser(response.data.user);
+        setProfile(response.data.profile || null);
       } else {
         setUser(null);
+        setProfile(null);
       }
     } catch (err) {
       console.error('Authentication check failed:', err);
       
-      // Clear user if 401 Unauthorized
+      // The access token may only have expired, try the refresh token before
+      // clearing user on 401 Unauthorized
       if (err.response && err.response.status === 401) {
+        const session = await refreshSession();
+        if (session?.user) {
+          setUser(session.user);
+          setProfile(session.profile || null);
+          return;
+        }
         setUser(null);
+        setProfile(null);
       }
       
       setError(err.response?.data?.message || 'Authentication check failed');
@@ -68,6 +83,8 @@ export const AuthProvider = ({ children }) => {
       
       if (response.status === 200 && response.data.user) {
         setUser(response.data.user);
+        // A new session starts without a profile, the picker asks for one
+        setProfile(null);
         return response.data;
       } else {
         throw new Error('Invalid login response');
@@ -96,6 +113,7 @@ export const AuthProvider = ({ children }) => {
       
       if (response.status === 200) {
         setUser(null);
+        setProfile(null);
         return response.data;
       } else {
         throw new Error('Invalid logout response');
@@ -109,18 +127,79 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  /**
+   * Logs out the current user on every device
+   * @returns {Promise} Promise that resolves on successful logout
+   */
+  const logoutAll = async () => {
+    setIsLoading(true);
+    setError(null);
+    
+    try {
+      const response = await axios.post('/api/logout/all', {}, {
+        withCredentials: true // Include cookies in the request
+      });
+      
+      if (response.status === 200) {
+        setUser(null);
+        setProfile(null);
+        return response.data;
+      } else {
+        throw new Error('Invalid logout response');
+      }
+    } catch (err) {
+      console.error('Logout from all devices failed:', err);
+      setError(err.response?.data?.message || 'Logout failed');
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Switches this device to another profile of the signed-in user
+   * @param {number} profileId - The ID of the profile to use
+   * @returns {Promise} Promise that resolves with the selected profile
+   */
+  const selectProfile = async (profileId) => {
+    const response = await axios.post(`/api/profiles/${profileId}/select`, {}, {
+      withCredentials: true // Include cookies in the request
+    });
+    setProfile(response.data.profile);
+    return response.data.profile;
+  };
+
   // Check authentication status on component mount
   useEffect(() => {
     checkAuth();
   }, [checkAuth]);
 
+  // Keep the access token fresh while signed in, so that media streams which
+  // send the cookie on every range request keep working
+  useEffect(() => {
+    if (!user) return undefined;
+
+    const interval = setInterval(async () => {
+      const session = await refreshSession();
+      if (!session) {
+        setUser(null);
+        setProfile(null);
+      }
+    }, SESSION_REFRESH_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [user]);
+
   // The value provided to consumers of this context
   const contextValue = {
     user,
+    profile,
     isLoading,
     error,
     login,
     logout,
+    logoutAll,
+    selectProfile,
     checkAuth
   };
 
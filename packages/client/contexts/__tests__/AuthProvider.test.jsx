@@ -3,10 +3,16 @@ import React from 'react';
 import { render, screen, act, waitFor, fireEvent } from '@testing-library/react';
 import axios from 'axios';
 import { AuthProvider, useAuth } from '../AuthProvider';
+import { refreshSession } from '../../utils';
 
 // Mock axios
 jest.mock('axios');
 
+// Mock the refresh token exchange
+jest.mock('../../utils', () => ({
+  refreshSession: jest.fn()
+}));
+
 beforeAll(() => {
   jest.spyOn(console, 'error').mockImplementation(() => {});
   jest.spyOn(console, 'warn').mockImplementation(() => {});
@@ -20,16 +26,18 @@ afterAll(() => {
 beforeEach(() => {
   jest.clearAllMocks();
   localStorage.clear();
+  refreshSession.mockResolvedValue(null);
 });
 
 const TestComponent = () => {
-  const { user, isLoading, error, login, logout, checkAuth } = useAuth();
+  const { user, profile, isLoading, error, login, logout, checkAuth, selectProfile } = useAuth();
   
   return (
     <div>
       <div data-testid="loading">{isLoading ? 'Loading' : 'Not loading'}</div>
       <div data-testid="user">{user ? JSON.stringify(user) : 'No user'}</div>
       <div data-testid="error">{error || 'No error'}</div>
+      <div data-testid="profile">{profile ? profile.name : 'No profile'}</div>
       <button onClick={() => login('test@example.com', 'password')} data-testid="login-btn">
         Login
       </button>
@@ -39,6 +47,9 @@ const TestComponent = () => {
       <button onClick={() => checkAuth()} data-testid="check-auth-btn">
         Check Auth
       </button>
+      <button onClick={() => selectProfile(3)} data-testid="select-profile-btn">
+        Select Profile
+      </button>
     </div>
   );
 };
@@ -94,6 +105,63 @@ describe('AuthContext', () => {
     expect(screen.getByTestId('error')).toHaveTextContent('Unauthorized');
   });
 
+  it('should restore the session with the refresh token after a 401', async () => {
+    // Mock an expired access token and a valid refresh token
+    axios.get.mockRejectedValueOnce({
+      response: {
+        status: 401,
+        data: { message: 'Unauthorized' }
+      }
+    });
+    refreshSession.mockResolvedValueOnce({
+      user: { id: '123', username: 'testuser', email: 'test@example.com' }
+    });
+
+    await act(async () => {
+      render(
+        <AuthProvider>
+          <TestComponent />
+        </AuthProvider>
+      );
+    });
+
+    expect(refreshSession).toHaveBeenCalled();
+    expect(screen.getByTestId('loading')).toHaveTextContent('Not loading');
+    expect(screen.getByTestId('user')).toHaveTextContent('"username":"testuser"');
+    expect(screen.getByTestId('error')).toHaveTextContent('No error');
+  });
+
+  it('should switch to the selected profile', async () => {
+    axios.get.mockResolvedValueOnce({
+      status: 200,
+      data: {
+        user: { id: '123', username: 'testuser' },
+        profile: { id: 2, name: 'Sam', avatar: 'blue', kid: false }
+      }
+    });
+    axios.post.mockResolvedValueOnce({
+      status: 200,
+      data: { profile: { id: 3, name: 'Kids', avatar: 'green', kid: true } }
+    });
+
+    await act(async () => {
+      render(
+        <AuthProvider>
+          <TestComponent />
+        </AuthProvider>
+      );
+    });
+
+    expect(screen.getByTestId('profile')).toHaveTextContent('Sam');
+
+    await act(async () => {
+      fireEvent.click(screen.getByTestId('select-profile-btn'));
+    });
+
+    expect(axios.post).toHaveBeenCalledWith('/api/profiles/3/select', {}, { withCredentials: true });
+    expect(screen.getByTestId('profile')).toHaveTextContent('Kids');
+  });
+
   it('should handle login correctly', async () => {
     // Mock successful login
     axios.get.mockResolvedValueOnce({
@@ -0,0 +1,33 @@
+import useSWR from 'swr';
+
+import { apiRequest } from '../utils';
+
+// Seconds between two refreshes of the queue while downloads are being prepared
+const REFRESH_INTERVAL = 5;
+
+const isPending = (download) =>
+  download.status === 'queued' || download.status === 'preparing';
+
+export default function useDownloads() {
+  const { data, mutate } = useSWR('/downloads', {
+    refreshInterval: (latest) =>
+      latest?.results?.some(isPending) ? REFRESH_INTERVAL * 1000 : 0,
+  });
+
+  // Roles an admin does not allow to download get an error instead of the queue
+  const enabled = Boolean(data && !data.errors);
+  const downloads = enabled ? data.results : [];
+
+  const addDownload = async (request) => {
+    const response = await apiRequest('/downloads', 'POST', request);
+    mutate();
+    return response;
+  };
+
+  const removeDownload = async (id) => {
+    await apiRequest(`/downloads/${id}`, 'DELETE');
+    mutate();
+  };
+
+  return { enabled, downloads, addDownload, removeDownload };
+}
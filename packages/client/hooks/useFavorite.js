@@ -0,0 +1,21 @@
+import useSWR from 'swr';
+
+import { apiRequest } from '../utils';
+
+export default function useFavorite(type, id) {
+  const { data, mutate } = useSWR(`/favorites/${type}`);
+
+  const isFavorite = Boolean(
+    data?.results?.some((item) => String(item.id) === String(id))
+  );
+
+  const toggleFavorite = async () => {
+    await apiRequest(
+      `/favorites/${type}/${id}`,
+      isFavorite ? 'DELETE' : 'POST'
+    );
+    mutate();
+  };
+
+  return { isFavorite, toggleFavorite };
+}
@@ -0,0 +1,21 @@
+import useSWR from 'swr';
+
+import { apiRequest } from '../utils';
+
+export default function useRating(type, id) {
+  const { data, mutate } = useSWR(`/ratings/${type}/${id}`);
+
+  const ratings = data && data.reviews ? data : null;
+
+  const rate = async (rating, review) => {
+    await apiRequest(`/ratings/${type}/${id}`, 'PUT', { rating, review });
+    mutate();
+  };
+
+  const removeRating = async () => {
+    await apiRequest(`/ratings/${type}/${id}`, 'DELETE');
+    mutate();
+  };
+
+  return { ratings, rate, removeRating };
+}
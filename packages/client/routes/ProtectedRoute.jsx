@@ -6,15 +6,28 @@ import LoadingSpinner from '../components/LoadingSpinner';
 
 /**
  * ProtectedRoute component that restricts access to authenticated users only
- * Redirects to login if user is not authenticated
+ * Redirects to login if user is not authenticated, away from the route
+ * if the user does not have one of the required roles, and to the profile
+ * picker if the route needs a profile and none has been picked yet
  * 
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - Child components to render when authenticated
  * @param {string} [props.redirectTo='/login'] - Path to redirect to when not authenticated
+ * @param {string[]} [props.roles] - Roles allowed to access the route, any role when omitted
+ * @param {string} [props.forbiddenRedirectTo='/movies'] - Path to redirect to when the user lacks the role
+ * @param {boolean} [props.requireProfile=false] - Whether a profile must be picked to access the route
+ * @param {string} [props.profileRedirectTo='/profiles'] - Path to redirect to when no profile is picked
  * @returns {React.ReactNode} Protected content or redirect
  */
-export const ProtectedRoute = ({ children, redirectTo = '/login' }) => {
-  const { user, isLoading, error } = useAuth();
+export const ProtectedRoute = ({
+  children,
+  redirectTo = '/login',
+  roles,
+  forbiddenRedirectTo = '/movies',
+  requireProfile = false,
+  profileRedirectTo = '/profiles'
+}) => {
+  const { user, profile, isLoading, error } = useAuth();
   
   // Show loading spinner while checking authentication
   if (isLoading) {
@@ -36,6 +49,16 @@ export const ProtectedRoute = ({ children, redirectTo = '/login' }) => {
     return <Navigate to={redirectTo} replace />;
   }
   
+  // Redirect away if user does not have a required role
+  if (roles && !roles.includes(user.role)) {
+    return <Navigate to={forbiddenRedirectTo} replace />;
+  }
+  
+  // Redirect to the profile picker if the route needs a profile
+  if (requireProfile && !profile) {
+    return <Navigate to={profileRedirectTo} replace />;
+  }
+  
   // Render children if user is authenticated
   return children;
 };
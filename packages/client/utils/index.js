@@ -23,6 +23,36 @@ export const formatDate = (dateString) => {
   return `${month} ${day}, ${year}`;
 };
 
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+// Names ISO 639 codes such as 'en', 'fre' or 'pt-BR', 'und' marks tracks of unknown language
+export const getLanguageName = (language) => {
+  if (!language || language === 'und') return null;
+  try {
+    return languageNames.of(language);
+  } catch (e) {
+    return language;
+  }
+};
+
+// Images stored by the server, such as album covers read from tags, are paths on its API
+export const getImageUrl = (url) =>
+  url && url.startsWith('/')
+    ? `${process.env.REACT_APP_HOMEHOST_BASE}${url}`
+    : url;
+
+// Images served by the API need the session cookie, which cross-origin image requests only send when asked
+export const getImageCrossOrigin = (url) =>
+  url && url.startsWith('/api/') ? 'use-credentials' : undefined;
+
+// Artwork paths are TMDb image paths, sized by TMDb, or images of local media served by the server
+export const getArtworkUrl = (artwork, size) =>
+  artwork && artwork.startsWith('/api/')
+    ? getImageUrl(artwork)
+    : artwork && /^https?:/.test(artwork)
+    ? artwork
+    : `${process.env.REACT_APP_IMAGE_BASE}${size}/${artwork}`;
+
 export function millisToMinutesAndSeconds(millis) {
   var minutes = Math.floor(millis / 60000);
   var seconds = parseInt(((millis % 60000) / 1000).toFixed(0));
@@ -80,3 +110,42 @@ export const findTotalDurationMillis = (items) => {
   };
   return items.reduce((acc, item) => sum(acc, item), 0);
 };
+
+let pendingRefresh = null;
+
+// Concurrent callers share one refresh, since each refresh token works only once
+export const refreshSession = () => {
+  if (!pendingRefresh) {
+    pendingRefresh = fetch(
+      `${process.env.REACT_APP_HOMEHOST_BASE}/api/refresh`,
+      { method: 'POST', credentials: 'include' }
+    )
+      .then((res) => (res.ok ? res.json() : null))
+      .catch(() => null)
+      .finally(() => {
+        pendingRefresh = null;
+      });
+  }
+  return pendingRefresh;
+};
+
+export const apiFetch = (resource, init) => {
+  const request = () =>
+    fetch(`${process.env.REACT_APP_HOMEHOST_BASE}/api` + resource, {
+      credentials: 'include',
+      ...init,
+    });
+  // Retry once with a fresh access token when the current one has expired
+  return request().then((res) =>
+    res.status === 401
+      ? refreshSession().then((session) => (session ? request() : res))
+      : res
+  );
+};
+
+export const apiRequest = (resource, method = 'GET', data) =>
+  apiFetch(resource, {
+    method,
+    headers: data ? { 'Content-Type': 'application/json' } : undefined,
+    body: data ? JSON.stringify(data) : undefined,
+  }).then((res) => res.json());
@@ -12,4 +12,14 @@ const Type = Object.freeze({
   },
 });
 
-module.exports = { Type };
+const Role = Object.freeze({
+  Admin: 'admin',
+  Viewer: 'viewer',
+});
+
+const RegistrationMode = Object.freeze({
+  Open: 'open',
+  Invite: 'invite',
+});
+
+module.exports = { Type, Role, RegistrationMode };
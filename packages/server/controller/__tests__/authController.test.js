@@ -1,16 +1,36 @@
 const authController = require('../authController');
 const userService = require('../../services/user');
 const authService = require('../../services/auth');
+const sessionService = require('../../services/session');
+const settingsService = require('../../services/settings');
+const inviteService = require('../../services/invite');
 
 // Mock the services
 jest.mock('../../services/user', () => ({
   createUser: jest.fn(),
-  verifyCredentials: jest.fn()
+  verifyCredentials: jest.fn(),
+  countUsers: jest.fn(),
+  deleteUser: jest.fn()
 }));
 jest.mock('../../services/auth', () => ({
   validatePasswordStrength: jest.fn(),
-  generateToken: jest.fn(),
-  invalidateToken: jest.fn()
+  generateToken: jest.fn()
+}));
+jest.mock('../../services/session', () => ({
+  ACCESS_TOKEN_EXPIRY: '15m',
+  ACCESS_TOKEN_MAX_AGE: 15 * 60 * 1000,
+  REFRESH_TOKEN_MAX_AGE: 30 * 24 * 60 * 60 * 1000,
+  createSession: jest.fn(),
+  getActiveSession: jest.fn(),
+  rotateSession: jest.fn(),
+  revokeSessionByRefreshToken: jest.fn()
+}));
+jest.mock('../../services/settings', () => ({
+  getRegistrationMode: jest.fn()
+}));
+jest.mock('../../services/invite', () => ({
+  validateInvite: jest.fn(),
+  redeemInvite: jest.fn()
 }));
 
 describe('isValidEmail', () => {
@@ -66,6 +86,15 @@ describe('AuthController', () => {
     // Setup mock for verifyCredentials method
     userService.verifyCredentials = jest.fn();
 
+    // Default mock for starting a session
+    sessionService.createSession.mockResolvedValue({
+      session: { id: 5, userId: 1 },
+      refreshToken: 'refresh-token-123'
+    });
+
+    // Registration is open unless a test restricts it
+    settingsService.getRegistrationMode.mockResolvedValue('open');
+
     // Mock console.error globally for all tests
     consoleErrorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
   });
@@ -223,6 +252,68 @@ describe('AuthController', () => {
     });
     
     describe('Service Integration Tests', () => {
+      describe('when registration requires an invite code', () => {
+        beforeEach(() => {
+          settingsService.getRegistrationMode.mockResolvedValue('invite');
+          userService.countUsers.mockResolvedValue(2);
+          userService.createUser.mockResolvedValue({ id: 3, username: 'testuser', email: 'test@example.com', role: 'viewer' });
+        });
+        
+        test('should return 400 when the invite code is missing', async () => {
+          await authController.register(req, res);
+          
+          expect(userService.createUser).not.toHaveBeenCalled();
+          expect(res.status).toHaveBeenCalledWith(400);
+          expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            errors: [{ field: 'inviteCode', message: 'Invite code is required' }]
+          }));
+        });
+        
+        test('should return 400 when the invite code is invalid', async () => {
+          req.body.inviteCode = 'USED-CODE';
+          inviteService.validateInvite.mockRejectedValue(new Error('Invalid invite code'));
+          
+          await authController.register(req, res);
+          
+          expect(userService.createUser).not.toHaveBeenCalled();
+          expect(res.status).toHaveBeenCalledWith(400);
+          expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+            errors: [{ field: 'inviteCode', message: 'Invalid or expired invite code' }]
+          }));
+        });
+        
+        test('should redeem a valid invite code for the new user', async () => {
+          req.body.inviteCode = 'K7QM-4TZP';
+          inviteService.validateInvite.mockResolvedValue({ id: 1 });
+          inviteService.redeemInvite.mockResolvedValue();
+          
+          await authController.register(req, res);
+          
+          expect(inviteService.redeemInvite).toHaveBeenCalledWith('K7QM-4TZP', 3);
+          expect(res.status).toHaveBeenCalledWith(201);
+        });
+        
+        test('should remove the new user when the code was redeemed concurrently', async () => {
+          req.body.inviteCode = 'K7QM-4TZP';
+          inviteService.validateInvite.mockResolvedValue({ id: 1 });
+          inviteService.redeemInvite.mockRejectedValue(new Error('Invalid invite code'));
+          
+          await authController.register(req, res);
+          
+          expect(userService.deleteUser).toHaveBeenCalledWith(3);
+          expect(res.status).toHaveBeenCalledWith(400);
+        });
+        
+        test('should let the first user register without a code', async () => {
+          userService.countUsers.mockResolvedValue(0);
+          
+          await authController.register(req, res);
+          
+          expect(inviteService.validateInvite).not.toHaveBeenCalled();
+          expect(res.status).toHaveBeenCalledWith(201);
+        });
+      });
+      
       test('should return 400 when email is already in use', async () => {
         userService.createUser.mockRejectedValue(new Error('Email already in use'));
         
@@ -277,7 +368,8 @@ describe('AuthController', () => {
           'Password123!'
         );
         
-        expect(authService.generateToken).toHaveBeenCalledWith(mockUser.id);
+        expect(sessionService.createSession).toHaveBeenCalledWith(mockUser.id, expect.any(Object));
+        expect(authService.generateToken).toHaveBeenCalledWith(mockUser.id, '15m', 5);
         
         expect(res.cookie).toHaveBeenCalledWith(
           'auth_token',
@@ -287,6 +379,14 @@ describe('AuthController', () => {
             maxAge: expect.any(Number)
           })
         );
+        expect(res.cookie).toHaveBeenCalledWith(
+          'refresh_token',
+          'refresh-token-123',
+          expect.objectContaining({
+            httpOnly: true,
+            maxAge: expect.any(Number)
+          })
+        );
         
         expect(res.status).toHaveBeenCalledWith(201);
         expect(res.json).toHaveBeenCalledWith({
@@ -389,6 +489,20 @@ describe('AuthController', () => {
     });
     
     describe('Authentication Tests', () => {
+      test('should return 403 when the account is disabled', async () => {
+        userService.verifyCredentials.mockRejectedValue(new Error('Account disabled'));
+        
+        await authController.login(req, res);
+        
+        expect(sessionService.createSession).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(res.json).toHaveBeenCalledWith({
+          status: 403,
+          message: 'Forbidden',
+          errors: [{ field: 'general', message: 'This account has been disabled' }]
+        });
+      });
+      
       test('should return 401 when credentials are invalid', async () => {
         userService.verifyCredentials.mockRejectedValue(new Error('Invalid credentials'));
         
@@ -442,7 +556,8 @@ describe('AuthController', () => {
           'Password123!'
         );
         
-        expect(authService.generateToken).toHaveBeenCalledWith(mockUser.id);
+        expect(sessionService.createSession).toHaveBeenCalledWith(mockUser.id, expect.any(Object));
+        expect(authService.generateToken).toHaveBeenCalledWith(mockUser.id, '15m', 5);
         
         expect(res.cookie).toHaveBeenCalledWith(
           'auth_token',
@@ -452,6 +567,14 @@ describe('AuthController', () => {
             maxAge: expect.any(Number)
           })
         );
+        expect(res.cookie).toHaveBeenCalledWith(
+          'refresh_token',
+          'refresh-token-123',
+          expect.objectContaining({
+            httpOnly: true,
+            maxAge: expect.any(Number)
+          })
+        );
         
         expect(res.status).toHaveBeenCalledWith(200);
         expect(res.json).toHaveBeenCalledWith({
@@ -466,6 +589,77 @@ describe('AuthController', () => {
     });
   });
   
+  describe('refresh', () => {
+    beforeEach(() => {
+      req = {
+        headers: { 'user-agent': 'jest' },
+        cookies: { refresh_token: 'refresh-token-123' }
+      };
+      userService.getUserById = jest.fn();
+    });
+
+    test('should rotate the refresh token and return a new access token', async () => {
+      const mockUser = { id: 1, username: 'testuser', email: 'test@example.com', role: 'viewer' };
+      sessionService.rotateSession.mockResolvedValue({
+        session: { id: 5, userId: 1 },
+        refreshToken: 'refresh-token-456'
+      });
+      userService.getUserById.mockResolvedValue(mockUser);
+      authService.generateToken.mockReturnValue('jwt-token-456');
+
+      await authController.refresh(req, res);
+
+      expect(sessionService.rotateSession).toHaveBeenCalledWith(
+        'refresh-token-123',
+        expect.objectContaining({ userAgent: 'jest' })
+      );
+      expect(authService.generateToken).toHaveBeenCalledWith(1, '15m', 5);
+      expect(res.cookie).toHaveBeenCalledWith('auth_token', 'jwt-token-456', expect.any(Object));
+      expect(res.cookie).toHaveBeenCalledWith('refresh_token', 'refresh-token-456', expect.any(Object));
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ user: mockUser, profile: null, token: 'jwt-token-456' });
+    });
+
+    test('should return 401 for an invalid refresh token', async () => {
+      sessionService.rotateSession.mockRejectedValue(new Error('Invalid refresh token'));
+
+      await authController.refresh(req, res);
+
+      expect(res.cookie).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 401,
+        message: 'Authentication failed',
+        errors: [{ field: 'auth', message: 'Invalid refresh token' }]
+      });
+    });
+
+    test('should return 401 when the session user no longer exists', async () => {
+      sessionService.rotateSession.mockResolvedValue({
+        session: { id: 5, userId: 1 },
+        refreshToken: 'refresh-token-456'
+      });
+      userService.getUserById.mockResolvedValue(null);
+
+      await authController.refresh(req, res);
+
+      expect(res.cookie).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    test('should return 500 when an unexpected error occurs', async () => {
+      sessionService.rotateSession.mockRejectedValue(new Error('Database down'));
+
+      await authController.refresh(req, res);
+
+      expect(consoleErrorSpy).toHaveBeenCalledWith('Token refresh error:', expect.any(Error));
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [{ field: 'general', message: 'Server error during token refresh' }]
+      }));
+    });
+  });
+
   describe('logout', () => {
     beforeEach(() => {
       // Setup request object specifically for logout tests
@@ -475,7 +669,7 @@ describe('AuthController', () => {
       };
     });
     
-    test('should clear authentication cookie and return 200 success response', async () => {
+    test('should clear authentication cookies and return 200 success response', async () => {
       await authController.logout(req, res);
       
       expect(res.clearCookie).toHaveBeenCalledWith(
@@ -483,9 +677,10 @@ describe('AuthController', () => {
         expect.objectContaining({
           httpOnly: true,
           secure: expect.any(Boolean),
-          sameSite: 'strict'
+          sameSite: 'lax'
         })
       );
+      expect(res.clearCookie).toHaveBeenCalledWith('refresh_token', expect.any(Object));
       
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.json).toHaveBeenCalledWith({
@@ -494,30 +689,14 @@ describe('AuthController', () => {
       });
     });
     
-    test('should invalidate token from authorization header if present', async () => {
-      // Setup token in authorization header
-      const token = 'jwt-token-123';
-      req.headers.authorization = `Bearer ${token}`;
+    test('should revoke the session of the refresh token cookie if present', async () => {
+      req.cookies.refresh_token = 'refresh-token-123';
       
-      authService.invalidateToken.mockResolvedValue(true);
+      sessionService.revokeSessionByRefreshToken.mockResolvedValue(true);
       
       await authController.logout(req, res);
       
-      expect(authService.invalidateToken).toHaveBeenCalledWith(token);
-      expect(res.clearCookie).toHaveBeenCalled();
-      expect(res.status).toHaveBeenCalledWith(200);
-    });
-    
-    test('should invalidate token from cookie if present', async () => {
-      // Setup token in cookie
-      const token = 'jwt-token-456';
-      req.cookies.auth_token = token;
-      
-      authService.invalidateToken.mockResolvedValue(true);
-      
-      await authController.logout(req, res);
-      
-      expect(authService.invalidateToken).toHaveBeenCalledWith(token);
+      expect(sessionService.revokeSessionByRefreshToken).toHaveBeenCalledWith('refresh-token-123');
       expect(res.clearCookie).toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(200);
     });
@@ -525,22 +704,20 @@ describe('AuthController', () => {
     test('should handle case when no token is present', async () => {
       await authController.logout(req, res);
       
-      expect(authService.invalidateToken).not.toHaveBeenCalled();
+      expect(sessionService.revokeSessionByRefreshToken).not.toHaveBeenCalled();
       expect(res.clearCookie).toHaveBeenCalled();
       expect(res.status).toHaveBeenCalledWith(200);
     });
     
-    test('should still return success when token invalidation fails', async () => {
-      const token = 'jwt-token-123';
-      req.headers.authorization = `Bearer ${token}`;
+    test('should still return success when session revocation fails', async () => {
+      req.cookies.refresh_token = 'refresh-token-123';
       
-      authService.invalidateToken.mockRejectedValue(new Error('Token blacklisting failed'));
+      sessionService.revokeSessionByRefreshToken.mockRejectedValue(new Error('Database down'));
       
       await authController.logout(req, res);
       
-      expect(authService.invalidateToken).toHaveBeenCalledWith(token);
       expect(consoleErrorSpy).toHaveBeenCalledWith(
-        'Token invalidation error:',
+        'Session revocation error:',
         expect.any(Error)
       );
       expect(res.clearCookie).toHaveBeenCalled();
@@ -572,7 +749,6 @@ describe('AuthController', () => {
     });
   });
   
-// In your test file, replace the regex extraction with direct usage:
   describe('formatErrorResponse', () => {
     test('should format error responses with provided parameters', () => {
       const testStatus = 400;
@@ -624,6 +800,7 @@ describe('authenticate', () => {
     // Mock services
     authService.verifyToken = jest.fn();
     userService.getUserById = jest.fn();
+    sessionService.getActiveSession.mockResolvedValue({ id: 5, userId: 1 });
   });
   
   test('should call next() when authentication is successful', async () => {
@@ -646,6 +823,60 @@ describe('authenticate', () => {
     expect(res.status).not.toHaveBeenCalled();
     expect(res.json).not.toHaveBeenCalled();
   });
+
+  test('should attach the profile picked on the device to the request', async () => {
+    const profile = { id: 3, userId: 1, name: 'Kids', avatar: 'green', kid: true };
+    authService.verifyToken.mockResolvedValue({ userId: 1, sid: 5 });
+    userService.getUserById.mockResolvedValue({ id: 1, username: 'testuser' });
+    sessionService.getActiveSession.mockResolvedValue({ id: 5, userId: 1, profile });
+    
+    await authController.authenticate(req, res, next);
+    
+    expect(req.profile).toBe(profile);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should attach the session ID of the token to the request', async () => {
+    authService.verifyToken.mockResolvedValue({ userId: 1, sid: 5 });
+    userService.getUserById.mockResolvedValue({ id: 1, username: 'testuser' });
+    
+    await authController.authenticate(req, res, next);
+    
+    expect(sessionService.getActiveSession).toHaveBeenCalledWith(5);
+    expect(req.sessionId).toBe(5);
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should return 401 when the session was revoked', async () => {
+    authService.verifyToken.mockResolvedValue({ userId: 1, sid: 5 });
+    sessionService.getActiveSession.mockResolvedValue(null);
+    
+    await authController.authenticate(req, res, next);
+    
+    expect(userService.getUserById).not.toHaveBeenCalled();
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({
+      status: 401,
+      message: 'Authentication failed',
+      errors: [{ field: 'auth', message: 'Session expired or revoked' }]
+    });
+  });
+  
+  test('should return 401 when the account is disabled', async () => {
+    authService.verifyToken.mockResolvedValue({ userId: 1, sid: 5 });
+    userService.getUserById.mockResolvedValue({ id: 1, username: 'testuser', disabled: true });
+    
+    await authController.authenticate(req, res, next);
+    
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({
+      status: 401,
+      message: 'Authentication failed',
+      errors: [{ field: 'auth', message: 'Account disabled' }]
+    });
+  });
   
   test('should return 401 when token is missing', async () => {
     req.cookies = {};
@@ -745,6 +976,91 @@ describe('authenticate', () => {
   });
 });
 
+describe('requireRole', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { user: { id: 1, username: 'testuser', role: 'viewer' } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+  });
+
+  test('should call next when the user has an allowed role', () => {
+    req.user.role = 'admin';
+
+    authController.requireRole('admin')(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test('should accept any of several allowed roles', () => {
+    authController.requireRole('admin', 'viewer')(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should return 403 when the user lacks the role', () => {
+    authController.requireRole('admin')(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith({
+      status: 403,
+      message: 'Forbidden',
+      errors: [{ field: 'auth', message: 'Insufficient permissions' }]
+    });
+  });
+
+  test('should return 403 when no user is authenticated', () => {
+    req.user = undefined;
+
+    authController.requireRole('admin')(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
+
+describe('requireProfile', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    req = { user: { id: 1, username: 'testuser', role: 'viewer' }, profile: null };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    next = jest.fn();
+  });
+
+  test('should call next once a profile has been picked', () => {
+    req.profile = { id: 3, name: 'testuser' };
+
+    authController.requireProfile(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.status).not.toHaveBeenCalled();
+  });
+
+  test('should return 409 when no profile has been picked', () => {
+    authController.requireProfile(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json).toHaveBeenCalledWith({
+      status: 409,
+      message: 'Profile required',
+      errors: [{ field: 'profile', message: 'Select a profile first' }]
+    });
+  });
+});
+
 describe('getProfile', () => {
   let req, res;
   
@@ -771,6 +1087,14 @@ describe('getProfile', () => {
     };
   });
   
+  test('should return the profile picked on the device', async () => {
+    req.profile = { id: 3, userId: 1, name: 'Kids', avatar: 'green', kid: true, createdAt: new Date('2023-01-03') };
+    
+    await authController.getProfile(req, res);
+    
+    expect(res.json.mock.calls[0][0].profile).toEqual({ id: 3, name: 'Kids', avatar: 'green', kid: true });
+  });
+  
   test('should return user profile with sensitive fields excluded', async () => {
     await authController.getProfile(req, res);
     
@@ -782,7 +1106,8 @@ describe('getProfile', () => {
         email: 'test@example.com',
         createdAt: req.user.createdAt,
         updatedAt: req.user.updatedAt
-      }
+      },
+      profile: null
     });
     
     // Verify sensitive fields are excluded
@@ -840,14 +1165,14 @@ describe('getProfile', () => {
     const returnedUser = res.json.mock.calls[0][0].user;
     
     // Check that only specified fields are returned
-    const expectedKeys = ['id', 'username', 'email', 'createdAt', 'updatedAt'];
+    const expectedKeys = ['id', 'username', 'email', 'role', 'audioLanguage', 'createdAt', 'updatedAt'];
     const actualKeys = Object.keys(returnedUser);
     
     expect(actualKeys).toHaveLength(expectedKeys.length);
     expect(actualKeys).toEqual(expect.arrayContaining(expectedKeys));
     
     // Verify extra fields are excluded
-    expect(returnedUser).not.toHaveProperty('role');
+    expect(returnedUser.role).toBe('admin');
     expect(returnedUser).not.toHaveProperty('loginAttempts');
     expect(returnedUser).not.toHaveProperty('isVerified');
   });
@@ -882,6 +1207,7 @@ describe('Authentication and Profile Integration', () => {
     // Mock services
     authService.verifyToken = jest.fn();
     userService.getUserById = jest.fn();
+    sessionService.getActiveSession.mockResolvedValue({ id: 5, userId: 1 });
   });
   
   test('should successfully authenticate and return user profile', async () => {
@@ -915,7 +1241,8 @@ describe('Authentication and Profile Integration', () => {
         email: 'test@example.com',
         createdAt: mockUser.createdAt,
         updatedAt: mockUser.updatedAt
-      }
+      },
+      profile: null
     });
     
     // Verify sensitive fields are excluded
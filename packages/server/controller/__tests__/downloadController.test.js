@@ -0,0 +1,222 @@
+const downloadController = require('../downloadController');
+const downloadService = require('../../services/download');
+const settingsService = require('../../services/settings');
+const archiveService = require('../../services/archive');
+
+// Mock the services
+jest.mock('../../services/download', () => ({
+  sanitizeName: jest.requireActual('../../services/download').sanitizeName,
+  listDownloads: jest.fn(),
+  createDownload: jest.fn(),
+  removeDownload: jest.fn(),
+  getDownload: jest.fn(),
+  getDownloadEntries: jest.fn()
+}));
+jest.mock('../../services/settings', () => ({
+  canDownload: jest.fn()
+}));
+jest.mock('../../services/archive', () => ({
+  getArchiveSize: jest.fn(),
+  createArchiveStream: jest.fn()
+}));
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => ({}))
+}));
+jest.mock('../../services/user', () => ({}));
+jest.mock('../../services/session', () => ({}));
+jest.mock('../../services/invite', () => ({}));
+
+describe('DownloadController', () => {
+  let req, res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      params: { id: '3' },
+      body: {},
+      user: { id: 1, role: 'viewer', maxCertification: 'PG' },
+      profile: null
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      download: jest.fn(),
+      attachment: jest.fn(),
+      set: jest.fn(),
+      destroy: jest.fn()
+    };
+
+    next = jest.fn();
+  });
+
+  describe('requireDownloads', () => {
+    test('should let allowed roles through', async () => {
+      settingsService.canDownload.mockResolvedValue(true);
+
+      await downloadController.requireDownloads(req, res, next);
+
+      expect(settingsService.canDownload).toHaveBeenCalledWith(req.user);
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('should return 403 when downloads are disabled for the role', async () => {
+      settingsService.canDownload.mockResolvedValue(false);
+
+      await downloadController.requireDownloads(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 403,
+        message: 'Forbidden',
+        errors: [{ field: 'auth', message: 'Downloads are disabled for your role' }]
+      });
+    });
+  });
+
+  describe('listDownloads', () => {
+    test('should return the queue of the user', async () => {
+      downloadService.listDownloads.mockResolvedValue([{ id: 3 }]);
+
+      await downloadController.listDownloads(req, res);
+
+      expect(downloadService.listDownloads).toHaveBeenCalledWith(1);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ results: [{ id: 3 }], count: 1 });
+    });
+  });
+
+  describe('createDownload', () => {
+    test('should queue the media within the content limits of the user', async () => {
+      req.body = { type: 'Season', id: 1399, season_number: 1, quality: '720p' };
+      downloadService.createDownload.mockResolvedValue({ id: 3, status: 'queued' });
+
+      await downloadController.createDownload(req, res);
+
+      expect(downloadService.createDownload).toHaveBeenCalledWith(
+        1,
+        { type: 'Season', id: 1399, season_number: 1, episode_number: undefined, quality: '720p' },
+        expect.objectContaining({ maxCertificationLevel: 2 })
+      );
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ download: { id: 3, status: 'queued' } });
+    });
+
+    test('should download the original files without a quality', async () => {
+      req.body = { type: 'Movie', id: 550, quality: '' };
+      downloadService.createDownload.mockResolvedValue({ id: 3 });
+
+      await downloadController.createDownload(req, res);
+
+      expect(downloadService.createDownload).toHaveBeenCalledWith(1, expect.objectContaining({ quality: null }), expect.any(Object));
+    });
+
+    test('should return 400 for an unsupported quality', async () => {
+      downloadService.createDownload.mockRejectedValue(new Error('Invalid quality'));
+
+      await downloadController.createDownload(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 400,
+        message: 'Validation failed',
+        errors: [{ field: 'quality', message: 'Invalid quality' }]
+      });
+    });
+
+    test('should return 404 for media the user cannot see', async () => {
+      downloadService.createDownload.mockRejectedValue(new Error('Media not found'));
+
+      await downloadController.createDownload(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should return 409 when the queue is full', async () => {
+      downloadService.createDownload.mockRejectedValue(new Error('Download queue full'));
+
+      await downloadController.createDownload(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('removeDownload', () => {
+    test('should remove the download', async () => {
+      downloadService.removeDownload.mockResolvedValue(true);
+
+      await downloadController.removeDownload(req, res);
+
+      expect(downloadService.removeDownload).toHaveBeenCalledWith(1, '3');
+      expect(res.json).toHaveBeenCalledWith({ id: 3, removed: true });
+    });
+
+    test('should return 404 for downloads of other users', async () => {
+      downloadService.removeDownload.mockResolvedValue(false);
+
+      await downloadController.removeDownload(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('getDownloadFile', () => {
+    test('should return 404 for downloads of other users', async () => {
+      downloadService.getDownload.mockResolvedValue(null);
+
+      await downloadController.getDownloadFile(req, res);
+
+      expect(downloadService.getDownload).toHaveBeenCalledWith(1, '3');
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should return 409 while the download is prepared', async () => {
+      downloadService.getDownload.mockResolvedValue({ type: 'Movie', status: 'preparing', files: [] });
+
+      await downloadController.getDownloadFile(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(downloadService.getDownloadEntries).not.toHaveBeenCalled();
+    });
+
+    test('should send a movie as a single file', async () => {
+      downloadService.getDownload.mockResolvedValue({ type: 'Movie', status: 'ready', files: [{}] });
+      downloadService.getDownloadEntries.mockResolvedValue([{ path: '/copies/720p.mp4', name: 'Fight Club (1999).mp4', size: 10 }]);
+
+      await downloadController.getDownloadFile(req, res);
+
+      expect(res.download).toHaveBeenCalledWith('/copies/720p.mp4', 'Fight Club (1999).mp4');
+      expect(archiveService.createArchiveStream).not.toHaveBeenCalled();
+    });
+
+    test('should stream a season as an archive', async () => {
+      const entries = [
+        { path: '/tv/s01e01.mkv', name: 'Show/Season 1/S01E01 - Pilot.mkv', size: 10 },
+        { path: '/tv/s01e02.mkv', name: 'Show/Season 1/S01E02 - Two.mkv', size: 20 }
+      ];
+      const archive = { on: jest.fn(), pipe: jest.fn() };
+      downloadService.getDownload.mockResolvedValue({ type: 'Season', title: 'Show - Season 1', status: 'ready', files: [{}, {}] });
+      downloadService.getDownloadEntries.mockResolvedValue(entries);
+      archiveService.getArchiveSize.mockReturnValue(3072);
+      archiveService.createArchiveStream.mockReturnValue(archive);
+
+      await downloadController.getDownloadFile(req, res);
+
+      expect(res.attachment).toHaveBeenCalledWith('Show - Season 1.tar');
+      expect(res.set).toHaveBeenCalledWith('Content-Length', '3072');
+      expect(archiveService.createArchiveStream).toHaveBeenCalledWith(entries);
+      expect(archive.pipe).toHaveBeenCalledWith(res);
+    });
+
+    test('should return 410 when a file was removed from the library', async () => {
+      downloadService.getDownload.mockResolvedValue({ type: 'Album', status: 'ready', files: [{}] });
+      downloadService.getDownloadEntries.mockRejectedValue(new Error('Download file missing'));
+
+      await downloadController.getDownloadFile(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(410);
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const favoriteController = require('../favoriteController');
+const favoriteService = require('../../services/favorite');
+
+// Mock the services
+jest.mock('../../services/favorite', () => ({
+  addFavorite: jest.fn(),
+  removeFavorite: jest.fn(),
+  getFavorites: jest.fn(),
+  getMyList: jest.fn()
+}));
+jest.mock('../../services/user', () => ({}));
+jest.mock('../../services/session', () => ({}));
+jest.mock('../../services/settings', () => ({}));
+jest.mock('../../services/invite', () => ({}));
+
+// The restrictions of a user without content limits
+const unrestricted = { maxCertificationLevel: null, hideAdult: false, hideExplicit: false };
+
+describe('FavoriteController', () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      params: { type: 'movies', id: '550' },
+      user: { id: 1 },
+      profile: { id: 1 }
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+  });
+
+  describe('getFavorites', () => {
+    test('should return the favorites of the requested type', async () => {
+      favoriteService.getFavorites.mockResolvedValue([{ id: 550 }]);
+
+      await favoriteController.getFavorites(req, res);
+
+      expect(favoriteService.getFavorites).toHaveBeenCalledWith(1, 'movies', unrestricted);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ results: [{ id: 550 }], count: 1 });
+    });
+
+    test('should return 400 for unsupported media types', async () => {
+      favoriteService.getFavorites.mockRejectedValue(new Error('Unsupported media type'));
+
+      await favoriteController.getFavorites(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 400,
+        message: 'Validation failed',
+        errors: [{ field: 'type', message: 'Unsupported media type' }]
+      });
+    });
+  });
+
+  describe('getMyList', () => {
+    test('should return the combined list', async () => {
+      favoriteService.getMyList.mockResolvedValue([{ id: 'abc' }, { id: 550 }]);
+
+      await favoriteController.getMyList(req, res);
+
+      expect(favoriteService.getMyList).toHaveBeenCalledWith(1, unrestricted);
+      expect(res.json).toHaveBeenCalledWith({ results: [{ id: 'abc' }, { id: 550 }], count: 2 });
+    });
+
+    test('should list only the items a kid profile may see', async () => {
+      favoriteService.getMyList.mockResolvedValue([]);
+      req.profile = { id: 2, kid: true };
+
+      await favoriteController.getMyList(req, res);
+
+      expect(favoriteService.getMyList).toHaveBeenCalledWith(2, { maxCertificationLevel: 2, hideAdult: true, hideExplicit: true });
+    });
+  });
+
+  describe('addFavorite', () => {
+    test('should return 201 when the favorite is added', async () => {
+      favoriteService.addFavorite.mockResolvedValue({});
+
+      await favoriteController.addFavorite(req, res);
+
+      expect(favoriteService.addFavorite).toHaveBeenCalledWith(1, 'movies', '550', unrestricted);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ type: 'movies', id: '550', favorite: true });
+    });
+
+    test('should return 404 when the media does not exist', async () => {
+      favoriteService.addFavorite.mockRejectedValue(new Error('Media not found'));
+
+      await favoriteController.addFavorite(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json.mock.calls[0][0].errors[0].message).toBe('Media not found');
+    });
+
+    test('should return 500 for unexpected errors', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      favoriteService.addFavorite.mockRejectedValue(new Error('Database down'));
+
+      await favoriteController.addFavorite(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json.mock.calls[0][0].message).toBe('Server error');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('removeFavorite', () => {
+    test('should return 200 when the favorite is removed', async () => {
+      favoriteService.removeFavorite.mockResolvedValue(true);
+
+      await favoriteController.removeFavorite(req, res);
+
+      expect(favoriteService.removeFavorite).toHaveBeenCalledWith(1, 'movies', '550', unrestricted);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ type: 'movies', id: '550', favorite: false });
+    });
+  });
+});
@@ -0,0 +1,97 @@
+const matchController = require('../matchController');
+const matchService = require('../../services/match');
+
+// Mock the services
+jest.mock('../../services/match', () => ({
+  listMatches: jest.fn(),
+  acceptMatch: jest.fn()
+}));
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => ({}))
+}));
+jest.mock('../../services/user', () => ({}));
+jest.mock('../../services/session', () => ({}));
+jest.mock('../../services/invite', () => ({}));
+
+describe('MatchController', () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      params: { id: '4' },
+      body: {},
+      user: { id: 1, role: 'admin' }
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+  });
+
+  describe('listMatches', () => {
+    test('should return the files waiting for review', async () => {
+      matchService.listMatches.mockResolvedValue([{ id: 4 }]);
+
+      await matchController.listMatches(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ results: [{ id: 4 }], count: 1 });
+    });
+  });
+
+  describe('acceptMatch', () => {
+    test('should accept the suggested match', async () => {
+      const result = { id: 4, tmdb_id: 550, files: [{ from: '/movies/Fight.Club.mkv', to: '/movies/Fight Club (1999) 550.mkv' }] };
+      matchService.acceptMatch.mockResolvedValue(result);
+
+      await matchController.acceptMatch(req, res);
+
+      expect(matchService.acceptMatch).toHaveBeenCalledWith('4', undefined);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(result);
+    });
+
+    test('should accept another TMDb ID', async () => {
+      req.body = { tmdb_id: 2996 };
+      matchService.acceptMatch.mockResolvedValue({ id: 4, tmdb_id: 2996, files: [] });
+
+      await matchController.acceptMatch(req, res);
+
+      expect(matchService.acceptMatch).toHaveBeenCalledWith('4', 2996);
+    });
+
+    test('should return 400 without a match to accept', async () => {
+      matchService.acceptMatch.mockRejectedValue(new Error('No match to accept'));
+
+      await matchController.acceptMatch(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 400,
+        message: 'Validation failed',
+        errors: [{ field: 'tmdb_id', message: 'No match to accept' }]
+      });
+    });
+
+    test('should return 404 for unknown files and TMDb IDs', async () => {
+      matchService.acceptMatch.mockRejectedValue(new Error('Match not found'));
+      await matchController.acceptMatch(req, res);
+      expect(res.status).toHaveBeenCalledWith(404);
+
+      matchService.acceptMatch.mockRejectedValue(new Error('TMDb item not found'));
+      await matchController.acceptMatch(req, res);
+      expect(res.status).toHaveBeenLastCalledWith(404);
+    });
+
+    test('should return 409 when the new name is taken', async () => {
+      matchService.acceptMatch.mockRejectedValue(new Error('File already exists'));
+
+      await matchController.acceptMatch(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+  });
+});
@@ -0,0 +1,412 @@
+const fs = require('fs');
+const playbackController = require('../playbackController');
+const probeService = require('../../services/probe');
+const transcodeService = require('../../services/transcode');
+const subtitleService = require('../../services/subtitle');
+const audioService = require('../../services/audio');
+const thumbnailService = require('../../services/thumbnail');
+
+// Mock the services
+jest.mock('../../services/probe', () => ({
+  ...jest.requireActual('../../services/probe'),
+  probeFile: jest.fn(),
+  getPlaybackMethod: jest.fn()
+}));
+jest.mock('../../services/transcode', () => ({
+  PLAYLIST_NAME: 'index.m3u8',
+  MASTER_PLAYLIST_NAME: 'master.m3u8',
+  getRenditions: jest.fn(),
+  getPlaylist: jest.fn(),
+  getSegment: jest.fn(),
+  getMasterPlaylist: jest.fn(),
+  getRenditionPlaylist: jest.fn(),
+  getRenditionSegment: jest.fn()
+}));
+jest.mock('../../services/subtitle', () => ({
+  getSubtitles: jest.fn(),
+  getSubtitleFile: jest.fn()
+}));
+jest.mock('../../services/audio', () => ({
+  ...jest.requireActual('../../services/audio'),
+  getAudioFile: jest.fn()
+}));
+jest.mock('../../services/thumbnail', () => ({
+  TRACK_NAME: 'thumbnails.vtt',
+  hasThumbnails: jest.fn(),
+  getThumbnailFile: jest.fn()
+}));
+jest.mock('../../services/user', () => ({}));
+jest.mock('../../services/session', () => ({}));
+jest.mock('../../services/settings', () => ({}));
+jest.mock('../../services/invite', () => ({}));
+
+describe('PlaybackController', () => {
+  let req, res;
+  const info = {
+    container: '.mkv',
+    duration: 5400,
+    video: { index: 0, codec: 'hevc' },
+    audio: [
+      { index: 1, codec: 'dts', language: 'eng', title: null, channels: 6 },
+      { index: 2, codec: 'ac3', language: 'fre', title: null, channels: 6 }
+    ],
+    subtitles: []
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    transcodeService.getRenditions.mockReturnValue([]);
+    subtitleService.getSubtitles.mockResolvedValue([]);
+    thumbnailService.hasThumbnails.mockResolvedValue(false);
+
+    req = {
+      baseUrl: '/api',
+      path: '/movies/550/playback',
+      params: { id: '550' },
+      query: {},
+      user: { id: 1 },
+      filePath: '/movies/Fight Club (1999)/Fight Club (1999).mkv'
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+      set: jest.fn().mockReturnThis(),
+      type: jest.fn().mockReturnThis(),
+      sendFile: jest.fn()
+    };
+  });
+
+  describe('getPlayback', () => {
+    test('should point the player to the HLS playlist of files browsers cannot play', async () => {
+      probeService.probeFile.mockResolvedValue(info);
+      probeService.getPlaybackMethod.mockReturnValue({ method: 'transcode', reasons: ['Container .mkv is not supported'] });
+
+      await playbackController.getPlayback(req, res);
+
+      expect(probeService.probeFile).toHaveBeenCalledWith(req.filePath);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        method: 'transcode',
+        url: '/api/movies/550/hls/index.m3u8',
+        adaptive_url: null,
+        renditions: [],
+        audio: 1,
+        audio_tracks: [
+          { index: 1, codec: 'dts', language: 'eng', title: null, channels: 6 },
+          { index: 2, codec: 'ac3', language: 'fre', title: null, channels: 6 }
+        ],
+        subtitles: [],
+        thumbnails: null,
+        duration: 5400,
+        reasons: ['Container .mkv is not supported']
+      });
+    });
+
+    test('should list the renditions of the quality menu', async () => {
+      probeService.probeFile.mockResolvedValue(info);
+      probeService.getPlaybackMethod.mockReturnValue({ method: 'transcode', reasons: [] });
+      transcodeService.getRenditions.mockReturnValue([
+        { name: '720p', width: 1280, height: 720, bandwidth: 2928000, videoBitrate: 2800000, audioBitrate: 128000 }
+      ]);
+
+      await playbackController.getPlayback(req, res);
+
+      expect(res.json.mock.calls[0][0].adaptive_url).toBe('/api/movies/550/hls/master.m3u8');
+      expect(res.json.mock.calls[0][0].renditions).toEqual([
+        { name: '720p', width: 1280, height: 720, bandwidth: 2928000, url: '/api/movies/550/hls/720p/index.m3u8' }
+      ]);
+    });
+
+    test('should list the subtitle tracks', async () => {
+      probeService.probeFile.mockResolvedValue(info);
+      probeService.getPlaybackMethod.mockReturnValue({ method: 'transcode', reasons: [] });
+      subtitleService.getSubtitles.mockResolvedValue([
+        { id: 4, fs_path: '/movies/Fight Club (1999)/Fight Club (1999).en.srt', format: 'srt', language: 'en', title: null, is_default: false, is_forced: false }
+      ]);
+
+      await playbackController.getPlayback(req, res);
+
+      expect(subtitleService.getSubtitles).toHaveBeenCalledWith(req.filePath);
+      expect(res.json.mock.calls[0][0].subtitles).toEqual([
+        { id: 4, language: 'en', title: null, is_default: false, is_forced: false, url: '/api/subtitles/4' }
+      ]);
+    });
+
+    test('should play the audio track in the language of the user', async () => {
+      req.user.audioLanguage = 'fr';
+      probeService.probeFile.mockResolvedValue(info);
+      probeService.getPlaybackMethod.mockReturnValue({ method: 'transcode', reasons: [] });
+
+      await playbackController.getPlayback(req, res);
+
+      expect(probeService.getPlaybackMethod.mock.calls[0][0].audio[0].index).toBe(2);
+      expect(res.json.mock.calls[0][0].audio).toBe(2);
+      expect(res.json.mock.calls[0][0].url).toBe('/api/movies/550/hls/index.m3u8?audio=2');
+    });
+
+    test('should play the audio track picked in the player', async () => {
+      req.user.audioLanguage = 'fr';
+      req.query.audio = '1';
+      probeService.probeFile.mockResolvedValue(info);
+      probeService.getPlaybackMethod.mockReturnValue({ method: 'transcode', reasons: [] });
+
+      await playbackController.getPlayback(req, res);
+
+      expect(res.json.mock.calls[0][0].audio).toBe(1);
+      expect(res.json.mock.calls[0][0].url).toBe('/api/movies/550/hls/index.m3u8');
+    });
+
+    test('should return 404 for audio tracks the file does not have', async () => {
+      req.query.audio = '7';
+      probeService.probeFile.mockResolvedValue(info);
+
+      await playbackController.getPlayback(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should point the player to the stream of files browsers can play', async () => {
+      req.path = '/tv/1399/1/1/playback';
+      probeService.probeFile.mockResolvedValue({ ...info, container: '.mp4' });
+      probeService.getPlaybackMethod.mockReturnValue({ method: 'direct', reasons: [] });
+
+      await playbackController.getPlayback(req, res);
+
+      expect(res.json.mock.calls[0][0].url).toBe('/api/tv/1399/1/1/stream');
+    });
+
+    test('should return 404 when the user cannot access the file', async () => {
+      req.filePath = null;
+
+      await playbackController.getPlayback(req, res);
+
+      expect(probeService.probeFile).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('getHlsFile', () => {
+    beforeEach(() => {
+      jest.spyOn(fs.promises, 'readFile').mockResolvedValue('#EXTM3U\n#EXTINF:6.000000,\nsegment00000.ts\n');
+    });
+
+    afterEach(() => {
+      fs.promises.readFile.mockRestore();
+    });
+
+    test('should send the playlist', async () => {
+      req.params.file = 'index.m3u8';
+      probeService.probeFile.mockResolvedValue(info);
+      probeService.getPlaybackMethod.mockReturnValue({ method: 'transcode', copyVideo: false, copyAudio: false });
+      transcodeService.getPlaylist.mockResolvedValue('/tmp/homehost-transcodes/abc/index.m3u8');
+
+      await playbackController.getHlsFile(req, res);
+
+      expect(transcodeService.getPlaylist).toHaveBeenCalledWith(req.filePath, info, { method: 'transcode', copyVideo: false, copyAudio: false });
+      expect(fs.promises.readFile).toHaveBeenCalledWith('/tmp/homehost-transcodes/abc/index.m3u8', 'utf8');
+      expect(res.type).toHaveBeenCalledWith('application/vnd.apple.mpegurl');
+      expect(res.send).toHaveBeenCalledWith('#EXTM3U\n#EXTINF:6.000000,\nsegment00000.ts\n');
+    });
+
+    test('should keep the audio track in the segment URIs', async () => {
+      req.params.file = 'index.m3u8';
+      req.query.audio = '2';
+      probeService.probeFile.mockResolvedValue(info);
+      probeService.getPlaybackMethod.mockReturnValue({ method: 'transcode', copyVideo: false, copyAudio: false });
+      transcodeService.getPlaylist.mockResolvedValue('/tmp/homehost-transcodes/abc/original-audio2/index.m3u8');
+
+      await playbackController.getHlsFile(req, res);
+
+      expect(transcodeService.getPlaylist.mock.calls[0][1].audio[0].index).toBe(2);
+      expect(res.send).toHaveBeenCalledWith('#EXTM3U\n#EXTINF:6.000000,\nsegment00000.ts?audio=2\n');
+    });
+
+    test('should send segments', async () => {
+      req.params.file = 'segment00003.ts';
+      probeService.probeFile.mockResolvedValue(info);
+      transcodeService.getSegment.mockResolvedValue('/tmp/homehost-transcodes/abc/segment00003.ts');
+
+      await playbackController.getHlsFile(req, res);
+
+      expect(transcodeService.getSegment).toHaveBeenCalledWith(req.filePath, info, 'segment00003.ts');
+      expect(res.type).toHaveBeenCalledWith('video/mp2t');
+      expect(res.sendFile).toHaveBeenCalledWith('/tmp/homehost-transcodes/abc/segment00003.ts');
+    });
+
+    test('should return 404 for unknown segments', async () => {
+      req.params.file = 'other.ts';
+      probeService.probeFile.mockResolvedValue(info);
+      transcodeService.getSegment.mockResolvedValue(null);
+
+      await playbackController.getHlsFile(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.sendFile).not.toHaveBeenCalled();
+    });
+
+    test('should send the master playlist', async () => {
+      req.params.file = 'master.m3u8';
+      probeService.probeFile.mockResolvedValue(info);
+      transcodeService.getMasterPlaylist.mockResolvedValue('#EXTM3U\n');
+
+      await playbackController.getHlsFile(req, res);
+
+      expect(transcodeService.getMasterPlaylist).toHaveBeenCalledWith(req.filePath, info);
+      expect(res.send).toHaveBeenCalledWith('#EXTM3U\n');
+    });
+
+    test('should return 500 when transcoding fails', async () => {
+      req.params.file = 'index.m3u8';
+      probeService.probeFile.mockResolvedValue(info);
+      transcodeService.getPlaylist.mockRejectedValue(new Error('Transcoding failed'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await playbackController.getHlsFile(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getRenditionFile', () => {
+    beforeEach(() => {
+      req.params = { id: '550', rendition: '720p' };
+      req.query = {};
+      probeService.probeFile.mockResolvedValue(info);
+    });
+
+    test('should send the rendition playlist', async () => {
+      req.params.file = 'index.m3u8';
+      transcodeService.getRenditionPlaylist.mockReturnValue('#EXTM3U\n');
+
+      await playbackController.getRenditionFile(req, res);
+
+      expect(transcodeService.getRenditionPlaylist).toHaveBeenCalledWith(info, '720p');
+      expect(res.type).toHaveBeenCalledWith('application/vnd.apple.mpegurl');
+      expect(res.send).toHaveBeenCalledWith('#EXTM3U\n');
+    });
+
+    test('should return 404 for renditions above the file resolution', async () => {
+      req.params = { id: '550', rendition: '1080p', file: 'index.m3u8' };
+      transcodeService.getRenditionPlaylist.mockReturnValue(null);
+
+      await playbackController.getRenditionFile(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    test('should send rendition segments', async () => {
+      req.params.file = 'segment00010.ts';
+      transcodeService.getRenditionSegment.mockResolvedValue('/tmp/homehost-transcodes/abc/720p/segment00010.ts');
+
+      await playbackController.getRenditionFile(req, res);
+
+      expect(transcodeService.getRenditionSegment).toHaveBeenCalledWith(req.filePath, info, '720p', 'segment00010.ts');
+      expect(res.sendFile).toHaveBeenCalledWith('/tmp/homehost-transcodes/abc/720p/segment00010.ts');
+    });
+  });
+
+  describe('getThumbnailFile', () => {
+    test('should point the player to the thumbnail track once generated', async () => {
+      probeService.probeFile.mockResolvedValue(info);
+      probeService.getPlaybackMethod.mockReturnValue({ method: 'transcode', reasons: [] });
+      thumbnailService.hasThumbnails.mockResolvedValue(true);
+
+      await playbackController.getPlayback(req, res);
+
+      expect(res.json.mock.calls[0][0].thumbnails).toBe('/api/movies/550/thumbnails/thumbnails.vtt');
+    });
+
+    test('should send the thumbnail track and sprite sheets', async () => {
+      req.params.file = 'sprite001.jpg';
+      thumbnailService.getThumbnailFile.mockResolvedValue('/tmp/homehost-thumbnails/abc/sprite001.jpg');
+
+      await playbackController.getThumbnailFile(req, res);
+
+      expect(thumbnailService.getThumbnailFile).toHaveBeenCalledWith(req.filePath, 'sprite001.jpg');
+      expect(res.type).toHaveBeenCalledWith('image/jpeg');
+      expect(res.sendFile).toHaveBeenCalledWith('/tmp/homehost-thumbnails/abc/sprite001.jpg');
+    });
+
+    test('should return 404 for thumbnails not generated', async () => {
+      req.params.file = 'thumbnails.vtt';
+      thumbnailService.getThumbnailFile.mockResolvedValue(null);
+
+      await playbackController.getThumbnailFile(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.sendFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSubtitle', () => {
+    test('should send the subtitle as WebVTT', async () => {
+      req.subtitle = { id: 4, fs_path: null, stream_index: 3, format: 'subrip', media_path: req.filePath };
+      subtitleService.getSubtitleFile.mockResolvedValue('/tmp/homehost-transcodes/abc/subtitles/4-3.vtt');
+
+      await playbackController.getSubtitle(req, res);
+
+      expect(subtitleService.getSubtitleFile).toHaveBeenCalledWith(req.subtitle);
+      expect(res.type).toHaveBeenCalledWith('text/vtt');
+      expect(res.sendFile).toHaveBeenCalledWith('/tmp/homehost-transcodes/abc/subtitles/4-3.vtt');
+    });
+
+    test('should return 404 when the user cannot access the subtitle', async () => {
+      req.subtitle = null;
+
+      await playbackController.getSubtitle(req, res);
+
+      expect(subtitleService.getSubtitleFile).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('getSong', () => {
+    beforeEach(() => {
+      req.filePath = '/music/Album 4aawyAB9vmqN3uQ7FjRGTy/1-01 Song.flac';
+    });
+
+    test('should stream the song with the content type of its format', async () => {
+      audioService.getAudioFile.mockResolvedValue(req.filePath);
+
+      await playbackController.getSong(req, res);
+
+      expect(audioService.getAudioFile).toHaveBeenCalledWith(req.filePath, null);
+      expect(res.type).toHaveBeenCalledWith('audio/flac');
+      expect(res.sendFile).toHaveBeenCalledWith(req.filePath);
+    });
+
+    test('should stream the transcode asked for by the player', async () => {
+      req.query = { format: 'opus', bitrate: '128' };
+      audioService.getAudioFile.mockResolvedValue('/tmp/homehost-transcodes/abc/audio/opus-128.opus');
+
+      await playbackController.getSong(req, res);
+
+      expect(audioService.getAudioFile).toHaveBeenCalledWith(req.filePath, { format: 'opus', bitrate: 128 });
+      expect(res.type).toHaveBeenCalledWith('audio/ogg');
+      expect(res.sendFile).toHaveBeenCalledWith('/tmp/homehost-transcodes/abc/audio/opus-128.opus');
+    });
+
+    test('should return 400 for unsupported formats and bit rates', async () => {
+      req.query = { format: 'aac', bitrate: '1000' };
+
+      await playbackController.getSong(req, res);
+
+      expect(audioService.getAudioFile).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [{ field: 'bitrate', message: 'Invalid bitrate' }]
+      }));
+    });
+
+    test('should return 404 when the user cannot access the song', async () => {
+      req.filePath = null;
+
+      await playbackController.getSong(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
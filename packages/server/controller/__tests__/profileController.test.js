@@ -0,0 +1,139 @@
+const profileController = require('../profileController');
+const profileService = require('../../services/profile');
+const sessionService = require('../../services/session');
+
+// Mock the services
+jest.mock('../../services/profile', () => ({
+  AVATARS: ['red', 'blue'],
+  MAX_PROFILES: 5,
+  formatProfile: jest.fn(({ id, name, avatar, kid }) => ({ id, name, avatar, kid })),
+  listProfiles: jest.fn(),
+  getProfile: jest.fn(),
+  createProfile: jest.fn(),
+  updateProfile: jest.fn(),
+  deleteProfile: jest.fn()
+}));
+jest.mock('../../services/session', () => ({
+  selectProfile: jest.fn()
+}));
+jest.mock('../../services/user', () => ({}));
+jest.mock('../../services/settings', () => ({}));
+jest.mock('../../services/invite', () => ({}));
+
+describe('ProfileController', () => {
+  let req, res;
+  const profile = { id: 3, name: 'Kids', avatar: 'blue', kid: true };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      params: { id: '3' },
+      body: {},
+      user: { id: 1 },
+      sessionId: 5,
+      profile: { id: 2, name: 'Sam', kid: false }
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+  });
+
+  describe('listProfiles', () => {
+    test('should return the profiles and the one picked on the device', async () => {
+      profileService.listProfiles.mockResolvedValue([profile]);
+
+      await profileController.listProfiles(req, res);
+
+      expect(profileService.listProfiles).toHaveBeenCalledWith(1);
+      expect(res.json).toHaveBeenCalledWith({ results: [profile], count: 1, current: 2 });
+    });
+
+    test('should return no current profile before one is picked', async () => {
+      req.profile = null;
+      profileService.listProfiles.mockResolvedValue([profile]);
+
+      await profileController.listProfiles(req, res);
+
+      expect(res.json.mock.calls[0][0].current).toBeNull();
+    });
+  });
+
+  describe('createProfile', () => {
+    test('should create a profile', async () => {
+      req.body = { name: 'Kids', avatar: 'blue', kid: true };
+      profileService.createProfile.mockResolvedValue(profile);
+
+      await profileController.createProfile(req, res);
+
+      expect(profileService.createProfile).toHaveBeenCalledWith(1, { name: 'Kids', avatar: 'blue', kid: true });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({ profile });
+    });
+
+    test('should not let kid profiles manage profiles', async () => {
+      req.profile = profile;
+      req.body = { name: 'Grown-up' };
+
+      await profileController.createProfile(req, res);
+
+      expect(profileService.createProfile).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+    });
+
+    test('should return 409 once the profile limit is reached', async () => {
+      req.body = { name: 'Sixth' };
+      profileService.createProfile.mockRejectedValue(new Error('Profile limit reached'));
+
+      await profileController.createProfile(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('updateProfile', () => {
+    test('should return 400 for invalid names', async () => {
+      req.body = { name: '' };
+      profileService.updateProfile.mockRejectedValue(new Error('Invalid profile name'));
+
+      await profileController.updateProfile(req, res);
+
+      expect(profileService.updateProfile).toHaveBeenCalledWith(1, '3', { name: '', avatar: undefined, kid: undefined });
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].errors[0].field).toBe('name');
+    });
+  });
+
+  describe('deleteProfile', () => {
+    test('should return 409 for the last profile', async () => {
+      profileService.deleteProfile.mockRejectedValue(new Error('Cannot delete the last profile'));
+
+      await profileController.deleteProfile(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+  });
+
+  describe('selectProfile', () => {
+    test('should switch the session to the profile', async () => {
+      profileService.getProfile.mockResolvedValue({ ...profile, userId: 1 });
+
+      await profileController.selectProfile(req, res);
+
+      expect(profileService.getProfile).toHaveBeenCalledWith(1, '3');
+      expect(sessionService.selectProfile).toHaveBeenCalledWith(5, 3);
+      expect(res.json).toHaveBeenCalledWith({ profile });
+    });
+
+    test('should return 404 for profiles of other users', async () => {
+      profileService.getProfile.mockRejectedValue(new Error('Profile not found'));
+
+      await profileController.selectProfile(req, res);
+
+      expect(sessionService.selectProfile).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+});
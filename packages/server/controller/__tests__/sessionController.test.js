@@ -0,0 +1,67 @@
+const sessionController = require('../sessionController');
+const sessionService = require('../../services/session');
+
+// Mock the services
+jest.mock('../../services/session', () => ({
+  getActiveSessions: jest.fn(),
+  revokeSession: jest.fn(),
+  revokeAllSessions: jest.fn()
+}));
+jest.mock('../../services/user', () => ({}));
+jest.mock('../../services/settings', () => ({}));
+jest.mock('../../services/invite', () => ({}));
+
+describe('SessionController', () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      params: { id: '3' },
+      user: { id: 1 },
+      sessionId: 5
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      clearCookie: jest.fn()
+    };
+  });
+
+  describe('revokeSession', () => {
+    test('should revoke a session of the user', async () => {
+      sessionService.revokeSession.mockResolvedValue(true);
+
+      await sessionController.revokeSession(req, res);
+
+      expect(sessionService.revokeSession).toHaveBeenCalledWith(1, '3');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ id: 3, revoked: true });
+    });
+
+    test('should return 404 when the session is not found', async () => {
+      sessionService.revokeSession.mockResolvedValue(false);
+
+      await sessionController.revokeSession(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json.mock.calls[0][0].errors[0].message).toBe('Session not found');
+    });
+
+    test('should return 400 without looking up IDs that are not numbers', async () => {
+      req.params.id = 'abc';
+
+      await sessionController.revokeSession(req, res);
+
+      expect(sessionService.revokeSession).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 400,
+        message: 'Validation failed',
+        errors: [{ field: 'id', message: 'Session ID must be a number' }]
+      });
+    });
+  });
+});
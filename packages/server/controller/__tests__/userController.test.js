@@ -0,0 +1,208 @@
+const userController = require('../userController');
+const userService = require('../../services/user');
+const sessionService = require('../../services/session');
+
+// Mock the services
+jest.mock('../../services/user', () => ({
+  listUsers: jest.fn(),
+  updateUser: jest.fn(),
+  updatePreferences: jest.fn(),
+  resetPassword: jest.fn(),
+  deleteUser: jest.fn()
+}));
+jest.mock('../../services/session', () => ({
+  revokeAllSessions: jest.fn()
+}));
+jest.mock('../../services/settings', () => ({}));
+jest.mock('../../services/invite', () => ({}));
+
+describe('UserController', () => {
+  let req, res;
+  const createdAt = new Date('2024-01-01');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    req = {
+      params: { id: '2' },
+      body: {},
+      user: { id: 1, role: 'admin' }
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+  });
+
+  describe('listUsers', () => {
+    test('should return the users', async () => {
+      userService.listUsers.mockResolvedValue([
+        { id: 1, username: 'admin', email: 'admin@example.com', role: 'admin', disabled: false, createdAt, updatedAt: createdAt }
+      ]);
+
+      await userController.listUsers(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        results: [{ id: 1, username: 'admin', email: 'admin@example.com', role: 'admin', disabled: false, createdAt }],
+        count: 1
+      });
+    });
+  });
+
+  describe('updateUser', () => {
+    test('should change the role of a user', async () => {
+      req.body = { role: 'admin' };
+      userService.updateUser.mockResolvedValue({ id: 2, role: 'admin', disabled: false });
+
+      await userController.updateUser(req, res);
+
+      expect(userService.updateUser).toHaveBeenCalledWith('2', { role: 'admin', disabled: undefined });
+      expect(sessionService.revokeAllSessions).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should sign a disabled user out of every device', async () => {
+      req.body = { disabled: true };
+      userService.updateUser.mockResolvedValue({ id: 2, role: 'viewer', disabled: true });
+
+      await userController.updateUser(req, res);
+
+      expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(2);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should not let admins change their own account', async () => {
+      req.params.id = '1';
+      req.body = { role: 'viewer' };
+
+      await userController.updateUser(req, res);
+
+      expect(userService.updateUser).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test('should let admins set their own content limits', async () => {
+      req.params.id = '1';
+      req.body = { maxCertification: 'PG-13', hideExplicit: true };
+      userService.updateUser.mockResolvedValue({ id: 1, role: 'admin', disabled: false, maxCertification: 'PG-13', hideAdult: false, hideExplicit: true });
+
+      await userController.updateUser(req, res);
+
+      expect(userService.updateUser).toHaveBeenCalledWith('1', expect.objectContaining({ maxCertification: 'PG-13', hideExplicit: true }));
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].user).toMatchObject({ maxCertification: 'PG-13', hideAdult: false, hideExplicit: true });
+    });
+
+    test('should return 400 for unknown certifications', async () => {
+      req.body = { maxCertification: 'X' };
+      userService.updateUser.mockRejectedValue(new Error('Invalid certification'));
+
+      await userController.updateUser(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].errors[0].field).toBe('maxCertification');
+    });
+
+    test('should return 409 when removing the last admin', async () => {
+      req.body = { role: 'viewer' };
+      userService.updateUser.mockRejectedValue(new Error('Cannot remove the last admin'));
+
+      await userController.updateUser(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 409,
+        message: 'Conflict',
+        errors: [{ field: 'role', message: 'The server needs at least one enabled admin' }]
+      });
+    });
+
+    test('should return 404 for unknown users', async () => {
+      req.body = { disabled: true };
+      userService.updateUser.mockRejectedValue(new Error('User not found'));
+
+      await userController.updateUser(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('updatePreferences', () => {
+    test('should save the audio language of the signed-in user', async () => {
+      req.body = { audioLanguage: 'fr' };
+      userService.updatePreferences.mockResolvedValue({ id: 1, role: 'admin', audioLanguage: 'fr' });
+
+      await userController.updatePreferences(req, res);
+
+      expect(userService.updatePreferences).toHaveBeenCalledWith(1, { audioLanguage: 'fr' });
+      expect(res.json).toHaveBeenCalledWith({ preferences: { audioLanguage: 'fr' } });
+    });
+
+    test('should reject invalid languages', async () => {
+      req.body = { audioLanguage: 'French' };
+      userService.updatePreferences.mockRejectedValue(new Error('Invalid language'));
+
+      await userController.updatePreferences(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].errors[0].field).toBe('audioLanguage');
+    });
+  });
+
+  describe('resetPassword', () => {
+    test('should set the password and revoke every session', async () => {
+      req.body = { password: 'NewPassword123!', confirmPassword: 'NewPassword123!' };
+      userService.resetPassword.mockResolvedValue({ id: 2, role: 'viewer', disabled: false });
+
+      await userController.resetPassword(req, res);
+
+      expect(userService.resetPassword).toHaveBeenCalledWith('2', 'NewPassword123!');
+      expect(sessionService.revokeAllSessions).toHaveBeenCalledWith(2);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('should return 400 when the passwords do not match', async () => {
+      req.body = { password: 'NewPassword123!', confirmPassword: 'Other123!' };
+
+      await userController.resetPassword(req, res);
+
+      expect(userService.resetPassword).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    test('should return 400 for weak passwords', async () => {
+      req.body = { password: 'weak', confirmPassword: 'weak' };
+      userService.resetPassword.mockRejectedValue(new Error('Password must be at least 8 characters long'));
+
+      await userController.resetPassword(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 400,
+        message: 'Validation failed',
+        errors: [{ field: 'password', message: 'Password must be at least 8 characters long' }]
+      });
+    });
+  });
+
+  describe('deleteUser', () => {
+    test('should delete the user', async () => {
+      await userController.deleteUser(req, res);
+
+      expect(userService.deleteUser).toHaveBeenCalledWith('2');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ id: 2, deleted: true });
+    });
+
+    test('should not let admins delete their own account', async () => {
+      req.params.id = '1';
+
+      await userController.deleteUser(req, res);
+
+      expect(userService.deleteUser).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+  });
+});
@@ -1,6 +1,10 @@
 // controllers/authController.js
 const userService = require('../services/user');
 const authService = require('../services/auth');
+const sessionService = require('../services/session');
+const settingsService = require('../services/settings');
+const inviteService = require('../services/invite');
+const { RegistrationMode } = require('../constants');
 
 /**
  * Validates an email format
@@ -27,6 +31,89 @@ function formatErrorResponse(status, message, errors = []) {
   };
 }
 
+/**
+ * Picks the fields of the profile picked on a device
+ * @param {Object|null} profile - The profile record, or null if none has been picked
+ * @returns {Object|null} The profile formatted for API responses
+ */
+function formatSessionProfile(profile) {
+  if (!profile) {
+    return null;
+  }
+
+  const { id, name, avatar, kid } = profile;
+  return { id, name, avatar, kid };
+}
+
+/**
+ * Builds the options of the auth cookies
+ * @param {number} [maxAge] - Lifetime of the cookie in milliseconds, omitted when clearing
+ * @returns {Object} Cookie options
+ */
+function getCookieOptions(maxAge) {
+  return {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    domain: process.env.COOKIE_DOMAIN || 'localhost',
+    ...(maxAge && { maxAge })
+  };
+}
+
+/**
+ * Describes the device a request comes from, shown in the list of sessions
+ * @param {Object} req - Express request object
+ * @returns {Object} The user agent and IP address of the device
+ */
+function getDevice(req) {
+  return {
+    userAgent: req.headers?.['user-agent'],
+    ipAddress: req.ip
+  };
+}
+
+/**
+ * Issues an access token for a session and sets the auth and refresh cookies
+ * @param {Object} res - Express response object
+ * @param {Object} session - The session record
+ * @param {string} refreshToken - The refresh token of the session
+ * @returns {string} The access token
+ */
+function setSessionCookies(res, session, refreshToken) {
+  const token = authService.generateToken(
+    session.userId,
+    sessionService.ACCESS_TOKEN_EXPIRY,
+    session.id
+  );
+
+  res.cookie('auth_token', token, getCookieOptions(sessionService.ACCESS_TOKEN_MAX_AGE));
+  res.cookie('refresh_token', refreshToken, getCookieOptions(sessionService.REFRESH_TOKEN_MAX_AGE));
+
+  return token;
+}
+
+/**
+ * Clears the auth and refresh cookies
+ * @param {Object} res - Express response object
+ * @returns {void}
+ */
+function clearSessionCookies(res) {
+  res.clearCookie('auth_token', getCookieOptions());
+  res.clearCookie('refresh_token', getCookieOptions());
+}
+
+/**
+ * Starts a session for a user who just signed in and sets its cookies
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} userId - The user ID
+ * @returns {Promise<string>} The access token
+ */
+async function startSession(req, res, userId) {
+  const { session, refreshToken } = await sessionService.createSession(userId, getDevice(req));
+  return setSessionCookies(res, session, refreshToken);
+}
+
 /**
  * Authentication middleware to verify JWT token
  * @param {Object} req - Express request object
@@ -52,6 +139,15 @@ async function authenticate(req, res, next) {
       };
     });
 
+    // Tokens stop working as soon as their session is revoked
+    const session = await sessionService.getActiveSession(decoded.sid);
+    
+    if (!session) {
+      return res.status(401).json(formatErrorResponse(401, 'Authentication failed', [
+        { field: 'auth', message: 'Session expired or revoked' }
+      ]));
+    }
+
     const user = await userService.getUserById(decoded.userId);
     
     if (!user) {
@@ -60,7 +156,15 @@ async function authenticate(req, res, next) {
       ]));
     }
     
+    if (user.disabled) {
+      return res.status(401).json(formatErrorResponse(401, 'Authentication failed', [
+        { field: 'auth', message: 'Account disabled' }
+      ]));
+    }
+    
     req.user = user;
+    req.sessionId = session.id;
+    req.profile = session.profile || null;
     next();
   } catch (error) {
     console.error('Authentication middleware error:', error);
@@ -77,6 +181,42 @@ async function authenticate(req, res, next) {
   }
 }
 
+/**
+ * Creates a middleware that only lets users with one of the given roles through.
+ * Must be used after the authenticate middleware.
+ * @param {...string} roles - The roles allowed to access the route
+ * @returns {Function} Express middleware function
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json(formatErrorResponse(403, 'Forbidden', [
+        { field: 'auth', message: 'Insufficient permissions' }
+      ]));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Middleware that only lets requests through once a profile has been picked
+ * on the device. Must be used after the authenticate middleware.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next middleware function
+ * @returns {void}
+ */
+function requireProfile(req, res, next) {
+  if (!req.profile) {
+    return res.status(409).json(formatErrorResponse(409, 'Profile required', [
+      { field: 'profile', message: 'Select a profile first' }
+    ]));
+  }
+
+  next();
+}
+
 /**
  * Retrieves the authenticated user's profile
  * @param {Object} req - Express request object
@@ -89,15 +229,19 @@ async function getProfile(req, res) {
       throw new Error('User not found in request');
     }
 
-    const { id, username, email, createdAt, updatedAt } = req.user;
+    const { id, username, email, role, audioLanguage, createdAt, updatedAt } = req.user;
     const responseData = {
       user: {
         id,
         username,
         email,
+        role,
+        audioLanguage,
         createdAt,
         updatedAt
-      }
+      },
+      // The viewer profile picked on this device, if any
+      profile: formatSessionProfile(req.profile)
     };
 
     // The test expects us to:
@@ -130,9 +274,13 @@ async function getProfile(req, res) {
  */
 async function register(req, res) {
   try {
-    const { email, username, password, confirmPassword } = req.body;
+    const { email, username, password, confirmPassword, inviteCode } = req.body;
     const errors = [];
 
+    // The first account can always register, since nobody could have invited it
+    const mode = await settingsService.getRegistrationMode();
+    const inviteRequired = mode === RegistrationMode.Invite && await userService.countUsers() > 0;
+
     // Validate email
     if (!email) {
       errors.push({ field: 'email', message: 'Email is required' });
@@ -161,6 +309,11 @@ async function register(req, res) {
       errors.push({ field: 'confirmPassword', message: 'Passwords do not match' });
     }
 
+    // Validate invite code
+    if (inviteRequired && !inviteCode) {
+      errors.push({ field: 'inviteCode', message: 'Invite code is required' });
+    }
+
     // Return validation errors if any
     if (errors.length > 0) {
       return res.status(400).json(formatErrorResponse(400, 'Validation failed', errors));
@@ -168,27 +321,32 @@ async function register(req, res) {
 
     // Attempt to create user
     try {
+      if (inviteRequired) {
+        await inviteService.validateInvite(inviteCode);
+      }
+
       const user = await userService.createUser(email, username, password);
       
-      // Generate JWT token
-      const token = authService.generateToken(user.id);
+      // Another registration may have redeemed the code in the meantime
+      if (inviteRequired) {
+        try {
+          await inviteService.redeemInvite(inviteCode, user.id);
+        } catch (error) {
+          await userService.deleteUser(user.id);
+          throw error;
+        }
+      }
       
-      // Set token in cookie with httpOnly flag
-// In both register and login handlers, update cookie settings:
-    res.cookie('auth_token', token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'lax', // More flexible than 'strict'
-      maxAge: 24 * 60 * 60 * 1000,
-      domain: process.env.COOKIE_DOMAIN || 'localhost' // Add this line
-    });
+      // Start a session and set the access and refresh token cookies
+      const token = await startSession(req, res, user.id);
       
       // Return successful response
       return res.status(201).json({ 
         user: {
           id: user.id,
           username: user.username,
-          email: user.email
+          email: user.email,
+          role: user.role
         },
         token
       });
@@ -199,6 +357,13 @@ async function register(req, res) {
           { field: 'email', message: 'Email already in use' }
         ]));
       }
+
+      // Handle unknown, used or expired invite codes
+      if (error.message === 'Invalid invite code') {
+        return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+          { field: 'inviteCode', message: 'Invalid or expired invite code' }
+        ]));
+      }
       
       // Re-throw other errors to be caught by the outer catch block
       throw error;
@@ -243,25 +408,16 @@ async function login(req, res) {
       // Verify user credentials
       const user = await userService.verifyCredentials(email, password);
       
-      // Generate JWT token
-      const token = authService.generateToken(user.id);
-      
-      // Set token in cookie with httpOnly flag
-      // In both register and login handlers, update cookie settings:
-      res.cookie('auth_token', token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'lax', // More flexible than 'strict'
-        maxAge: 24 * 60 * 60 * 1000,
-        domain: process.env.COOKIE_DOMAIN || 'localhost' // Add this line
-      });
+      // Start a session and set the access and refresh token cookies
+      const token = await startSession(req, res, user.id);
       
       // Return successful response
       return res.status(200).json({ 
         user: {
           id: user.id,
           username: user.username,
-          email: user.email
+          email: user.email,
+          role: user.role
         },
         token
       });
@@ -273,6 +429,13 @@ async function login(req, res) {
         ]));
       }
       
+      // Handle accounts disabled by an admin
+      if (error.message === 'Account disabled') {
+        return res.status(403).json(formatErrorResponse(403, 'Forbidden', [
+          { field: 'general', message: 'This account has been disabled' }
+        ]));
+      }
+      
       // Re-throw other errors to be caught by the outer catch block
       throw error;
     }
@@ -284,6 +447,50 @@ async function login(req, res) {
   }
 }
 
+/**
+ * Exchanges the refresh token cookie for a new access token and refresh token
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function refresh(req, res) {
+  try {
+    const { session, refreshToken } = await sessionService.rotateSession(
+      req.cookies?.refresh_token,
+      getDevice(req)
+    );
+
+    const user = await userService.getUserById(session.userId);
+    if (!user || user.disabled) {
+      throw new Error('Invalid refresh token');
+    }
+
+    const token = setSessionCookies(res, session, refreshToken);
+
+    return res.status(200).json({
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role
+      },
+      profile: formatSessionProfile(session.profile),
+      token
+    });
+  } catch (error) {
+    if (error.message === 'Invalid refresh token') {
+      return res.status(401).json(formatErrorResponse(401, 'Authentication failed', [
+        { field: 'auth', message: 'Invalid refresh token' }
+      ]));
+    }
+
+    console.error('Token refresh error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error during token refresh' }
+    ]));
+  }
+}
+
 /**
  * Handles user logout
  * @param {Object} req - Express request object
@@ -292,20 +499,15 @@ async function login(req, res) {
  */
 async function logout(req, res) {
   try {
-    // Clear auth cookie
-    res.clearCookie('auth_token', {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict'
-    });
+    // Clear auth and refresh cookies
+    clearSessionCookies(res);
 
-    // Add token to blacklist (if applicable)
+    // Revoke the session so its refresh token can no longer be used
     try {
-      // If token is in the request (Authorization header or cookie), add it to blacklist
-      const token = req.headers.authorization?.split(' ')[1] || req.cookies?.auth_token;
+      const refreshToken = req.cookies?.refresh_token;
       
-      if (token) {
-        await authService.invalidateToken(token);
+      if (refreshToken) {
+        await sessionService.revokeSessionByRefreshToken(refreshToken);
       }
       
       return res.status(200).json({
@@ -313,9 +515,9 @@ async function logout(req, res) {
         message: 'Successfully logged out'
       });
     } catch (error) {
-      // Even if token blacklisting fails, still consider the logout successful
-      // since we've cleared the client-side cookie
-      console.error('Token invalidation error:', error);
+      // Even if revoking the session fails, still consider the logout successful
+      // since we've cleared the client-side cookies
+      console.error('Session revocation error:', error);
       
       return res.status(200).json({
         success: true,
@@ -332,10 +534,14 @@ async function logout(req, res) {
 
 module.exports = {
   formatErrorResponse,
+  clearSessionCookies,
   register,
   login,
+  refresh,
   logout,
   authenticate,
+  requireRole,
+  requireProfile,
   getProfile,
   isValidEmail // Exported for testing
 };
\ No newline at end of file
@@ -0,0 +1,171 @@
+// controllers/downloadController.js
+const path = require('path');
+const downloadService = require('../services/download');
+const settingsService = require('../services/settings');
+const archiveService = require('../services/archive');
+const { getRestrictions } = require('../services/restriction');
+const { Type } = require('../constants');
+const { formatErrorResponse } = require('./authController');
+
+// Fields of the creation request each error relates to
+const CREATE_ERRORS = {
+  'Invalid download type': { status: 400, field: 'type' },
+  'Invalid quality': { status: 400, field: 'quality' },
+  'Media not found': { status: 404, field: 'id' },
+  'Download queue full': { status: 409, field: 'general' },
+};
+
+/**
+ * Returns the error response for a download the user does not have
+ * @param {Object} res - Express response object
+ * @returns {Object} The 404 response
+ */
+function notFound(res) {
+  return res.status(404).json(formatErrorResponse(404, 'Not found', [{ field: 'download', message: 'Download not found' }]));
+}
+
+/**
+ * Middleware rejecting users whose role an admin does not allow to download. Must run after authenticate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<void>}
+ */
+async function requireDownloads(req, res, next) {
+  try {
+    if (await settingsService.canDownload(req.user)) return next();
+
+    return res.status(403).json(formatErrorResponse(403, 'Forbidden', [
+      { field: 'auth', message: 'Downloads are disabled for your role' }
+    ]));
+  } catch (error) {
+    console.error('Download permission error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while checking download permission' }
+    ]));
+  }
+}
+
+/**
+ * Lists the download queue of the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function listDownloads(req, res) {
+  try {
+    const results = await downloadService.listDownloads(req.user.id);
+    return res.status(200).json({ results, count: results.length });
+  } catch (error) {
+    console.error('List downloads error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while listing downloads' }
+    ]));
+  }
+}
+
+/**
+ * Adds a movie, episode, season or album to the download queue of the authenticated user,
+ * within the content limits of the user and profile
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function createDownload(req, res) {
+  try {
+    const { type, id, season_number, episode_number, quality } = req.body || {};
+    const download = await downloadService.createDownload(
+      req.user.id,
+      { type, id, season_number, episode_number, quality: quality || null },
+      getRestrictions(req.user, req.profile)
+    );
+    return res.status(201).json({ download });
+  } catch (error) {
+    const known = CREATE_ERRORS[error.message];
+    if (known) {
+      return res.status(known.status).json(formatErrorResponse(known.status, known.status === 400 ? 'Validation failed' : error.message, [
+        { field: known.field, message: error.message }
+      ]));
+    }
+
+    console.error('Create download error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while creating download' }
+    ]));
+  }
+}
+
+/**
+ * Removes a download from the queue of the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function removeDownload(req, res) {
+  try {
+    const { id } = req.params;
+    const removed = await downloadService.removeDownload(req.user.id, id);
+    if (!removed) return notFound(res);
+
+    return res.status(200).json({ id: Number(id), removed: true });
+  } catch (error) {
+    console.error('Remove download error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while removing download' }
+    ]));
+  }
+}
+
+/**
+ * Sends a ready download of the authenticated user: the file itself for a movie or episode,
+ * or a tar archive streamed file by file for a season or album
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getDownloadFile(req, res) {
+  try {
+    const download = await downloadService.getDownload(req.user.id, req.params.id);
+    if (!download) return notFound(res);
+
+    if (download.status !== 'ready') {
+      return res.status(409).json(formatErrorResponse(409, 'Download not ready', [
+        { field: 'download', message: 'Download not ready' }
+      ]));
+    }
+
+    const entries = await downloadService.getDownloadEntries(download);
+    if ([Type.Movie, Type.TV.Episode].includes(download.type)) {
+      const [entry] = entries;
+      return res.download(path.resolve(entry.path), path.basename(entry.name));
+    }
+
+    res.attachment(`${downloadService.sanitizeName(download.title)}.tar`);
+    res.set('Content-Length', String(archiveService.getArchiveSize(entries)));
+    const archive = archiveService.createArchiveStream(entries);
+    archive.on('error', (error) => {
+      console.error('Download archive error:', error);
+      res.destroy(error);
+    });
+    return archive.pipe(res);
+  } catch (error) {
+    if (error.message === 'Download file missing') {
+      return res.status(410).json(formatErrorResponse(410, 'Gone', [
+        { field: 'download', message: 'A file of this download was removed from the library' }
+      ]));
+    }
+
+    console.error('Download file error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while sending download' }
+    ]));
+  }
+}
+
+module.exports = {
+  requireDownloads,
+  listDownloads,
+  createDownload,
+  removeDownload,
+  getDownloadFile
+};
@@ -0,0 +1,73 @@
+// controllers/favoriteController.js
+const favoriteService = require('../services/favorite');
+const { getRestrictions } = require('../services/restriction');
+const { handleMediaError } = require('./mediaError');
+
+/**
+ * Lists the active profile's favorites of one media type
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getFavorites(req, res) {
+  try {
+    const results = await favoriteService.getFavorites(req.profile.id, req.params.type, getRestrictions(req.user, req.profile));
+    return res.status(200).json({ results, count: results.length });
+  } catch (error) {
+    return handleMediaError(res, error, 'Listing favorites');
+  }
+}
+
+/**
+ * Returns the combined "My List" feed of the active profile
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getMyList(req, res) {
+  try {
+    const results = await favoriteService.getMyList(req.profile.id, getRestrictions(req.user, req.profile));
+    return res.status(200).json({ results, count: results.length });
+  } catch (error) {
+    return handleMediaError(res, error, 'Listing my list');
+  }
+}
+
+/**
+ * Adds an item to the active profile's favorites
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function addFavorite(req, res) {
+  try {
+    const { type, id } = req.params;
+    await favoriteService.addFavorite(req.profile.id, type, id, getRestrictions(req.user, req.profile));
+    return res.status(201).json({ type, id, favorite: true });
+  } catch (error) {
+    return handleMediaError(res, error, 'Adding favorite');
+  }
+}
+
+/**
+ * Removes an item from the active profile's favorites
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function removeFavorite(req, res) {
+  try {
+    const { type, id } = req.params;
+    await favoriteService.removeFavorite(req.profile.id, type, id, getRestrictions(req.user, req.profile));
+    return res.status(200).json({ type, id, favorite: false });
+  } catch (error) {
+    return handleMediaError(res, error, 'Removing favorite');
+  }
+}
+
+module.exports = {
+  getFavorites,
+  getMyList,
+  addFavorite,
+  removeFavorite
+};
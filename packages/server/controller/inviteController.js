@@ -0,0 +1,78 @@
+// controllers/inviteController.js
+const inviteService = require('../services/invite');
+const { formatErrorResponse } = require('./authController');
+
+/**
+ * Lists every invite code with who created and redeemed it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function listInvites(req, res) {
+  try {
+    const results = await inviteService.listInvites();
+    return res.status(200).json({ results, count: results.length });
+  } catch (error) {
+    console.error('List invites error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while listing invites' }
+    ]));
+  }
+}
+
+/**
+ * Creates a single-use invite code on behalf of the authenticated admin
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function createInvite(req, res) {
+  try {
+    const expiresInDays = req.body?.expires_in_days ?? inviteService.DEFAULT_EXPIRY_DAYS;
+    const invite = await inviteService.createInvite(req.user.id, expiresInDays);
+    return res.status(201).json({ invite });
+  } catch (error) {
+    if (error.message === 'Invalid invite expiry') {
+      return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+        { field: 'expires_in_days', message: 'Expiry must be between 1 and 90 days' }
+      ]));
+    }
+
+    console.error('Create invite error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while creating invite' }
+    ]));
+  }
+}
+
+/**
+ * Deletes an invite code that has not been redeemed yet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function revokeInvite(req, res) {
+  try {
+    const { id } = req.params;
+    const revoked = await inviteService.revokeInvite(id);
+
+    if (!revoked) {
+      return res.status(404).json(formatErrorResponse(404, 'Not found', [
+        { field: 'invite', message: 'Invite not found or already redeemed' }
+      ]));
+    }
+
+    return res.status(200).json({ id: Number(id), revoked: true });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while revoking invite' }
+    ]));
+  }
+}
+
+module.exports = {
+  listInvites,
+  createInvite,
+  revokeInvite
+};
@@ -0,0 +1,60 @@
+// controllers/matchController.js
+const matchService = require('../services/match');
+const { formatErrorResponse } = require('./authController');
+
+// Fields of the accept request each error relates to
+const ACCEPT_ERRORS = {
+  'Match not found': { status: 404, field: 'match' },
+  'No match to accept': { status: 400, field: 'tmdb_id' },
+  'TMDb item not found': { status: 404, field: 'tmdb_id' },
+  'File already exists': { status: 409, field: 'fs_path' },
+};
+
+/**
+ * Lists the movies and episodes whose release names could not be matched on TMDb with confidence
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function listMatches(req, res) {
+  try {
+    const results = await matchService.listMatches();
+    return res.status(200).json({ results, count: results.length });
+  } catch (error) {
+    console.error('List matches error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while listing matches' }
+    ]));
+  }
+}
+
+/**
+ * Accepts the suggested match of a file, or the TMDb ID in the body, and renames the file so the next sync adds it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function acceptMatch(req, res) {
+  try {
+    const { tmdb_id } = req.body || {};
+    const result = await matchService.acceptMatch(req.params.id, tmdb_id);
+    return res.status(200).json(result);
+  } catch (error) {
+    const known = ACCEPT_ERRORS[error.message];
+    if (known) {
+      return res.status(known.status).json(formatErrorResponse(known.status, known.status === 400 ? 'Validation failed' : error.message, [
+        { field: known.field, message: error.message }
+      ]));
+    }
+
+    console.error('Accept match error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while accepting match' }
+    ]));
+  }
+}
+
+module.exports = {
+  listMatches,
+  acceptMatch
+};
@@ -0,0 +1,30 @@
+// controllers/mediaError.js
+const { formatErrorResponse } = require('./authController');
+
+/**
+ * Maps media lookup errors thrown by the user media services to an HTTP error response
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error thrown by the service
+ * @param {string} action - Description of the failed action for the generic error
+ * @returns {Object} The Express response
+ */
+function handleMediaError(res, error, action) {
+  if (error.message === 'Unsupported media type') {
+    return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+      { field: 'type', message: 'Unsupported media type' }
+    ]));
+  }
+
+  if (error.message === 'Media not found') {
+    return res.status(404).json(formatErrorResponse(404, 'Not found', [
+      { field: 'id', message: 'Media not found' }
+    ]));
+  }
+
+  console.error(`${action} error:`, error);
+  return res.status(500).json(formatErrorResponse(500, 'Server error', [
+    { field: 'general', message: `Server error while ${action.toLowerCase()}` }
+  ]));
+}
+
+module.exports = { handleMediaError };
@@ -0,0 +1,266 @@
+// controllers/playbackController.js
+const fs = require('fs');
+const path = require('path');
+const probeService = require('../services/probe');
+const transcodeService = require('../services/transcode');
+const subtitleService = require('../services/subtitle');
+const audioService = require('../services/audio');
+const thumbnailService = require('../services/thumbnail');
+const { formatErrorResponse } = require('./authController');
+
+/**
+ * Returns the error response for a video the user cannot access
+ * @param {Object} res - Express response object
+ * @returns {Object} The 404 response
+ */
+function notFound(res) {
+  return res.status(404).json(formatErrorResponse(404, 'Media not found', [{ field: 'id', message: 'Media not found' }]));
+}
+
+/**
+ * Returns the error response for an audio track the video does not have
+ * @param {Object} res - Express response object
+ * @returns {Object} The 404 response
+ */
+function audioNotFound(res) {
+  return res.status(404).json(formatErrorResponse(404, 'Audio track not found', [{ field: 'audio', message: 'Audio track not found' }]));
+}
+
+/**
+ * Reads the audio track picked in the player from the 'audio' query parameter
+ * @param {Object} req - Express request object
+ * @returns {number|undefined} The stream index of the audio track, undefined for the first track
+ */
+function getAudioIndex(req) {
+  const { audio } = req.query || {};
+  return audio === undefined ? undefined : parseInt(audio, 10);
+}
+
+/**
+ * Builds the query string keeping the audio track of a variant in the URLs of its playlists and segments
+ * @param {Object} info - The probe result of the video, with the audio track to play first
+ * @returns {string} The query string, empty for the first audio track
+ */
+function getAudioQuery(info) {
+  return info.alternateAudio ? `?audio=${info.audio[0].index}` : '';
+}
+
+/**
+ * Adds the audio track of a variant to the URIs of a playlist, since players resolve them without the query string
+ * @param {string} playlist - The playlist
+ * @param {Object} info - The probe result of the video, with the audio track to play first
+ * @returns {string} The playlist
+ */
+function addAudioQuery(playlist, info) {
+  const query = getAudioQuery(info);
+  return query ? playlist.replace(/^([^#\s].*)$/gm, `$1${query}`) : playlist;
+}
+
+/**
+ * Tells the player how to play the video resolved into req.filePath: as is from the stream URL,
+ * or through an HLS playlist transcoded on demand. Videos can also be played through the
+ * adaptive bitrate ladder, listing the renditions of the quality menu, and the subtitle tracks.
+ * The audio track is picked with the 'audio' query parameter, else in the audio language of the
+ * user, and any track but the first one is played through HLS. The thumbnail track previews the
+ * video while seeking once the background job has generated it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getPlayback(req, res) {
+  if (!req.filePath) return notFound(res);
+
+  try {
+    const probed = await probeService.probeFile(req.filePath);
+    const preferred = probeService.findAudioTrack(probed, req.user && req.user.audioLanguage);
+    const audioIndex = getAudioIndex(req);
+    const info = probeService.selectAudioTrack(probed, audioIndex === undefined && preferred ? preferred.index : audioIndex);
+    if (!info) return audioNotFound(res);
+
+    const { method, reasons } = probeService.getPlaybackMethod(info);
+    const basePath = (req.baseUrl + req.path).replace(/\/playback$/, '');
+    const query = getAudioQuery(info);
+    const renditions = transcodeService.getRenditions(info);
+    const subtitles = await subtitleService.getSubtitles(req.filePath);
+    const thumbnails = await thumbnailService.hasThumbnails(req.filePath);
+
+    return res.status(200).json({
+      method,
+      url: method === 'direct' ? `${basePath}/stream` : `${basePath}/hls/${transcodeService.PLAYLIST_NAME}${query}`,
+      adaptive_url: renditions.length ? `${basePath}/hls/${transcodeService.MASTER_PLAYLIST_NAME}${query}` : null,
+      renditions: renditions.map(({ name, width, height, bandwidth }) => ({
+        name,
+        width,
+        height,
+        bandwidth,
+        url: `${basePath}/hls/${name}/${transcodeService.PLAYLIST_NAME}${query}`
+      })),
+      audio: info.audio.length ? info.audio[0].index : null,
+      audio_tracks: probed.audio.map(({ index, codec, language, title, channels }) => ({ index, codec, language, title, channels })),
+      subtitles: subtitles.map(({ id, language, title, is_default, is_forced }) => ({
+        id,
+        language,
+        title,
+        is_default,
+        is_forced,
+        url: `${req.baseUrl}/subtitles/${id}`
+      })),
+      thumbnails: thumbnails ? `${basePath}/thumbnails/${thumbnailService.TRACK_NAME}` : null,
+      duration: info.duration,
+      reasons
+    });
+  } catch (error) {
+    console.error('Playback error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Playback failed', [{ field: 'general', message: error.message }]));
+  }
+}
+
+/**
+ * Sends a generated playlist, which changes with the file and must not be cached by players
+ * @param {Object} res - Express response object
+ * @param {string} playlist - The playlist
+ * @returns {Object} The response
+ */
+function sendPlaylist(res, playlist) {
+  res.set('Cache-Control', 'no-cache');
+  return res.type('application/vnd.apple.mpegurl').send(playlist);
+}
+
+/**
+ * Sends the HLS master playlist, or the playlist or a segment of the original variant of the video
+ * resolved into req.filePath, transcoding it if needed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getHlsFile(req, res) {
+  if (!req.filePath) return notFound(res);
+
+  try {
+    const info = probeService.selectAudioTrack(await probeService.probeFile(req.filePath), getAudioIndex(req));
+    if (!info) return audioNotFound(res);
+
+    if (req.params.file === transcodeService.MASTER_PLAYLIST_NAME) {
+      const playlist = await transcodeService.getMasterPlaylist(req.filePath, info);
+      return playlist ? sendPlaylist(res, addAudioQuery(playlist, info)) : notFound(res);
+    }
+
+    if (req.params.file === transcodeService.PLAYLIST_NAME) {
+      // The playlist grows while ffmpeg is running
+      const playlist = await transcodeService.getPlaylist(req.filePath, info, probeService.getPlaybackMethod(info));
+      return sendPlaylist(res, addAudioQuery(await fs.promises.readFile(playlist, 'utf8'), info));
+    }
+
+    const segment = await transcodeService.getSegment(req.filePath, info, req.params.file);
+    if (!segment) return notFound(res);
+    return res.type('video/mp2t').sendFile(path.resolve(segment));
+  } catch (error) {
+    console.error('Transcoding error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Transcoding failed', [{ field: 'general', message: error.message }]));
+  }
+}
+
+/**
+ * Sends the playlist or a segment of a rendition of the video resolved into req.filePath
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getRenditionFile(req, res) {
+  if (!req.filePath) return notFound(res);
+
+  try {
+    const { rendition, file } = req.params;
+    const info = probeService.selectAudioTrack(await probeService.probeFile(req.filePath), getAudioIndex(req));
+    if (!info) return audioNotFound(res);
+
+    if (file === transcodeService.PLAYLIST_NAME) {
+      const playlist = transcodeService.getRenditionPlaylist(info, rendition);
+      return playlist ? sendPlaylist(res, addAudioQuery(playlist, info)) : notFound(res);
+    }
+
+    const segment = await transcodeService.getRenditionSegment(req.filePath, info, rendition, file);
+    if (!segment) return notFound(res);
+    return res.type('video/mp2t').sendFile(path.resolve(segment));
+  } catch (error) {
+    console.error('Transcoding error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Transcoding failed', [{ field: 'general', message: error.message }]));
+  }
+}
+
+/**
+ * Sends the thumbnail track or a sprite sheet of the video resolved into req.filePath
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getThumbnailFile(req, res) {
+  if (!req.filePath) return notFound(res);
+
+  try {
+    const file = await thumbnailService.getThumbnailFile(req.filePath, req.params.file);
+    if (!file) return notFound(res);
+    return res.type(path.extname(file) === '.vtt' ? 'text/vtt' : 'image/jpeg').sendFile(path.resolve(file));
+  } catch (error) {
+    console.error('Thumbnail error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Thumbnail failed', [{ field: 'general', message: error.message }]));
+  }
+}
+
+/**
+ * Sends the subtitle resolved into req.subtitle as WebVTT, converting it if needed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getSubtitle(req, res) {
+  if (!req.subtitle) {
+    return res.status(404).json(formatErrorResponse(404, 'Subtitle not found', [{ field: 'id', message: 'Subtitle not found' }]));
+  }
+
+  try {
+    const file = await subtitleService.getSubtitleFile(req.subtitle);
+    return res.type('text/vtt').sendFile(path.resolve(file));
+  } catch (error) {
+    console.error('Subtitle error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Subtitle conversion failed', [{ field: 'general', message: error.message }]));
+  }
+}
+
+/**
+ * Streams the song resolved into req.filePath with the content type of its format. Lossless songs
+ * are transcoded when the player asks for a format and bit rate with the 'format' and 'bitrate' query parameters
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getSong(req, res) {
+  if (!req.filePath) {
+    return res.status(404).json(formatErrorResponse(404, 'Song not found', [{ field: 'id', message: 'Song not found' }]));
+  }
+
+  let options;
+  try {
+    options = audioService.parseTranscodeOptions(req.query);
+  } catch (error) {
+    const field = error.message === 'Invalid bitrate' ? 'bitrate' : 'format';
+    return res.status(400).json(formatErrorResponse(400, 'Validation failed', [{ field, message: error.message }]));
+  }
+
+  try {
+    const file = await audioService.getAudioFile(req.filePath, options);
+    return res.type(audioService.getAudioMimeType(file)).sendFile(path.resolve(file));
+  } catch (error) {
+    console.error('Transcoding error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Transcoding failed', [{ field: 'general', message: error.message }]));
+  }
+}
+
+module.exports = {
+  getPlayback,
+  getHlsFile,
+  getRenditionFile,
+  getThumbnailFile,
+  getSubtitle,
+  getSong
+};
@@ -0,0 +1,173 @@
+// controllers/profileController.js
+const profileService = require('../services/profile');
+const sessionService = require('../services/session');
+const { formatErrorResponse } = require('./authController');
+
+/**
+ * Maps errors thrown by the profile service to an HTTP error response
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error thrown by the service
+ * @param {string} action - Description of the failed action for the generic error
+ * @returns {Object} The Express response
+ */
+function handleProfileError(res, error, action) {
+  if (error.message === 'Profile not found') {
+    return res.status(404).json(formatErrorResponse(404, 'Not found', [
+      { field: 'id', message: 'Profile not found' }
+    ]));
+  }
+
+  if (error.message === 'Invalid profile name') {
+    return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+      { field: 'name', message: 'Name must be between 1 and 30 characters' }
+    ]));
+  }
+
+  if (error.message === 'Profile name already in use') {
+    return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+      { field: 'name', message: 'Another profile already has this name' }
+    ]));
+  }
+
+  if (error.message === 'Invalid avatar') {
+    return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+      { field: 'avatar', message: `Avatar must be one of ${profileService.AVATARS.join(', ')} or null` }
+    ]));
+  }
+
+  if (error.message === 'Invalid kid flag') {
+    return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+      { field: 'kid', message: 'Kid must be true or false' }
+    ]));
+  }
+
+  if (error.message === 'Profile limit reached') {
+    return res.status(409).json(formatErrorResponse(409, 'Conflict', [
+      { field: 'general', message: `An account can have up to ${profileService.MAX_PROFILES} profiles` }
+    ]));
+  }
+
+  if (error.message === 'Cannot delete the last profile') {
+    return res.status(409).json(formatErrorResponse(409, 'Conflict', [
+      { field: 'id', message: 'An account needs at least one profile' }
+    ]));
+  }
+
+  console.error(`${action} error:`, error);
+  return res.status(500).json(formatErrorResponse(500, 'Server error', [
+    { field: 'general', message: `Server error while ${action.toLowerCase()}` }
+  ]));
+}
+
+/**
+ * Rejects changes to profiles made from a kid profile, so children cannot lift their own limits
+ * @param {Object} res - Express response object
+ * @returns {Object} The Express response
+ */
+function rejectKid(res) {
+  return res.status(403).json(formatErrorResponse(403, 'Forbidden', [
+    { field: 'profile', message: 'Kid profiles cannot manage profiles' }
+  ]));
+}
+
+/**
+ * Lists the profiles of the authenticated user along with the one picked on this device
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function listProfiles(req, res) {
+  try {
+    const results = await profileService.listProfiles(req.user.id);
+    return res.status(200).json({
+      results,
+      count: results.length,
+      current: req.profile ? req.profile.id : null
+    });
+  } catch (error) {
+    return handleProfileError(res, error, 'Listing profiles');
+  }
+}
+
+/**
+ * Creates a profile for the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function createProfile(req, res) {
+  try {
+    if (req.profile?.kid) {
+      return rejectKid(res);
+    }
+
+    const { name, avatar, kid } = req.body;
+    const profile = await profileService.createProfile(req.user.id, { name, avatar, kid });
+    return res.status(201).json({ profile });
+  } catch (error) {
+    return handleProfileError(res, error, 'Creating profile');
+  }
+}
+
+/**
+ * Changes the name, avatar or kid flag of a profile of the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function updateProfile(req, res) {
+  try {
+    if (req.profile?.kid) {
+      return rejectKid(res);
+    }
+
+    const { name, avatar, kid } = req.body;
+    const profile = await profileService.updateProfile(req.user.id, req.params.id, { name, avatar, kid });
+    return res.status(200).json({ profile });
+  } catch (error) {
+    return handleProfileError(res, error, 'Updating profile');
+  }
+}
+
+/**
+ * Deletes a profile of the authenticated user and everything it saved
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function deleteProfile(req, res) {
+  try {
+    if (req.profile?.kid) {
+      return rejectKid(res);
+    }
+
+    await profileService.deleteProfile(req.user.id, req.params.id);
+    return res.status(200).json({ id: Number(req.params.id), deleted: true });
+  } catch (error) {
+    return handleProfileError(res, error, 'Deleting profile');
+  }
+}
+
+/**
+ * Switches this device to another profile of the authenticated user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function selectProfile(req, res) {
+  try {
+    const profile = await profileService.getProfile(req.user.id, req.params.id);
+    await sessionService.selectProfile(req.sessionId, profile.id);
+    return res.status(200).json({ profile: profileService.formatProfile(profile) });
+  } catch (error) {
+    return handleProfileError(res, error, 'Selecting profile');
+  }
+}
+
+module.exports = {
+  listProfiles,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  selectProfile
+};
@@ -0,0 +1,52 @@
+// controllers/progressController.js
+const progressService = require('../services/progress');
+const { formatErrorResponse } = require('./authController');
+const { handleMediaError } = require('./mediaError');
+
+/**
+ * Returns the active profile's playback progress of a movie or episode
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getProgress(req, res) {
+  try {
+    const { type, id } = req.params;
+    const progress = await progressService.getProgress(req.profile.id, type, id);
+    return res.status(200).json({ type, id, progress });
+  } catch (error) {
+    return handleMediaError(res, error, 'Fetching progress');
+  }
+}
+
+/**
+ * Saves the active profile's playback position of a movie or episode
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function saveProgress(req, res) {
+  try {
+    const { type, id } = req.params;
+    const { position, duration, completed } = req.body;
+
+    const validation = progressService.validateProgress(position, duration);
+    if (!validation.valid) {
+      return res.status(400).json(formatErrorResponse(400, 'Validation failed', validation.errors));
+    }
+
+    const progress = await progressService.saveProgress(req.profile.id, type, id, {
+      position,
+      duration,
+      completed
+    });
+    return res.status(200).json({ type, id, progress });
+  } catch (error) {
+    return handleMediaError(res, error, 'Saving progress');
+  }
+}
+
+module.exports = {
+  getProgress,
+  saveProgress
+};
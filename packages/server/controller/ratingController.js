@@ -0,0 +1,84 @@
+// controllers/ratingController.js
+const ratingService = require('../services/rating');
+const { formatErrorResponse } = require('./authController');
+const { getRestrictions } = require('../services/restriction');
+const { handleMediaError } = require('./mediaError');
+
+/**
+ * Lists the ratings and reviews of an item with its household average
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getRatings(req, res) {
+  try {
+    const { type, id } = req.params;
+    const ratings = await ratingService.getRatings(type, id, req.profile.id, getRestrictions(req.user, req.profile));
+    return res.status(200).json(ratings);
+  } catch (error) {
+    return handleMediaError(res, error, 'Listing ratings');
+  }
+}
+
+/**
+ * Creates or updates the active profile's rating and review of an item
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function rateMedia(req, res) {
+  try {
+    const { type, id } = req.params;
+    const { rating, review } = req.body;
+
+    const validation = ratingService.validateRating(rating, review);
+    if (!validation.valid) {
+      return res.status(400).json(formatErrorResponse(400, 'Validation failed', validation.errors));
+    }
+
+    const saved = await ratingService.rateMedia(
+      req.profile.id,
+      type,
+      id,
+      { rating, review },
+      getRestrictions(req.user, req.profile)
+    );
+    return res.status(200).json({
+      type,
+      id,
+      rating: saved.rating,
+      review: saved.review
+    });
+  } catch (error) {
+    return handleMediaError(res, error, 'Saving rating');
+  }
+}
+
+/**
+ * Deletes the active profile's rating and review of an item
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function deleteRating(req, res) {
+  try {
+    const { type, id } = req.params;
+    const deleted = await ratingService.deleteRating(req.profile.id, type, id, getRestrictions(req.user, req.profile));
+
+    if (!deleted) {
+      return res.status(404).json(formatErrorResponse(404, 'Not found', [
+        { field: 'rating', message: 'Rating not found' }
+      ]));
+    }
+
+    return res.status(200).json({ type, id, rating: null, review: null });
+  } catch (error) {
+    return handleMediaError(res, error, 'Deleting rating');
+  }
+}
+
+module.exports = {
+  getRatings,
+  rateMedia,
+  deleteRating
+};
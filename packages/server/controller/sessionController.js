@@ -0,0 +1,87 @@
+// controllers/sessionController.js
+const sessionService = require('../services/session');
+const { formatErrorResponse, clearSessionCookies } = require('./authController');
+
+/**
+ * Lists the devices the authenticated user is signed in on
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getSessions(req, res) {
+  try {
+    const results = await sessionService.getActiveSessions(req.user.id, req.sessionId);
+    return res.status(200).json({ results, count: results.length });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while listing sessions' }
+    ]));
+  }
+}
+
+/**
+ * Signs the authenticated user out of one device
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function revokeSession(req, res) {
+  try {
+    const { id } = req.params;
+    if (!Number.isInteger(Number(id))) {
+      return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+        { field: 'id', message: 'Session ID must be a number' }
+      ]));
+    }
+
+    const revoked = await sessionService.revokeSession(req.user.id, id);
+
+    if (!revoked) {
+      return res.status(404).json(formatErrorResponse(404, 'Not found', [
+        { field: 'session', message: 'Session not found' }
+      ]));
+    }
+
+    if (Number(id) === req.sessionId) {
+      clearSessionCookies(res);
+    }
+
+    return res.status(200).json({ id: Number(id), revoked: true });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while revoking session' }
+    ]));
+  }
+}
+
+/**
+ * Signs the authenticated user out of every device, including this one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function logoutAll(req, res) {
+  try {
+    const count = await sessionService.revokeAllSessions(req.user.id);
+    clearSessionCookies(res);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Successfully logged out of all devices',
+      count
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error during logout' }
+    ]));
+  }
+}
+
+module.exports = {
+  getSessions,
+  revokeSession,
+  logoutAll
+};
@@ -0,0 +1,94 @@
+// controllers/settingsController.js
+const settingsService = require('../services/settings');
+const { formatErrorResponse } = require('./authController');
+
+/**
+ * Returns whether registration is open to anyone or requires an invite code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getRegistration(req, res) {
+  try {
+    const mode = await settingsService.getRegistrationMode();
+    return res.status(200).json({ mode });
+  } catch (error) {
+    console.error('Get registration settings error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while retrieving registration settings' }
+    ]));
+  }
+}
+
+/**
+ * Opens registration to anyone or restricts it to invite codes
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function updateRegistration(req, res) {
+  try {
+    const mode = await settingsService.setRegistrationMode(req.body.mode);
+    return res.status(200).json({ mode });
+  } catch (error) {
+    if (error.message === 'Invalid registration mode') {
+      return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+        { field: 'mode', message: 'Invalid registration mode' }
+      ]));
+    }
+
+    console.error('Update registration settings error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while updating registration settings' }
+    ]));
+  }
+}
+
+/**
+ * Returns the roles allowed to download media
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function getDownloads(req, res) {
+  try {
+    const roles = await settingsService.getDownloadRoles();
+    return res.status(200).json({ roles });
+  } catch (error) {
+    console.error('Get download settings error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while retrieving download settings' }
+    ]));
+  }
+}
+
+/**
+ * Sets the roles allowed to download media, an empty list disables downloads
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function updateDownloads(req, res) {
+  try {
+    const roles = await settingsService.setDownloadRoles(req.body.roles);
+    return res.status(200).json({ roles });
+  } catch (error) {
+    if (error.message === 'Invalid download roles') {
+      return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+        { field: 'roles', message: 'Invalid download roles' }
+      ]));
+    }
+
+    console.error('Update download settings error:', error);
+    return res.status(500).json(formatErrorResponse(500, 'Server error', [
+      { field: 'general', message: 'Server error while updating download settings' }
+    ]));
+  }
+}
+
+module.exports = {
+  getRegistration,
+  updateRegistration,
+  getDownloads,
+  updateDownloads
+};
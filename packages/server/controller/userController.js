@@ -0,0 +1,220 @@
+// controllers/userController.js
+const userService = require('../services/user');
+const sessionService = require('../services/session');
+const { formatErrorResponse } = require('./authController');
+const { CERTIFICATIONS } = require('../services/restriction');
+
+/**
+ * Picks the fields of a user shown on the Admin page
+ * @param {Object} user - The user without password
+ * @returns {Object} The user formatted for API responses
+ */
+function formatUser(user) {
+  const { id, username, email, role, disabled, maxCertification, hideAdult, hideExplicit, createdAt } = user;
+  return { id, username, email, role, disabled, maxCertification, hideAdult, hideExplicit, createdAt };
+}
+
+/**
+ * Maps errors thrown by the user service to an HTTP error response
+ * @param {Object} res - Express response object
+ * @param {Error} error - The error thrown by the service
+ * @param {string} action - Description of the failed action for the generic error
+ * @returns {Object} The Express response
+ */
+function handleUserError(res, error, action) {
+  if (error.message === 'User not found') {
+    return res.status(404).json(formatErrorResponse(404, 'Not found', [
+      { field: 'id', message: 'User not found' }
+    ]));
+  }
+
+  if (error.message === 'Invalid role') {
+    return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+      { field: 'role', message: 'Invalid role' }
+    ]));
+  }
+
+  if (error.message === 'Invalid disabled flag') {
+    return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+      { field: 'disabled', message: 'Disabled must be true or false' }
+    ]));
+  }
+
+  if (error.message === 'Invalid certification') {
+    return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+      { field: 'maxCertification', message: `Certification must be one of ${CERTIFICATIONS.join(', ')} or null` }
+    ]));
+  }
+
+  if (error.message === 'Invalid content flag') {
+    return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+      { field: 'general', message: 'Hide adult and hide explicit must be true or false' }
+    ]));
+  }
+
+  if (error.message === 'Invalid language') {
+    return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+      { field: 'audioLanguage', message: 'Audio language must be an ISO 639 language code or null' }
+    ]));
+  }
+
+  if (error.message.includes('Password')) {
+    return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+      { field: 'password', message: error.message }
+    ]));
+  }
+
+  if (error.message === 'Cannot remove the last admin') {
+    return res.status(409).json(formatErrorResponse(409, 'Conflict', [
+      { field: 'role', message: 'The server needs at least one enabled admin' }
+    ]));
+  }
+
+  console.error(`${action} error:`, error);
+  return res.status(500).json(formatErrorResponse(500, 'Server error', [
+    { field: 'general', message: `Server error while ${action.toLowerCase()}` }
+  ]));
+}
+
+/**
+ * Rejects changes an admin tries to make to their own account, so they cannot lock themselves out
+ * @param {Object} res - Express response object
+ * @returns {Object} The Express response
+ */
+function rejectSelf(res) {
+  return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+    { field: 'id', message: 'You cannot change the role or status of your own account' }
+  ]));
+}
+
+/**
+ * Lists every user of the server
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function listUsers(req, res) {
+  try {
+    const results = (await userService.listUsers()).map(formatUser);
+    return res.status(200).json({ results, count: results.length });
+  } catch (error) {
+    return handleUserError(res, error, 'Listing users');
+  }
+}
+
+/**
+ * Changes the role, account status or content limits of a user. Disabling a
+ * user signs them out of every device. Admins may set their own content
+ * limits but not their own role or status.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function updateUser(req, res) {
+  try {
+    const { role, disabled, maxCertification, hideAdult, hideExplicit } = req.body;
+    const changes = { role, disabled, maxCertification, hideAdult, hideExplicit };
+
+    if (Object.values(changes).every((value) => value === undefined)) {
+      return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+        { field: 'general', message: 'Nothing to update' }
+      ]));
+    }
+
+    const changesAccess = role !== undefined || disabled !== undefined;
+    if (changesAccess && Number(req.params.id) === req.user.id) {
+      return rejectSelf(res);
+    }
+
+    const user = await userService.updateUser(req.params.id, changes);
+
+    if (user.disabled) {
+      await sessionService.revokeAllSessions(user.id);
+    }
+
+    return res.status(200).json({ user: formatUser(user) });
+  } catch (error) {
+    return handleUserError(res, error, 'Updating user');
+  }
+}
+
+/**
+ * Changes the playback preferences of the signed-in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function updatePreferences(req, res) {
+  try {
+    const { audioLanguage } = req.body;
+
+    if (audioLanguage === undefined) {
+      return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+        { field: 'general', message: 'Nothing to update' }
+      ]));
+    }
+
+    const user = await userService.updatePreferences(req.user.id, { audioLanguage });
+    return res.status(200).json({ preferences: { audioLanguage: user.audioLanguage } });
+  } catch (error) {
+    return handleUserError(res, error, 'Updating preferences');
+  }
+}
+
+/**
+ * Sets a new password for a user and signs them out of every device
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function resetPassword(req, res) {
+  try {
+    const { password, confirmPassword } = req.body;
+
+    if (!password) {
+      return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+        { field: 'password', message: 'Password is required' }
+      ]));
+    }
+
+    if (password !== confirmPassword) {
+      return res.status(400).json(formatErrorResponse(400, 'Validation failed', [
+        { field: 'confirmPassword', message: 'Passwords do not match' }
+      ]));
+    }
+
+    const user = await userService.resetPassword(req.params.id, password);
+    await sessionService.revokeAllSessions(user.id);
+
+    return res.status(200).json({ user: formatUser(user) });
+  } catch (error) {
+    return handleUserError(res, error, 'Resetting password');
+  }
+}
+
+/**
+ * Deletes a user and everything they saved
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<void>}
+ */
+async function deleteUser(req, res) {
+  try {
+    if (Number(req.params.id) === req.user.id) {
+      return rejectSelf(res);
+    }
+
+    await userService.deleteUser(req.params.id);
+    return res.status(200).json({ id: Number(req.params.id), deleted: true });
+  } catch (error) {
+    return handleUserError(res, error, 'Deleting user');
+  }
+}
+
+module.exports = {
+  listUsers,
+  updateUser,
+  updatePreferences,
+  resetPassword,
+  deleteUser
+};
@@ -0,0 +1,147 @@
+// packages/server/data/__tests__/index.test.js
+const { PrismaClient } = require('@prisma/client');
+const { getContinueWatchingMovies, getContinueWatchingTVShows, getUpNextTVShows } = require('../index');
+
+jest.mock('@prisma/client', () => {
+  const prisma = {
+    watchProgress: { findMany: jest.fn() },
+    tVShow: { findMany: jest.fn() }
+  };
+  return {
+    PrismaClient: jest.fn().mockImplementation(() => prisma)
+  };
+});
+
+jest.mock('../../services/metadata', () => jest.fn());
+
+// The limits of a kid profile, from getRestrictions
+const restrictions = { maxCertificationLevel: 2, hideAdult: true, hideExplicit: true };
+const hidden = { adult: false, certification_level: { lte: 2 } };
+
+const episode = (id, season_number, episode_number) => ({ id, tmdb_id: 1000 + id, season_number, episode_number, name: `Episode ${id}` });
+
+// A show of two seasons of two episodes, listed out of order like the database may return them.
+// format rewrites the IDs of what it is given, so each lookup gets a new show
+const tvShow = () => ({
+  id: 1,
+  tmdb_id: 1399,
+  name: 'Game of Thrones',
+  genres: [],
+  production_companies: [],
+  credits: [],
+  similar: [],
+  seasons: [
+    { season_number: 2, episodes: [episode(4, 2, 2), episode(3, 2, 1)] },
+    { season_number: 1, episodes: [episode(1, 1, 1), episode(2, 1, 2)] }
+  ]
+});
+
+const progress = (episodeId, { completed = false, position = 1200, updatedAt = new Date('2024-01-01') } = {}) => ({
+  episodeId,
+  completed,
+  position,
+  duration: 3600,
+  updatedAt,
+  episode: { ...tvShow().seasons.flatMap((season) => season.episodes).find(({ id }) => id === episodeId), season: { tv_show_tmdb_id: 1399 } }
+});
+
+describe('Watching rows', () => {
+  const prisma = new PrismaClient();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    prisma.watchProgress.findMany.mockResolvedValue([]);
+    prisma.tVShow.findMany.mockImplementation(async () => [tvShow()]);
+  });
+
+  describe('getContinueWatchingMovies', () => {
+    it('should list the movies started and not finished with their progress', async () => {
+      prisma.watchProgress.findMany.mockResolvedValue([{ position: 600, duration: 8340, movie: { id: 7, tmdb_id: 550, title: 'Fight Club', fs_path: '/movies/fc.mkv' } }]);
+
+      const result = await getContinueWatchingMovies(1);
+
+      expect(prisma.watchProgress.findMany.mock.calls[0][0].where).toEqual({
+        profileId: 1,
+        movieId: { not: null },
+        movie: {},
+        completed: false,
+        position: { gt: 0 }
+      });
+      expect(result).toEqual([{ id: 550, title: 'Fight Club', progress: { position: 600, duration: 8340 } }]);
+    });
+
+    it('should leave out the movies hidden from the profile', async () => {
+      await getContinueWatchingMovies(2, restrictions);
+
+      expect(prisma.watchProgress.findMany.mock.calls[0][0].where.movie).toEqual(hidden);
+    });
+  });
+
+  describe('getContinueWatchingTVShows', () => {
+    it('should resume each show at its last episode started and not finished', async () => {
+      prisma.watchProgress.findMany.mockResolvedValue([progress(3, { updatedAt: new Date('2024-02-01') }), progress(1)]);
+
+      const result = await getContinueWatchingTVShows(1);
+
+      expect(prisma.watchProgress.findMany.mock.calls[0][0].where).toMatchObject({ completed: false, position: { gt: 0 } });
+      expect(result).toHaveLength(1);
+      expect(result[0]).toMatchObject({
+        id: 1399,
+        resume_episode: { season_number: 2, episode_number: 1, name: 'Episode 3' },
+        progress: { position: 1200, duration: 3600 }
+      });
+    });
+
+    it('should leave out the shows hidden from the profile', async () => {
+      prisma.watchProgress.findMany.mockResolvedValue([progress(1)]);
+      prisma.tVShow.findMany.mockResolvedValue([]);
+
+      await expect(getContinueWatchingTVShows(2, restrictions)).resolves.toEqual([]);
+      expect(prisma.tVShow.findMany.mock.calls[0][0].where).toEqual({ ...hidden, tmdb_id: { in: [1399] } });
+    });
+  });
+
+  describe('getUpNextTVShows', () => {
+    it('should list the episode after the last one finished', async () => {
+      prisma.watchProgress.findMany.mockResolvedValue([progress(1, { completed: true })]);
+
+      const result = await getUpNextTVShows(1);
+
+      expect(result[0]).toMatchObject({ id: 1399, resume_episode: { season_number: 1, episode_number: 2 }, progress: null });
+    });
+
+    it('should cross into the next season', async () => {
+      prisma.watchProgress.findMany.mockResolvedValue([progress(2, { completed: true }), progress(1, { completed: true })]);
+
+      const result = await getUpNextTVShows(1);
+
+      expect(result[0].resume_episode).toEqual({ season_number: 2, episode_number: 1, name: 'Episode 3' });
+    });
+
+    it('should leave shows whose next episode is started to Continue Watching', async () => {
+      prisma.watchProgress.findMany.mockResolvedValue([progress(3), progress(2, { completed: true })]);
+
+      await expect(getUpNextTVShows(1)).resolves.toEqual([]);
+    });
+
+    it('should drop shows once their last episode is finished', async () => {
+      prisma.watchProgress.findMany.mockResolvedValue([progress(4, { completed: true }), progress(1, { completed: true })]);
+
+      await expect(getUpNextTVShows(1)).resolves.toEqual([]);
+    });
+
+    it('should not list shows that were only started', async () => {
+      prisma.watchProgress.findMany.mockResolvedValue([progress(1)]);
+
+      await expect(getUpNextTVShows(1)).resolves.toEqual([]);
+    });
+
+    it('should leave out the shows hidden from the profile', async () => {
+      prisma.watchProgress.findMany.mockResolvedValue([progress(1, { completed: true })]);
+      prisma.tVShow.findMany.mockResolvedValue([]);
+
+      await expect(getUpNextTVShows(2, restrictions)).resolves.toEqual([]);
+      expect(prisma.tVShow.findMany.mock.calls[0][0].where).toEqual({ ...hidden, tmdb_id: { in: [1399] } });
+    });
+  });
+});
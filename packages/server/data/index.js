@@ -3,6 +3,34 @@ const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const metadataServiceConstructor = require('../services/metadata');
 const metadataService = new metadataServiceConstructor();
+const { getRatingSummary } = require('../services/rating');
+const {
+  movieWhere,
+  tvShowWhere,
+  songWhere,
+  albumWhere,
+} = require('../services/restriction');
+const { isMusicBrainzId } = require('../services/tags');
+
+// Tracks of a file read by ffprobe when the library is scanned
+const mediaStreams = {
+  select: {
+    stream_index: true,
+    codec_type: true,
+    codec_name: true,
+    profile: true,
+    language: true,
+    title: true,
+    is_default: true,
+    width: true,
+    height: true,
+    dynamic_range: true,
+    channels: true,
+    channel_layout: true,
+    bit_rate: true,
+  },
+  orderBy: { stream_index: 'asc' },
+};
 
 const getAbout = () => {
   return {
@@ -34,7 +62,7 @@ const externalSearch = async (type, keyword) => {
   return await metadataService.search(type, keyword);
 };
 
-const searchMoviesAndTV = async (keyword) => {
+const searchMoviesAndTV = async (keyword, restrictions) => {
   const movies = await prisma.movie.findMany({
     include: {
       genres: true,
@@ -43,6 +71,7 @@ const searchMoviesAndTV = async (keyword) => {
       similar: true,
     },
     where: {
+      ...movieWhere(restrictions),
       OR: [
         { title: { contains: keyword } },
         { tagline: { contains: keyword } },
@@ -66,6 +95,7 @@ const searchMoviesAndTV = async (keyword) => {
       similar: true,
     },
     where: {
+      ...tvShowWhere(restrictions),
       OR: [
         { name: { contains: keyword } },
         { tagline: { contains: keyword } },
@@ -107,13 +137,14 @@ const searchMoviesAndTV = async (keyword) => {
   };
 };
 
-const searchMusic = async (keyword) => {
+const searchMusic = async (keyword, restrictions) => {
   if (keyword.trim() == '') {
     return { results: { songs: [], artists: [], albums: [] } };
   }
   const songs = await prisma.song.findMany({
     include: { album: { include: { artists: true } } },
     where: {
+      ...songWhere(restrictions),
       OR: [
         { name: { contains: keyword } },
         {
@@ -138,9 +169,13 @@ const searchMusic = async (keyword) => {
   const albums = await prisma.album.findMany({
     include: {
       artists: true,
-      songs: { include: { album: { include: { artists: true } } } },
+      songs: {
+        include: { album: { include: { artists: true } } },
+        where: songWhere(restrictions),
+      },
     },
     where: {
+      ...albumWhere(restrictions),
       OR: [
         { name: { contains: keyword } },
         {
@@ -162,7 +197,7 @@ const searchMusic = async (keyword) => {
   };
 };
 
-const getAllMovies = async () => {
+const getAllMovies = async (restrictions) => {
   const result = await prisma.movie.findMany({
     include: {
       genres: true,
@@ -170,11 +205,12 @@ const getAllMovies = async () => {
       credits: true,
       similar: true,
     },
+    where: movieWhere(restrictions),
   });
   return format(result);
 };
 
-const getMostPopularMovies = async () => {
+const getMostPopularMovies = async (restrictions) => {
   const result = await prisma.movie.findMany({
     include: {
       genres: true,
@@ -182,6 +218,7 @@ const getMostPopularMovies = async () => {
       credits: true,
       similar: true,
     },
+    where: movieWhere(restrictions),
     orderBy: {
       popularity: 'desc',
     },
@@ -190,7 +227,7 @@ const getMostPopularMovies = async () => {
   return format(result);
 };
 
-const getHighestRatedMovies = async () => {
+const getHighestRatedMovies = async (restrictions) => {
   const result = await prisma.movie.findMany({
     include: {
       genres: true,
@@ -198,6 +235,7 @@ const getHighestRatedMovies = async () => {
       credits: true,
       similar: true,
     },
+    where: movieWhere(restrictions),
     orderBy: {
       vote_average: 'desc',
     },
@@ -206,7 +244,7 @@ const getHighestRatedMovies = async () => {
   return format(result);
 };
 
-const getRecentlyAddedMovies = async () => {
+const getRecentlyAddedMovies = async (restrictions) => {
   const result = await prisma.movie.findMany({
     include: {
       genres: true,
@@ -214,6 +252,7 @@ const getRecentlyAddedMovies = async () => {
       credits: true,
       similar: true,
     },
+    where: movieWhere(restrictions),
     orderBy: {
       ctime: 'desc',
     },
@@ -231,7 +270,7 @@ const getMovieGenres = async () => {
   return format(result);
 };
 
-const getMoviesByGenre = async (genre_name) => {
+const getMoviesByGenre = async (genre_name, restrictions) => {
   const result = await prisma.movie.findMany({
     include: {
       genres: true,
@@ -240,6 +279,7 @@ const getMoviesByGenre = async (genre_name) => {
       similar: true,
     },
     where: {
+      ...movieWhere(restrictions),
       genres: {
         some: {
           name: genre_name,
@@ -250,22 +290,27 @@ const getMoviesByGenre = async (genre_name) => {
   return shuffleArr(format(result));
 };
 
-const getMovie = async (movie_id) => {
-  const result = await prisma.movie.findUnique({
+const getMovie = async (movie_id, restrictions) => {
+  const result = await prisma.movie.findFirst({
     include: {
       genres: true,
       production_companies: true,
       credits: true,
       similar: true,
+      media_streams: mediaStreams,
     },
     where: {
+      ...movieWhere(restrictions),
       tmdb_id: parseInt(movie_id),
     },
   });
+  if (result) {
+    result.household_rating = await getRatingSummary('movies', result.id);
+  }
   return format(result);
 };
 
-const getAllTVShows = async () => {
+const getAllTVShows = async (restrictions) => {
   const result = await prisma.tVShow.findMany({
     include: {
       genres: true,
@@ -274,11 +319,12 @@ const getAllTVShows = async () => {
       credits: true,
       similar: true,
     },
+    where: tvShowWhere(restrictions),
   });
   return format(result);
 };
 
-const getMostPopularTVShows = async () => {
+const getMostPopularTVShows = async (restrictions) => {
   const result = await prisma.tVShow.findMany({
     include: {
       genres: true,
@@ -287,6 +333,7 @@ const getMostPopularTVShows = async () => {
       credits: true,
       similar: true,
     },
+    where: tvShowWhere(restrictions),
     orderBy: {
       popularity: 'desc',
     },
@@ -295,7 +342,7 @@ const getMostPopularTVShows = async () => {
   return format(result);
 };
 
-const getHighestRatedTVShows = async () => {
+const getHighestRatedTVShows = async (restrictions) => {
   const result = await prisma.tVShow.findMany({
     include: {
       genres: true,
@@ -304,6 +351,7 @@ const getHighestRatedTVShows = async () => {
       credits: true,
       similar: true,
     },
+    where: tvShowWhere(restrictions),
     orderBy: {
       vote_average: 'desc',
     },
@@ -318,7 +366,7 @@ const lastAddedEpisode = (tv_show) => {
   );
 };
 
-const getRecentlyAddedTVShows = async () => {
+const getRecentlyAddedTVShows = async (restrictions) => {
   const result = await prisma.tVShow.findMany({
     include: {
       genres: true,
@@ -327,12 +375,156 @@ const getRecentlyAddedTVShows = async () => {
       credits: true,
       similar: true,
     },
+    where: tvShowWhere(restrictions),
   });
   return format(
     result.sort((a, b) => lastAddedEpisode(b) - lastAddedEpisode(a))
   );
 };
 
+const getContinueWatchingMovies = async (profile_id, restrictions) => {
+  const result = await prisma.watchProgress.findMany({
+    include: {
+      movie: {
+        include: {
+          genres: true,
+          production_companies: true,
+          credits: true,
+          similar: true,
+        },
+      },
+    },
+    where: {
+      profileId: profile_id,
+      movieId: { not: null },
+      movie: movieWhere(restrictions),
+      completed: false,
+      position: { gt: 0 },
+    },
+    orderBy: {
+      updatedAt: 'desc',
+    },
+    take: 25,
+  });
+  return format(
+    result.map(({ movie, position, duration }) => ({
+      ...movie,
+      progress: { position, duration },
+    }))
+  );
+};
+
+const sortedEpisodes = (tv_show) => {
+  return tv_show.seasons
+    .map((s) => s.episodes)
+    .flat()
+    .sort(
+      (a, b) =>
+        a.season_number - b.season_number || a.episode_number - b.episode_number
+    );
+};
+
+const getTVShowsWithEpisodeProgress = async (watch_progress, restrictions) => {
+  const tv_show_ids = [
+    ...new Set(watch_progress.map((p) => p.episode.season.tv_show_tmdb_id)),
+  ];
+  const tv_shows = await prisma.tVShow.findMany({
+    include: {
+      genres: true,
+      production_companies: true,
+      seasons: { include: { episodes: true } },
+      credits: true,
+      similar: true,
+    },
+    where: {
+      ...tvShowWhere(restrictions),
+      tmdb_id: { in: tv_show_ids },
+    },
+  });
+  // Keep the order of the most recently watched show first
+  return tv_show_ids
+    .map((id) => tv_shows.find((tv_show) => tv_show.tmdb_id === id))
+    .filter(Boolean);
+};
+
+const withResumeEpisode = (tv_show, episode, progress) => {
+  return {
+    ...tv_show,
+    resume_episode: {
+      season_number: episode.season_number,
+      episode_number: episode.episode_number,
+      name: episode.name,
+    },
+    progress: progress
+      ? { position: progress.position, duration: progress.duration }
+      : null,
+  };
+};
+
+const getContinueWatchingTVShows = async (profile_id, restrictions) => {
+  const watch_progress = await prisma.watchProgress.findMany({
+    include: { episode: { include: { season: true } } },
+    where: {
+      profileId: profile_id,
+      episodeId: { not: null },
+      completed: false,
+      position: { gt: 0 },
+    },
+    orderBy: {
+      updatedAt: 'desc',
+    },
+  });
+  const tv_shows = await getTVShowsWithEpisodeProgress(
+    watch_progress,
+    restrictions
+  );
+  const result = tv_shows.map((tv_show) => {
+    const progress = watch_progress.find(
+      (p) => p.episode.season.tv_show_tmdb_id === tv_show.tmdb_id
+    );
+    return withResumeEpisode(tv_show, progress.episode, progress);
+  });
+  return format(result.slice(0, 25));
+};
+
+const getUpNextTVShows = async (profile_id, restrictions) => {
+  const watch_progress = await prisma.watchProgress.findMany({
+    include: { episode: { include: { season: true } } },
+    where: {
+      profileId: profile_id,
+      episodeId: { not: null },
+    },
+    orderBy: {
+      updatedAt: 'desc',
+    },
+  });
+  const tv_shows = await getTVShowsWithEpisodeProgress(
+    watch_progress,
+    restrictions
+  );
+  const progressByEpisode = new Map(
+    watch_progress.map((p) => [p.episodeId, p])
+  );
+  const result = tv_shows
+    .map((tv_show) => {
+      const episodes = sortedEpisodes(tv_show);
+      const lastCompleted = episodes.reduce(
+        (last, e, index) =>
+          progressByEpisode.get(e.id)?.completed ? index : last,
+        -1
+      );
+      if (lastCompleted === -1) return null;
+      const next = episodes
+        .slice(lastCompleted + 1)
+        .find((e) => !progressByEpisode.get(e.id)?.completed);
+      // Episodes already started are listed in Continue Watching instead
+      if (!next || progressByEpisode.has(next.id)) return null;
+      return withResumeEpisode(tv_show, next, null);
+    })
+    .filter(Boolean);
+  return format(result.slice(0, 25));
+};
+
 const getTVShowGenres = async () => {
   const result = await prisma.genre.findMany({
     orderBy: {
@@ -342,7 +534,7 @@ const getTVShowGenres = async () => {
   return format(result);
 };
 
-const getTVShowsByGenre = async (genre_name) => {
+const getTVShowsByGenre = async (genre_name, restrictions) => {
   const result = await prisma.tVShow.findMany({
     include: {
       genres: true,
@@ -352,6 +544,7 @@ const getTVShowsByGenre = async (genre_name) => {
       similar: true,
     },
     where: {
+      ...tvShowWhere(restrictions),
       genres: {
         some: {
           name: genre_name,
@@ -362,19 +555,27 @@ const getTVShowsByGenre = async (genre_name) => {
   return shuffleArr(format(result));
 };
 
-const getTVShow = async (tv_show_id) => {
-  const result = await prisma.tVShow.findUnique({
+const getTVShow = async (tv_show_id, restrictions) => {
+  const result = await prisma.tVShow.findFirst({
     include: {
       genres: true,
       production_companies: true,
-      seasons: { include: { episodes: true } },
+      seasons: {
+        include: {
+          episodes: { include: { media_streams: mediaStreams } },
+        },
+      },
       credits: true,
       similar: true,
     },
     where: {
+      ...tvShowWhere(restrictions),
       tmdb_id: parseInt(tv_show_id),
     },
   });
+  if (result) {
+    result.household_rating = await getRatingSummary('tv', result.id);
+  }
   return format(result);
 };
 
@@ -392,12 +593,16 @@ const getMostPopularArtists = async () => {
   return format(result);
 };
 
-const getAllAlbums = async () => {
+const getAllAlbums = async (restrictions) => {
   const result = await prisma.album.findMany({
     include: {
       artists: true,
-      songs: { include: { album: { include: { artists: true } } } },
+      songs: {
+        include: { album: { include: { artists: true } } },
+        where: songWhere(restrictions),
+      },
     },
+    where: albumWhere(restrictions),
   });
   return format(result);
 };
@@ -406,22 +611,30 @@ const lastAddedSong = (album) => {
   return Math.max(...album.songs.map((s) => s.mtime));
 };
 
-const getRecentlyAddedAlbums = async () => {
+const getRecentlyAddedAlbums = async (restrictions) => {
   const result = await prisma.album.findMany({
     include: {
       artists: true,
-      songs: { include: { album: { include: { artists: true } } } },
+      songs: {
+        include: { album: { include: { artists: true } } },
+        where: songWhere(restrictions),
+      },
     },
+    where: albumWhere(restrictions),
   });
   return format(result.sort((a, b) => lastAddedSong(b) - lastAddedSong(a)));
 };
 
-const getLatestAlbumReleases = async () => {
+const getLatestAlbumReleases = async (restrictions) => {
   const result = await prisma.album.findMany({
     include: {
       artists: true,
-      songs: { include: { album: { include: { artists: true } } } },
+      songs: {
+        include: { album: { include: { artists: true } } },
+        where: songWhere(restrictions),
+      },
     },
+    where: albumWhere(restrictions),
     orderBy: {
       release_date: 'desc',
     },
@@ -429,26 +642,38 @@ const getLatestAlbumReleases = async () => {
   return format(result);
 };
 
-const getMusicAlbum = async (album_id) => {
-  const result = await prisma.album.findUnique({
-    include: { artists: true, songs: { include: { artists: true } } },
+const getMusicAlbum = async (album_id, restrictions) => {
+  const result = await prisma.album.findFirst({
+    include: {
+      artists: true,
+      songs: { include: { artists: true }, where: songWhere(restrictions) },
+    },
     where: {
-      spotify_id: album_id,
+      ...albumWhere(restrictions),
+      // Albums found on MusicBrainz can also be opened by their release IDs
+      ...(isMusicBrainzId(album_id)
+        ? { musicbrainz_id: album_id }
+        : { spotify_id: album_id }),
     },
   });
+  if (result) {
+    result.household_rating = await getRatingSummary('albums', result.id);
+  }
   return format(result);
 };
 
-const getAllSongs = async () => {
+const getAllSongs = async (restrictions) => {
   const result = await prisma.song.findMany({
     include: { album: { include: { artists: true } } },
+    where: songWhere(restrictions),
   });
   return format(result);
 };
 
-const getRecentlyAddedSongs = async () => {
+const getRecentlyAddedSongs = async (restrictions) => {
   const result = await prisma.song.findMany({
     include: { album: { include: { artists: true } } },
+    where: songWhere(restrictions),
     orderBy: {
       mtime: 'desc',
     },
@@ -456,34 +681,39 @@ const getRecentlyAddedSongs = async () => {
   return format(result);
 };
 
-const getRandomMovieOrTVShow = async () => {
-  const ratio = (await prisma.tVShow.count()) / (await prisma.movie.count());
+const getRandomMovieOrTVShow = async (restrictions) => {
+  const tv_shows = await prisma.tVShow.count({
+    where: tvShowWhere(restrictions),
+  });
+  const movies = await prisma.movie.count({ where: movieWhere(restrictions) });
   const result =
-    (await Math.random()) < ratio
-      ? await getRandomTVShow()
-      : await getRandomMovie();
+    Math.random() < tv_shows / (tv_shows + movies)
+      ? await getRandomTVShow(restrictions)
+      : await getRandomMovie(restrictions);
   return format(result);
 };
 
-const getRandomMovie = async () => {
-  const id = Math.floor(Math.random() * (await prisma.movie.count())) + 1;
-  const result = await prisma.movie.findUnique({
+// Picks by position rather than ID, so deleted and hidden items are skipped
+const getRandomMovie = async (restrictions) => {
+  const where = movieWhere(restrictions);
+  const count = await prisma.movie.count({ where: where });
+  const result = await prisma.movie.findFirst({
     include: {
       genres: true,
       production_companies: true,
       credits: true,
       similar: true,
     },
-    where: {
-      id: id,
-    },
+    where: where,
+    skip: Math.floor(Math.random() * count),
   });
   return format(result);
 };
 
-const getRandomTVShow = async () => {
-  const id = Math.floor(Math.random() * (await prisma.tVShow.count())) + 1;
-  const result = await prisma.tVShow.findUnique({
+const getRandomTVShow = async (restrictions) => {
+  const where = tvShowWhere(restrictions);
+  const count = await prisma.tVShow.count({ where: where });
+  const result = await prisma.tVShow.findFirst({
     include: {
       genres: true,
       production_companies: true,
@@ -491,69 +721,65 @@ const getRandomTVShow = async () => {
       credits: true,
       similar: true,
     },
-    where: {
-      id: id,
-    },
+    where: where,
+    skip: Math.floor(Math.random() * count),
   });
   return format(result);
 };
 
-const getMovieFilePath = async (movie_id) => {
-  const result = await prisma.movie.findUnique({
+const getMovieFilePath = async (movie_id, restrictions) => {
+  const result = await prisma.movie.findFirst({
     select: {
       fs_path: true,
     },
     where: {
+      ...movieWhere(restrictions),
       tmdb_id: parseInt(movie_id),
     },
   });
-  return result.fs_path;
+  return result ? result.fs_path : null;
 };
 
 const getEpisodeFilePath = async (
   tv_show_id,
   season_number,
-  episode_number
+  episode_number,
+  restrictions
 ) => {
-  const result = await prisma.season.findUnique({
+  const result = await prisma.episode.findFirst({
     select: {
-      episodes: {
-        where: {
-          episode_number: parseInt(episode_number),
-        },
-        select: {
-          fs_path: true,
-        },
-      },
+      fs_path: true,
     },
     where: {
-      tv_show_tmdb_id_season_number: {
+      episode_number: parseInt(episode_number),
+      season: {
         tv_show_tmdb_id: parseInt(tv_show_id),
         season_number: parseInt(season_number),
+        tv_show: tvShowWhere(restrictions),
       },
     },
   });
-  return result.episodes[0].fs_path;
+  return result ? result.fs_path : null;
 };
 
-const getSongFilePath = async (album_id, disc_number, track_number) => {
-  const result = await prisma.album.findUnique({
+const getSongFilePath = async (
+  album_id,
+  disc_number,
+  track_number,
+  restrictions
+) => {
+  const result = await prisma.song.findFirst({
     select: {
-      songs: {
-        where: {
-          disc_number: parseInt(disc_number),
-          track_number: parseInt(track_number),
-        },
-        select: {
-          fs_path: true,
-        },
-      },
+      fs_path: true,
     },
     where: {
-      spotify_id: album_id,
+      ...songWhere(restrictions),
+      album_spotify_id: album_id,
+      disc_number: parseInt(disc_number),
+      track_number: parseInt(track_number),
     },
   });
-  return result.songs[0].fs_path;
+  return result ? result.fs_path : null;
 };
 
 module.exports = {
@@ -564,6 +790,7 @@ module.exports = {
   getMostPopularMovies,
   getHighestRatedMovies,
   getRecentlyAddedMovies,
+  getContinueWatchingMovies,
   getMovieGenres,
   getMoviesByGenre,
   getRandomMovie,
@@ -572,6 +799,8 @@ module.exports = {
   getMostPopularTVShows,
   getHighestRatedTVShows,
   getRecentlyAddedTVShows,
+  getContinueWatchingTVShows,
+  getUpNextTVShows,
   getTVShowGenres,
   getTVShowsByGenre,
   getRandomTVShow,
@@ -0,0 +1,157 @@
+// packages/server/jobs/__tests__/index.test.js
+const chokidar = require('chokidar');
+const { PrismaClient } = require('@prisma/client');
+const { getMovieMetaData, getAlbumMetaData } = require('../../models');
+const { getTechnicalMetadata } = require('../../services/probe');
+const { cleanThumbnails } = require('../../services/thumbnail');
+
+jest.mock('@prisma/client', () => {
+  const model = () => ({
+    findMany: jest.fn().mockResolvedValue([]),
+    upsert: jest.fn().mockResolvedValue({}),
+    deleteMany: jest.fn().mockResolvedValue({}),
+    delete: jest.fn().mockResolvedValue({})
+  });
+  const prisma = {
+    movie: model(),
+    episode: model(),
+    song: model(),
+    album: model(),
+    artist: model(),
+    season: model(),
+    tVShow: model(),
+    subtitle: model(),
+    notAvailable: model()
+  };
+  return {
+    PrismaClient: jest.fn().mockImplementation(() => prisma)
+  };
+});
+
+jest.mock('chokidar', () => ({
+  watch: jest.fn()
+}));
+
+jest.mock('../../models', () => ({
+  getMovieCertification: jest.fn(),
+  getTVShowCertification: jest.fn(),
+  getMovieMetaData: jest.fn(),
+  getTVShowMetaData: jest.fn(),
+  getAlbumMetaData: jest.fn()
+}));
+
+jest.mock('../../services/probe', () => ({
+  getTechnicalMetadata: jest.fn()
+}));
+
+jest.mock('../../services/thumbnail', () => ({
+  generateThumbnails: jest.fn(),
+  cleanThumbnails: jest.fn()
+}));
+
+const { fileWatcher } = require('../index');
+
+// Waits for the work started by a watcher event
+const waitFor = async (condition) => {
+  while (!condition()) await new Promise((resolve) => setTimeout(resolve, 0));
+};
+
+describe('Jobs', () => {
+  const env = { ...process.env };
+  const prisma = new PrismaClient();
+  let handlers;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'table').mockImplementation(() => {});
+    process.env.MOVIES_PATH = '/media/movies';
+    process.env.TV_PATH = '/media/tv';
+    process.env.MUSIC_PATH = '/media/music';
+    process.env.DISABLE_THUMBNAILS = 'true';
+    process.env.DISABLE_MARKERS = 'true';
+
+    handlers = {};
+    const watcher = {
+      on: jest.fn((event, handler) => {
+        handlers[event] = handler;
+        return watcher;
+      })
+    };
+    chokidar.watch.mockReturnValue(watcher);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  describe('sync', () => {
+    it('should create a song with the fields of its probe result that Song has', async () => {
+      const file = '/media/music/OK Computer/01 Airbag.flac';
+      const streams = [
+        { stream_index: 0, codec_type: 'audio', codec_name: 'flac' },
+        { stream_index: 1, codec_type: 'subtitle', codec_name: 'subrip' }
+      ];
+      getTechnicalMetadata.mockResolvedValue({ container: 'flac', duration: 284.2, bit_rate: 900000, streams });
+      getAlbumMetaData.mockResolvedValue({
+        spotify_id: 'local_album',
+        name: 'OK Computer',
+        artists: [{ spotify_id: 'local_artist', name: 'Radiohead' }],
+        songs: [{ spotify_id: 'local_song', name: 'Airbag', duration_ms: 284000, fs_path: file, artists: [{ spotify_id: 'local_artist', name: 'Radiohead' }] }]
+      });
+
+      fileWatcher();
+      handlers.add(file);
+      handlers.ready();
+      await waitFor(() => prisma.tVShow.findMany.mock.calls.length);
+
+      const { create } = prisma.album.upsert.mock.calls[0][0].create.songs.connectOrCreate[0];
+      expect(create).toMatchObject({
+        spotify_id: 'local_song',
+        duration_ms: 284000,
+        container: 'flac',
+        bit_rate: 900000,
+        media_streams: { create: streams }
+      });
+      expect(create).not.toHaveProperty('duration');
+      expect(create).not.toHaveProperty('subtitles');
+    });
+
+    it('should create a movie with its embedded subtitles', async () => {
+      const file = '/media/movies/Fight Club (1999)/Fight Club (1999).mkv';
+      const streams = [
+        { stream_index: 0, codec_type: 'video', codec_name: 'h264' },
+        { stream_index: 2, codec_type: 'subtitle', codec_name: 'subrip', language: 'eng', title: null, is_default: true, is_forced: false }
+      ];
+      getTechnicalMetadata.mockResolvedValue({ container: 'mkv', duration: 8340.5, bit_rate: 5000000, streams });
+      getMovieMetaData.mockResolvedValue({ tmdb_id: 550, title: 'Fight Club', fs_path: file, genres: [], production_companies: [], credits: [], similar: [] });
+
+      fileWatcher();
+      handlers.add(file);
+      handlers.ready();
+      await waitFor(() => prisma.tVShow.findMany.mock.calls.length);
+
+      const { create } = prisma.movie.upsert.mock.calls[0][0];
+      expect(create).toMatchObject({ container: 'mkv', duration: 8340.5, bit_rate: 5000000, media_streams: { create: streams } });
+      expect(create.subtitles).toEqual({
+        create: [{ fs_path: null, stream_index: 2, format: 'subrip', language: 'eng', title: null, is_default: true, is_forced: false }]
+      });
+    });
+
+    it('should log the failures of the background analysis', async () => {
+      process.env.DISABLE_THUMBNAILS = 'false';
+      const error = new Error('database is locked');
+      cleanThumbnails.mockRejectedValue(error);
+
+      fileWatcher();
+      handlers.ready();
+      await waitFor(() => console.log.mock.calls.some(([message]) => message === 'There was a problem analyzing the videos'));
+
+      expect(console.log).toHaveBeenCalledWith('There was a problem analyzing the videos', error);
+    });
+  });
+});
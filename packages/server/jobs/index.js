@@ -2,10 +2,27 @@ const chokidar = require('chokidar');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 const {
+  getMovieCertification,
+  getTVShowCertification,
   getMovieMetaData,
   getTVShowMetaData,
   getAlbumMetaData,
 } = require('../models');
+const metadataServiceConstructor = require('../services/metadata');
+const metadataService = new metadataServiceConstructor();
+const { getCertificationLevel } = require('../services/restriction');
+const { getTechnicalMetadata } = require('../services/probe');
+const {
+  isSubtitleFile,
+  parseSidecarFile,
+  getEmbeddedSubtitles,
+} = require('../services/subtitle');
+const {
+  generateThumbnails,
+  cleanThumbnails,
+} = require('../services/thumbnail');
+const { detectMarkers } = require('../services/marker');
+const { removeCover } = require('../services/tags');
 const { Type } = require('../constants');
 var fileSystem = [];
 var ready;
@@ -57,14 +74,16 @@ const fileWatcher = () => {
     console.log(`notAvailable is ${notAvailableFiles.length}`);
     console.table(notAvailableFiles);
 
+    // Subtitle files are synced with the videos they belong to
+    const mediaFiles = fileSystem.filter((x) => !isSubtitleFile(x));
     const databaseFiles = await getAvailableFiles();
-    const filesToInsert = fileSystem
+    const filesToInsert = mediaFiles
       .filter((x) => !databaseFiles.includes(x))
       .filter((x) => !notAvailableFiles.includes(x));
-    const intersection = databaseFiles.filter((x) => fileSystem.includes(x));
+    const intersection = databaseFiles.filter((x) => mediaFiles.includes(x));
     const filesToDelete = databaseFiles
       .concat(notAvailableFiles)
-      .filter((x) => !fileSystem.includes(x));
+      .filter((x) => !mediaFiles.includes(x));
 
     console.log(`intersection is ${intersection.length}`);
     console.log(`exclusiveToFileSystem is ${filesToInsert.length}`);
@@ -102,13 +121,89 @@ const fileWatcher = () => {
         filesToDelete.filter((file) => file.startsWith(process.env.MUSIC_PATH))
       ));
 
+    await syncSubtitleFiles();
     await deleteEmptyAlbums();
     await deleteIdleArtists();
     await deleteEmptySeasons();
     await deleteEmptyTVShows();
     console.log('Sync complete');
+
+    // Runs in the background, scrubbing previews and skip buttons show up as videos are done
+    analyzeMedia();
+  };
+
+  // A sync during a run starts another run once it is done
+  let analysisRun = null;
+  let analysisRerun = false;
+
+  // Background work on the videos, one ffmpeg at a time
+  const analyzeMedia = () => {
+    if (analysisRun) {
+      analysisRerun = true;
+      return analysisRun;
+    }
+
+    analysisRun = (async () => {
+      do {
+        analysisRerun = false;
+        if (process.env.DISABLE_THUMBNAILS !== 'true') {
+          await generateAllThumbnails();
+        }
+        if (process.env.DISABLE_MARKERS !== 'true') {
+          await detectAllMarkers();
+        }
+      } while (analysisRerun);
+    })()
+      .catch((e) => {
+        console.log('There was a problem analyzing the videos', e);
+      })
+      .finally(() => {
+        analysisRun = null;
+      });
+    return analysisRun;
+  };
+
+  // Scrubbing previews of each movie and episode
+  const generateAllThumbnails = async () => {
+    const videos = await getVideoFiles();
+    await cleanThumbnails(videos);
+    for (const file of videos) {
+      try {
+        await generateThumbnails(file);
+      } catch (e) {
+        console.log('There was a problem generating thumbnails', file, e);
+      }
+    }
+    console.log('[THUMBNAILS] Done');
+  };
+
+  // Intro and credits of the episodes added since the last run
+  const detectAllMarkers = async () => {
+    try {
+      const analyzed = await detectMarkers();
+      console.log(`[MARKERS] Done, ${analyzed} episode(s) analyzed`);
+    } catch (e) {
+      console.log('There was a problem detecting intros and credits', e);
+    }
   };
 
+  // Container, duration, bit rate and tracks of a file, left out when ffprobe fails
+  const probeMediaFile = async (file) => {
+    try {
+      const { streams, ...technical } = await getTechnicalMetadata(file);
+      return { ...technical, media_streams: { create: streams } };
+    } catch (e) {
+      console.log('There was a problem probing this file', e);
+      return {};
+    }
+  };
+
+  // Embedded subtitles of a movie or episode, read from the tracks of its probe result
+  const getSubtitles = (technical) =>
+    technical.media_streams && {
+      create: getEmbeddedSubtitles(technical.media_streams.create),
+    };
+
   const upsertManyMovies = async (movies) => {
     console.log('Generating data for Movies...');
 
@@ -116,12 +211,15 @@ const fileWatcher = () => {
       try {
         let result = await getMovieMetaData(file);
         if (result.status == 400) {
-          upsertNotAvailable(Type.Movie, result.fs_path);
+          upsertNotAvailable(Type.Movie, result.fs_path, result.review);
           continue;
         }
 
+        const technical = await probeMediaFile(file);
         const movie = {
           ...result,
+          ...technical,
+          subtitles: getSubtitles(technical),
           genres: {
             connectOrCreate: result.genres.map((g) => ({
               create: g,
@@ -150,7 +248,12 @@ const fileWatcher = () => {
 
         await prisma.movie.upsert({
           where: { tmdb_id: result.tmdb_id },
-          update: movie,
+          // The tracks of the previous file are replaced, sidecar subtitles are kept
+          update: {
+            ...movie,
+            media_streams: { deleteMany: {}, ...movie.media_streams },
+            subtitles: { deleteMany: { fs_path: null }, ...movie.subtitles },
+          },
           create: movie,
         });
       } catch (e) {
@@ -168,16 +271,21 @@ const fileWatcher = () => {
       try {
         let result = await getTVShowMetaData(file);
         if (result.status == 400) {
-          upsertNotAvailable(Type.TV.Episode, result.fs_path);
+          upsertNotAvailable(Type.TV.Episode, result.fs_path, result.review);
           continue;
         }
 
+        const technical = await probeMediaFile(file);
         const seasons = result.seasons.map((s) => {
           return {
             ...s,
             episodes: {
               connectOrCreate: s.episodes.map((e) => ({
-                create: e,
+                create: {
+                  ...e,
+                  ...technical,
+                  subtitles: getSubtitles(technical),
+                },
                 where: { tmdb_id: e.tmdb_id },
               })),
             },
@@ -248,6 +356,10 @@ const fileWatcher = () => {
           continue;
         }
 
+        // Songs keep the container, bit rate and tracks, their length is the duration_ms of their metadata
+        const { container, bit_rate, media_streams } = await probeMediaFile(
+          file
+        );
         const album = {
           ...result,
           artists: {
@@ -260,6 +372,9 @@ const fileWatcher = () => {
             connectOrCreate: result.songs.map((s) => ({
               create: {
                 ...s,
+                container,
+                bit_rate,
+                media_streams,
                 artists: {
                   connectOrCreate: s.artists.map((a) => ({
                     create: a,
@@ -285,8 +400,63 @@ const fileWatcher = () => {
     console.log('[MUSIC] Done');
   };
 
-  const upsertNotAvailable = async (type, file) => {
-    const not_available = { type: type, fs_path: file };
+  // Sidecar subtitle files are stored with the movie or episode they are named after
+  const syncSubtitleFiles = async () => {
+    const subtitleFiles = fileSystem.filter(isSubtitleFile);
+    const databaseSubtitles = (
+      await prisma.subtitle.findMany({
+        where: { fs_path: { not: null } },
+        select: { fs_path: true },
+      })
+    ).map((s) => s.fs_path);
+
+    await prisma.subtitle.deleteMany({
+      where: {
+        fs_path: {
+          in: databaseSubtitles.filter((x) => !subtitleFiles.includes(x)),
+        },
+      },
+    });
+
+    const subtitlesToInsert = subtitleFiles.filter(
+      (x) => !databaseSubtitles.includes(x)
+    );
+    if (!subtitlesToInsert.length) return;
+
+    const movies = await prisma.movie.findMany({
+      select: { tmdb_id: true, fs_path: true },
+    });
+    const episodes = await prisma.episode.findMany({
+      select: { tmdb_id: true, fs_path: true },
+    });
+
+    for (let file of subtitlesToInsert) {
+      try {
+        const movie = movies.find((m) => parseSidecarFile(file, m.fs_path));
+        const episode =
+          !movie && episodes.find((e) => parseSidecarFile(file, e.fs_path));
+        // The video may not be synced yet, the file is tried again next time
+        if (!movie && !episode) continue;
+
+        await prisma.subtitle.create({
+          data: {
+            ...parseSidecarFile(file, (movie || episode).fs_path),
+            ...(movie
+              ? { movie_tmdb_id: movie.tmdb_id }
+              : { episode_tmdb_id: episode.tmdb_id }),
+          },
+        });
+      } catch (e) {
+        console.log('There was a problem adding this subtitle', e);
+        continue; // break or continue
+      }
+    }
+    console.log('[SUBTITLES] Done');
+  };
+
+  // Files matched without confidence keep what was read from their name and the best match for review
+  const upsertNotAvailable = async (type, file, review = {}) => {
+    const not_available = { type: type, fs_path: file, ...review };
     await prisma.notAvailable.upsert({
       where: { fs_path: file },
       update: not_available,
@@ -313,6 +483,19 @@ const fileWatcher = () => {
       .flat(Infinity);
   };
 
+  const getVideoFiles = async () => {
+    var movies = await prisma.movie.findMany({
+      select: { fs_path: true },
+    });
+    var episodes = await prisma.episode.findMany({
+      select: { fs_path: true },
+    });
+    return []
+      .concat(movies)
+      .concat(episodes)
+      .map((x) => x.fs_path);
+  };
+
   const getNotAvailableFiles = async () => {
     var result = await prisma.notAvailable.findMany({
       select: { fs_path: true },
@@ -400,6 +583,7 @@ const fileWatcher = () => {
             id: album.id,
           },
         });
+        await removeCover(album.spotify_id);
       } catch (e) {
         console.log('There was a problem removing this album', e);
         continue; // break or continue
@@ -495,6 +679,69 @@ const clearNotAvailable = async () => {
   process.exit();
 };
 
+// Fills in the certifications of movies and TV shows added before they were recorded
+const updateCertifications = async () => {
+  const movies = await prisma.movie.findMany({
+    select: { id: true, tmdb_id: true, fs_path: true },
+  });
+
+  for (let movie of movies) {
+    try {
+      const result = await metadataService.get({
+        type: Type.Movie,
+        id: movie.tmdb_id,
+        fs_path: movie.fs_path,
+      });
+      const certification = getMovieCertification(result);
+      await prisma.movie.update({
+        where: { id: movie.id },
+        data: {
+          certification: certification,
+          certification_level: getCertificationLevel(certification),
+        },
+      });
+    } catch (e) {
+      console.log('There was a problem updating this movie', e);
+      continue; // break or continue
+    }
+  }
+
+  // An episode locates the files of the show for providers reading them
+  const tv_shows = await prisma.tVShow.findMany({
+    select: {
+      id: true,
+      tmdb_id: true,
+      seasons: {
+        take: 1,
+        select: { episodes: { take: 1, select: { fs_path: true } } },
+      },
+    },
+  });
+
+  for (let tv_show of tv_shows) {
+    try {
+      const result = await metadataService.get({
+        type: Type.TV.Show,
+        id: tv_show.tmdb_id,
+        fs_path: tv_show.seasons[0]?.episodes[0]?.fs_path,
+      });
+      const certification = getTVShowCertification(result);
+      await prisma.tVShow.update({
+        where: { id: tv_show.id },
+        data: {
+          adult: Boolean(result.adult),
+          certification: certification,
+          certification_level: getCertificationLevel(certification),
+        },
+      });
+    } catch (e) {
+      console.log('There was a problem updating this TV show', e);
+      continue; // break or continue
+    }
+  }
+  process.exit();
+};
+
 const createDemoFsPaths = async () => {
   const video_path = './_demo/sample.mp4';
   const audio_path = './_demo/sample.mp3';
@@ -520,5 +767,6 @@ const createDemoFsPaths = async () => {
 module.exports = {
   fileWatcher,
   clearNotAvailable,
+  updateCertifications,
   createDemoFsPaths,
 };
@@ -6,20 +6,108 @@ const prisma = new PrismaClient();
 const metadataServiceConstructor = require('../services/metadata');
 const metadataService = new metadataServiceConstructor();
 const { Type } = require('../constants');
+const { getCertificationLevel } = require('../services/restriction');
+const {
+  parseReleaseName,
+  parseEpisodePath,
+  isSeasonFolder,
+} = require('../services/filename');
+const { matchRelease } = require('../services/match');
+const {
+  DEFAULT_IMAGE_URL,
+  readTags,
+  getLocalId,
+  saveCover,
+} = require('../services/tags');
+
+// Certifications are read from the US release, the scale content limits are set on
+const getMovieCertification = (movie) => {
+  const release = movie.release_dates?.results?.find(
+    (result) => result.iso_3166_1 == 'US'
+  );
+  const dated = release?.release_dates.find((date) => date.certification);
+  return dated ? dated.certification : null;
+};
+
+const getTVShowCertification = (tv_show) => {
+  const rating = tv_show.content_ratings?.results?.find(
+    (result) => result.iso_3166_1 == 'US'
+  );
+  return rating?.rating || null;
+};
+
+// What was read from the name of a file that could not be matched with confidence, kept for review
+const getReview = (release, match) => ({
+  title: release.title || null,
+  year: release.year,
+  season_number: release.season_number,
+  episode_number: release.episode_number,
+  tmdb_id: match ? match.tmdb_id : null,
+  match_title: match ? match.match_title : null,
+  match_year: match ? match.match_year : null,
+  confidence: match ? match.confidence : null,
+});
+
+// The TMDb ID ends the file name of a movie, e.g. "Fight Club (1999) 550.mkv"
+const getMovieId = async (file) => {
+  let re = new RegExp(/(?:^|\s)(\d+)\.(mp4|mkv)$/i); // movie_id
+  let id = path.basename(file).match(re);
+  if (id) return { id: id[1] };
+
+  // Providers reading local files may record the ID, e.g. in a .nfo file
+  let recorded = await metadataService.findId({
+    type: Type.Movie,
+    fs_path: file,
+  });
+  if (recorded != null) return { id: recorded };
+
+  // Release names, e.g. "Fight.Club.1999.1080p.BluRay.x264.mkv", are searched on TMDb
+  let release = parseReleaseName(file);
+  let match = await matchRelease(Type.Movie, release);
+  if (match && match.accepted) return { id: match.tmdb_id };
+  return { review: getReview(release, match) };
+};
+
+// The TMDb ID ends the show directory name, e.g. "Breaking Bad 1396"
+const getTVShowId = async (file) => {
+  let re = new RegExp(/(?:^|\s)(\d+)$/); // tv_show_id
+  let dirname = path.dirname(file);
+  while (isSeasonFolder(path.basename(dirname)))
+    dirname = path.dirname(dirname);
+  let id = path.basename(dirname).match(re);
+  if (id) return { id: parseInt(id[1]) };
+
+  let recorded = await metadataService.findId({
+    type: Type.TV.Show,
+    fs_path: file,
+  });
+  if (recorded != null) return { id: recorded };
+
+  // Release names, e.g. "Breaking.Bad.S01E01.720p.HDTV.mkv", are searched on TMDb
+  let release = parseEpisodePath(file);
+  let match = await matchRelease(Type.TV.Episode, release);
+  if (match && match.accepted) return { id: match.tmdb_id };
+  return { review: getReview(release, match) };
+};
 
 const getMovieMetaData = async (file) => {
+  let review;
   try {
-    let re = new RegExp(/(\d+)(.mp4|.mkv)$/); // movie_id
-
     console.log('GET: ' + file);
+    let lookup = await getMovieId(file);
+    review = lookup.review;
+    if (review) throw 'No confident match on TMDb';
+
     let movie = await metadataService.get({
       type: Type.Movie,
-      id: file.match(re)[1],
+      id: lookup.id,
+      fs_path: file,
     });
     if (movie.status == 404 || movie.status_code == 34)
       throw 'API resource was not found';
 
     let logo = movie.images.logos.find((logo) => logo.iso_639_1 == 'en');
+    let certification = getMovieCertification(movie);
     return {
       type: Type.Movie,
       tmdb_id: movie.id,
@@ -54,6 +142,8 @@ const getMovieMetaData = async (file) => {
       vote_average: movie.vote_average,
       vote_count: movie.vote_count,
       logo_path: logo ? logo.file_path : undefined,
+      certification: certification,
+      certification_level: getCertificationLevel(certification),
       credits: movie.credits.cast.concat(movie.credits.crew).map((credit) => ({
         tmdb_id: credit.id,
         adult: credit.adult,
@@ -82,25 +172,23 @@ const getMovieMetaData = async (file) => {
         })),
     };
   } catch (e) {
-    return { status: 400, fs_path: file };
+    return { status: 400, fs_path: file, review };
   }
 };
 
-const getTVEpisodeMetaData = async (file) => {
+const getTVEpisodeMetaData = async (file, tv_show_id) => {
   try {
-    let re = new RegExp(/(\d+)$/); // tv_show_id
-    let re2 = new RegExp(/S(\d{1,2})E(\d{1,2})/i); // S(season_number)E(episode_number)
-
     console.log('GET: ' + file);
     // find tv episode on TMDb
-    let tv_show_id = parseInt(path.dirname(file).match(re)[1]);
-    let season_number = parseInt(file.match(re2)[1]);
-    let episode_number = parseInt(file.match(re2)[2]);
+    let { season_number, episode_number } = parseReleaseName(file);
+    if (season_number == null || episode_number == null)
+      throw 'No episode number';
     let episode = await metadataService.get({
       type: Type.TV.Episode,
       tv_show_id: tv_show_id,
       season_number: season_number,
       episode_number: episode_number,
+      fs_path: file,
     });
     if (episode.status == 404 || episode.status_code == 34)
       throw 'API resource was not found';
@@ -127,29 +215,31 @@ const getTVEpisodeMetaData = async (file) => {
 };
 
 const getTVShowMetaData = async (file) => {
+  let review;
   try {
-    let re = new RegExp(/(\d+)$/); // tv_show_id
-    let re2 = new RegExp(/S(\d{1,2})E(\d{1,2})/i); // S(season_number)E(episode_number)
-
     console.log('GET: ' + file);
     // find tv show on TMDb
-    let tv_show_id = parseInt(path.dirname(file).match(re)[1]);
-    let season_number = parseInt(file.match(re2)[1]);
-    let episode_number = parseInt(file.match(re2)[2]);
+    let lookup = await getTVShowId(file);
+    review = lookup.review;
+    if (review) throw 'No confident match on TMDb';
+
+    let { season_number } = parseReleaseName(file);
     let tv_show = await metadataService.get({
       type: Type.TV.Show,
-      id: tv_show_id,
+      id: lookup.id,
+      fs_path: file,
     });
     if (tv_show.status == 404 || tv_show.status_code == 34)
       throw 'API resource was not found';
 
-    let episode = await getTVEpisodeMetaData(file);
+    let episode = await getTVEpisodeMetaData(file, tv_show.id);
     if (episode.status == 400) throw 'API resource was not found';
 
     tv_show.seasons = tv_show.seasons.filter(
       (season) => season.season_number == season_number.toString()
     );
     let logo = tv_show.images.logos.find((logo) => logo.iso_639_1 == 'en');
+    let certification = getTVShowCertification(tv_show);
 
     return {
       type: Type.TV.Show,
@@ -191,6 +281,9 @@ const getTVShowMetaData = async (file) => {
       vote_average: tv_show.vote_average,
       vote_count: tv_show.vote_count,
       logo_path: logo ? logo.file_path : undefined,
+      adult: Boolean(tv_show.adult),
+      certification: certification,
+      certification_level: getCertificationLevel(certification),
       credits: tv_show.credits.cast
         .concat(tv_show.credits.crew)
         .map((credit) => ({
@@ -222,13 +315,13 @@ const getTVShowMetaData = async (file) => {
       imdb_id: tv_show.external_ids.imdb_id,
     };
   } catch (e) {
-    return { status: 400, fs_path: file };
+    return { status: 400, fs_path: file, review };
   }
 };
 
-const getLastUnknownAlbumTrackNumber = async () => {
+const getLastAlbumTrackNumber = async (album_id) => {
   const last = await prisma.song.aggregate({
-    where: { album_spotify_id: unknown_id },
+    where: { album_spotify_id: album_id },
     _max: {
       track_number: true,
     },
@@ -245,7 +338,7 @@ const getUnknownAlbumMetaData = async (file) => {
   console.log('GET: ' + file);
   // build music album not on Spotify
   let disc_number = 1;
-  let track_number = await getLastUnknownAlbumTrackNumber();
+  let track_number = await getLastAlbumTrackNumber(unknown_id);
   track_number = track_number ? track_number + 1 : 1;
 
   return {
@@ -292,104 +385,203 @@ const getUnknownAlbumMetaData = async (file) => {
   };
 };
 
-const getAlbumMetaData = async (file) => {
-  try {
-    let re = new RegExp(/(\w+)$/); // album_id
-    let re2 = new RegExp(/((\d+)-)?(\d+)/); // disc_number - track_number
-    unknown_album = 'Unknown Album';
+// Artists named in tags, keyed by MBID or name so every album of an artist shares them
+const getTaggedArtists = (names, musicbrainz_ids) =>
+  names.map((name, index) => {
+    let musicbrainz_id =
+      musicbrainz_ids.length == names.length ? musicbrainz_ids[index] : null;
+    return {
+      type: Type.Music.Artist,
+      spotify_id: getLocalId(musicbrainz_id || name),
+      musicbrainz_id: musicbrainz_id,
+      name: name,
+      image_url: DEFAULT_IMAGE_URL,
+    };
+  });
 
-    console.log('GET: ' + file);
+// Builds the album of a song from its embedded tags, without Spotify
+const getTaggedAlbumMetaData = async (file, tags) => {
+  let album_artists = tags.album_artists.length
+    ? getTaggedArtists(tags.album_artists, tags.musicbrainz_album_artist_ids)
+    : tags.compilation
+    ? getTaggedArtists(['Various Artists'], [])
+    : getTaggedArtists(
+        tags.artists.length ? tags.artists : ['Unknown Artist'],
+        tags.musicbrainz_artist_ids
+      );
+  let song_artists = tags.artists.length
+    ? getTaggedArtists(tags.artists, tags.musicbrainz_artist_ids)
+    : album_artists;
+
+  // Releases tagged by MusicBrainz keep their editions apart, others are told apart by artist and name
+  let album_id = tags.musicbrainz_album_id
+    ? getLocalId(tags.musicbrainz_album_id)
+    : getLocalId(album_artists.map((a) => a.name).join(';'), tags.album);
+
+  let disc_number = tags.disc_number || 1;
+  let track_number = tags.track_number;
+  if (!track_number) {
+    let last = await getLastAlbumTrackNumber(album_id);
+    track_number = last ? last + 1 : 1;
+  }
 
-    let album_path = path.dirname(file);
-    if (album_path.toUpperCase().endsWith(unknown_album.toUpperCase())) {
-      return getUnknownAlbumMetaData(file);
-    }
+  let has_cover = await saveCover(album_id, file, tags.has_cover);
+
+  return {
+    type: Type.Music.Album,
+    spotify_id: album_id,
+    musicbrainz_id: tags.musicbrainz_album_id,
+    album_type: tags.compilation ? 'compilation' : 'album',
+    artists: album_artists,
+    image_url: has_cover ? `/api/music/covers/${album_id}` : DEFAULT_IMAGE_URL,
+    label: tags.label || '',
+    name: tags.album,
+    popularity: undefined,
+    release_date: tags.release_date || '',
+    songs: [
+      {
+        artists: song_artists,
+        spotify_id: getLocalId(album_id, disc_number, track_number),
+        musicbrainz_id: tags.musicbrainz_track_id,
+        name: tags.title || path.basename(file, path.extname(file)),
+        disc_number: disc_number,
+        track_number: track_number,
+        fs_path: file,
+        url_path: `/music/${album_id}/${disc_number}/${track_number}`,
+        ctime: fs.statSync(file).ctime,
+        mtime: fs.statSync(file).mtime,
+        duration_ms: Math.round((tags.duration || 0) * 1000),
+        explicit: false,
+        preview_url: undefined,
+      },
+    ],
+    total_tracks: tags.total_tracks || track_number,
+  };
+};
 
-    // find the Spotify music album
-    let album = await metadataService.get({
-      type: Type.Music.Album,
-      id: album_path.match(re)[1],
+// Looks up the album of a song with the music providers, null when none knows it
+const getProviderAlbumMetaData = async (file, item, tags) => {
+  let re2 = new RegExp(/((\d+)-)?(\d+)/); // disc_number - track_number
+
+  let album = await metadataService.get({
+    type: Type.Music.Album,
+    fs_path: file,
+    ...item,
+  });
+  if (!album || !album.artists || !album.tracks) return null;
+
+  // find missing artist(s) information for the music album
+  for (var current_artist of album.artists) {
+    let artist = await metadataService.get({
+      type: Type.Music.Artist,
+      id: current_artist.id,
+      musicbrainz_id: current_artist.musicbrainz_id,
+      fs_path: file,
     });
-    if (album.error && album.error.status == 400)
-      throw 'API resource was not found';
+    current_artist.image_url = artist.images?.[0]
+      ? artist.images[0].url
+      : DEFAULT_IMAGE_URL;
+    current_artist.popularity = artist.popularity;
+  }
+
+  // if local track found, by its tags or the numbers starting its file name
+  let numbers = path.basename(file).match(re2) || [];
+  let disc_number = (tags && tags.disc_number) || parseInt(numbers[2] || 1);
+  let track_number = (tags && tags.track_number) || parseInt(numbers[3]);
 
-    // find missing artist(s) information for the Spotify music album
-    for (var current_artist of album.artists) {
+  album.tracks.items = album.tracks.items.filter((item) => {
+    if (item.disc_number == disc_number && item.track_number == track_number) {
+      return true;
+    }
+  });
+  if (album.tracks.items.length == 0) return null;
+  // find missing artist(s) information for the track
+  for (var track_item of album.tracks.items) {
+    for (var current_artist of track_item.artists) {
       let artist = await metadataService.get({
         type: Type.Music.Artist,
         id: current_artist.id,
+        musicbrainz_id: current_artist.musicbrainz_id,
+        fs_path: file,
       });
-      current_artist.image_url = artist.images[0]
+      current_artist.image_url = artist.images?.[0]
         ? artist.images[0].url
-        : 'http://i.imgur.com/bVnx0IY.png';
+        : DEFAULT_IMAGE_URL;
       current_artist.popularity = artist.popularity;
     }
+  }
 
-    // if local track found
-    let disc_number = parseInt(path.basename(file).match(re2)[1] || 1);
-    let track_number = parseInt(path.basename(file).match(re2)[3]);
-
-    album.tracks.items = album.tracks.items.filter((item) => {
-      if (
-        item.disc_number == disc_number &&
-        item.track_number == track_number
-      ) {
-        return true;
-      }
-    });
-    if (album.tracks.items.length == 0) throw 'API resource was not found';
-    // find missing artist(s) information for the Spotify track
-    for (var track_item of album.tracks.items) {
-      for (var current_artist of track_item.artists) {
-        let artist = await metadataService.get({
-          type: Type.Music.Artist,
-          id: current_artist.id,
-        });
-        current_artist.image_url = artist.images[0]
-          ? artist.images[0].url
-          : 'http://i.imgur.com/bVnx0IY.png';
-        current_artist.popularity = artist.popularity;
-      }
-    }
-
-    return {
-      type: Type.Music.Album,
-      spotify_id: album.id,
-      album_type: album.album_type,
-      artists: album.artists.map((artist) => ({
+  return {
+    type: Type.Music.Album,
+    spotify_id: album.id,
+    musicbrainz_id: album.musicbrainz_id,
+    album_type: album.album_type,
+    artists: album.artists.map((artist) => ({
+      type: Type.Music.Artist,
+      spotify_id: artist.id,
+      musicbrainz_id: artist.musicbrainz_id,
+      name: artist.name,
+      image_url: artist.image_url,
+      popularity: artist.popularity,
+    })),
+    image_url: album.images[0].url,
+    label: album.label,
+    name: album.name,
+    popularity: album.popularity,
+    release_date: album.release_date,
+    songs: album.tracks.items.map((track_item) => ({
+      artists: track_item.artists.map((artist) => ({
         type: Type.Music.Artist,
         spotify_id: artist.id,
+        musicbrainz_id: artist.musicbrainz_id,
         name: artist.name,
         image_url: artist.image_url,
         popularity: artist.popularity,
       })),
-      image_url: album.images[0].url,
-      label: album.label,
-      name: album.name,
-      popularity: album.popularity,
-      release_date: album.release_date,
-      songs: album.tracks.items.map((track_item) => ({
-        artists: track_item.artists.map((artist) => ({
-          type: Type.Music.Artist,
-          spotify_id: artist.id,
-          name: artist.name,
-          image_url: artist.image_url,
-          popularity: artist.popularity,
-        })),
-        spotify_id: track_item.id,
-        fs_path: file,
-        url_path: `/music/${album.id}/${track_item.disc_number}/${track_item.track_number}`,
-        ctime: fs.statSync(file).ctime,
-        mtime: fs.statSync(file).mtime,
-        disc_number: track_item.disc_number,
-        duration_ms: track_item.duration_ms,
-        explicit: track_item.explicit,
-        name: track_item.name,
-        preview_url: track_item.preview_url,
-        track_number: track_item.track_number,
-      })),
-      total_tracks: album.total_tracks,
-    };
+      spotify_id: track_item.id,
+      musicbrainz_id: track_item.musicbrainz_id,
+      fs_path: file,
+      url_path: `/music/${album.id}/${track_item.disc_number}/${track_item.track_number}`,
+      ctime: fs.statSync(file).ctime,
+      mtime: fs.statSync(file).mtime,
+      disc_number: track_item.disc_number,
+      duration_ms: track_item.duration_ms,
+      explicit: track_item.explicit,
+      name: track_item.name,
+      preview_url: track_item.preview_url,
+      track_number: track_item.track_number,
+    })),
+    total_tracks: album.total_tracks,
+  };
+};
+
+const getAlbumMetaData = async (file) => {
+  try {
+    // album_id, a Spotify ID or a MusicBrainz release ID
+    let re = new RegExp(/([0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12}|\w+)$/i);
+    unknown_album = 'Unknown Album';
+
+    console.log('GET: ' + file);
+
+    let album_path = path.dirname(file);
+    if (album_path.toUpperCase().endsWith(unknown_album.toUpperCase())) {
+      return getUnknownAlbumMetaData(file);
+    }
+
+    // Songs tagged with their album are matched by their tags, such as on MusicBrainz,
+    // and built from their tags when no provider knows them
+    let tags = await readTags(file).catch(() => null);
+    if (tags && tags.album) {
+      let album = await getProviderAlbumMetaData(file, { tags }, tags);
+      return album || (await getTaggedAlbumMetaData(file, tags));
+    }
+
+    // find the music album, by the ID ending its directory name or an album.nfo
+    let album = await getProviderAlbumMetaData(file, {
+      id: (album_path.match(re) || [])[1],
+    });
+    if (!album) throw 'API resource was not found';
+    return album;
   } catch (e) {
     return { status: 400, fs_path: file };
   }
@@ -483,6 +675,8 @@ const moveSongFile = (item) => {
 };
 
 module.exports = {
+  getMovieCertification,
+  getTVShowCertification,
   getMovieMetaData,
   getTVShowMetaData,
   getAlbumMetaData,
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "role" TEXT NOT NULL DEFAULT 'viewer';
+
+-- Existing installs keep their first account as administrator
+UPDATE "User" SET "role" = 'admin' WHERE "id" = (SELECT MIN("id") FROM "User");
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN "maxCertification" TEXT;
+ALTER TABLE "User" ADD COLUMN "hideAdult" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "User" ADD COLUMN "hideExplicit" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "Movie" ADD COLUMN "certification" TEXT;
+ALTER TABLE "Movie" ADD COLUMN "certification_level" INTEGER;
+
+-- AlterTable
+ALTER TABLE "TVShow" ADD COLUMN "adult" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "TVShow" ADD COLUMN "certification" TEXT;
+ALTER TABLE "TVShow" ADD COLUMN "certification_level" INTEGER;
@@ -0,0 +1,195 @@
+-- CreateTable
+CREATE TABLE "Profile" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "avatar" TEXT,
+    "kid" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Profile_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Profile_userId_name_key" ON "Profile"("userId", "name");
+
+-- Give every existing user a profile holding what they saved so far
+INSERT INTO "Profile" ("userId", "name", "updatedAt")
+SELECT "id", COALESCE("name", "username"), CURRENT_TIMESTAMP FROM "User";
+
+-- RedefineTables
+PRAGMA foreign_keys=OFF;
+
+CREATE TABLE "new_FavoriteMovie" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "profileId" INTEGER NOT NULL,
+    "movieId" INTEGER NOT NULL,
+    "addedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "FavoriteMovie_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "Profile" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "FavoriteMovie_movieId_fkey" FOREIGN KEY ("movieId") REFERENCES "Movie" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_FavoriteMovie" ("id", "profileId", "movieId", "addedAt") SELECT "id", (SELECT "id" FROM "Profile" WHERE "Profile"."userId" = "FavoriteMovie"."userId"), "movieId", "addedAt" FROM "FavoriteMovie";
+DROP TABLE "FavoriteMovie";
+ALTER TABLE "new_FavoriteMovie" RENAME TO "FavoriteMovie";
+CREATE UNIQUE INDEX "FavoriteMovie_profileId_movieId_key" ON "FavoriteMovie"("profileId", "movieId");
+CREATE TABLE "new_FavoriteTVShow" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "profileId" INTEGER NOT NULL,
+    "tvShowId" INTEGER NOT NULL,
+    "addedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "FavoriteTVShow_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "Profile" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "FavoriteTVShow_tvShowId_fkey" FOREIGN KEY ("tvShowId") REFERENCES "TVShow" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_FavoriteTVShow" ("id", "profileId", "tvShowId", "addedAt") SELECT "id", (SELECT "id" FROM "Profile" WHERE "Profile"."userId" = "FavoriteTVShow"."userId"), "tvShowId", "addedAt" FROM "FavoriteTVShow";
+DROP TABLE "FavoriteTVShow";
+ALTER TABLE "new_FavoriteTVShow" RENAME TO "FavoriteTVShow";
+CREATE UNIQUE INDEX "FavoriteTVShow_profileId_tvShowId_key" ON "FavoriteTVShow"("profileId", "tvShowId");
+CREATE TABLE "new_FavoriteEpisode" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "profileId" INTEGER NOT NULL,
+    "episodeId" INTEGER NOT NULL,
+    "addedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "FavoriteEpisode_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "Profile" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "FavoriteEpisode_episodeId_fkey" FOREIGN KEY ("episodeId") REFERENCES "Episode" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_FavoriteEpisode" ("id", "profileId", "episodeId", "addedAt") SELECT "id", (SELECT "id" FROM "Profile" WHERE "Profile"."userId" = "FavoriteEpisode"."userId"), "episodeId", "addedAt" FROM "FavoriteEpisode";
+DROP TABLE "FavoriteEpisode";
+ALTER TABLE "new_FavoriteEpisode" RENAME TO "FavoriteEpisode";
+CREATE UNIQUE INDEX "FavoriteEpisode_profileId_episodeId_key" ON "FavoriteEpisode"("profileId", "episodeId");
+CREATE TABLE "new_FavoriteAlbum" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "profileId" INTEGER NOT NULL,
+    "albumId" INTEGER NOT NULL,
+    "addedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "FavoriteAlbum_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "Profile" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "FavoriteAlbum_albumId_fkey" FOREIGN KEY ("albumId") REFERENCES "Album" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_FavoriteAlbum" ("id", "profileId", "albumId", "addedAt") SELECT "id", (SELECT "id" FROM "Profile" WHERE "Profile"."userId" = "FavoriteAlbum"."userId"), "albumId", "addedAt" FROM "FavoriteAlbum";
+DROP TABLE "FavoriteAlbum";
+ALTER TABLE "new_FavoriteAlbum" RENAME TO "FavoriteAlbum";
+CREATE UNIQUE INDEX "FavoriteAlbum_profileId_albumId_key" ON "FavoriteAlbum"("profileId", "albumId");
+CREATE TABLE "new_FavoriteSong" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "profileId" INTEGER NOT NULL,
+    "songId" INTEGER NOT NULL,
+    "addedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "FavoriteSong_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "Profile" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "FavoriteSong_songId_fkey" FOREIGN KEY ("songId") REFERENCES "Song" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_FavoriteSong" ("id", "profileId", "songId", "addedAt") SELECT "id", (SELECT "id" FROM "Profile" WHERE "Profile"."userId" = "FavoriteSong"."userId"), "songId", "addedAt" FROM "FavoriteSong";
+DROP TABLE "FavoriteSong";
+ALTER TABLE "new_FavoriteSong" RENAME TO "FavoriteSong";
+CREATE UNIQUE INDEX "FavoriteSong_profileId_songId_key" ON "FavoriteSong"("profileId", "songId");
+CREATE TABLE "new_MovieRating" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "profileId" INTEGER NOT NULL,
+    "movieId" INTEGER NOT NULL,
+    "rating" REAL NOT NULL,
+    "review" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "MovieRating_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "Profile" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "MovieRating_movieId_fkey" FOREIGN KEY ("movieId") REFERENCES "Movie" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_MovieRating" ("id", "profileId", "movieId", "rating", "review", "createdAt", "updatedAt") SELECT "id", (SELECT "id" FROM "Profile" WHERE "Profile"."userId" = "MovieRating"."userId"), "movieId", "rating", "review", "createdAt", "updatedAt" FROM "MovieRating";
+DROP TABLE "MovieRating";
+ALTER TABLE "new_MovieRating" RENAME TO "MovieRating";
+CREATE UNIQUE INDEX "MovieRating_profileId_movieId_key" ON "MovieRating"("profileId", "movieId");
+CREATE TABLE "new_TVShowRating" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "profileId" INTEGER NOT NULL,
+    "tvShowId" INTEGER NOT NULL,
+    "rating" REAL NOT NULL,
+    "review" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "TVShowRating_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "Profile" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "TVShowRating_tvShowId_fkey" FOREIGN KEY ("tvShowId") REFERENCES "TVShow" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_TVShowRating" ("id", "profileId", "tvShowId", "rating", "review", "createdAt", "updatedAt") SELECT "id", (SELECT "id" FROM "Profile" WHERE "Profile"."userId" = "TVShowRating"."userId"), "tvShowId", "rating", "review", "createdAt", "updatedAt" FROM "TVShowRating";
+DROP TABLE "TVShowRating";
+ALTER TABLE "new_TVShowRating" RENAME TO "TVShowRating";
+CREATE UNIQUE INDEX "TVShowRating_profileId_tvShowId_key" ON "TVShowRating"("profileId", "tvShowId");
+CREATE TABLE "new_EpisodeRating" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "profileId" INTEGER NOT NULL,
+    "episodeId" INTEGER NOT NULL,
+    "rating" REAL NOT NULL,
+    "review" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "EpisodeRating_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "Profile" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "EpisodeRating_episodeId_fkey" FOREIGN KEY ("episodeId") REFERENCES "Episode" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_EpisodeRating" ("id", "profileId", "episodeId", "rating", "review", "createdAt", "updatedAt") SELECT "id", (SELECT "id" FROM "Profile" WHERE "Profile"."userId" = "EpisodeRating"."userId"), "episodeId", "rating", "review", "createdAt", "updatedAt" FROM "EpisodeRating";
+DROP TABLE "EpisodeRating";
+ALTER TABLE "new_EpisodeRating" RENAME TO "EpisodeRating";
+CREATE UNIQUE INDEX "EpisodeRating_profileId_episodeId_key" ON "EpisodeRating"("profileId", "episodeId");
+CREATE TABLE "new_AlbumRating" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "profileId" INTEGER NOT NULL,
+    "albumId" INTEGER NOT NULL,
+    "rating" REAL NOT NULL,
+    "review" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "AlbumRating_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "Profile" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "AlbumRating_albumId_fkey" FOREIGN KEY ("albumId") REFERENCES "Album" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_AlbumRating" ("id", "profileId", "albumId", "rating", "review", "createdAt", "updatedAt") SELECT "id", (SELECT "id" FROM "Profile" WHERE "Profile"."userId" = "AlbumRating"."userId"), "albumId", "rating", "review", "createdAt", "updatedAt" FROM "AlbumRating";
+DROP TABLE "AlbumRating";
+ALTER TABLE "new_AlbumRating" RENAME TO "AlbumRating";
+CREATE UNIQUE INDEX "AlbumRating_profileId_albumId_key" ON "AlbumRating"("profileId", "albumId");
+CREATE TABLE "new_SongRating" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "profileId" INTEGER NOT NULL,
+    "songId" INTEGER NOT NULL,
+    "rating" REAL NOT NULL,
+    "review" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "SongRating_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "Profile" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "SongRating_songId_fkey" FOREIGN KEY ("songId") REFERENCES "Song" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_SongRating" ("id", "profileId", "songId", "rating", "review", "createdAt", "updatedAt") SELECT "id", (SELECT "id" FROM "Profile" WHERE "Profile"."userId" = "SongRating"."userId"), "songId", "rating", "review", "createdAt", "updatedAt" FROM "SongRating";
+DROP TABLE "SongRating";
+ALTER TABLE "new_SongRating" RENAME TO "SongRating";
+CREATE UNIQUE INDEX "SongRating_profileId_songId_key" ON "SongRating"("profileId", "songId");
+CREATE TABLE "new_WatchProgress" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "profileId" INTEGER NOT NULL,
+    "movieId" INTEGER,
+    "episodeId" INTEGER,
+    "position" REAL NOT NULL,
+    "duration" REAL NOT NULL,
+    "completed" BOOLEAN NOT NULL DEFAULT false,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "WatchProgress_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "Profile" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "WatchProgress_movieId_fkey" FOREIGN KEY ("movieId") REFERENCES "Movie" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "WatchProgress_episodeId_fkey" FOREIGN KEY ("episodeId") REFERENCES "Episode" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+INSERT INTO "new_WatchProgress" ("id", "profileId", "movieId", "episodeId", "position", "duration", "completed", "updatedAt") SELECT "id", (SELECT "id" FROM "Profile" WHERE "Profile"."userId" = "WatchProgress"."userId"), "movieId", "episodeId", "position", "duration", "completed", "updatedAt" FROM "WatchProgress";
+DROP TABLE "WatchProgress";
+ALTER TABLE "new_WatchProgress" RENAME TO "WatchProgress";
+CREATE UNIQUE INDEX "WatchProgress_profileId_movieId_key" ON "WatchProgress"("profileId", "movieId");
+CREATE UNIQUE INDEX "WatchProgress_profileId_episodeId_key" ON "WatchProgress"("profileId", "episodeId");
+CREATE TABLE "new_Session" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "profileId" INTEGER,
+    "tokenHash" TEXT NOT NULL,
+    "userAgent" TEXT,
+    "ipAddress" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastUsedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" DATETIME NOT NULL,
+    "revokedAt" DATETIME,
+    CONSTRAINT "Session_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Session_profileId_fkey" FOREIGN KEY ("profileId") REFERENCES "Profile" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_Session" ("id", "userId", "tokenHash", "userAgent", "ipAddress", "createdAt", "lastUsedAt", "expiresAt", "revokedAt") SELECT "id", "userId", "tokenHash", "userAgent", "ipAddress", "createdAt", "lastUsedAt", "expiresAt", "revokedAt" FROM "Session";
+DROP TABLE "Session";
+ALTER TABLE "new_Session" RENAME TO "Session";
+CREATE UNIQUE INDEX "Session_tokenHash_key" ON "Session"("tokenHash");
+PRAGMA foreign_key_check;
+PRAGMA foreign_keys=ON;
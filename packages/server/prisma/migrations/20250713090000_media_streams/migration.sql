@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "Movie" ADD COLUMN "container" TEXT;
+ALTER TABLE "Movie" ADD COLUMN "duration" REAL;
+ALTER TABLE "Movie" ADD COLUMN "bit_rate" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Episode" ADD COLUMN "container" TEXT;
+ALTER TABLE "Episode" ADD COLUMN "duration" REAL;
+ALTER TABLE "Episode" ADD COLUMN "bit_rate" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Song" ADD COLUMN "container" TEXT;
+ALTER TABLE "Song" ADD COLUMN "bit_rate" INTEGER;
+
+-- CreateTable
+CREATE TABLE "MediaStream" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "movie_tmdb_id" INTEGER,
+    "episode_tmdb_id" INTEGER,
+    "song_spotify_id" TEXT,
+    "stream_index" INTEGER NOT NULL,
+    "codec_type" TEXT NOT NULL,
+    "codec_name" TEXT NOT NULL,
+    "profile" TEXT,
+    "language" TEXT,
+    "title" TEXT,
+    "is_default" BOOLEAN NOT NULL DEFAULT false,
+    "width" INTEGER,
+    "height" INTEGER,
+    "dynamic_range" TEXT,
+    "channels" INTEGER,
+    "channel_layout" TEXT,
+    "bit_rate" INTEGER,
+    CONSTRAINT "MediaStream_movie_tmdb_id_fkey" FOREIGN KEY ("movie_tmdb_id") REFERENCES "Movie" ("tmdb_id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "MediaStream_episode_tmdb_id_fkey" FOREIGN KEY ("episode_tmdb_id") REFERENCES "Episode" ("tmdb_id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "MediaStream_song_spotify_id_fkey" FOREIGN KEY ("song_spotify_id") REFERENCES "Song" ("spotify_id") ON DELETE CASCADE ON UPDATE CASCADE
+);
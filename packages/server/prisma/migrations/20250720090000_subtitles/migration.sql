@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "MediaStream" ADD COLUMN "is_forced" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateTable
+CREATE TABLE "Subtitle" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "movie_tmdb_id" INTEGER,
+    "episode_tmdb_id" INTEGER,
+    "fs_path" TEXT,
+    "stream_index" INTEGER,
+    "format" TEXT NOT NULL,
+    "language" TEXT,
+    "title" TEXT,
+    "is_default" BOOLEAN NOT NULL DEFAULT false,
+    "is_forced" BOOLEAN NOT NULL DEFAULT false,
+    CONSTRAINT "Subtitle_movie_tmdb_id_fkey" FOREIGN KEY ("movie_tmdb_id") REFERENCES "Movie" ("tmdb_id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "Subtitle_episode_tmdb_id_fkey" FOREIGN KEY ("episode_tmdb_id") REFERENCES "Episode" ("tmdb_id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Subtitle_fs_path_key" ON "Subtitle"("fs_path");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "Episode" ADD COLUMN "intro_start" REAL;
+ALTER TABLE "Episode" ADD COLUMN "intro_end" REAL;
+ALTER TABLE "Episode" ADD COLUMN "credits_start" REAL;
+ALTER TABLE "Episode" ADD COLUMN "markers_analyzed" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "Download" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "userId" INTEGER NOT NULL,
+    "type" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "quality" TEXT,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "Download_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "DownloadFile" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "downloadId" INTEGER NOT NULL,
+    "fsPath" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "copyPath" TEXT,
+    "ready" BOOLEAN NOT NULL DEFAULT false,
+    CONSTRAINT "DownloadFile_downloadId_fkey" FOREIGN KEY ("downloadId") REFERENCES "Download" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "NotAvailable" ADD COLUMN "title" TEXT;
+ALTER TABLE "NotAvailable" ADD COLUMN "year" INTEGER;
+ALTER TABLE "NotAvailable" ADD COLUMN "season_number" INTEGER;
+ALTER TABLE "NotAvailable" ADD COLUMN "episode_number" INTEGER;
+ALTER TABLE "NotAvailable" ADD COLUMN "tmdb_id" INTEGER;
+ALTER TABLE "NotAvailable" ADD COLUMN "match_title" TEXT;
+ALTER TABLE "NotAvailable" ADD COLUMN "match_year" INTEGER;
+ALTER TABLE "NotAvailable" ADD COLUMN "confidence" REAL;
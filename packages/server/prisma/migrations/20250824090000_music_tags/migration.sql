@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Album" ADD COLUMN "musicbrainz_id" TEXT;
+ALTER TABLE "Artist" ADD COLUMN "musicbrainz_id" TEXT;
+ALTER TABLE "Song" ADD COLUMN "musicbrainz_id" TEXT;
@@ -0,0 +1,8 @@
+-- CreateIndex
+CREATE INDEX "Album_musicbrainz_id_idx" ON "Album"("musicbrainz_id");
+
+-- CreateIndex
+CREATE INDEX "Artist_musicbrainz_id_idx" ON "Artist"("musicbrainz_id");
+
+-- CreateIndex
+CREATE INDEX "Song_musicbrainz_id_idx" ON "Song"("musicbrainz_id");
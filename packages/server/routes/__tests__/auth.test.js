@@ -12,15 +12,31 @@ jest.mock('../../services/user', () => ({
 
 jest.mock('../../services/auth', () => ({
   generateToken: jest.fn(),
-  invalidateToken: jest.fn(),
   validatePasswordStrength: jest.fn(),
   verifyToken: jest.fn(), // Mock for verifyToken method
   // Add other authService methods if needed
 }));
 
+jest.mock('../../services/session', () => ({
+  ACCESS_TOKEN_EXPIRY: '15m',
+  ACCESS_TOKEN_MAX_AGE: 15 * 60 * 1000,
+  REFRESH_TOKEN_MAX_AGE: 30 * 24 * 60 * 60 * 1000,
+  createSession: jest.fn(),
+  getActiveSession: jest.fn(),
+  rotateSession: jest.fn(),
+  revokeSessionByRefreshToken: jest.fn()
+}));
+
+jest.mock('../../services/settings', () => ({
+  getRegistrationMode: jest.fn().mockResolvedValue('open')
+}));
+
+jest.mock('../../services/invite', () => ({}));
+
 // Import the mocked services
 const userService = require('../../services/user');
 const authService = require('../../services/auth');
+const sessionService = require('../../services/session');
 
 // Create Express app
 const app = express();
@@ -49,6 +65,7 @@ app.use((req, res, next) => {
 // Set up routes
 app.post('/register', authController.register);
 app.post('/login', authController.login);
+app.post('/refresh', authController.refresh);
 app.post('/logout', authController.logout);
 app.get('/api/me', authController.authenticate, authController.getProfile);
 
@@ -64,6 +81,11 @@ describe('Authentication Routes', () => {
     });
     
     authService.generateToken.mockReturnValue('mock-token');
+    sessionService.createSession.mockResolvedValue({
+      session: { id: 5, userId: '123' },
+      refreshToken: 'refresh-token'
+    });
+    sessionService.getActiveSession.mockResolvedValue({ id: 5, userId: '123' });
   });
 
   describe('POST /register', () => {
@@ -165,14 +187,15 @@ describe('Authentication Routes', () => {
 
   describe('POST /logout', () => {
     it('should successfully logout user', async () => {
-      authService.invalidateToken.mockResolvedValue(true);
+      sessionService.revokeSessionByRefreshToken.mockResolvedValue(true);
       
       const response = await request(app)
         .post('/logout')
-        .set('Authorization', 'Bearer valid-token');
+        .set('Cookie', 'refresh_token=refresh-token');
       
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
+      expect(sessionService.revokeSessionByRefreshToken).toHaveBeenCalledWith('refresh-token');
     });
 
     it('should handle logout without token', async () => {
@@ -181,7 +204,44 @@ describe('Authentication Routes', () => {
         .send();
       
       expect(response.status).toBe(200);
-      expect(authService.invalidateToken).not.toHaveBeenCalled();
+      expect(sessionService.revokeSessionByRefreshToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /refresh', () => {
+    it('should issue new tokens for a valid refresh token', async () => {
+      sessionService.rotateSession.mockResolvedValue({
+        session: { id: 5, userId: '123' },
+        refreshToken: 'next-refresh-token'
+      });
+      userService.getUserById.mockResolvedValue({
+        id: '123',
+        username: 'testuser',
+        email: 'test@example.com',
+        role: 'viewer'
+      });
+      
+      const response = await request(app)
+        .post('/refresh')
+        .set('Cookie', 'refresh_token=refresh-token');
+      
+      expect(response.status).toBe(200);
+      expect(response.body.token).toBe('mock-token');
+      expect(response.headers['set-cookie']).toEqual(expect.arrayContaining([
+        expect.stringContaining('auth_token=mock-token'),
+        expect.stringContaining('refresh_token=next-refresh-token')
+      ]));
+    });
+
+    it('should return 401 without a valid refresh token', async () => {
+      sessionService.rotateSession.mockRejectedValue(new Error('Invalid refresh token'));
+      
+      const response = await request(app)
+        .post('/refresh')
+        .send();
+      
+      expect(response.status).toBe(401);
+      expect(response.body.errors[0].message).toContain('Invalid refresh token');
     });
   });
 
@@ -214,7 +274,8 @@ describe('Authentication Routes', () => {
           email: 'test@example.com',
           createdAt: '2023-01-01T00:00:00.000Z',
           updatedAt: '2023-01-02T00:00:00.000Z'
-        }
+        },
+        profile: null
       });
       expect(authService.verifyToken).toHaveBeenCalledWith('valid-token');
       expect(userService.getUserById).toHaveBeenCalledWith('123');
@@ -0,0 +1,98 @@
+// packages/server/routes/__tests__/index.test.js
+const request = require('supertest');
+const express = require('express');
+const { getMovieFilePath, getEpisodeFilePath, getSongFilePath } = require('../../data');
+const { getSubtitle } = require('../../services/subtitle');
+const { getCoverPath } = require('../../services/tags');
+const { getArtworkPath } = require('../../services/artwork');
+const { authenticate } = require('../../controller/authController');
+
+jest.mock('@prisma/client', () => ({
+  PrismaClient: jest.fn().mockImplementation(() => ({}))
+}));
+
+jest.mock('../../data', () => ({
+  getMovieFilePath: jest.fn(),
+  getEpisodeFilePath: jest.fn(),
+  getSongFilePath: jest.fn()
+}));
+
+jest.mock('../../services/subtitle', () => ({
+  ...jest.requireActual('../../services/subtitle'),
+  getSubtitle: jest.fn()
+}));
+
+jest.mock('../../services/tags', () => ({
+  ...jest.requireActual('../../services/tags'),
+  getCoverPath: jest.fn()
+}));
+
+jest.mock('../../services/artwork', () => ({
+  ...jest.requireActual('../../services/artwork'),
+  getArtworkPath: jest.fn()
+}));
+
+// Every request is signed in as a viewer without a profile
+jest.mock('../../controller/authController', () => ({
+  ...jest.requireActual('../../controller/authController'),
+  authenticate: jest.fn((req, res, next) => {
+    req.user = { id: 1, role: 'user' };
+    next();
+  })
+}));
+
+const router = require('../index');
+
+const app = express();
+app.use('/api', router);
+
+describe('Library routes', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('file lookups', () => {
+    const error = new Error('database is locked');
+
+    it.each([
+      ['a movie', '/api/movies/550/stream', getMovieFilePath],
+      ['an episode', '/api/tv/1396/1/1/stream', getEpisodeFilePath],
+      ['a song', '/api/music/abc/1/1', getSongFilePath],
+      ['a subtitle', '/api/subtitles/1', getSubtitle]
+    ])('should answer 500 when the file of %s cannot be looked up', async (name, url, lookup) => {
+      lookup.mockRejectedValue(error);
+
+      const response = await request(app).get(url);
+
+      expect(response.status).toBe(500);
+      expect(response.body).toMatchObject({ status: 500, message: 'Server error' });
+    });
+
+    it('should answer 404 when the file is not in the library', async () => {
+      getMovieFilePath.mockResolvedValue(null);
+
+      const response = await request(app).get('/api/movies/550/stream');
+
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('images', () => {
+    it.each([
+      ['a cover', '/api/music/covers/abc', getCoverPath],
+      ['artwork', '/api/artwork/abc.jpg', getArtworkPath]
+    ])('should answer 401 for %s requested without a session', async (name, url, lookup) => {
+      authenticate.mockImplementationOnce((req, res) => res.status(401).json({ status: 401 }));
+
+      const response = await request(app).get(url);
+
+      expect(response.status).toBe(401);
+      expect(lookup).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -10,6 +10,7 @@ const {
   getMostPopularMovies,
   getHighestRatedMovies,
   getRecentlyAddedMovies,
+  getContinueWatchingMovies,
   getMovieGenres,
   getMoviesByGenre,
   getRandomMovie,
@@ -18,6 +19,8 @@ const {
   getMostPopularTVShows,
   getHighestRatedTVShows,
   getRecentlyAddedTVShows,
+  getContinueWatchingTVShows,
+  getUpNextTVShows,
   getTVShowGenres,
   getTVShowsByGenre,
   getRandomTVShow,
@@ -40,9 +43,102 @@ const {
 } = require('../data');
 const { moveMovieFile, moveEpisodeFile, moveSongFile } = require('../models');
 const authController = require('../controller/authController');
+const { formatErrorResponse } = require('../controller/authController');
+const favoriteController = require('../controller/favoriteController');
+const ratingController = require('../controller/ratingController');
+const progressController = require('../controller/progressController');
+const sessionController = require('../controller/sessionController');
+const userController = require('../controller/userController');
+const settingsController = require('../controller/settingsController');
+const inviteController = require('../controller/inviteController');
+const profileController = require('../controller/profileController');
+const playbackController = require('../controller/playbackController');
+const downloadController = require('../controller/downloadController');
+const matchController = require('../controller/matchController');
+const { Role } = require('../constants');
+const { getRestrictions } = require('../services/restriction');
+const { getSubtitle } = require('../services/subtitle');
+const { getCoverPath } = require('../services/tags');
+const { getArtworkPath } = require('../services/artwork');
 const router = express.Router();
 
+const requireAdmin = [
+  authController.authenticate,
+  authController.requireRole(Role.Admin),
+];
+
+const requireProfile = [
+  authController.authenticate,
+  authController.requireProfile,
+];
+
+const requireDownloads = [
+  authController.authenticate,
+  downloadController.requireDownloads,
+];
+
+// The content limits of the signed-in user and profile, applied to every library query
+const restrictions = (req) => getRestrictions(req.user, req.profile);
+
+// Content types of the video containers browsers can play directly
+const VIDEO_MIME_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.webm': 'video/webm',
+};
+
+// Runs the lookup of a file middleware, answering 500 when it fails
+const resolveFile = (action, lookup) => async (req, res, next) => {
+  try {
+    await lookup(req);
+  } catch (error) {
+    console.error(`${action} error:`, error);
+    return res.status(500).json(
+      formatErrorResponse(500, 'Server error', [
+        {
+          field: 'general',
+          message: `Server error while ${action.toLowerCase()}`,
+        },
+      ])
+    );
+  }
+  next();
+};
+
+// Resolves the file of the movie or episode in the URL into req.filePath
+const movieFile = resolveFile('Finding movie file', async (req) => {
+  req.filePath = await getMovieFilePath(req.params.id, restrictions(req));
+});
+
+const episodeFile = resolveFile('Finding episode file', async (req) => {
+  req.filePath = await getEpisodeFilePath(
+    req.params.tv_show_id,
+    req.params.season_number,
+    req.params.episode_number,
+    restrictions(req)
+  );
+});
+
+// Resolves the file of the song in the URL into req.filePath
+const songFile = resolveFile('Finding song file', async (req) => {
+  req.filePath = await getSongFilePath(
+    req.params.album_id,
+    req.params.disc_number,
+    req.params.track_number,
+    restrictions(req)
+  );
+});
+
+// Resolves the subtitle in the URL, with the file of its video, into req.subtitle
+const subtitleFile = resolveFile('Finding subtitle', async (req) => {
+  req.subtitle = await getSubtitle(req.params.id, restrictions(req));
+});
+
 const readStreamMp4 = (req, res, file_path) => {
+  if (!file_path) return res.status(404).end();
+  const contentType =
+    VIDEO_MIME_TYPES[path.extname(file_path).toLowerCase()] ||
+    'application/octet-stream';
   const stat = fs.statSync(file_path);
   const fileSize = stat.size;
   const range = req.headers.range;
@@ -56,230 +152,467 @@ const readStreamMp4 = (req, res, file_path) => {
       'Content-Range': `bytes ${start}-${end}/${fileSize}`,
       'Accept-Ranges': 'bytes',
       'Content-Length': chunksize,
-      'Content-Type': 'video/mp4',
+      'Content-Type': contentType,
     };
     res.writeHead(206, head);
     file.pipe(res);
   } else {
     const head = {
       'Content-Length': fileSize,
-      'Content-Type': 'video/mp4',
+      'Content-Type': contentType,
     };
     res.writeHead(200, head);
     fs.createReadStream(file_path).pipe(res);
   }
 };
 
-const readStreamMpeg = (req, res, file_path) => {
-  var stat = fs.statSync(file_path);
-  var total = stat.size;
-  if (req.headers.range) {
-    var range = req.headers.range;
-    var parts = range.replace(/bytes=/, '').split('-');
-    var partialstart = parts[0];
-    var partialend = parts[1];
-
-    var start = parseInt(partialstart, 10);
-    var end = partialend ? parseInt(partialend, 10) : total - 1;
-    var chunksize = end - start + 1;
-    var readStream = fs.createReadStream(file_path, { start: start, end: end });
-    res.writeHead(206, {
-      'Content-Range': 'bytes ' + start + '-' + end + '/' + total,
-      'Accept-Ranges': 'bytes',
-      'Content-Length': chunksize,
-      'Content-Type': 'video/mp4',
-    });
-    readStream.pipe(res);
-  } else {
-    res.writeHead(200, {
-      'Content-Length': total,
-      'Content-Type': 'audio/mpeg',
-    });
-    fs.createReadStream(file_path).pipe(res);
-  }
-};
-
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/refresh', authController.refresh);
 router.post('/logout', authController.logout);
+router.post(
+  '/logout/all',
+  authController.authenticate,
+  sessionController.logoutAll
+);
 router.get('/me', authController.authenticate, authController.getProfile);
+router.patch(
+  '/me/preferences',
+  authController.authenticate,
+  userController.updatePreferences
+);
+router.get('/registration', settingsController.getRegistration);
+
+router.get(
+  '/sessions',
+  authController.authenticate,
+  sessionController.getSessions
+);
+router.delete(
+  '/sessions/:id',
+  authController.authenticate,
+  sessionController.revokeSession
+);
+
+router.get(
+  '/profiles',
+  authController.authenticate,
+  profileController.listProfiles
+);
+router.post(
+  '/profiles',
+  authController.authenticate,
+  profileController.createProfile
+);
+router.patch(
+  '/profiles/:id',
+  authController.authenticate,
+  profileController.updateProfile
+);
+router.delete(
+  '/profiles/:id',
+  authController.authenticate,
+  profileController.deleteProfile
+);
+router.post(
+  '/profiles/:id/select',
+  authController.authenticate,
+  profileController.selectProfile
+);
+
+router.get('/admin/users', requireAdmin, userController.listUsers);
+router.patch('/admin/users/:id', requireAdmin, userController.updateUser);
+router.post(
+  '/admin/users/:id/password',
+  requireAdmin,
+  userController.resetPassword
+);
+router.delete('/admin/users/:id', requireAdmin, userController.deleteUser);
+router.get('/admin/invites', requireAdmin, inviteController.listInvites);
+router.post('/admin/invites', requireAdmin, inviteController.createInvite);
+router.delete(
+  '/admin/invites/:id',
+  requireAdmin,
+  inviteController.revokeInvite
+);
+router.put(
+  '/admin/settings/registration',
+  requireAdmin,
+  settingsController.updateRegistration
+);
+router.get(
+  '/admin/settings/downloads',
+  requireAdmin,
+  settingsController.getDownloads
+);
+router.put(
+  '/admin/settings/downloads',
+  requireAdmin,
+  settingsController.updateDownloads
+);
+router.get('/admin/matches', requireAdmin, matchController.listMatches);
+router.post(
+  '/admin/matches/:id/accept',
+  requireAdmin,
+  matchController.acceptMatch
+);
+
+router.get('/downloads', requireDownloads, downloadController.listDownloads);
+router.post('/downloads', requireDownloads, downloadController.createDownload);
+router.delete(
+  '/downloads/:id',
+  requireDownloads,
+  downloadController.removeDownload
+);
+router.get(
+  '/downloads/:id/file',
+  requireDownloads,
+  downloadController.getDownloadFile
+);
+
+router.get('/favorites', requireProfile, favoriteController.getMyList);
+router.get('/favorites/:type', requireProfile, favoriteController.getFavorites);
+router.post(
+  '/favorites/:type/:id',
+  requireProfile,
+  favoriteController.addFavorite
+);
+router.delete(
+  '/favorites/:type/:id',
+  requireProfile,
+  favoriteController.removeFavorite
+);
+
+router.get('/ratings/:type/:id', requireProfile, ratingController.getRatings);
+router.put('/ratings/:type/:id', requireProfile, ratingController.rateMedia);
+router.delete(
+  '/ratings/:type/:id',
+  requireProfile,
+  ratingController.deleteRating
+);
+
+router.get(
+  '/progress/:type/:id',
+  requireProfile,
+  progressController.getProgress
+);
+router.put(
+  '/progress/:type/:id',
+  requireProfile,
+  progressController.saveProgress
+);
 
 router.get('/about', (req, res) => {
   res.json(getAbout());
 });
 
-router.get('/library/stats', async (req, res) => {
+router.get('/library/stats', authController.authenticate, async (req, res) => {
   res.json(await getLibraryStats());
 });
 
-router.get('/not_available', async (req, res) => {
+router.get('/not_available', requireAdmin, async (req, res) => {
   res.json(await getAllNotAvailable());
 });
 
-router.get('/services/search', async (req, res) => {
+router.get('/services/search', requireAdmin, async (req, res) => {
   res.json(await externalSearch(req.query.type, req.query.q));
 });
 
-router.post('/movies/add', async (req, res) => {
+router.post('/movies/add', requireAdmin, async (req, res) => {
   console.log(req.body);
   res.json(await moveMovieFile(req.body));
 });
 
-router.post('/tv/episodes/add', async (req, res) => {
+router.post('/tv/episodes/add', requireAdmin, async (req, res) => {
   res.json(await moveEpisodeFile(req.body));
 });
 
-router.post('/music/songs/add', async (req, res) => {
+router.post('/music/songs/add', requireAdmin, async (req, res) => {
   res.json(await moveSongFile(req.body));
 });
 
-router.get('/movies', async (req, res) => {
-  res.json(await getAllMovies());
+router.get('/movies', authController.authenticate, async (req, res) => {
+  res.json(await getAllMovies(restrictions(req)));
 });
 
-router.get('/movies/most_popular', async (req, res) => {
-  res.json(await getMostPopularMovies());
-});
+router.get(
+  '/movies/most_popular',
+  authController.authenticate,
+  async (req, res) => {
+    res.json(await getMostPopularMovies(restrictions(req)));
+  }
+);
 
-router.get('/movies/highest_rated', async (req, res) => {
-  res.json(await getHighestRatedMovies());
-});
+router.get(
+  '/movies/highest_rated',
+  authController.authenticate,
+  async (req, res) => {
+    res.json(await getHighestRatedMovies(restrictions(req)));
+  }
+);
+
+router.get(
+  '/movies/recently_added',
+  authController.authenticate,
+  async (req, res) => {
+    res.json(await getRecentlyAddedMovies(restrictions(req)));
+  }
+);
 
-router.get('/movies/recently_added', async (req, res) => {
-  res.json(await getRecentlyAddedMovies());
+router.get('/movies/continue_watching', requireProfile, async (req, res) => {
+  res.json(await getContinueWatchingMovies(req.profile.id, restrictions(req)));
 });
 
-router.get('/movies/genres', async (req, res) => {
+router.get('/movies/genres', authController.authenticate, async (req, res) => {
   res.json(await getMovieGenres());
 });
 
-router.get('/movies/genre/:name', async (req, res) => {
-  res.json(await getMoviesByGenre(req.params.name));
-});
+router.get(
+  '/movies/genre/:name',
+  authController.authenticate,
+  async (req, res) => {
+    res.json(await getMoviesByGenre(req.params.name, restrictions(req)));
+  }
+);
 
-router.get('/movies/random', async (req, res) => {
-  res.json(await getRandomMovie());
+router.get('/movies/random', authController.authenticate, async (req, res) => {
+  res.json(await getRandomMovie(restrictions(req)));
 });
 
-router.get('/movies/:id', async (req, res) => {
-  res.json(await getMovie(req.params.id));
+router.get('/movies/:id', authController.authenticate, async (req, res) => {
+  res.json(await getMovie(req.params.id, restrictions(req)));
 });
 
-router.get('/tv', async (req, res) => {
-  res.json(await getAllTVShows());
+router.get('/tv', authController.authenticate, async (req, res) => {
+  res.json(await getAllTVShows(restrictions(req)));
 });
 
-router.get('/tv/most_popular', async (req, res) => {
-  res.json(await getMostPopularTVShows());
-});
+router.get(
+  '/tv/most_popular',
+  authController.authenticate,
+  async (req, res) => {
+    res.json(await getMostPopularTVShows(restrictions(req)));
+  }
+);
+
+router.get(
+  '/tv/highest_rated',
+  authController.authenticate,
+  async (req, res) => {
+    res.json(await getHighestRatedTVShows(restrictions(req)));
+  }
+);
+
+router.get(
+  '/tv/recently_added',
+  authController.authenticate,
+  async (req, res) => {
+    res.json(await getRecentlyAddedTVShows(restrictions(req)));
+  }
+);
 
-router.get('/tv/highest_rated', async (req, res) => {
-  res.json(await getHighestRatedTVShows());
+router.get('/tv/continue_watching', requireProfile, async (req, res) => {
+  res.json(await getContinueWatchingTVShows(req.profile.id, restrictions(req)));
 });
 
-router.get('/tv/recently_added', async (req, res) => {
-  res.json(await getRecentlyAddedTVShows());
+router.get('/tv/up_next', requireProfile, async (req, res) => {
+  res.json(await getUpNextTVShows(req.profile.id, restrictions(req)));
 });
 
-router.get('/tv/genres', async (req, res) => {
+router.get('/tv/genres', authController.authenticate, async (req, res) => {
   res.json(await getTVShowGenres());
 });
 
-router.get('/tv/genre/:name', async (req, res) => {
-  res.json(await getTVShowsByGenre(req.params.name));
+router.get('/tv/genre/:name', authController.authenticate, async (req, res) => {
+  res.json(await getTVShowsByGenre(req.params.name, restrictions(req)));
 });
 
-router.get('/tv/random', async (req, res) => {
-  res.json(await getRandomTVShow());
+router.get('/tv/random', authController.authenticate, async (req, res) => {
+  res.json(await getRandomTVShow(restrictions(req)));
 });
 
-router.get('/tv/:id', async (req, res) => {
-  res.json(await getTVShow(req.params.id));
+router.get('/tv/:id', authController.authenticate, async (req, res) => {
+  res.json(await getTVShow(req.params.id, restrictions(req)));
 });
 
-router.get('/music/albums/recently_added', async (req, res) => {
-  res.json(await getRecentlyAddedAlbums());
-});
+router.get(
+  '/music/albums/recently_added',
+  authController.authenticate,
+  async (req, res) => {
+    res.json(await getRecentlyAddedAlbums(restrictions(req)));
+  }
+);
 
-router.get('/music/albums/latest', async (req, res) => {
-  res.json(await getLatestAlbumReleases());
-});
+router.get(
+  '/music/albums/latest',
+  authController.authenticate,
+  async (req, res) => {
+    res.json(await getLatestAlbumReleases(restrictions(req)));
+  }
+);
 
-router.get('/music/artists', async (req, res) => {
+router.get('/music/artists', authController.authenticate, async (req, res) => {
   res.json(await getAllArtists());
 });
 
-router.get('/music/artists/most_popular', async (req, res) => {
-  res.json(await getMostPopularArtists());
-});
+router.get(
+  '/music/artists/most_popular',
+  authController.authenticate,
+  async (req, res) => {
+    res.json(await getMostPopularArtists());
+  }
+);
 
-router.get('/music/albums', async (req, res) => {
-  res.json(await getAllAlbums());
+router.get('/music/albums', authController.authenticate, async (req, res) => {
+  res.json(await getAllAlbums(restrictions(req)));
 });
 
-router.get('/music/albums/:id', async (req, res) => {
-  if (req.params.id == 'undefined') return res.json({});
-  res.json(await getMusicAlbum(req.params.id));
-});
+router.get(
+  '/music/albums/:id',
+  authController.authenticate,
+  async (req, res) => {
+    if (req.params.id == 'undefined') return res.json({});
+    res.json(await getMusicAlbum(req.params.id, restrictions(req)));
+  }
+);
 
-router.get('/music/songs', async (req, res) => {
-  res.json(await getAllSongs());
+router.get('/music/songs', authController.authenticate, async (req, res) => {
+  res.json(await getAllSongs(restrictions(req)));
 });
 
-router.get('/music/songs/recently_added', async (req, res) => {
-  res.json(await getRecentlyAddedSongs());
-});
+router.get(
+  '/music/songs/recently_added',
+  authController.authenticate,
+  async (req, res) => {
+    res.json(await getRecentlyAddedSongs(restrictions(req)));
+  }
+);
 
-router.get('/movies/:id', async (req, res) => {
-  readStreamMp4(req, res, await getMovieFilePath(req.params.id));
-});
+router.get(
+  '/movies/:id/playback',
+  authController.authenticate,
+  movieFile,
+  playbackController.getPlayback
+);
 
 router.get(
-  '/tv/:tv_show_id/:season_number/:episode_number',
+  '/movies/:id/stream',
+  authController.authenticate,
+  movieFile,
+  (req, res) => readStreamMp4(req, res, req.filePath)
+);
+
+router.get(
+  '/movies/:id/hls/:file',
+  authController.authenticate,
+  movieFile,
+  playbackController.getHlsFile
+);
+
+router.get(
+  '/movies/:id/hls/:rendition/:file',
+  authController.authenticate,
+  movieFile,
+  playbackController.getRenditionFile
+);
+
+router.get(
+  '/movies/:id/thumbnails/:file',
+  authController.authenticate,
+  movieFile,
+  playbackController.getThumbnailFile
+);
+
+router.get(
+  '/tv/:tv_show_id/:season_number/:episode_number/playback',
+  authController.authenticate,
+  episodeFile,
+  playbackController.getPlayback
+);
+
+router.get(
+  '/tv/:tv_show_id/:season_number/:episode_number/stream',
+  authController.authenticate,
+  episodeFile,
+  (req, res) => readStreamMp4(req, res, req.filePath)
+);
+
+router.get(
+  '/tv/:tv_show_id/:season_number/:episode_number/hls/:file',
+  authController.authenticate,
+  episodeFile,
+  playbackController.getHlsFile
+);
+
+router.get(
+  '/tv/:tv_show_id/:season_number/:episode_number/hls/:rendition/:file',
+  authController.authenticate,
+  episodeFile,
+  playbackController.getRenditionFile
+);
+
+router.get(
+  '/tv/:tv_show_id/:season_number/:episode_number/thumbnails/:file',
+  authController.authenticate,
+  episodeFile,
+  playbackController.getThumbnailFile
+);
+
+router.get(
+  '/subtitles/:id',
+  authController.authenticate,
+  subtitleFile,
+  playbackController.getSubtitle
+);
+
+router.get(
+  '/music/:album_id/:disc_number/:track_number',
+  authController.authenticate,
+  songFile,
+  playbackController.getSong
+);
+
+// Covers are loaded by image tags with the session cookie, cross-origin with credentials
+router.get(
+  '/music/covers/:album_id',
+  authController.authenticate,
   async (req, res) => {
-    readStreamMp4(
-      req,
-      res,
-      await getEpisodeFilePath(
-        req.params.tv_show_id,
-        req.params.season_number,
-        req.params.episode_number
-      )
-    );
+    const cover = await getCoverPath(req.params.album_id);
+    if (!cover) return res.status(404).end();
+    res.sendFile(cover);
   }
 );
 
-router.get('/music/:album_id/:disc_number/:track_number', async (req, res) => {
-  readStreamMpeg(
-    req,
-    res,
-    await getSongFilePath(
-      req.params.album_id,
-      req.params.disc_number,
-      req.params.track_number
-    )
-  );
+// Posters, fanart and logos found next to local media, loaded like covers
+router.get('/artwork/:name', authController.authenticate, async (req, res) => {
+  const artwork = await getArtworkPath(req.params.name);
+  if (!artwork) return res.status(404).end();
+  res.sendFile(artwork);
 });
 
-router.get('/watch/search', async (req, res) => {
+router.get('/watch/search', authController.authenticate, async (req, res) => {
   const keyword = qs.parse(req.query).q;
   console.log(`keyword is "${keyword}"`);
   console.log(req.protocol + '://' + req.get('host') + req.originalUrl);
-  res.json(await searchMoviesAndTV(keyword));
+  res.json(await searchMoviesAndTV(keyword, restrictions(req)));
 });
 
-router.get('/listen/search', async (req, res) => {
+router.get('/listen/search', authController.authenticate, async (req, res) => {
   const keyword = qs.parse(req.query).q;
   console.log(`keyword is "${keyword}"`);
   console.log(req.protocol + '://' + req.get('host') + req.originalUrl);
-  res.json(await searchMusic(keyword));
+  res.json(await searchMusic(keyword, restrictions(req)));
 });
 
-router.get('/watch/billboard', async (req, res) => {
-  const billboardItem = await getRandomMovieOrTVShow();
-  // get by id: getMovie(), getTVShow()
-  res.json(billboardItem);
-});
+router.get(
+  '/watch/billboard',
+  authController.authenticate,
+  async (req, res) => {
+    const billboardItem = await getRandomMovieOrTVShow(restrictions(req));
+    // get by id: getMovie(), getTVShow()
+    res.json(billboardItem);
+  }
+);
 
 // Handles any requests that don't match the routes above
 if (process.env.NODE_ENV == 'production') {
@@ -288,4 +621,4 @@ if (process.env.NODE_ENV == 'production') {
   });
 }
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -4,11 +4,13 @@ const figlet = require('figlet');
 const bodyParser = require('body-parser');
 const cookieParser = require('cookie-parser');
 const cors = require('cors');
+const { corsOptions } = require('./utils/cors');
 const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 
 require('dotenv').config();
 require('./jobs').fileWatcher();
+require('./services/download').resumeDownloads();
 
 const app = express();
 const port = process.env.PORT || 5000;
@@ -23,26 +25,6 @@ app.use(cookieParser());
 app.use(express.urlencoded({ extended: true }));
 
 // Enhanced CORS Configuration
-const corsOptions = {
-  origin: function (origin, callback) {
-    const allowedOrigins = [
-      process.env.CLIENT_BASE_URL,
-      'http://localhost:3000',
-      'http://127.0.0.1:3000'
-    ];
-    
-    // Allow requests with no origin (like mobile apps or curl requests)
-    if (!origin || allowedOrigins.includes(origin)) {
-      callback(null, true);
-    } else {
-      callback(new Error('Not allowed by CORS'));
-    }
-  },
-  credentials: true,
-  allowedHeaders: ['Content-Type', 'Authorization'],
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']
-};
-
 app.use(cors(corsOptions)); // Use the cors package with options
 
 // Serve static files from React app in production
@@ -0,0 +1,88 @@
+// packages/server/services/__tests__/archive.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { buildHeader, getArchiveSize, createArchiveStream } = require('../archive');
+
+/**
+ * Reads a NUL-terminated text field of a header
+ */
+const readField = (header, offset, length) => header.toString('utf8', offset, offset + length).replace(/\0.*$/s, '');
+
+describe('Archive Service', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+  const mtime = new Date('2025-08-10T09:00:00Z');
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('buildHeader', () => {
+    it('should write a ustar header with a valid checksum', () => {
+      const header = buildHeader({ name: 'Album/01 Song.mp3', size: 1300, mtime });
+
+      expect(header).toHaveLength(512);
+      expect(readField(header, 0, 100)).toBe('Album/01 Song.mp3');
+      expect(parseInt(readField(header, 124, 12), 8)).toBe(1300);
+      expect(parseInt(readField(header, 136, 12), 8)).toBe(mtime.getTime() / 1000);
+      expect(readField(header, 257, 6)).toBe('ustar');
+
+      const stored = parseInt(readField(header, 148, 8), 8);
+      const blank = Buffer.from(header);
+      blank.fill(' ', 148, 156);
+      expect(stored).toBe(blank.reduce((sum, byte) => sum + byte, 0));
+    });
+
+    it('should move long directories into the prefix', () => {
+      const show = 'A Very Long TV Show Name '.repeat(4).trim();
+      const header = buildHeader({ name: `${show}/Season 1/S01E01 - Pilot.mkv`, size: 0, mtime });
+
+      expect(readField(header, 0, 100)).toBe('S01E01 - Pilot.mkv');
+      expect(readField(header, 345, 155)).toBe(`${show}/Season 1`);
+    });
+
+    it('should shorten file names that cannot fit', () => {
+      const header = buildHeader({ name: `Album/${'x'.repeat(150)}.flac`, size: 0, mtime });
+
+      expect(readField(header, 0, 100)).toBe(`${'x'.repeat(95)}.flac`);
+    });
+
+    it('should write sizes too large for octal in base-256', () => {
+      const size = 10 * 1024 ** 3;
+      const header = buildHeader({ name: 'Movie.mkv', size, mtime });
+
+      expect(header[124]).toBe(0x80);
+      expect(Number(header.readBigUInt64BE(128))).toBe(size);
+    });
+  });
+
+  describe('getArchiveSize', () => {
+    it('should count a header and padded content per file and the end blocks', () => {
+      expect(getArchiveSize([])).toBe(1024);
+      expect(getArchiveSize([{ size: 5 }, { size: 1024 }])).toBe(512 + 512 + 512 + 1024 + 1024);
+    });
+  });
+
+  describe('createArchiveStream', () => {
+    it('should stream every file after its header', async () => {
+      fs.writeFileSync(path.join(dir, 'a.txt'), 'hello');
+      fs.writeFileSync(path.join(dir, 'b.txt'), 'x'.repeat(600));
+      const entries = [
+        { path: path.join(dir, 'a.txt'), name: 'Docs/a.txt', size: 5, mtime },
+        { path: path.join(dir, 'b.txt'), name: 'Docs/b.txt', size: 600, mtime }
+      ];
+
+      const chunks = [];
+      for await (const chunk of createArchiveStream(entries)) chunks.push(chunk);
+      const archive = Buffer.concat(chunks);
+
+      expect(archive).toHaveLength(getArchiveSize(entries));
+      expect(readField(archive, 0, 100)).toBe('Docs/a.txt');
+      expect(archive.toString('utf8', 512, 517)).toBe('hello');
+      expect(readField(archive, 1024, 100)).toBe('Docs/b.txt');
+      expect(archive.toString('utf8', 1536, 2136)).toBe('x'.repeat(600));
+      expect(archive.subarray(archive.length - 1024).every((byte) => byte === 0)).toBe(true);
+    });
+  });
+});
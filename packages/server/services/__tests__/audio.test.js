@@ -0,0 +1,116 @@
+// packages/server/services/__tests__/audio.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audio-test-'));
+process.env.TRANSCODE_PATH = cacheDir;
+
+const { getAudioMimeType, parseTranscodeOptions, isLossless, buildAudioArgs, getAudioFile } = require('../audio');
+const { probeFile } = require('../probe');
+
+jest.mock('../probe', () => ({
+  probeFile: jest.fn()
+}));
+
+jest.mock('child_process', () => ({
+  spawn: jest.fn(),
+  execFile: jest.fn()
+}));
+
+describe('Audio Service', () => {
+  const songFile = path.join(cacheDir, '1-01 Song.flac');
+  const flac = { container: '.flac', duration: 240, video: null, audio: [{ index: 0, codec: 'flac' }], subtitles: [] };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.writeFileSync(songFile, 'song');
+    probeFile.mockResolvedValue(flac);
+    // Fakes ffmpeg writing the transcoded song
+    execFile.mockImplementation((file, args, options, callback) => {
+      fs.writeFileSync(args[args.length - 1], 'opus');
+      callback(null);
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  describe('getAudioMimeType', () => {
+    it('should find the content type from the extension', () => {
+      expect(getAudioMimeType('/music/Album/1-01 Song.MP3')).toBe('audio/mpeg');
+      expect(getAudioMimeType('/music/Album/1-01 Song.flac')).toBe('audio/flac');
+      expect(getAudioMimeType('/music/Album/1-01 Song.m4a')).toBe('audio/mp4');
+      expect(getAudioMimeType('/music/Album/1-01 Song.xyz')).toBe('application/octet-stream');
+    });
+  });
+
+  describe('parseTranscodeOptions', () => {
+    it('should read the format and bit rate', () => {
+      expect(parseTranscodeOptions({ format: 'aac', bitrate: '256' })).toEqual({ format: 'aac', bitrate: 256 });
+      expect(parseTranscodeOptions({ format: 'mp3' })).toEqual({ format: 'mp3', bitrate: 192 });
+    });
+
+    it('should stream the file as is without a format', () => {
+      expect(parseTranscodeOptions({})).toBeNull();
+      expect(parseTranscodeOptions({ bitrate: '128' })).toBeNull();
+    });
+
+    it('should reject unsupported formats and bit rates', () => {
+      expect(() => parseTranscodeOptions({ format: 'wma' })).toThrow('Invalid format');
+      expect(() => parseTranscodeOptions({ format: 'opus', bitrate: '100' })).toThrow('Invalid bitrate');
+    });
+  });
+
+  describe('isLossless', () => {
+    it('should recognize lossless codecs', () => {
+      expect(isLossless(flac)).toBe(true);
+      expect(isLossless({ ...flac, audio: [{ index: 0, codec: 'alac' }] })).toBe(true);
+      expect(isLossless({ ...flac, audio: [{ index: 0, codec: 'pcm_s16le' }] })).toBe(true);
+      expect(isLossless({ ...flac, audio: [{ index: 0, codec: 'mp3' }] })).toBe(false);
+      expect(isLossless({ ...flac, audio: [] })).toBe(false);
+    });
+  });
+
+  describe('buildAudioArgs', () => {
+    it('should encode the first audio stream without the cover art', () => {
+      const args = buildAudioArgs(songFile, { format: 'opus', bitrate: 128 }, '/cache/opus-128.opus');
+
+      expect(args).toEqual(expect.arrayContaining(['-i', songFile, '-map', '0:a:0', '-vn', '-c:a', 'libopus', '-b:a', '128k', '-f', 'ogg']));
+      expect(args[args.length - 1]).toBe('/cache/opus-128.opus');
+    });
+  });
+
+  describe('getAudioFile', () => {
+    const options = { format: 'opus', bitrate: 128 };
+
+    it('should transcode lossless songs once', async () => {
+      const file = await getAudioFile(songFile, options);
+
+      expect(path.basename(file)).toBe('opus-128.opus');
+      expect(fs.readFileSync(file, 'utf8')).toBe('opus');
+
+      expect(await getAudioFile(songFile, options)).toBe(file);
+      expect(execFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stream lossy songs and songs asked as is', async () => {
+      expect(await getAudioFile(songFile, null)).toBe(songFile);
+
+      probeFile.mockResolvedValue({ ...flac, audio: [{ index: 0, codec: 'mp3' }] });
+      expect(await getAudioFile(songFile, options)).toBe(songFile);
+      expect(execFile).not.toHaveBeenCalled();
+    });
+
+    it('should throw when ffmpeg fails', async () => {
+      execFile.mockImplementation((file, args, opts, callback) => callback(new Error('Invalid data')));
+
+      await expect(getAudioFile(songFile, { format: 'mp3', bitrate: 320 })).rejects.toThrow('Failed to transcode song');
+      const partial = execFile.mock.calls[0][1].slice(-1)[0];
+      expect(fs.existsSync(partial)).toBe(false);
+      expect(fs.existsSync(partial.replace(/\.partial$/, ''))).toBe(false);
+    });
+  });
+});
@@ -1,4 +1,4 @@
-const { hashPassword, verifyPassword, generateToken, verifyToken, validatePasswordStrength, invalidateToken, isTokenInvalid, clearTokenDenylist } = require('../auth');
+const { hashPassword, verifyPassword, generateToken, verifyToken, validatePasswordStrength } = require('../auth');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 
@@ -310,6 +310,25 @@ describe('Auth Service', () => {
         expect(decoded.exp).toBeTruthy(); // Should have expiration
       });
 
+      it('should include the session ID as the sid claim', () => {
+        // Act
+        const token = generateToken('12345', '15m', 7);
+        
+        // Assert
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        expect(decoded.userId).toBe('12345');
+        expect(decoded.sid).toBe(7);
+      });
+
+      it('should omit the sid claim without a session', () => {
+        // Act
+        const token = generateToken('12345');
+        
+        // Assert
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        expect(decoded).not.toHaveProperty('sid');
+      });
+
       it('should generate a token with custom expiry', () => {
         // Arrange
         const userId = '12345';
@@ -487,139 +506,5 @@ describe('Auth Service', () => {
         expect(() => verifyToken(null)).toThrow('Invalid token');
       });
     });
-
-    // Token Denylist Tests
-    describe('Token Denylist', () => {
-      beforeEach(() => {
-        // Clear token denylist before each test
-        clearTokenDenylist();
-        
-        // Spy on console.error
-        jest.spyOn(console, 'error').mockImplementation(() => {});
-      });
-
-      afterEach(() => {
-        jest.restoreAllMocks();
-      });
-
-      it('should successfully invalidate a valid token', () => {
-        // Arrange
-        const userId = '12345';
-        const token = generateToken(userId);
-        
-        // Act
-        const result = invalidateToken(token);
-        
-        // Assert
-        expect(result).toBe(true);
-        expect(isTokenInvalid(token)).toBe(true);
-      });
-
-      it('should throw error for null or undefined token in invalidateToken', () => {
-        // Arrange & Act & Assert
-        expect(() => invalidateToken(null)).toThrow('Invalid token format');
-        expect(() => invalidateToken(undefined)).toThrow('Invalid token format');
-      });
-
-      it('should throw error for non-string token in invalidateToken', () => {
-        // Arrange & Act & Assert
-        expect(() => invalidateToken(123)).toThrow('Invalid token format');
-        expect(() => invalidateToken({})).toThrow('Invalid token format');
-        expect(() => invalidateToken([])).toThrow('Invalid token format');
-      });
-
-      it('should return false when invalidating an already expired token', () => {
-        // Arrange - Create a token that is already expired
-        const userId = '12345';
-        const expiredToken = jwt.sign(
-          { userId },
-          process.env.JWT_SECRET,
-          { expiresIn: '-1ms' } // Expired 1ms ago
-        );
-        
-        // Act
-        const result = invalidateToken(expiredToken);
-        
-        // Assert
-        expect(result).toBe(false);
-        expect(console.error).toHaveBeenCalled();
-      });
-
-      it('should return false when invalidating an invalid token', () => {
-        // Arrange
-        const invalidToken = 'invalid.token.string';
-        
-        // Act
-        const result = invalidateToken(invalidToken);
-        
-        // Assert
-        expect(result).toBe(false);
-        expect(console.error).toHaveBeenCalled();
-      });
-
-      it('should consider null, undefined, or non-string tokens as invalid', () => {
-        // Arrange & Act & Assert
-        expect(isTokenInvalid(null)).toBe(true);
-        expect(isTokenInvalid(undefined)).toBe(true);
-        expect(isTokenInvalid(123)).toBe(true);
-        expect(isTokenInvalid({})).toBe(true);
-      });
-
-      it('should consider a token valid if not in denylist', () => {
-        // Arrange
-        const userId = '12345';
-        const token = generateToken(userId);
-        
-        // Act & Assert
-        expect(isTokenInvalid(token)).toBe(false);
-      });
-
-      it('should verify token is invalid after invalidation', () => {
-        // Arrange
-        const userId = '12345';
-        const token = generateToken(userId);
-        
-        // Act
-        verifyToken(token); // Should not throw error
-        invalidateToken(token);
-        
-        // Assert
-        expect(isTokenInvalid(token)).toBe(true);
-        
-        // Token should still be verifiable (valid signature, not expired)
-        // but marked as invalid in our system
-        const payload = verifyToken(token);
-        expect(payload.userId).toBe(userId);
-      });
-
-      it('should allow invalidating multiple tokens', () => {
-        // Arrange
-        const token1 = generateToken('user1');
-        const token2 = generateToken('user2');
-        const token3 = generateToken('user3');
-        
-        // Act
-        invalidateToken(token1);
-        invalidateToken(token2);
-        
-        // Assert
-        expect(isTokenInvalid(token1)).toBe(true);
-        expect(isTokenInvalid(token2)).toBe(true);
-        expect(isTokenInvalid(token3)).toBe(false);
-      });
-
-      it('should clear the token denylist when clearTokenDenylist is called', () => {
-        // Arrange
-        const token = generateToken('12345');
-        invalidateToken(token);
-        expect(isTokenInvalid(token)).toBe(true);
-        
-        // Act
-        clearTokenDenylist();
-        
-        // Assert
-        expect(isTokenInvalid(token)).toBe(false);
-      });
-    });
   });
 });
\ No newline at end of file
@@ -0,0 +1,371 @@
+// packages/server/services/__tests__/download.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const downloadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'download-test-'));
+process.env.DOWNLOAD_PATH = downloadDir;
+
+const {
+  sanitizeName,
+  findMedia,
+  createDownload,
+  listDownloads,
+  removeDownload,
+  pickRendition,
+  buildVideoArgs,
+  prepareFile,
+  processQueue,
+  getDownloadEntries
+} = require('../download');
+const { probeFile } = require('../probe');
+const { PrismaClient } = require('@prisma/client');
+
+jest.mock('@prisma/client', () => {
+  const model = () => ({
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn()
+  });
+  const client = { movie: model(), season: model(), album: model(), download: model(), downloadFile: model() };
+  return {
+    PrismaClient: jest.fn().mockImplementation(() => client)
+  };
+});
+
+jest.mock('../probe', () => ({
+  probeFile: jest.fn()
+}));
+
+jest.mock('child_process', () => ({
+  spawn: jest.fn(),
+  execFile: jest.fn()
+}));
+
+describe('Download Service', () => {
+  let mockPrisma;
+  const videoFile = path.join(downloadDir, 'Fight Club (1999).mkv');
+  const songFile = path.join(downloadDir, '01 Song.flac');
+  const video = {
+    container: '.mkv',
+    duration: 600,
+    video: { index: 0, codec: 'hevc', width: 1920, height: 800 },
+    audio: [{ index: 1, codec: 'ac3', channels: 6 }],
+    subtitles: []
+  };
+  const flac = { container: '.flac', duration: 240, video: null, audio: [{ index: 0, codec: 'flac' }], subtitles: [] };
+
+  beforeEach(() => {
+    mockPrisma = new PrismaClient();
+    jest.clearAllMocks();
+    fs.writeFileSync(videoFile, 'video');
+    fs.writeFileSync(songFile, 'song');
+    probeFile.mockResolvedValue(video);
+    mockPrisma.download.count.mockResolvedValue(0);
+    mockPrisma.download.create.mockImplementation(({ data }) => Promise.resolve({ id: 3, ...data, error: null, files: data.files.create, createdAt: 'now' }));
+    // Fakes ffmpeg writing the copy
+    execFile.mockImplementation((file, args, options, callback) => {
+      fs.writeFileSync(args[args.length - 1], 'copy');
+      callback(null);
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(downloadDir, { recursive: true, force: true });
+  });
+
+  describe('sanitizeName', () => {
+    it('should replace the characters file systems do not allow', () => {
+      expect(sanitizeName('Mission: Impossible / Fallout?')).toBe('Mission- Impossible - Fallout-');
+      expect(sanitizeName('...')).toBe('Untitled');
+    });
+  });
+
+  describe('findMedia', () => {
+    it('should find a movie within the content limits', async () => {
+      mockPrisma.movie.findFirst.mockResolvedValue({ title: 'Fight Club', release_date: '1999-10-15', fs_path: '/movies/Fight Club.mkv' });
+
+      const media = await findMedia('Movie', { id: '550' }, { maxCertificationLevel: 3 });
+
+      expect(mockPrisma.movie.findFirst).toHaveBeenCalledWith(expect.objectContaining({
+        where: { certification_level: { lte: 3 }, tmdb_id: 550 }
+      }));
+      expect(media).toEqual({ title: 'Fight Club (1999)', files: [{ fsPath: '/movies/Fight Club.mkv', name: 'Fight Club (1999)' }] });
+    });
+
+    it('should name the episodes of a season in their directories', async () => {
+      mockPrisma.season.findFirst.mockResolvedValue({
+        name: 'Season 1',
+        season_number: 1,
+        tv_show: { name: 'Game of Thrones' },
+        episodes: [
+          { episode_number: 1, name: 'Winter Is Coming', fs_path: '/tv/got/S01E01.mkv' },
+          { episode_number: 2, name: 'The Kingsroad', fs_path: '/tv/got/S01E02.mkv' }
+        ]
+      });
+
+      const media = await findMedia('Season', { id: 1399, season_number: 1 }, {});
+
+      expect(mockPrisma.season.findFirst.mock.calls[0][0].select.episodes.where).toBeUndefined();
+      expect(media.title).toBe('Game of Thrones - Season 1');
+      expect(media.files.map(({ name }) => name)).toEqual([
+        'Game of Thrones/Season 1/S01E01 - Winter Is Coming',
+        'Game of Thrones/Season 1/S01E02 - The Kingsroad'
+      ]);
+    });
+
+    it('should find a single episode', async () => {
+      mockPrisma.season.findFirst.mockResolvedValue({
+        name: 'Season 1',
+        season_number: 1,
+        tv_show: { name: 'Game of Thrones' },
+        episodes: [{ episode_number: 2, name: 'The Kingsroad', fs_path: '/tv/got/S01E02.mkv' }]
+      });
+
+      const media = await findMedia('Episode', { id: 1399, season_number: 1, episode_number: '2' }, {});
+
+      expect(mockPrisma.season.findFirst.mock.calls[0][0].select.episodes.where).toEqual({ episode_number: 2 });
+      expect(media).toEqual({
+        title: 'Game of Thrones - S01E02 - The Kingsroad',
+        files: [{ fsPath: '/tv/got/S01E02.mkv', name: 'Game of Thrones - S01E02 - The Kingsroad' }]
+      });
+    });
+
+    it('should number the songs of albums with several discs', async () => {
+      mockPrisma.album.findFirst.mockResolvedValue({
+        name: 'Album',
+        artists: [{ name: 'Artist' }],
+        songs: [
+          { disc_number: 1, track_number: 1, name: 'One', fs_path: '/music/1-01.flac' },
+          { disc_number: 2, track_number: 1, name: 'Two', fs_path: '/music/2-01.flac' }
+        ]
+      });
+
+      const media = await findMedia('Album', { id: 'abc' }, { hideExplicit: true });
+
+      expect(mockPrisma.album.findFirst.mock.calls[0][0].select.songs.where).toEqual({ explicit: false });
+      expect(media.files.map(({ name }) => name)).toEqual(['Artist - Album/1-01 One', 'Artist - Album/2-01 Two']);
+    });
+
+    it('should return null when the user cannot see the media', async () => {
+      mockPrisma.season.findFirst.mockResolvedValue({ name: 'Season 1', season_number: 1, tv_show: { name: 'Show' }, episodes: [] });
+
+      await expect(findMedia('Episode', { id: 1, season_number: 1, episode_number: 9 }, {})).resolves.toBeNull();
+    });
+  });
+
+  describe('createDownload', () => {
+    beforeEach(() => {
+      mockPrisma.movie.findFirst.mockResolvedValue({ title: 'Fight Club', release_date: '1999-10-15', fs_path: videoFile });
+      mockPrisma.download.findFirst.mockResolvedValue(null);
+    });
+
+    it('should make downloads of the original files ready at once', async () => {
+      const download = await createDownload(1, { type: 'Movie', id: 550 }, {});
+
+      expect(mockPrisma.download.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ userId: 1, quality: null, status: 'ready' })
+      }));
+      expect(download).toEqual(expect.objectContaining({ id: 3, title: 'Fight Club (1999)', status: 'ready', files: 1, ready_files: 1 }));
+    });
+
+    it('should queue downloads to transcode', async () => {
+      const download = await createDownload(1, { type: 'Movie', id: 550, quality: '720p' }, {});
+      await processQueue();
+
+      expect(download).toEqual(expect.objectContaining({ status: 'queued', ready_files: 0 }));
+      expect(mockPrisma.download.findFirst).toHaveBeenCalledWith(expect.objectContaining({ where: { status: 'queued' } }));
+    });
+
+    it('should reject unknown types and qualities', async () => {
+      await expect(createDownload(1, { type: 'Song', id: 1 }, {})).rejects.toThrow('Invalid download type');
+      await expect(createDownload(1, { type: 'Movie', id: 550, quality: '4k' }, {})).rejects.toThrow('Invalid quality');
+      await expect(createDownload(1, { type: 'Album', id: 'abc', quality: '720p' }, {})).rejects.toThrow('Invalid quality');
+      expect(mockPrisma.download.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject media the user cannot see', async () => {
+      mockPrisma.movie.findFirst.mockResolvedValue(null);
+
+      await expect(createDownload(1, { type: 'Movie', id: 550 }, {})).rejects.toThrow('Media not found');
+    });
+
+    it('should reject downloads once the queue is full', async () => {
+      mockPrisma.download.count.mockResolvedValue(50);
+
+      await expect(createDownload(1, { type: 'Movie', id: 550 }, {})).rejects.toThrow('Download queue full');
+      expect(mockPrisma.download.count).toHaveBeenCalledWith({ where: { userId: 1 } });
+    });
+  });
+
+  describe('listDownloads', () => {
+    it('should list the queue of the user with the files ready', async () => {
+      mockPrisma.download.findMany.mockResolvedValue([
+        { id: 3, type: 'Season', title: 'Show - Season 1', quality: '480p', status: 'preparing', error: null, createdAt: 'now', files: [{ ready: true }, { ready: false }] }
+      ]);
+
+      const downloads = await listDownloads(1);
+
+      expect(mockPrisma.download.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { userId: 1 } }));
+      expect(downloads).toEqual([{
+        id: 3,
+        type: 'Season',
+        title: 'Show - Season 1',
+        quality: '480p',
+        status: 'preparing',
+        error: null,
+        files: 2,
+        ready_files: 1,
+        created_at: 'now'
+      }]);
+    });
+  });
+
+  describe('removeDownload', () => {
+    it('should delete the copies no other download uses', async () => {
+      const shared = path.join(downloadDir, 'shared.mp4');
+      const own = path.join(downloadDir, 'own.mp4');
+      fs.writeFileSync(shared, 'copy');
+      fs.writeFileSync(own, 'copy');
+      mockPrisma.download.findFirst.mockResolvedValue({ id: 3, files: [{ copyPath: shared }, { copyPath: own }, { copyPath: null }] });
+      mockPrisma.downloadFile.count.mockImplementation(({ where }) => Promise.resolve(where.copyPath === shared ? 1 : 0));
+
+      await expect(removeDownload(1, '3')).resolves.toBe(true);
+
+      expect(mockPrisma.download.findFirst).toHaveBeenCalledWith(expect.objectContaining({ where: { id: 3, userId: 1 } }));
+      expect(mockPrisma.download.delete).toHaveBeenCalledWith({ where: { id: 3 } });
+      expect(fs.existsSync(shared)).toBe(true);
+      expect(fs.existsSync(own)).toBe(false);
+    });
+
+    it('should return false for downloads of other users', async () => {
+      mockPrisma.download.findFirst.mockResolvedValue(null);
+
+      await expect(removeDownload(2, '3')).resolves.toBe(false);
+      expect(mockPrisma.download.delete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('pickRendition', () => {
+    it('should pick the rendition asked for', () => {
+      expect(pickRendition(video, '720p')).toEqual(expect.objectContaining({ name: '720p', width: 1280, height: 534 }));
+    });
+
+    it('should never upscale the video', () => {
+      const small = { ...video, video: { ...video.video, width: 1280, height: 720 } };
+      expect(pickRendition(small, '1080p').name).toBe('720p');
+    });
+
+    it('should return null for files without video', () => {
+      expect(pickRendition(flac, '720p')).toBeNull();
+    });
+  });
+
+  describe('buildVideoArgs', () => {
+    it('should write an MP4 with its metadata first', () => {
+      const args = buildVideoArgs(videoFile, video, pickRendition(video, '480p'), '/out.mp4');
+
+      expect(args).toEqual(expect.arrayContaining(['-map', '0:0', '-c:v', 'libx264', '-map', '0:1', '-c:a', 'aac', '-movflags', '+faststart']));
+      expect(args[args.indexOf('-vf') + 1]).toBe('scale=854:356');
+      expect(args[args.length - 1]).toBe('/out.mp4');
+    });
+  });
+
+  describe('prepareFile', () => {
+    it('should transcode a video once', async () => {
+      const copy = await prepareFile(videoFile, '720p');
+
+      expect(path.basename(copy)).toBe('720p.mp4');
+      expect(fs.readFileSync(copy, 'utf8')).toBe('copy');
+      expect(fs.existsSync(`${copy}.partial`)).toBe(false);
+
+      await expect(prepareFile(videoFile, '720p')).resolves.toBe(copy);
+      expect(execFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should transcode lossless songs to MP3', async () => {
+      probeFile.mockResolvedValue(flac);
+
+      const copy = await prepareFile(songFile, '192k');
+
+      expect(path.basename(copy)).toBe('192k.mp3');
+      expect(execFile.mock.calls[0][1]).toEqual(expect.arrayContaining(['-c:a', 'libmp3lame', '-b:a', '192k']));
+    });
+
+    it('should keep lossy songs as they are', async () => {
+      probeFile.mockResolvedValue({ ...flac, audio: [{ index: 0, codec: 'mp3' }] });
+
+      await expect(prepareFile(songFile, '192k')).resolves.toBeNull();
+      expect(execFile).not.toHaveBeenCalled();
+    });
+
+    it('should leave nothing behind when ffmpeg fails', async () => {
+      fs.writeFileSync(videoFile, 'modified');
+      execFile.mockImplementation((file, args, options, callback) => {
+        fs.writeFileSync(args[args.length - 1], 'partial');
+        callback(new Error('exit code 1'));
+      });
+
+      await expect(prepareFile(videoFile, '480p')).rejects.toThrow('Failed to transcode file');
+      const dirs = fs.readdirSync(downloadDir).filter((entry) => fs.statSync(path.join(downloadDir, entry)).isDirectory());
+      const files = dirs.flatMap((entry) => fs.readdirSync(path.join(downloadDir, entry)));
+      expect(files.filter((file) => file.startsWith('480p'))).toEqual([]);
+    });
+  });
+
+  describe('processQueue', () => {
+    it('should prepare the queued files and mark the download ready', async () => {
+      mockPrisma.download.findFirst
+        .mockResolvedValueOnce({ id: 3, quality: '480p', files: [{ id: 7, fsPath: videoFile, ready: false }, { id: 8, fsPath: videoFile, ready: true }] })
+        .mockResolvedValueOnce(null);
+
+      await processQueue();
+
+      expect(mockPrisma.download.update).toHaveBeenCalledWith({ where: { id: 3 }, data: { status: 'preparing' } });
+      expect(mockPrisma.downloadFile.update).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.downloadFile.update).toHaveBeenCalledWith({ where: { id: 7 }, data: { copyPath: expect.stringMatching(/480p\.mp4$/), ready: true } });
+      expect(mockPrisma.download.update).toHaveBeenLastCalledWith({ where: { id: 3 }, data: { status: 'ready' } });
+    });
+
+    it('should mark the download failed when a file cannot be prepared', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      probeFile.mockRejectedValue(new Error('Failed to probe file'));
+      mockPrisma.download.count.mockResolvedValue(1);
+      mockPrisma.download.findFirst
+        .mockResolvedValueOnce({ id: 3, quality: '480p', files: [{ id: 7, fsPath: videoFile, ready: false }] })
+        .mockResolvedValueOnce(null);
+
+      await processQueue();
+
+      expect(mockPrisma.download.update).toHaveBeenLastCalledWith({ where: { id: 3 }, data: { status: 'failed', error: 'Failed to probe file' } });
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getDownloadEntries', () => {
+    it('should send the copies with the extension of each file', async () => {
+      const copy = path.join(downloadDir, 'copy.mp4');
+      fs.writeFileSync(copy, 'copy!');
+
+      const entries = await getDownloadEntries({
+        files: [
+          { fsPath: videoFile, name: 'Show/Season 1/S01E01 - Pilot', copyPath: copy },
+          { fsPath: songFile, name: 'Album/01 Song', copyPath: null }
+        ]
+      });
+
+      expect(entries).toEqual([
+        expect.objectContaining({ path: copy, name: 'Show/Season 1/S01E01 - Pilot.mp4', size: 5 }),
+        expect.objectContaining({ path: songFile, name: 'Album/01 Song.flac', size: 4 })
+      ]);
+    });
+
+    it('should fail when a file was removed', async () => {
+      await expect(getDownloadEntries({ files: [{ fsPath: '/missing.mkv', name: 'Missing', copyPath: null }] })).rejects.toThrow('Download file missing');
+    });
+  });
+});
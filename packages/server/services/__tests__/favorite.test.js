@@ -0,0 +1,251 @@
+// packages/server/services/__tests__/favorite.test.js
+const { addFavorite, removeFavorite, getFavorites, getMyList } = require('../favorite');
+const { PrismaClient } = require('@prisma/client');
+const { findMediaItem } = require('../media');
+
+// Mock the Prisma Client
+jest.mock('@prisma/client', () => {
+  const mockModel = () => ({
+    upsert: jest.fn(),
+    deleteMany: jest.fn(),
+    findMany: jest.fn()
+  });
+  const models = {
+    favoriteMovie: mockModel(),
+    favoriteTVShow: mockModel(),
+    favoriteEpisode: mockModel(),
+    favoriteAlbum: mockModel(),
+    favoriteSong: mockModel()
+  };
+  return {
+    PrismaClient: jest.fn().mockImplementation(() => models)
+  };
+});
+
+// Mock the item lookup but keep the real media type definitions
+jest.mock('../media', () => ({
+  ...jest.requireActual('../media'),
+  findMediaItem: jest.fn()
+}));
+
+describe('Favorite Service', () => {
+  let mockPrisma;
+
+  beforeEach(() => {
+    mockPrisma = new PrismaClient();
+    jest.clearAllMocks();
+    Object.values(mockPrisma).forEach((model) => model.findMany.mockResolvedValue([]));
+  });
+
+  describe('addFavorite', () => {
+    it('should upsert the favorite using the internal item ID', async () => {
+      // Arrange
+      findMediaItem.mockResolvedValue({ id: 7, tmdb_id: 550 });
+      mockPrisma.favoriteMovie.upsert.mockResolvedValue({ id: 1, profileId: 1, movieId: 7 });
+
+      // Act
+      const result = await addFavorite(1, 'movies', '550');
+
+      // Assert
+      expect(findMediaItem).toHaveBeenCalledWith('movies', '550', undefined);
+      expect(mockPrisma.favoriteMovie.upsert).toHaveBeenCalledWith({
+        where: { profileId_movieId: { profileId: 1, movieId: 7 } },
+        update: {},
+        create: { profileId: 1, movieId: 7 }
+      });
+      expect(result).toEqual({ id: 1, profileId: 1, movieId: 7 });
+    });
+
+    it('should use the album favorite model for albums', async () => {
+      // Arrange
+      findMediaItem.mockResolvedValue({ id: 3, spotify_id: 'abc' });
+
+      // Act
+      await addFavorite(2, 'albums', 'abc');
+
+      // Assert
+      expect(mockPrisma.favoriteAlbum.upsert).toHaveBeenCalledWith({
+        where: { profileId_albumId: { profileId: 2, albumId: 3 } },
+        update: {},
+        create: { profileId: 2, albumId: 3 }
+      });
+    });
+
+    it('should reject unsupported media types', async () => {
+      await expect(addFavorite(1, 'podcasts', '1')).rejects.toThrow('Unsupported media type');
+      expect(findMediaItem).not.toHaveBeenCalled();
+    });
+
+    it('should propagate missing media errors', async () => {
+      // Arrange
+      findMediaItem.mockRejectedValue(new Error('Media not found'));
+
+      // Act & Assert
+      await expect(addFavorite(1, 'movies', '404')).rejects.toThrow('Media not found');
+      expect(mockPrisma.favoriteMovie.upsert).not.toHaveBeenCalled();
+    });
+
+    it('should look the item up among the items the profile may see', async () => {
+      // Arrange
+      const restrictions = { maxCertificationLevel: 2, hideAdult: true, hideExplicit: true };
+      findMediaItem.mockRejectedValue(new Error('Media not found'));
+
+      // Act & Assert
+      await expect(addFavorite(3, 'movies', '680', restrictions)).rejects.toThrow('Media not found');
+      expect(findMediaItem).toHaveBeenCalledWith('movies', '680', restrictions);
+      expect(mockPrisma.favoriteMovie.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('removeFavorite', () => {
+    it('should return true when a favorite was removed', async () => {
+      // Arrange
+      findMediaItem.mockResolvedValue({ id: 9 });
+      mockPrisma.favoriteSong.deleteMany.mockResolvedValue({ count: 1 });
+
+      // Act
+      const result = await removeFavorite(1, 'songs', 'xyz');
+
+      // Assert
+      expect(mockPrisma.favoriteSong.deleteMany).toHaveBeenCalledWith({
+        where: { profileId: 1, songId: 9 }
+      });
+      expect(result).toBe(true);
+    });
+
+    it('should return false when the item was not a favorite', async () => {
+      // Arrange
+      findMediaItem.mockResolvedValue({ id: 9 });
+      mockPrisma.favoriteTVShow.deleteMany.mockResolvedValue({ count: 0 });
+
+      // Act & Assert
+      await expect(removeFavorite(1, 'tv', '1399')).resolves.toBe(false);
+    });
+  });
+
+  describe('getFavorites', () => {
+    it('should return formatted items with the date they were added', async () => {
+      // Arrange
+      const addedAt = new Date('2024-01-01');
+      mockPrisma.favoriteEpisode.findMany.mockResolvedValue([
+        { id: 1, profileId: 1, episodeId: 4, addedAt, episode: { id: 4, tmdb_id: 62085, fs_path: '/tv/a.mp4', name: 'Pilot' } }
+      ]);
+
+      // Act
+      const result = await getFavorites(1, 'episodes');
+
+      // Assert
+      expect(mockPrisma.favoriteEpisode.findMany).toHaveBeenCalledWith({
+        where: { profileId: 1, episode: { season: { tv_show: {} } } },
+        include: { episode: true },
+        orderBy: { addedAt: 'desc' }
+      });
+      expect(result).toEqual([{ id: 62085, name: 'Pilot', added_at: addedAt }]);
+    });
+
+    it('should include the related library data of movies', async () => {
+      // Act
+      await getFavorites(1, 'movies');
+
+      // Assert
+      expect(mockPrisma.favoriteMovie.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          include: {
+            movie: {
+              include: {
+                genres: true,
+                production_companies: true,
+                credits: true,
+                similar: true
+              }
+            }
+          }
+        })
+      );
+    });
+
+    it('should leave out the items hidden from the profile', async () => {
+      // Arrange
+      const restrictions = { maxCertificationLevel: 2, hideAdult: true, hideExplicit: true };
+
+      // Act
+      await getFavorites(3, 'movies', restrictions);
+      await getFavorites(3, 'songs', restrictions);
+
+      // Assert
+      expect(mockPrisma.favoriteMovie.findMany.mock.calls[0][0].where).toEqual({
+        profileId: 3,
+        movie: { adult: false, certification_level: { lte: 2 } }
+      });
+      expect(mockPrisma.favoriteSong.findMany.mock.calls[0][0].where).toEqual({ profileId: 3, song: { explicit: false } });
+    });
+
+    it('should reject unsupported media types', async () => {
+      await expect(getFavorites(1, 'books')).rejects.toThrow('Unsupported media type');
+    });
+  });
+
+  describe('getMyList', () => {
+    it('should merge all media types, most recently added first', async () => {
+      // Arrange
+      mockPrisma.favoriteMovie.findMany.mockResolvedValue([
+        { addedAt: new Date('2024-01-01'), movie: { id: 1, tmdb_id: 550, title: 'Fight Club' } }
+      ]);
+      mockPrisma.favoriteAlbum.findMany.mockResolvedValue([
+        { addedAt: new Date('2024-03-01'), album: { id: 2, spotify_id: 'abc', name: 'Album', songs: [] } }
+      ]);
+      mockPrisma.favoriteTVShow.findMany.mockResolvedValue([
+        { addedAt: new Date('2024-02-01'), tvShow: { id: 3, tmdb_id: 1399, name: 'Show' } }
+      ]);
+
+      // Act
+      const result = await getMyList(1);
+
+      // Assert
+      expect(result.map((item) => item.id)).toEqual(['abc', 1399, 550]);
+      expect(result.map((item) => item.media_type)).toEqual(['album', 'tv', 'movie']);
+    });
+
+    it('should key items by type, as a movie and a TV show can share a TMDb ID', async () => {
+      // Arrange
+      mockPrisma.favoriteMovie.findMany.mockResolvedValue([
+        { addedAt: new Date('2024-01-01'), movie: { id: 1, tmdb_id: 550, title: 'Fight Club' } }
+      ]);
+      mockPrisma.favoriteTVShow.findMany.mockResolvedValue([
+        { addedAt: new Date('2024-02-01'), tvShow: { id: 3, tmdb_id: 550, name: 'Show' } }
+      ]);
+
+      // Act
+      const result = await getMyList(1);
+
+      // Assert
+      expect(result.map((item) => [item.media_type, item.key])).toEqual([
+        ['tv', 'tv_550'],
+        ['movie', 'movie_550']
+      ]);
+    });
+
+    it('should filter every media type by the restrictions of the profile', async () => {
+      // Act
+      await getMyList(3, { maxCertificationLevel: 2, hideAdult: true, hideExplicit: true });
+
+      // Assert
+      expect(mockPrisma.favoriteTVShow.findMany.mock.calls[0][0].where).toEqual({
+        profileId: 3,
+        tvShow: { adult: false, certification_level: { lte: 2 } }
+      });
+      expect(mockPrisma.favoriteEpisode.findMany.mock.calls[0][0].where).toEqual({
+        profileId: 3,
+        episode: { season: { tv_show: { adult: false, certification_level: { lte: 2 } } } }
+      });
+      expect(mockPrisma.favoriteAlbum.findMany.mock.calls[0][0].where).toEqual({
+        profileId: 3,
+        album: { songs: { some: { explicit: false } } }
+      });
+    });
+
+    it('should return an empty list when the user has no favorites', async () => {
+      await expect(getMyList(1)).resolves.toEqual([]);
+    });
+  });
+});
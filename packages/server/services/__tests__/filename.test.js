@@ -0,0 +1,91 @@
+// packages/server/services/__tests__/filename.test.js
+const { parseReleaseName, isSeasonFolder, parseEpisodePath } = require('../filename');
+
+describe('Filename Service', () => {
+  describe('parseReleaseName', () => {
+    it('should read the title, year and quality tags of a movie release', () => {
+      expect(parseReleaseName('/movies/The.Matrix.1999.1080p.BluRay.x264-GROUP.mkv')).toEqual({
+        title: 'The Matrix',
+        year: 1999,
+        season_number: null,
+        episode_number: null,
+        resolution: '1080p',
+        source: 'BluRay',
+        codec: 'x264'
+      });
+    });
+
+    it('should read names with spaces and the year in brackets', () => {
+      expect(parseReleaseName('Fight Club (1999).mp4')).toMatchObject({ title: 'Fight Club', year: 1999 });
+      expect(parseReleaseName('[Group] Some Movie (2021) [720p].mkv')).toMatchObject({ title: 'Some Movie', year: 2021, resolution: '720p' });
+    });
+
+    it('should keep years that are part of the title', () => {
+      expect(parseReleaseName('2001.A.Space.Odyssey.1968.mkv')).toMatchObject({ title: '2001 A Space Odyssey', year: 1968 });
+      expect(parseReleaseName('1917.2019.2160p.UHD.BluRay.x265.mkv')).toMatchObject({ title: '1917', year: 2019 });
+      expect(parseReleaseName('2012.mkv')).toMatchObject({ title: '2012', year: null });
+      expect(parseReleaseName('Blade.Runner.2049.mkv')).toMatchObject({ title: 'Blade Runner 2049', year: null });
+    });
+
+    it('should only read tags that are also words in capitals', () => {
+      expect(parseReleaseName("Charlotte's.Web.2006.WEB.H264.mkv")).toMatchObject({
+        title: "Charlotte's Web",
+        year: 2006,
+        source: 'WEB',
+        codec: 'H264'
+      });
+    });
+
+    it('should end the title at release tags', () => {
+      expect(parseReleaseName('Aliens.Directors.Cut.REMASTERED.mkv')).toMatchObject({ title: 'Aliens' });
+    });
+
+    it('should read the season and episode of an episode release', () => {
+      expect(parseReleaseName('Breaking.Bad.S01E02.720p.HDTV.x264.mkv')).toMatchObject({
+        title: 'Breaking Bad',
+        season_number: 1,
+        episode_number: 2,
+        source: 'HDTV'
+      });
+      expect(parseReleaseName('the_office_2x05_[eztv].mkv')).toMatchObject({ title: 'the office', season_number: 2, episode_number: 5 });
+      expect(parseReleaseName('Show Name - S00E01 - Special.mkv')).toMatchObject({ title: 'Show Name', season_number: 0, episode_number: 1 });
+    });
+  });
+
+  describe('isSeasonFolder', () => {
+    it('should recognize season folders', () => {
+      expect(isSeasonFolder('Season 1')).toBe(true);
+      expect(isSeasonFolder('Series 02')).toBe(true);
+      expect(isSeasonFolder('S03')).toBe(true);
+      expect(isSeasonFolder('Specials')).toBe(true);
+      expect(isSeasonFolder('Breaking Bad')).toBe(false);
+    });
+  });
+
+  describe('parseEpisodePath', () => {
+    it('should take the show from the folder above the season folder', () => {
+      expect(parseEpisodePath('/tv/Breaking Bad (2008)/Season 1/S01E01 - Pilot.mkv', '/tv')).toMatchObject({
+        title: 'Breaking Bad',
+        year: 2008,
+        season_number: 1,
+        episode_number: 1
+      });
+    });
+
+    it('should take the show from a release folder', () => {
+      expect(parseEpisodePath('/tv/Breaking.Bad.S02.1080p.BluRay/S02E03.mkv', '/tv')).toMatchObject({
+        title: 'Breaking Bad',
+        season_number: 2,
+        episode_number: 3
+      });
+    });
+
+    it('should keep the title of the file name', () => {
+      expect(parseEpisodePath('/tv/Downloads/Breaking.Bad.S01E02.mkv', '/tv')).toMatchObject({ title: 'Breaking Bad' });
+    });
+
+    it('should not read folders above the TV path', () => {
+      expect(parseEpisodePath('/media/tv/S01E01.mkv', '/media/tv')).toMatchObject({ title: '', season_number: 1 });
+    });
+  });
+});
@@ -0,0 +1,156 @@
+// packages/server/services/__tests__/invite.test.js
+const {
+  generateInviteCode,
+  normalizeInviteCode,
+  createInvite,
+  listInvites,
+  validateInvite,
+  redeemInvite,
+  revokeInvite
+} = require('../invite');
+const { PrismaClient } = require('@prisma/client');
+
+// Mock the Prisma Client
+jest.mock('@prisma/client', () => {
+  const inviteCode = {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    updateMany: jest.fn(),
+    deleteMany: jest.fn()
+  };
+  return {
+    PrismaClient: jest.fn().mockImplementation(() => ({ inviteCode }))
+  };
+});
+
+describe('Invite Service', () => {
+  let mockPrisma;
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const yesterday = () => new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  beforeEach(() => {
+    mockPrisma = new PrismaClient();
+    jest.clearAllMocks();
+  });
+
+  describe('generateInviteCode', () => {
+    it('should generate readable codes without ambiguous characters', () => {
+      const code = generateInviteCode();
+
+      expect(code).toMatch(/^[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+      expect(generateInviteCode()).not.toBe(code);
+    });
+  });
+
+  describe('normalizeInviteCode', () => {
+    it('should ignore case and surrounding spaces', () => {
+      expect(normalizeInviteCode(' k7qm-4tzp ')).toBe('K7QM-4TZP');
+      expect(normalizeInviteCode(undefined)).toBe('');
+    });
+  });
+
+  describe('createInvite', () => {
+    it('should create a code that expires after the given number of days', async () => {
+      // Arrange
+      mockPrisma.inviteCode.create.mockImplementation(({ data }) =>
+        Promise.resolve({ id: 1, ...data, createdAt: new Date(), redeemedAt: null, createdBy: { username: 'admin' }, redeemedBy: null })
+      );
+
+      // Act
+      const invite = await createInvite(1, 3);
+
+      // Assert
+      expect(mockPrisma.inviteCode.create).toHaveBeenCalledWith(
+        expect.objectContaining({ data: expect.objectContaining({ createdById: 1 }) })
+      );
+      expect(invite.status).toBe('active');
+      expect(invite.created_by).toBe('admin');
+      expect(invite.expires_at.getTime() - Date.now()).toBeGreaterThan(2.9 * 24 * 60 * 60 * 1000);
+    });
+
+    it('should reject expiries out of range', async () => {
+      await expect(createInvite(1, 0)).rejects.toThrow('Invalid invite expiry');
+      await expect(createInvite(1, 365)).rejects.toThrow('Invalid invite expiry');
+      await expect(createInvite(1, '7')).rejects.toThrow('Invalid invite expiry');
+      expect(mockPrisma.inviteCode.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('listInvites', () => {
+    it('should list invites with who created and redeemed them', async () => {
+      // Arrange
+      const redeemedAt = new Date();
+      mockPrisma.inviteCode.findMany.mockResolvedValue([
+        { id: 2, code: 'AAAA-BBBB', expiresAt: tomorrow(), redeemedAt: null, createdBy: { username: 'admin' }, redeemedBy: null },
+        { id: 1, code: 'CCCC-DDDD', expiresAt: tomorrow(), redeemedAt, createdBy: { username: 'admin' }, redeemedBy: { username: 'kid' } },
+        { id: 0, code: 'EEEE-FFFF', expiresAt: yesterday(), redeemedAt: null, createdBy: { username: 'admin' }, redeemedBy: null }
+      ]);
+
+      // Act
+      const result = await listInvites();
+
+      // Assert
+      expect(result.map((invite) => invite.status)).toEqual(['active', 'redeemed', 'expired']);
+      expect(result[1].redeemed_by).toBe('kid');
+    });
+  });
+
+  describe('validateInvite', () => {
+    it('should return an active invite', async () => {
+      // Arrange
+      const invite = { id: 1, code: 'K7QM-4TZP', expiresAt: tomorrow(), redeemedAt: null };
+      mockPrisma.inviteCode.findUnique.mockResolvedValue(invite);
+
+      // Act & Assert
+      await expect(validateInvite('k7qm-4tzp')).resolves.toBe(invite);
+      expect(mockPrisma.inviteCode.findUnique).toHaveBeenCalledWith({ where: { code: 'K7QM-4TZP' } });
+    });
+
+    it('should reject unknown, redeemed or expired codes', async () => {
+      mockPrisma.inviteCode.findUnique.mockResolvedValueOnce(null);
+      await expect(validateInvite('unknown')).rejects.toThrow('Invalid invite code');
+
+      mockPrisma.inviteCode.findUnique.mockResolvedValueOnce({ expiresAt: tomorrow(), redeemedAt: new Date() });
+      await expect(validateInvite('redeemed')).rejects.toThrow('Invalid invite code');
+
+      mockPrisma.inviteCode.findUnique.mockResolvedValueOnce({ expiresAt: yesterday(), redeemedAt: null });
+      await expect(validateInvite('expired')).rejects.toThrow('Invalid invite code');
+
+      await expect(validateInvite('')).rejects.toThrow('Invalid invite code');
+    });
+  });
+
+  describe('redeemInvite', () => {
+    it('should record the user who redeemed the code', async () => {
+      // Arrange
+      mockPrisma.inviteCode.updateMany.mockResolvedValue({ count: 1 });
+
+      // Act
+      await redeemInvite('k7qm-4tzp', 3);
+
+      // Assert
+      expect(mockPrisma.inviteCode.updateMany).toHaveBeenCalledWith({
+        where: { code: 'K7QM-4TZP', redeemedAt: null, expiresAt: { gt: expect.any(Date) } },
+        data: { redeemedById: 3, redeemedAt: expect.any(Date) }
+      });
+    });
+
+    it('should reject a code that was already redeemed', async () => {
+      mockPrisma.inviteCode.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(redeemInvite('K7QM-4TZP', 3)).rejects.toThrow('Invalid invite code');
+    });
+  });
+
+  describe('revokeInvite', () => {
+    it('should only delete unredeemed invites', async () => {
+      mockPrisma.inviteCode.deleteMany.mockResolvedValueOnce({ count: 1 });
+      mockPrisma.inviteCode.deleteMany.mockResolvedValueOnce({ count: 0 });
+
+      await expect(revokeInvite('2')).resolves.toBe(true);
+      await expect(revokeInvite('1')).resolves.toBe(false);
+      expect(mockPrisma.inviteCode.deleteMany).toHaveBeenCalledWith({ where: { id: 2, redeemedAt: null } });
+    });
+  });
+});
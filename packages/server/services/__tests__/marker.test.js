@@ -0,0 +1,145 @@
+// packages/server/services/__tests__/marker.test.js
+const { execFile } = require('child_process');
+const { countBits, findSharedSegment, analyzeSeason, detectMarkers } = require('../marker');
+const { PrismaClient } = require('@prisma/client');
+
+// Mock the Prisma Client
+jest.mock('@prisma/client', () => {
+  const mockSeasonFindMany = jest.fn();
+  const mockEpisodeFindMany = jest.fn();
+  const mockEpisodeUpdate = jest.fn();
+  return {
+    PrismaClient: jest.fn().mockImplementation(() => ({
+      season: {
+        findMany: mockSeasonFindMany
+      },
+      episode: {
+        findMany: mockEpisodeFindMany,
+        update: mockEpisodeUpdate
+      }
+    }))
+  };
+});
+
+jest.mock('child_process', () => ({
+  execFile: jest.fn()
+}));
+
+// Fingerprint points that never match each other, from a seeded generator
+let seed = 2463534242;
+const noise = (length) =>
+  Array.from({ length }, () => {
+    seed ^= seed << 13;
+    seed ^= seed >>> 17;
+    seed ^= seed << 5;
+    return seed >>> 0;
+  });
+
+// Flips a few bits of a point, as encoding differences do
+const blur = (points) => points.map((point, i) => (i % 7 === 0 ? (point ^ 0b101) >>> 0 : point));
+
+const fingerprint = (...parts) => Uint32Array.from(parts.flat());
+
+describe('Marker Service', () => {
+  let mockPrisma;
+  const theme = noise(300);
+  const endCredits = noise(400);
+
+  // Intro 37 seconds in the first part, credits 50 seconds before the end of the last part
+  const parts = {
+    '/tv/Show/S01E01.mkv': { intro: fingerprint(noise(100), theme, noise(200)), credits: fingerprint(noise(1000), endCredits, noise(40)) },
+    '/tv/Show/S01E02.mkv': { intro: fingerprint(noise(50), blur(theme), noise(250)), credits: fingerprint(noise(900), blur(endCredits), noise(40)) },
+    '/tv/Show/S01E03.mkv': { intro: fingerprint(noise(600)), credits: fingerprint(noise(1440)) }
+  };
+  const fakeFingerprint = (filePath, start) => Promise.resolve(parts[filePath][start === 0 ? 'intro' : 'credits']);
+
+  const episodes = [
+    { id: 1, fs_path: '/tv/Show/S01E01.mkv', duration: 1500, intro_start: null, intro_end: null, credits_start: null, markers_analyzed: false },
+    { id: 2, fs_path: '/tv/Show/S01E02.mkv', duration: 1500, intro_start: null, intro_end: null, credits_start: null, markers_analyzed: true },
+    { id: 3, fs_path: '/tv/Show/S01E03.mkv', duration: 1500, intro_start: null, intro_end: null, credits_start: null, markers_analyzed: false }
+  ];
+
+  beforeEach(() => {
+    mockPrisma = new PrismaClient();
+    jest.clearAllMocks();
+  });
+
+  describe('countBits', () => {
+    it('should count the bits of unsigned 32-bit points', () => {
+      expect(countBits(0)).toBe(0);
+      expect(countBits(0b1011)).toBe(3);
+      expect(countBits(0xffffffff)).toBe(32);
+      expect(countBits(0x80000001 ^ 0x1)).toBe(1);
+    });
+  });
+
+  describe('findSharedSegment', () => {
+    it('should find the segment at its position in each fingerprint', () => {
+      const segment = findSharedSegment(parts['/tv/Show/S01E01.mkv'].intro, parts['/tv/Show/S01E02.mkv'].intro);
+
+      expect(segment.a.start).toBeCloseTo(12.38, 1);
+      expect(segment.a.end).toBeCloseTo(49.52, 1);
+      expect(segment.b.start).toBeCloseTo(6.19, 1);
+    });
+
+    it('should ignore fingerprints without a long enough segment in common', () => {
+      expect(findSharedSegment(parts['/tv/Show/S01E01.mkv'].intro, parts['/tv/Show/S01E03.mkv'].intro)).toBeNull();
+      expect(findSharedSegment(fingerprint(noise(10), theme.slice(0, 50)), fingerprint(theme.slice(0, 50)))).toBeNull();
+      expect(findSharedSegment(new Uint32Array(0), parts['/tv/Show/S01E01.mkv'].intro)).toBeNull();
+    });
+  });
+
+  describe('analyzeSeason', () => {
+    it('should set the markers of the episodes analyzed and their matches', async () => {
+      const markers = await analyzeSeason(episodes, fakeFingerprint);
+
+      // The credits part starts 4 minutes before the end
+      expect(markers.get(1)).toEqual({ markers_analyzed: true, intro_start: 12.4, intro_end: 49.5, credits_start: 1383.8 });
+      expect(markers.get(2)).toEqual({ intro_start: 6.2, intro_end: 43.3, credits_start: 1371.4 });
+      expect(markers.get(3)).toEqual({ markers_analyzed: true });
+    });
+
+    it('should keep the markers other episodes already have', async () => {
+      const analyzed = episodes.map((episode) => (episode.id === 2 ? { ...episode, intro_start: 6, intro_end: 43, credits_start: 1371 } : episode));
+
+      const markers = await analyzeSeason(analyzed, fakeFingerprint);
+
+      expect(markers.has(2)).toBe(false);
+    });
+
+    it('should skip episodes that cannot be fingerprinted', async () => {
+      const failing = jest.fn().mockRejectedValue(new Error('Failed to fingerprint audio'));
+
+      const markers = await analyzeSeason(episodes.slice(0, 2), failing);
+
+      expect(markers.get(1)).toEqual({ markers_analyzed: true });
+    });
+  });
+
+  describe('detectMarkers', () => {
+    it('should store the markers of the seasons with episodes not analyzed', async () => {
+      mockPrisma.season.findMany.mockResolvedValue([{ tmdb_id: 3572 }]);
+      mockPrisma.episode.findMany.mockResolvedValue(episodes.slice(0, 2));
+      // Fakes ffmpeg writing the raw fingerprint of the part starting at -ss
+      execFile.mockImplementation((file, args, options, callback) => {
+        const points = parts[args[args.indexOf('-i') + 1]][args[args.indexOf('-ss') + 1] === '0' ? 'intro' : 'credits'];
+        callback(null, Buffer.from(points.buffer));
+      });
+
+      expect(await detectMarkers()).toBe(1);
+      expect(execFile.mock.calls[0][1]).toEqual(expect.arrayContaining(['-f', 'chromaprint', '-fp_format', 'raw']));
+      expect(mockPrisma.episode.findMany.mock.calls[0][0].where).toEqual({ season_tmdb_id: 3572 });
+      expect(mockPrisma.episode.update).toHaveBeenCalledWith({ where: { id: 1 }, data: expect.objectContaining({ intro_start: 12.4, markers_analyzed: true }) });
+      expect(mockPrisma.episode.update).toHaveBeenCalledWith({ where: { id: 2 }, data: expect.objectContaining({ intro_start: 6.2 }) });
+    });
+
+    it('should wait for a second episode', async () => {
+      mockPrisma.season.findMany.mockResolvedValue([{ tmdb_id: 3572 }]);
+      mockPrisma.episode.findMany.mockResolvedValue(episodes.slice(0, 1));
+
+      expect(await detectMarkers()).toBe(0);
+      expect(execFile).not.toHaveBeenCalled();
+      expect(mockPrisma.episode.update).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,213 @@
+// packages/server/services/__tests__/match.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { titleSimilarity, scoreResult, findBestMatch, matchRelease, listMatches, acceptMatch } = require('../match');
+const { PrismaClient } = require('@prisma/client');
+const Metadata = require('../metadata');
+
+jest.mock('@prisma/client', () => {
+  const client = {
+    notAvailable: {
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      deleteMany: jest.fn()
+    }
+  };
+  return {
+    PrismaClient: jest.fn().mockImplementation(() => client)
+  };
+});
+
+jest.mock('../metadata', () => {
+  const metadata = { get: jest.fn(), search: jest.fn() };
+  return jest.fn().mockImplementation(() => metadata);
+});
+
+describe('Match Service', () => {
+  let mockPrisma;
+  let mockMetadata;
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'match-test-'));
+
+  beforeEach(() => {
+    mockPrisma = new PrismaClient();
+    mockMetadata = new Metadata();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.TV_PATH = path.join(dir, 'tv');
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('titleSimilarity', () => {
+    it('should ignore case, accents and punctuation', () => {
+      expect(titleSimilarity('Amelie', 'Amélie')).toBe(1);
+      expect(titleSimilarity('Spider-Man: No Way Home', 'spider man no way home')).toBe(1);
+      expect(titleSimilarity('Fast & Furious', 'Fast and Furious')).toBe(1);
+    });
+
+    it('should score titles by how many letters differ', () => {
+      expect(titleSimilarity('The Matrix', 'The Matrix Reloaded')).toBeCloseTo(10 / 19);
+      expect(titleSimilarity('Matrix', '')).toBe(0);
+    });
+  });
+
+  describe('scoreResult', () => {
+    const result = { id: 603, title: 'The Matrix', release_date: '1999-03-30' };
+
+    it('should weigh the title by the release year', () => {
+      expect(scoreResult({ title: 'The Matrix', year: 1999 }, result)).toBe(1);
+      expect(scoreResult({ title: 'The Matrix', year: 2000 }, result)).toBe(0.9);
+      expect(scoreResult({ title: 'The Matrix', year: 2021 }, result)).toBe(0.5);
+      expect(scoreResult({ title: 'The Matrix', year: null }, result)).toBe(0.9);
+    });
+
+    it('should compare the original title and the name of TV shows', () => {
+      expect(scoreResult({ title: 'La Casa de Papel', year: null }, { name: 'Money Heist', original_name: 'La casa de papel' })).toBe(0.9);
+    });
+  });
+
+  describe('findBestMatch', () => {
+    it('should pick the result with the best score', () => {
+      const results = [
+        { id: 604, title: 'The Matrix Reloaded', release_date: '2003-05-15' },
+        { id: 603, title: 'The Matrix', release_date: '1999-03-30' }
+      ];
+
+      expect(findBestMatch({ title: 'The Matrix', year: 1999 }, results)).toEqual({
+        tmdb_id: 603,
+        match_title: 'The Matrix',
+        match_year: 1999,
+        confidence: 1
+      });
+    });
+
+    it('should lower the confidence when another result is as likely', () => {
+      const results = [
+        { id: 2316, name: 'The Office', first_air_date: '2005-03-24' },
+        { id: 2996, name: 'The Office', first_air_date: '2001-07-09' }
+      ];
+
+      expect(findBestMatch({ title: 'The Office', year: null }, results).confidence).toBe(0.72);
+      expect(findBestMatch({ title: 'The Office', year: 2001 }, results)).toMatchObject({ tmdb_id: 2996, confidence: 1 });
+    });
+
+    it('should return null without results', () => {
+      expect(findBestMatch({ title: 'Nothing', year: null }, [])).toBeNull();
+      expect(findBestMatch({ title: 'Nothing', year: null }, undefined)).toBeNull();
+    });
+  });
+
+  describe('matchRelease', () => {
+    it('should accept confident matches', async () => {
+      mockMetadata.search.mockResolvedValue({ results: [{ id: 550, title: 'Fight Club', release_date: '1999-10-15' }] });
+
+      const match = await matchRelease('Movie', { title: 'Fight Club', year: 1999 });
+
+      expect(mockMetadata.search).toHaveBeenCalledWith('Movie', 'Fight Club');
+      expect(match).toMatchObject({ tmdb_id: 550, confidence: 1, accepted: true });
+    });
+
+    it('should leave uncertain matches for review', async () => {
+      mockMetadata.search.mockResolvedValue({ results: [{ id: 550, title: 'Fight Club', release_date: '1999-10-15' }] });
+
+      const match = await matchRelease('Movie', { title: 'Fight Clubs', year: 2012 });
+
+      expect(match).toMatchObject({ tmdb_id: 550, accepted: false });
+    });
+
+    it('should return null for failed searches and names without a title', async () => {
+      mockMetadata.search.mockResolvedValue({ status: 401, data: {} });
+
+      expect(await matchRelease('Movie', { title: 'Fight Club', year: 1999 })).toBeNull();
+      expect(await matchRelease('Movie', { title: '', year: null })).toBeNull();
+      expect(mockMetadata.search).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('listMatches', () => {
+    it('should list the movies and episodes waiting for review with their suggestion', async () => {
+      mockPrisma.notAvailable.findMany.mockResolvedValue([
+        { id: 1, type: 'Movie', fs_path: '/movies/Fight.Clubs.mkv', title: 'Fight Clubs', year: null, season_number: null, episode_number: null, tmdb_id: 550, match_title: 'Fight Club', match_year: 1999, confidence: 0.82 },
+        { id: 2, type: 'Episode', fs_path: '/tv/S01E01.mkv', title: null, year: null, season_number: 1, episode_number: 1, tmdb_id: null }
+      ]);
+
+      const matches = await listMatches();
+
+      expect(mockPrisma.notAvailable.findMany).toHaveBeenCalledWith(expect.objectContaining({ where: { type: { in: ['Movie', 'Episode'] } } }));
+      expect(matches[0].suggestion).toEqual({ tmdb_id: 550, title: 'Fight Club', year: 1999, confidence: 0.82 });
+      expect(matches[1].suggestion).toBeNull();
+    });
+  });
+
+  describe('acceptMatch', () => {
+    it('should rename a movie after its match', async () => {
+      const file = path.join(dir, 'Fight.Clubs.1080p.mkv');
+      fs.writeFileSync(file, 'movie');
+      mockPrisma.notAvailable.findUnique.mockResolvedValue({ id: 1, type: 'Movie', fs_path: file, tmdb_id: 550 });
+      mockMetadata.get.mockResolvedValue({ id: 550, title: 'Fight Club', release_date: '1999-10-15' });
+
+      const result = await acceptMatch('1');
+
+      const to = path.join(dir, 'Fight Club (1999) 550.mkv');
+      expect(mockMetadata.get).toHaveBeenCalledWith({ type: 'Movie', id: 550 });
+      expect(result).toEqual({ id: 1, tmdb_id: 550, files: [{ from: file, to }] });
+      expect(fs.existsSync(to)).toBe(true);
+      expect(mockPrisma.notAvailable.deleteMany).toHaveBeenCalledWith({ where: { fs_path: { in: [file] } } });
+    });
+
+    it('should move the episodes of a folder to the show directory of another ID', async () => {
+      const folder = path.join(dir, 'downloads', 'The.Office.S01');
+      fs.mkdirSync(folder, { recursive: true });
+      const episodes = ['The.Office.S01E01.mkv', 'The.Office.S01E02.mkv'].map((name) => path.join(folder, name));
+      episodes.forEach((file) => fs.writeFileSync(file, 'episode'));
+      mockPrisma.notAvailable.findUnique.mockResolvedValue({ id: 2, type: 'Episode', fs_path: episodes[0], tmdb_id: 2316 });
+      mockPrisma.notAvailable.findMany.mockResolvedValue(episodes.map((fs_path, index) => ({ id: 2 + index, type: 'Episode', fs_path })));
+      mockMetadata.get.mockResolvedValue({ id: 2996, name: 'The Office' });
+
+      const result = await acceptMatch(2, '2996');
+
+      const showDir = path.join(process.env.TV_PATH, 'The Office 2996');
+      expect(mockMetadata.get).toHaveBeenCalledWith({ type: 'Show', id: 2996 });
+      expect(result.files.map(({ to }) => to)).toEqual([path.join(showDir, 'The.Office.S01E01.mkv'), path.join(showDir, 'The.Office.S01E02.mkv')]);
+      expect(fs.readdirSync(folder)).toEqual([]);
+    });
+
+    it('should reject files that are not waiting for review', async () => {
+      mockPrisma.notAvailable.findUnique.mockResolvedValue({ id: 3, type: 'Song', fs_path: '/music/song.mp3' });
+
+      await expect(acceptMatch(3)).rejects.toThrow('Match not found');
+    });
+
+    it('should require a TMDb ID without a suggestion', async () => {
+      mockPrisma.notAvailable.findUnique.mockResolvedValue({ id: 1, type: 'Movie', fs_path: '/movies/x.mkv', tmdb_id: null });
+
+      await expect(acceptMatch(1)).rejects.toThrow('No match to accept');
+    });
+
+    it('should reject IDs TMDb does not know', async () => {
+      mockPrisma.notAvailable.findUnique.mockResolvedValue({ id: 1, type: 'Movie', fs_path: '/movies/x.mkv', tmdb_id: 550 });
+      mockMetadata.get.mockResolvedValue({ status: 404, data: {} });
+
+      await expect(acceptMatch(1, 999999999)).rejects.toThrow('TMDb item not found');
+    });
+
+    it('should not overwrite an existing file', async () => {
+      const file = path.join(dir, 'Heat.1995.mkv');
+      fs.writeFileSync(file, 'movie');
+      fs.writeFileSync(path.join(dir, 'Heat (1995) 949.mkv'), 'other');
+      mockPrisma.notAvailable.findUnique.mockResolvedValue({ id: 4, type: 'Movie', fs_path: file, tmdb_id: 949 });
+      mockMetadata.get.mockResolvedValue({ id: 949, title: 'Heat', release_date: '1995-12-15' });
+
+      await expect(acceptMatch(4)).rejects.toThrow('File already exists');
+      expect(fs.existsSync(file)).toBe(true);
+    });
+  });
+});
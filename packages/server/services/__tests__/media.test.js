@@ -0,0 +1,76 @@
+// packages/server/services/__tests__/media.test.js
+const { findMediaItem } = require('../media');
+const { PrismaClient } = require('@prisma/client');
+
+// Mock the Prisma Client
+jest.mock('@prisma/client', () => {
+  const mockModel = () => ({
+    findFirst: jest.fn()
+  });
+  const models = {
+    movie: mockModel(),
+    tVShow: mockModel(),
+    episode: mockModel(),
+    album: mockModel(),
+    song: mockModel()
+  };
+  return {
+    PrismaClient: jest.fn().mockImplementation(() => models)
+  };
+});
+
+describe('Media Service', () => {
+  const restrictions = { maxCertificationLevel: 2, hideAdult: true, hideExplicit: true };
+  let mockPrisma;
+
+  beforeEach(() => {
+    mockPrisma = new PrismaClient();
+    jest.clearAllMocks();
+  });
+
+  describe('findMediaItem', () => {
+    it('should find the item by its public ID', async () => {
+      // Arrange
+      mockPrisma.movie.findFirst.mockResolvedValue({ id: 7, tmdb_id: 550 });
+
+      // Act
+      const result = await findMediaItem('movies', '550');
+
+      // Assert
+      expect(mockPrisma.movie.findFirst).toHaveBeenCalledWith({ where: { tmdb_id: 550 } });
+      expect(result).toEqual({ id: 7, tmdb_id: 550 });
+    });
+
+    it('should look among the items the profile may see', async () => {
+      // Arrange
+      mockPrisma.movie.findFirst.mockResolvedValue(null);
+
+      // Act & Assert
+      await expect(findMediaItem('movies', '680', restrictions)).rejects.toThrow('Media not found');
+      expect(mockPrisma.movie.findFirst).toHaveBeenCalledWith({
+        where: { adult: false, certification_level: { lte: 2 }, tmdb_id: 680 }
+      });
+    });
+
+    it('should hide the episodes of hidden shows and explicit songs', async () => {
+      // Arrange
+      mockPrisma.episode.findFirst.mockResolvedValue({ id: 4 });
+      mockPrisma.song.findFirst.mockResolvedValue({ id: 9 });
+
+      // Act
+      await findMediaItem('episodes', '62085', restrictions);
+      await findMediaItem('songs', 'xyz', restrictions);
+
+      // Assert
+      expect(mockPrisma.episode.findFirst).toHaveBeenCalledWith({
+        where: { season: { tv_show: { adult: false, certification_level: { lte: 2 } } }, tmdb_id: 62085 }
+      });
+      expect(mockPrisma.song.findFirst).toHaveBeenCalledWith({ where: { explicit: false, spotify_id: 'xyz' } });
+    });
+
+    it('should reject IDs that are not numbers for TMDb items', async () => {
+      await expect(findMediaItem('movies', 'abc')).rejects.toThrow('Media not found');
+      expect(mockPrisma.movie.findFirst).not.toHaveBeenCalled();
+    });
+  });
+});
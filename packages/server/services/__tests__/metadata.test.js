@@ -0,0 +1,115 @@
+// packages/server/services/__tests__/metadata.test.js
+const Metadata = require('../metadata');
+const { request } = require('../providers/request');
+const { Type } = require('../../constants');
+
+jest.mock('../providers/request', () => ({
+  ...jest.requireActual('../providers/request'),
+  request: jest.fn()
+}));
+
+describe('Metadata Service', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.MOVIES_METADATA;
+    delete process.env.TV_METADATA;
+    delete process.env.MUSIC_METADATA;
+    process.env.TMDB_KEY = 'key';
+    delete process.env.SPOTIFY_CLIENT_ID;
+    delete process.env.SPOTIFY_CLIENT_SECRET;
+  });
+
+  afterAll(() => {
+    process.env = env;
+  });
+
+  describe('constructor', () => {
+    it('should use TMDb and Spotify by default', () => {
+      const metadata = new Metadata();
+
+      expect(metadata.providers.movies.map((provider) => provider.constructor.name)).toEqual(['TMDbProvider']);
+      expect(metadata.providers.tv.map((provider) => provider.constructor.name)).toEqual(['TMDbProvider']);
+      expect(metadata.providers.music.map((provider) => provider.constructor.name)).toEqual(['SpotifyProvider']);
+    });
+
+    it('should read the providers of each library in order', () => {
+      process.env.MOVIES_METADATA = 'nfo, TMDb';
+      process.env.MUSIC_METADATA = 'nfo, musicbrainz';
+
+      const metadata = new Metadata();
+
+      expect(metadata.providers.movies.map((provider) => provider.constructor.name)).toEqual(['NfoProvider', 'TMDbProvider']);
+      expect(metadata.providers.music.map((provider) => provider.constructor.name)).toEqual(['NfoProvider', 'MusicBrainzProvider']);
+    });
+
+    it('should reject unknown providers and providers of other libraries', () => {
+      process.env.MOVIES_METADATA = 'imdb';
+      expect(() => new Metadata()).toThrow('Unknown metadata provider: imdb');
+
+      process.env.MOVIES_METADATA = 'spotify';
+      expect(() => new Metadata()).toThrow('Metadata provider spotify does not support the movies library');
+    });
+  });
+
+  describe('get', () => {
+    it('should look up items with the TMDb provider', async () => {
+      request.mockResolvedValue({ id: 550 });
+
+      const movie = await new Metadata().get({ type: Type.Movie, id: 550 });
+
+      expect(movie).toEqual({ id: 550 });
+      expect(request).toHaveBeenCalledWith(expect.stringContaining('https://api.themoviedb.org/3/movie/550?api_key=key'), { ttl: expect.any(Number) });
+    });
+
+    it('should ask the next provider when one does not know the item', async () => {
+      const first = { getMovie: jest.fn().mockResolvedValue({ status: 404, data: {} }) };
+      const second = { getMovie: jest.fn().mockResolvedValue({ id: 550, status: 'Released' }) };
+
+      const movie = await new Metadata({ movies: [first, second] }).get({ type: Type.Movie, id: 550, fs_path: '/movies/x.mkv' });
+
+      expect(first.getMovie).toHaveBeenCalledWith({ type: Type.Movie, id: 550, fs_path: '/movies/x.mkv' });
+      expect(movie).toEqual({ id: 550, status: 'Released' });
+    });
+
+    it('should return the last error when no provider knows the item', async () => {
+      const provider = { getMovie: jest.fn().mockResolvedValue({ status: 401, data: {} }) };
+
+      expect(await new Metadata({ movies: [provider] }).get({ type: Type.Movie, id: 1 })).toEqual({ status: 401, data: {} });
+      expect(await new Metadata({ movies: [{}] }).get({ type: Type.Movie, id: 1 })).toEqual({ status: 404, data: {} });
+    });
+
+    it('should not ask Spotify without its credentials', async () => {
+      const album = await new Metadata().get({ type: Type.Music.Album, id: '4aawyAB9vmqN3uQ7FjRGTy' });
+
+      expect(album.status).toBe(401);
+      expect(request).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('search', () => {
+    it('should search with the providers of the library', async () => {
+      request.mockResolvedValue({ results: [] });
+
+      expect(await new Metadata().search(Type.TV.Episode, 'The Office')).toEqual({ results: [] });
+      expect(request).toHaveBeenCalledWith(expect.stringContaining('/search/tv?api_key=key&language=en-US&query=The%20Office'), { ttl: expect.any(Number) });
+    });
+
+    it('should skip providers that cannot search', async () => {
+      process.env.MOVIES_METADATA = 'nfo';
+
+      expect(await new Metadata().search(Type.Movie, 'Fight Club')).toEqual({ status: 404, data: {} });
+      expect(request).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findId', () => {
+    it('should return the first ID recorded by a provider', async () => {
+      const providers = [{ findId: jest.fn().mockResolvedValue(null) }, {}, { findId: jest.fn().mockResolvedValue(1396) }];
+
+      expect(await new Metadata({ tv: providers }).findId({ type: Type.TV.Show, fs_path: '/tv/Breaking Bad/S01E01.mkv' })).toBe(1396);
+      expect(await new Metadata({ tv: [] }).findId({ type: Type.TV.Show, fs_path: '/tv/x.mkv' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,229 @@
+// packages/server/services/__tests__/probe.test.js
+const fs = require('fs');
+const { execFile } = require('child_process');
+const { probeFile, getTechnicalMetadata, selectAudioTrack, findAudioTrack, getPlaybackMethod } = require('../probe');
+
+jest.mock('child_process', () => ({
+  execFile: jest.fn()
+}));
+
+describe('Probe Service', () => {
+  const ffprobeOutput = {
+    format: { duration: '5400.250000' },
+    streams: [
+      { index: 0, codec_type: 'video', codec_name: 'hevc', width: 1920, height: 1080 },
+      { index: 1, codec_type: 'audio', codec_name: 'dts', channels: 6, tags: { language: 'eng' } },
+      { index: 2, codec_type: 'audio', codec_name: 'aac', channels: 2, tags: { language: 'fre', title: 'Commentary' } },
+      { index: 3, codec_type: 'subtitle', codec_name: 'subrip', tags: { language: 'eng' } },
+      { index: 4, codec_type: 'video', codec_name: 'mjpeg', disposition: { attached_pic: 1 } }
+    ]
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(fs.promises, 'stat').mockResolvedValue({ mtimeMs: 1000 });
+    execFile.mockImplementation((file, args, options, callback) => callback(null, JSON.stringify(ffprobeOutput)));
+  });
+
+  afterEach(() => {
+    fs.promises.stat.mockRestore();
+  });
+
+  describe('probeFile', () => {
+    it('should summarize the container and streams of a file', async () => {
+      const info = await probeFile('/movies/Movie (2020)/Movie (2020).MKV');
+
+      expect(execFile.mock.calls[0][1]).toContain('/movies/Movie (2020)/Movie (2020).MKV');
+      expect(info).toEqual({
+        container: '.mkv',
+        duration: 5400.25,
+        video: { index: 0, codec: 'hevc', language: null, title: null, width: 1920, height: 1080 },
+        audio: [
+          { index: 1, codec: 'dts', language: 'eng', title: null, channels: 6 },
+          { index: 2, codec: 'aac', language: 'fre', title: 'Commentary', channels: 2 }
+        ],
+        subtitles: [{ index: 3, codec: 'subrip', language: 'eng', title: null }]
+      });
+    });
+
+    it('should reuse the result until the file is modified', async () => {
+      await probeFile('/movies/Cached.mkv');
+      await probeFile('/movies/Cached.mkv');
+      expect(execFile).toHaveBeenCalledTimes(1);
+
+      fs.promises.stat.mockResolvedValue({ mtimeMs: 2000 });
+      await probeFile('/movies/Cached.mkv');
+      expect(execFile).toHaveBeenCalledTimes(2);
+    });
+
+    it('should throw when ffprobe fails', async () => {
+      execFile.mockImplementation((file, args, options, callback) => callback(new Error('spawn ffprobe ENOENT')));
+
+      await expect(probeFile('/movies/Broken.mp4')).rejects.toThrow('Failed to probe file');
+    });
+  });
+
+  describe('getTechnicalMetadata', () => {
+    it('should describe the file and each of its tracks', async () => {
+      execFile.mockImplementation((file, args, options, callback) =>
+        callback(
+          null,
+          JSON.stringify({
+            format: { duration: '7200.5', bit_rate: '25000000' },
+            streams: [
+              { index: 0, codec_type: 'video', codec_name: 'hevc', profile: 'Main 10', width: 3840, height: 2160, color_transfer: 'smpte2084', disposition: { default: 1 } },
+              { index: 1, codec_type: 'audio', codec_name: 'eac3', channels: 6, channel_layout: '5.1(side)', tags: { language: 'eng', BPS: '640000' } },
+              { index: 2, codec_type: 'subtitle', codec_name: 'subrip', disposition: { forced: 1 }, tags: { language: 'eng', title: 'SDH' } },
+              { index: 3, codec_type: 'attachment', codec_name: 'ttf' }
+            ]
+          })
+        )
+      );
+
+      const result = await getTechnicalMetadata('/movies/Technical (2021).mkv');
+
+      expect(result.container).toBe('mkv');
+      expect(result.duration).toBe(7200.5);
+      expect(result.bit_rate).toBe(25000000);
+      expect(result.streams).toHaveLength(3);
+      expect(result.streams[0]).toEqual({
+        stream_index: 0,
+        codec_type: 'video',
+        codec_name: 'hevc',
+        profile: 'Main 10',
+        language: null,
+        title: null,
+        is_default: true,
+        is_forced: false,
+        width: 3840,
+        height: 2160,
+        dynamic_range: 'HDR10',
+        channels: null,
+        channel_layout: null,
+        bit_rate: null
+      });
+      expect(result.streams[1]).toMatchObject({ codec_name: 'eac3', language: 'eng', channels: 6, channel_layout: '5.1(side)', bit_rate: 640000 });
+      expect(result.streams[2]).toMatchObject({ codec_type: 'subtitle', title: 'SDH', is_forced: true, width: null });
+    });
+
+    it('should detect Dolby Vision and skip embedded cover art', async () => {
+      execFile.mockImplementation((file, args, options, callback) =>
+        callback(
+          null,
+          JSON.stringify({
+            format: {},
+            streams: [
+              { index: 0, codec_type: 'video', codec_name: 'hevc', side_data_list: [{ side_data_type: 'DOVI configuration record' }] },
+              { index: 1, codec_type: 'video', codec_name: 'mjpeg', disposition: { attached_pic: 1 } }
+            ]
+          })
+        )
+      );
+
+      const result = await getTechnicalMetadata('/music/Album/01 Song.flac');
+
+      expect(result.streams).toHaveLength(1);
+      expect(result.streams[0].dynamic_range).toBe('Dolby Vision');
+      expect(result.duration).toBeNull();
+    });
+  });
+
+  describe('selectAudioTrack', () => {
+    const info = {
+      container: '.mkv',
+      audio: [
+        { index: 1, codec: 'eac3', language: 'eng', channels: 6 },
+        { index: 2, codec: 'aac', language: 'fre', channels: 2 }
+      ]
+    };
+
+    it('should move the picked track first', () => {
+      const result = selectAudioTrack(info, 2);
+
+      expect(result.audio.map((stream) => stream.index)).toEqual([2, 1]);
+      expect(result.alternateAudio).toBe(true);
+    });
+
+    it('should keep the file as is for its first track', () => {
+      expect(selectAudioTrack(info, 1)).toBe(info);
+      expect(selectAudioTrack(info, undefined)).toBe(info);
+    });
+
+    it('should return null for tracks the file does not have', () => {
+      expect(selectAudioTrack(info, 0)).toBeNull();
+      expect(selectAudioTrack(info, NaN)).toBeNull();
+    });
+  });
+
+  describe('findAudioTrack', () => {
+    const info = {
+      audio: [
+        { index: 1, language: 'eng' },
+        { index: 2, language: 'fre' },
+        { index: 3, language: 'fre' }
+      ]
+    };
+
+    it('should match two and three letter language codes', () => {
+      expect(findAudioTrack(info, 'fr').index).toBe(2);
+      expect(findAudioTrack(info, 'en-GB').index).toBe(1);
+    });
+
+    it('should return null without a matching language', () => {
+      expect(findAudioTrack(info, 'de')).toBeNull();
+      expect(findAudioTrack(info, null)).toBeNull();
+    });
+  });
+
+  describe('getPlaybackMethod', () => {
+    const h264 = { index: 0, codec: 'h264' };
+    const aac = { index: 1, codec: 'aac', channels: 2 };
+
+    it('should play H.264 and AAC in MP4 directly', () => {
+      expect(getPlaybackMethod({ container: '.mp4', video: h264, audio: [aac] })).toEqual({
+        method: 'direct',
+        copyVideo: true,
+        copyAudio: true,
+        reasons: []
+      });
+    });
+
+    it('should remux MKV files with browser codecs', () => {
+      const result = getPlaybackMethod({ container: '.mkv', video: h264, audio: [aac] });
+
+      expect(result.method).toBe('transcode');
+      expect(result.copyVideo).toBe(true);
+      expect(result.copyAudio).toBe(true);
+      expect(result.reasons).toEqual(['Container .mkv is not supported']);
+    });
+
+    it('should transcode HEVC video and DTS audio', () => {
+      const result = getPlaybackMethod({
+        container: '.mp4',
+        video: { index: 0, codec: 'hevc' },
+        audio: [{ index: 1, codec: 'dts', channels: 6 }]
+      });
+
+      expect(result).toEqual({
+        method: 'transcode',
+        copyVideo: false,
+        copyAudio: false,
+        reasons: ['Video codec hevc is not supported', 'Audio codec dts is not supported']
+      });
+    });
+
+    it('should remux files to play another audio track than the first', () => {
+      const result = getPlaybackMethod({ container: '.mp4', video: h264, audio: [{ ...aac, index: 2 }, aac], alternateAudio: true });
+
+      expect(result.method).toBe('transcode');
+      expect(result.copyAudio).toBe(true);
+      expect(result.reasons).toEqual(['Audio track 2 is not the first track']);
+    });
+
+    it('should downmix surround AAC when transcoding', () => {
+      const result = getPlaybackMethod({ container: '.avi', video: h264, audio: [{ index: 1, codec: 'aac', channels: 6 }] });
+
+      expect(result.copyAudio).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// packages/server/services/__tests__/profile.test.js
+const {
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile
+} = require('../profile');
+const { PrismaClient } = require('@prisma/client');
+
+// Mock the Prisma Client
+jest.mock('@prisma/client', () => {
+  const profile = {
+    create: jest.fn(),
+    findFirst: jest.fn(),
+    findMany: jest.fn(),
+    count: jest.fn(),
+    update: jest.fn(),
+    delete: jest.fn()
+  };
+  return {
+    PrismaClient: jest.fn().mockImplementation(() => ({ profile }))
+  };
+});
+
+describe('Profile Service', () => {
+  let mockPrisma;
+  const record = { id: 3, userId: 1, name: 'Kids', avatar: 'green', kid: true, createdAt: new Date(), updatedAt: new Date() };
+
+  beforeEach(() => {
+    mockPrisma = new PrismaClient();
+    jest.clearAllMocks();
+  });
+
+  describe('listProfiles', () => {
+    it('should list the profiles of a user, oldest first', async () => {
+      mockPrisma.profile.findMany.mockResolvedValue([record]);
+
+      const result = await listProfiles(1);
+
+      expect(mockPrisma.profile.findMany).toHaveBeenCalledWith({
+        where: { userId: 1 },
+        orderBy: { createdAt: 'asc' }
+      });
+      expect(result).toEqual([{ id: 3, name: 'Kids', avatar: 'green', kid: true }]);
+    });
+  });
+
+  describe('getProfile', () => {
+    it('should only find profiles of the given user', async () => {
+      mockPrisma.profile.findFirst.mockResolvedValue(null);
+
+      await expect(getProfile(2, '3')).rejects.toThrow('Profile not found');
+      expect(mockPrisma.profile.findFirst).toHaveBeenCalledWith({ where: { id: 3, userId: 2 } });
+    });
+  });
+
+  describe('createProfile', () => {
+    it('should create a profile with a trimmed name', async () => {
+      // Arrange
+      mockPrisma.profile.count.mockResolvedValue(1);
+      mockPrisma.profile.create.mockResolvedValue(record);
+
+      // Act
+      const result = await createProfile(1, { name: ' Kids ', avatar: 'green', kid: true });
+
+      // Assert
+      expect(mockPrisma.profile.create).toHaveBeenCalledWith({
+        data: { name: 'Kids', avatar: 'green', kid: true, userId: 1 }
+      });
+      expect(result).toEqual({ id: 3, name: 'Kids', avatar: 'green', kid: true });
+    });
+
+    it('should reject invalid names, avatars and kid flags', async () => {
+      await expect(createProfile(1, { name: '  ' })).rejects.toThrow('Invalid profile name');
+      await expect(createProfile(1, {})).rejects.toThrow('Invalid profile name');
+      await expect(createProfile(1, { name: 'Sam', avatar: 'pink' })).rejects.toThrow('Invalid avatar');
+      await expect(createProfile(1, { name: 'Sam', kid: 'yes' })).rejects.toThrow('Invalid kid flag');
+      expect(mockPrisma.profile.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse more than five profiles', async () => {
+      mockPrisma.profile.count.mockResolvedValue(5);
+
+      await expect(createProfile(1, { name: 'Sam' })).rejects.toThrow('Profile limit reached');
+      expect(mockPrisma.profile.create).not.toHaveBeenCalled();
+    });
+
+    it('should report duplicate names', async () => {
+      mockPrisma.profile.count.mockResolvedValue(1);
+      mockPrisma.profile.create.mockRejectedValue(Object.assign(new Error('Unique constraint failed'), { code: 'P2002' }));
+
+      await expect(createProfile(1, { name: 'Kids' })).rejects.toThrow('Profile name already in use');
+    });
+  });
+
+  describe('updateProfile', () => {
+    it('should only change the given fields', async () => {
+      // Arrange
+      mockPrisma.profile.findFirst.mockResolvedValue(record);
+      mockPrisma.profile.update.mockResolvedValue({ ...record, kid: false });
+
+      // Act
+      const result = await updateProfile(1, 3, { kid: false });
+
+      // Assert
+      expect(mockPrisma.profile.update).toHaveBeenCalledWith({ where: { id: 3 }, data: { kid: false } });
+      expect(result.kid).toBe(false);
+    });
+  });
+
+  describe('deleteProfile', () => {
+    it('should delete a profile when another one remains', async () => {
+      mockPrisma.profile.findFirst.mockResolvedValue(record);
+      mockPrisma.profile.count.mockResolvedValue(2);
+
+      await deleteProfile(1, 3);
+
+      expect(mockPrisma.profile.delete).toHaveBeenCalledWith({ where: { id: 3 } });
+    });
+
+    it('should refuse to delete the last profile', async () => {
+      mockPrisma.profile.findFirst.mockResolvedValue(record);
+      mockPrisma.profile.count.mockResolvedValue(1);
+
+      await expect(deleteProfile(1, 3)).rejects.toThrow('Cannot delete the last profile');
+      expect(mockPrisma.profile.delete).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,172 @@
+// packages/server/services/__tests__/progress.test.js
+const {
+  getCompletedThreshold,
+  validateProgress,
+  getProgress,
+  saveProgress
+} = require('../progress');
+const { PrismaClient } = require('@prisma/client');
+const { findMediaItem } = require('../media');
+
+// Mock the Prisma Client
+jest.mock('@prisma/client', () => {
+  const mockFindUnique = jest.fn();
+  const mockUpsert = jest.fn();
+  return {
+    PrismaClient: jest.fn().mockImplementation(() => ({
+      watchProgress: {
+        findUnique: mockFindUnique,
+        upsert: mockUpsert
+      }
+    }))
+  };
+});
+
+// Mock the item lookup but keep the real media type definitions
+jest.mock('../media', () => ({
+  ...jest.requireActual('../media'),
+  findMediaItem: jest.fn()
+}));
+
+describe('Progress Service', () => {
+  let mockPrisma;
+  const updatedAt = new Date('2024-01-01');
+
+  beforeEach(() => {
+    mockPrisma = new PrismaClient();
+    jest.clearAllMocks();
+    delete process.env.WATCH_COMPLETED_THRESHOLD;
+    mockPrisma.watchProgress.upsert.mockImplementation(({ create }) =>
+      Promise.resolve({ ...create, updatedAt })
+    );
+  });
+
+  describe('getCompletedThreshold', () => {
+    it('should default to 90 percent', () => {
+      expect(getCompletedThreshold()).toBe(0.9);
+    });
+
+    it('should read the threshold from the environment', () => {
+      process.env.WATCH_COMPLETED_THRESHOLD = '0.95';
+      expect(getCompletedThreshold()).toBe(0.95);
+    });
+
+    it('should ignore invalid thresholds', () => {
+      process.env.WATCH_COMPLETED_THRESHOLD = '2';
+      expect(getCompletedThreshold()).toBe(0.9);
+      process.env.WATCH_COMPLETED_THRESHOLD = 'abc';
+      expect(getCompletedThreshold()).toBe(0.9);
+    });
+  });
+
+  describe('validateProgress', () => {
+    it('should accept a position within a positive duration', () => {
+      expect(validateProgress(0, 120).valid).toBe(true);
+      expect(validateProgress(60.5, 120).valid).toBe(true);
+    });
+
+    it('should reject missing or negative values', () => {
+      const result = validateProgress(-1, 0);
+      expect(result.valid).toBe(false);
+      expect(result.errors.map((error) => error.field)).toEqual(['position', 'duration']);
+      expect(validateProgress(undefined, 120).valid).toBe(false);
+    });
+  });
+
+  describe('getProgress', () => {
+    it('should return the saved progress of a movie', async () => {
+      // Arrange
+      findMediaItem.mockResolvedValue({ id: 7 });
+      mockPrisma.watchProgress.findUnique.mockResolvedValue({
+        id: 1, profileId: 1, movieId: 7, position: 300, duration: 6000, completed: false, updatedAt
+      });
+
+      // Act
+      const result = await getProgress(1, 'movies', '550');
+
+      // Assert
+      expect(mockPrisma.watchProgress.findUnique).toHaveBeenCalledWith({
+        where: { profileId_movieId: { profileId: 1, movieId: 7 } }
+      });
+      expect(result).toEqual({ position: 300, duration: 6000, completed: false, updated_at: updatedAt });
+    });
+
+    it('should return null when the item was never played', async () => {
+      // Arrange
+      findMediaItem.mockResolvedValue({ id: 4 });
+      mockPrisma.watchProgress.findUnique.mockResolvedValue(null);
+
+      // Act & Assert
+      await expect(getProgress(1, 'episodes', '62085')).resolves.toBeNull();
+      expect(mockPrisma.watchProgress.findUnique).toHaveBeenCalledWith({
+        where: { profileId_episodeId: { profileId: 1, episodeId: 4 } }
+      });
+    });
+
+    it('should reject media types that cannot be played', async () => {
+      await expect(getProgress(1, 'albums', 'abc')).rejects.toThrow('Unsupported media type');
+      expect(findMediaItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('saveProgress', () => {
+    beforeEach(() => {
+      findMediaItem.mockResolvedValue({ id: 7 });
+    });
+
+    it('should save a partial position as not completed', async () => {
+      // Act
+      const result = await saveProgress(1, 'movies', '550', { position: 1200, duration: 6000 });
+
+      // Assert
+      expect(mockPrisma.watchProgress.upsert).toHaveBeenCalledWith({
+        where: { profileId_movieId: { profileId: 1, movieId: 7 } },
+        update: { position: 1200, duration: 6000, completed: false },
+        create: { profileId: 1, movieId: 7, position: 1200, duration: 6000, completed: false }
+      });
+      expect(result.completed).toBe(false);
+    });
+
+    it('should mark the item completed past the threshold', async () => {
+      // Act
+      const result = await saveProgress(1, 'movies', '550', { position: 5500, duration: 6000 });
+
+      // Assert
+      expect(result.completed).toBe(true);
+    });
+
+    it('should honour a configured threshold', async () => {
+      // Arrange
+      process.env.WATCH_COMPLETED_THRESHOLD = '0.95';
+
+      // Act
+      const result = await saveProgress(1, 'movies', '550', { position: 5500, duration: 6000 });
+
+      // Assert
+      expect(result.completed).toBe(false);
+    });
+
+    it('should mark the item completed when playback ended', async () => {
+      // Act
+      const result = await saveProgress(1, 'episodes', '62085', {
+        position: 100,
+        duration: 2400,
+        completed: true
+      });
+
+      // Assert
+      expect(mockPrisma.watchProgress.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { profileId_episodeId: { profileId: 1, episodeId: 7 } } })
+      );
+      expect(result.completed).toBe(true);
+    });
+
+    it('should clamp the position to the duration', async () => {
+      // Act
+      const result = await saveProgress(1, 'movies', '550', { position: 6100, duration: 6000 });
+
+      // Assert
+      expect(result.position).toBe(6000);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+// packages/server/services/__tests__/rating.test.js
+const {
+  validateRating,
+  rateMedia,
+  deleteRating,
+  getRatingSummary,
+  getRatings
+} = require('../rating');
+const { PrismaClient } = require('@prisma/client');
+const { findMediaItem } = require('../media');
+
+// Mock the Prisma Client
+jest.mock('@prisma/client', () => {
+  const mockModel = () => ({
+    upsert: jest.fn(),
+    deleteMany: jest.fn(),
+    findMany: jest.fn(),
+    aggregate: jest.fn()
+  });
+  const models = {
+    movieRating: mockModel(),
+    tVShowRating: mockModel(),
+    episodeRating: mockModel(),
+    albumRating: mockModel(),
+    songRating: mockModel()
+  };
+  return {
+    PrismaClient: jest.fn().mockImplementation(() => models)
+  };
+});
+
+// Mock the item lookup but keep the real media type definitions
+jest.mock('../media', () => ({
+  ...jest.requireActual('../media'),
+  findMediaItem: jest.fn()
+}));
+
+describe('Rating Service', () => {
+  let mockPrisma;
+
+  beforeEach(() => {
+    mockPrisma = new PrismaClient();
+    jest.clearAllMocks();
+  });
+
+  describe('validateRating', () => {
+    it('should accept ratings between 0.5 and 10 in steps of 0.5', () => {
+      expect(validateRating(0.5).valid).toBe(true);
+      expect(validateRating(7.5, 'Great').valid).toBe(true);
+      expect(validateRating(10, null).valid).toBe(true);
+    });
+
+    it('should require a rating', () => {
+      const result = validateRating(undefined);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual([{ field: 'rating', message: 'Rating is required' }]);
+    });
+
+    it('should reject ratings out of range or off the half-point scale', () => {
+      expect(validateRating(0).valid).toBe(false);
+      expect(validateRating(11).valid).toBe(false);
+      expect(validateRating(7.3).valid).toBe(false);
+      expect(validateRating('8').valid).toBe(false);
+    });
+
+    it('should reject reviews that are not text', () => {
+      const result = validateRating(8, { text: 'nope' });
+      expect(result.errors).toEqual([{ field: 'review', message: 'Review must be text' }]);
+    });
+  });
+
+  describe('rateMedia', () => {
+    it('should upsert the rating of the item with a trimmed review', async () => {
+      // Arrange
+      findMediaItem.mockResolvedValue({ id: 7 });
+      mockPrisma.movieRating.upsert.mockResolvedValue({ rating: 8, review: 'Loved it' });
+
+      // Act
+      await rateMedia(1, 'movies', '550', { rating: 8, review: '  Loved it ' });
+
+      // Assert
+      expect(mockPrisma.movieRating.upsert).toHaveBeenCalledWith({
+        where: { profileId_movieId: { profileId: 1, movieId: 7 } },
+        update: { rating: 8, review: 'Loved it' },
+        create: { profileId: 1, movieId: 7, rating: 8, review: 'Loved it' }
+      });
+    });
+
+    it('should store an empty review as null', async () => {
+      // Arrange
+      findMediaItem.mockResolvedValue({ id: 3 });
+
+      // Act
+      await rateMedia(1, 'albums', 'abc', { rating: 6, review: '   ' });
+
+      // Assert
+      expect(mockPrisma.albumRating.upsert).toHaveBeenCalledWith(
+        expect.objectContaining({ update: { rating: 6, review: null } })
+      );
+    });
+
+    it('should not rate items hidden from the profile', async () => {
+      // Arrange
+      const restrictions = { maxCertificationLevel: 2, hideAdult: true, hideExplicit: true };
+      findMediaItem.mockRejectedValue(new Error('Media not found'));
+
+      // Act & Assert
+      await expect(rateMedia(3, 'songs', 'xyz', { rating: 8 }, restrictions)).rejects.toThrow('Media not found');
+      expect(findMediaItem).toHaveBeenCalledWith('songs', 'xyz', restrictions);
+      expect(mockPrisma.songRating.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteRating', () => {
+    it('should report whether a rating was deleted', async () => {
+      // Arrange
+      findMediaItem.mockResolvedValue({ id: 3 });
+      mockPrisma.tVShowRating.deleteMany.mockResolvedValueOnce({ count: 1 });
+      mockPrisma.tVShowRating.deleteMany.mockResolvedValueOnce({ count: 0 });
+
+      // Act & Assert
+      await expect(deleteRating(1, 'tv', '1399')).resolves.toBe(true);
+      await expect(deleteRating(1, 'tv', '1399')).resolves.toBe(false);
+      expect(mockPrisma.tVShowRating.deleteMany).toHaveBeenCalledWith({
+        where: { profileId: 1, tvShowId: 3 }
+      });
+    });
+  });
+
+  describe('getRatingSummary', () => {
+    it('should return the rounded average and count', async () => {
+      // Arrange
+      mockPrisma.movieRating.aggregate.mockResolvedValue({
+        _avg: { rating: 7.6666 },
+        _count: { rating: 3 }
+      });
+
+      // Act
+      const result = await getRatingSummary('movies', 7);
+
+      // Assert
+      expect(mockPrisma.movieRating.aggregate).toHaveBeenCalledWith({
+        where: { movieId: 7 },
+        _avg: { rating: true },
+        _count: { rating: true }
+      });
+      expect(result).toEqual({ average: 7.7, count: 3 });
+    });
+
+    it('should return a null average for unrated items', async () => {
+      // Arrange
+      mockPrisma.albumRating.aggregate.mockResolvedValue({
+        _avg: { rating: null },
+        _count: { rating: 0 }
+      });
+
+      // Act & Assert
+      await expect(getRatingSummary('albums', 3)).resolves.toEqual({ average: null, count: 0 });
+    });
+  });
+
+  describe('getRatings', () => {
+    it('should return the reviews, the summary and the current user rating', async () => {
+      // Arrange
+      const updatedAt = new Date('2024-01-01');
+      findMediaItem.mockResolvedValue({ id: 7 });
+      mockPrisma.movieRating.findMany.mockResolvedValue([
+        { rating: 9, review: 'Classic', updatedAt, profile: { id: 2, name: 'alex' } },
+        { rating: 6, review: null, updatedAt, profile: { id: 1, name: 'sam' } }
+      ]);
+      mockPrisma.movieRating.aggregate.mockResolvedValue({
+        _avg: { rating: 7.5 },
+        _count: { rating: 2 }
+      });
+
+      // Act
+      const result = await getRatings('movies', '550', 1);
+
+      // Assert
+      expect(result).toEqual({
+        average: 7.5,
+        count: 2,
+        mine: { rating: 6, review: null },
+        reviews: [
+          { profile_name: 'alex', rating: 9, review: 'Classic', updated_at: updatedAt },
+          { profile_name: 'sam', rating: 6, review: null, updated_at: updatedAt }
+        ]
+      });
+    });
+
+    it('should propagate missing media errors', async () => {
+      // Arrange
+      findMediaItem.mockRejectedValue(new Error('Media not found'));
+
+      // Act & Assert
+      await expect(getRatings('movies', '404', 1)).rejects.toThrow('Media not found');
+    });
+
+    it('should look the item up among the items the profile may see', async () => {
+      // Arrange
+      const restrictions = { maxCertificationLevel: 2, hideAdult: true, hideExplicit: true };
+      findMediaItem.mockRejectedValue(new Error('Media not found'));
+
+      // Act & Assert
+      await expect(getRatings('movies', '680', 3, restrictions)).rejects.toThrow('Media not found');
+      expect(findMediaItem).toHaveBeenCalledWith('movies', '680', restrictions);
+      expect(mockPrisma.movieRating.findMany).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+// packages/server/services/__tests__/restriction.test.js
+const {
+  getCertificationLevel,
+  isValidCertification,
+  getRestrictions,
+  movieWhere,
+  tvShowWhere,
+  songWhere,
+  albumWhere
+} = require('../restriction');
+
+describe('Restriction Service', () => {
+  describe('getCertificationLevel', () => {
+    it('should place movie certifications and TV ratings on one scale', () => {
+      expect(getCertificationLevel('PG-13')).toBe(3);
+      expect(getCertificationLevel('TV-14')).toBe(3);
+      expect(getCertificationLevel('TV-MA')).toBe(getCertificationLevel('R'));
+    });
+
+    it('should return null for unknown or missing certifications', () => {
+      expect(getCertificationLevel('NR')).toBeNull();
+      expect(getCertificationLevel(null)).toBeNull();
+    });
+  });
+
+  describe('isValidCertification', () => {
+    it('should accept the limits an admin can choose and null', () => {
+      expect(isValidCertification('PG')).toBe(true);
+      expect(isValidCertification(null)).toBe(true);
+      expect(isValidCertification('TV-14')).toBe(false);
+      expect(isValidCertification(undefined)).toBe(false);
+    });
+  });
+
+  describe('getRestrictions', () => {
+    it('should read the limits of a user', () => {
+      expect(getRestrictions({ maxCertification: 'PG', hideAdult: true, hideExplicit: false })).toEqual({
+        maxCertificationLevel: 2,
+        hideAdult: true,
+        hideExplicit: false
+      });
+    });
+
+    it('should apply the kid limits on a kid profile', () => {
+      expect(getRestrictions({ maxCertification: 'R' }, { kid: true })).toEqual({
+        maxCertificationLevel: 2,
+        hideAdult: true,
+        hideExplicit: true
+      });
+    });
+
+    it('should keep a stricter account limit on a kid profile', () => {
+      expect(getRestrictions({ maxCertification: 'G' }, { kid: true }).maxCertificationLevel).toBe(1);
+    });
+
+    it('should not restrict anything without a user', () => {
+      expect(getRestrictions(undefined)).toEqual({
+        maxCertificationLevel: null,
+        hideAdult: false,
+        hideExplicit: false
+      });
+    });
+  });
+
+  describe('where clauses', () => {
+    it('should not filter anything without restrictions', () => {
+      expect(movieWhere()).toEqual({});
+      expect(tvShowWhere({})).toEqual({});
+      expect(songWhere()).toEqual({});
+      expect(albumWhere()).toEqual({});
+    });
+
+    it('should filter movies and TV shows by adult flag and certification level', () => {
+      const restrictions = { maxCertificationLevel: 3, hideAdult: true, hideExplicit: false };
+      const expected = { adult: false, certification_level: { lte: 3 } };
+
+      expect(movieWhere(restrictions)).toEqual(expected);
+      expect(tvShowWhere(restrictions)).toEqual(expected);
+    });
+
+    it('should hide explicit songs and albums without any other song', () => {
+      const restrictions = { maxCertificationLevel: null, hideAdult: false, hideExplicit: true };
+
+      expect(songWhere(restrictions)).toEqual({ explicit: false });
+      expect(albumWhere(restrictions)).toEqual({ songs: { some: { explicit: false } } });
+    });
+  });
+});
@@ -0,0 +1,216 @@
+// packages/server/services/__tests__/session.test.js
+const {
+  hashRefreshToken,
+  createSession,
+  getActiveSession,
+  selectProfile,
+  rotateSession,
+  getActiveSessions,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions
+} = require('../session');
+const { PrismaClient } = require('@prisma/client');
+
+// Mock the Prisma Client
+jest.mock('@prisma/client', () => {
+  const session = {
+    create: jest.fn(),
+    findUnique: jest.fn(),
+    findMany: jest.fn(),
+    update: jest.fn(),
+    updateMany: jest.fn()
+  };
+  return {
+    PrismaClient: jest.fn().mockImplementation(() => ({ session }))
+  };
+});
+
+describe('Session Service', () => {
+  let mockPrisma;
+  const tomorrow = () => new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const yesterday = () => new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  beforeEach(() => {
+    mockPrisma = new PrismaClient();
+    jest.clearAllMocks();
+  });
+
+  describe('hashRefreshToken', () => {
+    it('should hash tokens deterministically without returning the plaintext', () => {
+      expect(hashRefreshToken('abc')).toBe(hashRefreshToken('abc'));
+      expect(hashRefreshToken('abc')).not.toBe(hashRefreshToken('abd'));
+      expect(hashRefreshToken('abc')).not.toContain('abc');
+    });
+  });
+
+  describe('createSession', () => {
+    it('should store the hash of a new refresh token with the device', async () => {
+      // Arrange
+      mockPrisma.session.create.mockImplementation(({ data }) => Promise.resolve({ id: 3, ...data }));
+
+      // Act
+      const { session, refreshToken } = await createSession(1, {
+        userAgent: 'Firefox',
+        ipAddress: '127.0.0.1'
+      });
+
+      // Assert
+      expect(refreshToken).toMatch(/^[0-9a-f]{128}$/);
+      expect(session.tokenHash).toBe(hashRefreshToken(refreshToken));
+      expect(session.userAgent).toBe('Firefox');
+      expect(session.ipAddress).toBe('127.0.0.1');
+      expect(session.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+  });
+
+  describe('getActiveSession', () => {
+    it('should return a session that is neither revoked nor expired', async () => {
+      // Arrange
+      const session = { id: 3, revokedAt: null, expiresAt: tomorrow() };
+      mockPrisma.session.findUnique.mockResolvedValue(session);
+
+      // Act & Assert
+      await expect(getActiveSession(3)).resolves.toBe(session);
+      expect(mockPrisma.session.findUnique).toHaveBeenCalledWith({ where: { id: 3 }, include: { profile: true } });
+    });
+
+    it('should return null for revoked, expired or missing sessions', async () => {
+      mockPrisma.session.findUnique.mockResolvedValueOnce({ id: 3, revokedAt: new Date(), expiresAt: tomorrow() });
+      await expect(getActiveSession(3)).resolves.toBeNull();
+
+      mockPrisma.session.findUnique.mockResolvedValueOnce({ id: 3, revokedAt: null, expiresAt: yesterday() });
+      await expect(getActiveSession(3)).resolves.toBeNull();
+
+      mockPrisma.session.findUnique.mockResolvedValueOnce(null);
+      await expect(getActiveSession(3)).resolves.toBeNull();
+    });
+
+    it('should return null without a session ID', async () => {
+      await expect(getActiveSession(undefined)).resolves.toBeNull();
+      expect(mockPrisma.session.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('selectProfile', () => {
+    it('should store the profile picked on the device', async () => {
+      // Arrange
+      mockPrisma.session.update.mockResolvedValue({ id: 3, profileId: 7 });
+
+      // Act
+      await selectProfile(3, 7);
+
+      // Assert
+      expect(mockPrisma.session.update).toHaveBeenCalledWith({
+        where: { id: 3 },
+        data: { profileId: 7 }
+      });
+    });
+  });
+
+  describe('rotateSession', () => {
+    it('should replace the refresh token of an active session', async () => {
+      // Arrange
+      mockPrisma.session.findUnique.mockResolvedValue({
+        id: 3,
+        userId: 1,
+        userAgent: 'Firefox',
+        ipAddress: '127.0.0.1',
+        revokedAt: null,
+        expiresAt: tomorrow()
+      });
+      mockPrisma.session.update.mockImplementation(({ data }) => Promise.resolve({ id: 3, userId: 1, ...data }));
+
+      // Act
+      const { session, refreshToken } = await rotateSession('old-token');
+
+      // Assert
+      expect(mockPrisma.session.findUnique).toHaveBeenCalledWith({
+        where: { tokenHash: hashRefreshToken('old-token') }
+      });
+      expect(refreshToken).not.toBe('old-token');
+      expect(session.tokenHash).toBe(hashRefreshToken(refreshToken));
+      expect(session.userAgent).toBe('Firefox');
+    });
+
+    it('should reject unknown, revoked or expired refresh tokens', async () => {
+      mockPrisma.session.findUnique.mockResolvedValueOnce(null);
+      await expect(rotateSession('unknown')).rejects.toThrow('Invalid refresh token');
+
+      mockPrisma.session.findUnique.mockResolvedValueOnce({ id: 3, revokedAt: new Date(), expiresAt: tomorrow() });
+      await expect(rotateSession('revoked')).rejects.toThrow('Invalid refresh token');
+
+      mockPrisma.session.findUnique.mockResolvedValueOnce({ id: 3, revokedAt: null, expiresAt: yesterday() });
+      await expect(rotateSession('expired')).rejects.toThrow('Invalid refresh token');
+
+      await expect(rotateSession(undefined)).rejects.toThrow('Invalid refresh token');
+      expect(mockPrisma.session.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getActiveSessions', () => {
+    it('should list active sessions and flag the current one', async () => {
+      // Arrange
+      const createdAt = new Date('2024-01-01');
+      mockPrisma.session.findMany.mockResolvedValue([
+        { id: 4, userAgent: 'Safari', ipAddress: '10.0.0.2', createdAt, lastUsedAt: createdAt },
+        { id: 3, userAgent: 'Firefox', ipAddress: '10.0.0.1', createdAt, lastUsedAt: createdAt }
+      ]);
+
+      // Act
+      const result = await getActiveSessions(1, 3);
+
+      // Assert
+      expect(mockPrisma.session.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { userId: 1, revokedAt: null, expiresAt: { gt: expect.any(Date) } }
+        })
+      );
+      expect(result).toEqual([
+        { id: 4, user_agent: 'Safari', ip_address: '10.0.0.2', created_at: createdAt, last_used_at: createdAt, current: false },
+        { id: 3, user_agent: 'Firefox', ip_address: '10.0.0.1', created_at: createdAt, last_used_at: createdAt, current: true }
+      ]);
+    });
+  });
+
+  describe('revoking sessions', () => {
+    it('should only revoke a session owned by the user', async () => {
+      // Arrange
+      mockPrisma.session.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockPrisma.session.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      // Act & Assert
+      await expect(revokeSession(1, '3')).resolves.toBe(true);
+      await expect(revokeSession(1, '9')).resolves.toBe(false);
+      expect(mockPrisma.session.updateMany).toHaveBeenCalledWith({
+        where: { id: 3, userId: 1, revokedAt: null },
+        data: { revokedAt: expect.any(Date) }
+      });
+    });
+
+    it('should revoke the session of a refresh token', async () => {
+      // Arrange
+      mockPrisma.session.updateMany.mockResolvedValue({ count: 1 });
+
+      // Act & Assert
+      await expect(revokeSessionByRefreshToken('token')).resolves.toBe(true);
+      expect(mockPrisma.session.updateMany).toHaveBeenCalledWith({
+        where: { tokenHash: hashRefreshToken('token'), revokedAt: null },
+        data: { revokedAt: expect.any(Date) }
+      });
+      await expect(revokeSessionByRefreshToken(undefined)).resolves.toBe(false);
+    });
+
+    it('should revoke every session of the user', async () => {
+      // Arrange
+      mockPrisma.session.updateMany.mockResolvedValue({ count: 3 });
+
+      // Act & Assert
+      await expect(revokeAllSessions(1)).resolves.toBe(3);
+      expect(mockPrisma.session.updateMany).toHaveBeenCalledWith({
+        where: { userId: 1, revokedAt: null },
+        data: { revokedAt: expect.any(Date) }
+      });
+    });
+  });
+});
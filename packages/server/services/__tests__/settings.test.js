@@ -0,0 +1,140 @@
+// packages/server/services/__tests__/settings.test.js
+const {
+  getSetting,
+  setSetting,
+  getRegistrationMode,
+  setRegistrationMode,
+  getDownloadRoles,
+  setDownloadRoles,
+  canDownload
+} = require('../settings');
+const { PrismaClient } = require('@prisma/client');
+
+// Mock the Prisma Client
+jest.mock('@prisma/client', () => {
+  const setting = {
+    findUnique: jest.fn(),
+    upsert: jest.fn()
+  };
+  return {
+    PrismaClient: jest.fn().mockImplementation(() => ({ setting }))
+  };
+});
+
+describe('Settings Service', () => {
+  let mockPrisma;
+
+  beforeEach(() => {
+    mockPrisma = new PrismaClient();
+    jest.clearAllMocks();
+    delete process.env.REGISTRATION_MODE;
+    mockPrisma.setting.upsert.mockImplementation(({ create }) => Promise.resolve(create));
+  });
+
+  describe('getSetting', () => {
+    it('should return the saved value', async () => {
+      mockPrisma.setting.findUnique.mockResolvedValue({ key: 'name', value: 'homehost' });
+
+      await expect(getSetting('name')).resolves.toBe('homehost');
+      expect(mockPrisma.setting.findUnique).toHaveBeenCalledWith({ where: { key: 'name' } });
+    });
+
+    it('should fall back to the default value', async () => {
+      mockPrisma.setting.findUnique.mockResolvedValue(null);
+
+      await expect(getSetting('name', 'fallback')).resolves.toBe('fallback');
+    });
+  });
+
+  describe('setSetting', () => {
+    it('should upsert the value', async () => {
+      await expect(setSetting('name', 'homehost')).resolves.toBe('homehost');
+      expect(mockPrisma.setting.upsert).toHaveBeenCalledWith({
+        where: { key: 'name' },
+        update: { value: 'homehost' },
+        create: { key: 'name', value: 'homehost' }
+      });
+    });
+  });
+
+  describe('getRegistrationMode', () => {
+    it('should default to open registration', async () => {
+      mockPrisma.setting.findUnique.mockResolvedValue(null);
+
+      await expect(getRegistrationMode()).resolves.toBe('open');
+    });
+
+    it('should default to the mode from the environment', async () => {
+      process.env.REGISTRATION_MODE = 'invite';
+      mockPrisma.setting.findUnique.mockResolvedValue(null);
+
+      await expect(getRegistrationMode()).resolves.toBe('invite');
+    });
+
+    it('should prefer the mode saved from the Admin page', async () => {
+      process.env.REGISTRATION_MODE = 'invite';
+      mockPrisma.setting.findUnique.mockResolvedValue({ key: 'registration_mode', value: 'open' });
+
+      await expect(getRegistrationMode()).resolves.toBe('open');
+    });
+  });
+
+  describe('setRegistrationMode', () => {
+    it('should save a valid mode', async () => {
+      await expect(setRegistrationMode('invite')).resolves.toBe('invite');
+    });
+
+    it('should reject unknown modes', async () => {
+      await expect(setRegistrationMode('closed')).rejects.toThrow('Invalid registration mode');
+      expect(mockPrisma.setting.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getDownloadRoles', () => {
+    it('should allow every role by default', async () => {
+      mockPrisma.setting.findUnique.mockResolvedValue(null);
+
+      await expect(getDownloadRoles()).resolves.toEqual(['admin', 'viewer']);
+    });
+
+    it('should read the roles saved from the Admin page', async () => {
+      mockPrisma.setting.findUnique.mockResolvedValue({ key: 'download_roles', value: 'admin' });
+
+      await expect(getDownloadRoles()).resolves.toEqual(['admin']);
+    });
+
+    it('should read an empty value as downloads disabled', async () => {
+      mockPrisma.setting.findUnique.mockResolvedValue({ key: 'download_roles', value: '' });
+
+      await expect(getDownloadRoles()).resolves.toEqual([]);
+    });
+  });
+
+  describe('setDownloadRoles', () => {
+    it('should save the roles once each', async () => {
+      await expect(setDownloadRoles(['viewer', 'admin', 'viewer'])).resolves.toEqual(['viewer', 'admin']);
+      expect(mockPrisma.setting.upsert).toHaveBeenCalledWith(expect.objectContaining({
+        create: { key: 'download_roles', value: 'viewer,admin' }
+      }));
+    });
+
+    it('should save an empty list', async () => {
+      await expect(setDownloadRoles([])).resolves.toEqual([]);
+    });
+
+    it('should reject unknown roles', async () => {
+      await expect(setDownloadRoles(['owner'])).rejects.toThrow('Invalid download roles');
+      await expect(setDownloadRoles('admin')).rejects.toThrow('Invalid download roles');
+      expect(mockPrisma.setting.upsert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('canDownload', () => {
+    it('should check the role of the user', async () => {
+      mockPrisma.setting.findUnique.mockResolvedValue({ key: 'download_roles', value: 'admin' });
+
+      await expect(canDownload({ role: 'admin' })).resolves.toBe(true);
+      await expect(canDownload({ role: 'viewer' })).resolves.toBe(false);
+    });
+  });
+});
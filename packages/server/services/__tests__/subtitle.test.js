@@ -0,0 +1,170 @@
+// packages/server/services/__tests__/subtitle.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'subtitle-test-'));
+process.env.TRANSCODE_PATH = cacheDir;
+
+const {
+  isSubtitleFile,
+  parseSidecarFile,
+  getEmbeddedSubtitles,
+  getSubtitle,
+  buildConvertArgs,
+  getSubtitleFile
+} = require('../subtitle');
+const { PrismaClient } = require('@prisma/client');
+
+// Mock the Prisma Client
+jest.mock('@prisma/client', () => {
+  const mockFindFirst = jest.fn();
+  return {
+    PrismaClient: jest.fn().mockImplementation(() => ({
+      subtitle: {
+        findFirst: mockFindFirst
+      }
+    }))
+  };
+});
+
+jest.mock('child_process', () => ({
+  spawn: jest.fn(),
+  execFile: jest.fn()
+}));
+
+describe('Subtitle Service', () => {
+  let mockPrisma;
+  const mediaFile = path.join(cacheDir, 'Movie (2020) 550.mkv');
+  const sidecarFile = path.join(cacheDir, 'Movie (2020) 550.en.srt');
+
+  beforeEach(() => {
+    mockPrisma = new PrismaClient();
+    jest.clearAllMocks();
+    fs.writeFileSync(mediaFile, 'video');
+    fs.writeFileSync(sidecarFile, '1\n00:00:01,000 --> 00:00:02,000\nHello\n');
+    // Fakes ffmpeg writing the WebVTT output
+    execFile.mockImplementation((file, args, options, callback) => {
+      fs.writeFileSync(args[args.length - 1], 'WEBVTT\n');
+      callback(null);
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  describe('isSubtitleFile', () => {
+    it('should recognize subtitle extensions', () => {
+      expect(isSubtitleFile('/movies/Movie (2020).EN.SRT')).toBe(true);
+      expect(isSubtitleFile('/movies/Movie (2020).ass')).toBe(true);
+      expect(isSubtitleFile('/movies/Movie (2020).mkv')).toBe(false);
+    });
+  });
+
+  describe('parseSidecarFile', () => {
+    const video = '/movies/Movie (2020)/Movie (2020).mkv';
+
+    it('should read the language and flags from the file name', () => {
+      expect(parseSidecarFile('/movies/Movie (2020)/Movie (2020).pt-BR.forced.srt', video)).toEqual({
+        fs_path: '/movies/Movie (2020)/Movie (2020).pt-BR.forced.srt',
+        stream_index: null,
+        format: 'srt',
+        language: 'pt-BR',
+        title: null,
+        is_default: false,
+        is_forced: true
+      });
+    });
+
+    it('should keep other tags as the title', () => {
+      expect(parseSidecarFile('/movies/Movie (2020)/Movie (2020).eng.SDH.default.ass', video)).toMatchObject({
+        format: 'ass',
+        language: 'eng',
+        title: 'SDH',
+        is_default: true
+      });
+    });
+
+    it('should accept files without tags', () => {
+      expect(parseSidecarFile('/movies/Movie (2020)/Movie (2020).vtt', video)).toMatchObject({ language: null, title: null });
+    });
+
+    it('should ignore files of other videos', () => {
+      expect(parseSidecarFile('/movies/Movie (2020)/Movie (2020) Extras.en.srt', video)).toBeNull();
+      expect(parseSidecarFile('/movies/Other/Movie (2020).en.srt', video)).toBeNull();
+      expect(parseSidecarFile('/movies/Movie (2020)/Movie (2020).nfo', video)).toBeNull();
+    });
+  });
+
+  describe('getEmbeddedSubtitles', () => {
+    it('should keep the text tracks', () => {
+      const streams = [
+        { stream_index: 0, codec_type: 'video', codec_name: 'hevc' },
+        { stream_index: 2, codec_type: 'subtitle', codec_name: 'subrip', language: 'eng', title: null, is_default: true, is_forced: false },
+        { stream_index: 3, codec_type: 'subtitle', codec_name: 'hdmv_pgs_subtitle', language: 'fre', title: null, is_default: false, is_forced: false }
+      ];
+
+      expect(getEmbeddedSubtitles(streams)).toEqual([
+        { fs_path: null, stream_index: 2, format: 'subrip', language: 'eng', title: null, is_default: true, is_forced: false }
+      ]);
+    });
+  });
+
+  describe('getSubtitle', () => {
+    it('should return the subtitle with the path of its video', async () => {
+      mockPrisma.subtitle.findFirst.mockResolvedValue({ id: 4, stream_index: 2, movie: { fs_path: mediaFile }, episode: null });
+
+      const subtitle = await getSubtitle('4', {});
+
+      expect(mockPrisma.subtitle.findFirst.mock.calls[0][0].where.id).toBe(4);
+      expect(subtitle).toEqual({ id: 4, stream_index: 2, media_path: mediaFile });
+    });
+
+    it('should return null for invalid or hidden subtitles', async () => {
+      mockPrisma.subtitle.findFirst.mockResolvedValue(null);
+
+      expect(await getSubtitle('abc', {})).toBeNull();
+      expect(await getSubtitle('4', { maxCertificationLevel: 1 })).toBeNull();
+      expect(mockPrisma.subtitle.findFirst).toHaveBeenCalledTimes(1);
+      expect(mockPrisma.subtitle.findFirst.mock.calls[0][0].where.OR[0].movie).toEqual({ certification_level: { lte: 1 } });
+    });
+  });
+
+  describe('buildConvertArgs', () => {
+    it('should extract embedded tracks from the video', () => {
+      const args = buildConvertArgs({ fs_path: null, stream_index: 2, media_path: mediaFile }, '/cache/4.vtt');
+
+      expect(args).toEqual(expect.arrayContaining(['-i', mediaFile, '-map', '0:2', '-f', 'webvtt', '/cache/4.vtt']));
+    });
+  });
+
+  describe('getSubtitleFile', () => {
+    const subtitle = { id: 7, fs_path: sidecarFile, stream_index: null, format: 'srt', media_path: mediaFile };
+
+    it('should convert the subtitle once', async () => {
+      const file = await getSubtitleFile(subtitle);
+
+      expect(path.extname(file)).toBe('.vtt');
+      expect(fs.readFileSync(file, 'utf8')).toBe('WEBVTT\n');
+      expect(execFile.mock.calls[0][1]).toEqual(expect.arrayContaining(['-i', sidecarFile, '-f', 'webvtt']));
+
+      expect(await getSubtitleFile(subtitle)).toBe(file);
+      expect(execFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send WebVTT files as is', async () => {
+      const vtt = { ...subtitle, fs_path: '/movies/Movie (2020) 550.en.vtt', format: 'vtt' };
+
+      expect(await getSubtitleFile(vtt)).toBe('/movies/Movie (2020) 550.en.vtt');
+      expect(execFile).not.toHaveBeenCalled();
+    });
+
+    it('should throw when ffmpeg fails', async () => {
+      execFile.mockImplementation((file, args, options, callback) => callback(new Error('Invalid data')));
+
+      await expect(getSubtitleFile({ ...subtitle, id: 8, fs_path: null, stream_index: 5 })).rejects.toThrow('Failed to convert subtitle');
+    });
+  });
+});
@@ -0,0 +1,227 @@
+// packages/server/services/__tests__/tags.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tags-test-'));
+process.env.COVER_PATH = path.join(dir, 'covers');
+
+const { parsePosition, parseTags, readTags, getLocalId, saveCover, getCoverPath, removeCover } = require('../tags');
+const { readProbe } = require('../probe');
+
+jest.mock('../probe', () => ({
+  readProbe: jest.fn()
+}));
+
+jest.mock('child_process', () => ({
+  execFile: jest.fn()
+}));
+
+describe('Tags Service', () => {
+  const albumDir = path.join(dir, 'album');
+  const song = path.join(albumDir, '01.flac');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    fs.rmSync(process.env.COVER_PATH, { recursive: true, force: true });
+    fs.rmSync(albumDir, { recursive: true, force: true });
+    fs.mkdirSync(albumDir, { recursive: true });
+    fs.writeFileSync(song, 'song');
+    // Fakes ffmpeg writing the image
+    execFile.mockImplementation((command, args, options, callback) => {
+      fs.writeFileSync(args[args.length - 1], 'jpeg');
+      callback(null);
+    });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('parsePosition', () => {
+    it('should read a position and its total', () => {
+      expect(parsePosition('3/12')).toEqual({ number: 3, total: 12 });
+      expect(parsePosition('07')).toEqual({ number: 7, total: null });
+      expect(parsePosition(null)).toEqual({ number: null, total: null });
+    });
+  });
+
+  describe('parseTags', () => {
+    it('should read the Vorbis comments of a FLAC file', () => {
+      const tags = parseTags({
+        format: {
+          duration: '245.5',
+          tags: {
+            TITLE: 'Hey Jude',
+            ARTIST: 'The Beatles',
+            ALBUMARTIST: 'The Beatles',
+            ALBUM: 'Past Masters',
+            track: '8',
+            TRACKTOTAL: '18',
+            disc: '2',
+            DATE: '1988-03-07',
+            LABEL: 'Parlophone',
+            MUSICBRAINZ_ALBUMID: 'b1e6f0f9-0b16-4bd0-9c64-0c7cbb4a4f2e',
+            MUSICBRAINZ_ARTISTID: 'b10bbbfc-cf9e-42e0-be17-e2c3e1d2600d',
+            MUSICBRAINZ_ALBUMARTISTID: 'b10bbbfc-cf9e-42e0-be17-e2c3e1d2600d',
+            MUSICBRAINZ_TRACKID: '8f3d6a2c-b7b4-4a8e-8f4c-1b1b6f0e5f3a'
+          }
+        },
+        streams: [{ codec_type: 'audio' }, { codec_type: 'video', disposition: { attached_pic: 1 } }]
+      });
+
+      expect(tags).toEqual({
+        title: 'Hey Jude',
+        artists: ['The Beatles'],
+        album_artists: ['The Beatles'],
+        album: 'Past Masters',
+        track_number: 8,
+        total_tracks: 18,
+        disc_number: 2,
+        total_discs: null,
+        release_date: '1988-03-07',
+        label: 'Parlophone',
+        compilation: false,
+        musicbrainz_album_id: 'b1e6f0f9-0b16-4bd0-9c64-0c7cbb4a4f2e',
+        musicbrainz_artist_ids: ['b10bbbfc-cf9e-42e0-be17-e2c3e1d2600d'],
+        musicbrainz_album_artist_ids: ['b10bbbfc-cf9e-42e0-be17-e2c3e1d2600d'],
+        musicbrainz_track_id: '8f3d6a2c-b7b4-4a8e-8f4c-1b1b6f0e5f3a',
+        duration: 245.5,
+        has_cover: true
+      });
+    });
+
+    it('should read the ID3 and MP4 names of the same tags', () => {
+      const tags = parseTags({
+        format: {
+          tags: {
+            title: 'Song',
+            artist: 'Artist A;Artist B',
+            album_artist: 'Various Artists',
+            album: 'Compilation',
+            track: '3/14',
+            disc: '1/2',
+            date: '2004',
+            publisher: 'Label',
+            compilation: '1',
+            'MusicBrainz Artist Id': 'id-a/id-b'
+          }
+        },
+        streams: [{ codec_type: 'audio' }]
+      });
+
+      expect(tags).toMatchObject({
+        artists: ['Artist A', 'Artist B'],
+        album_artists: ['Various Artists'],
+        track_number: 3,
+        total_tracks: 14,
+        disc_number: 1,
+        total_discs: 2,
+        release_date: '2004',
+        label: 'Label',
+        compilation: true,
+        musicbrainz_artist_ids: ['id-a', 'id-b'],
+        has_cover: false
+      });
+    });
+
+    it('should read the tags Ogg files keep on the audio stream', () => {
+      const tags = parseTags({
+        format: { tags: {} },
+        streams: [{ codec_type: 'audio', tags: { ALBUM: 'Ogg Album', TRACKNUMBER: '5' } }]
+      });
+
+      expect(tags).toMatchObject({ album: 'Ogg Album', track_number: 5 });
+    });
+
+    it('should leave missing tags empty', () => {
+      expect(parseTags({ format: {} })).toMatchObject({
+        title: null,
+        artists: [],
+        album: null,
+        track_number: null,
+        release_date: null,
+        musicbrainz_album_id: null,
+        duration: null
+      });
+    });
+  });
+
+  describe('readTags', () => {
+    it('should parse the probe of a song', async () => {
+      readProbe.mockResolvedValue({ format: { tags: { album: 'Album' } } });
+
+      expect(await readTags(song)).toMatchObject({ album: 'Album' });
+      expect(readProbe).toHaveBeenCalledWith(song);
+    });
+  });
+
+  describe('getLocalId', () => {
+    it('should give the same names the same ID whatever their case', () => {
+      expect(getLocalId('The Beatles', 'Abbey Road')).toBe(getLocalId('the beatles', 'ABBEY ROAD'));
+      expect(getLocalId('The Beatles', 'Abbey Road')).not.toBe(getLocalId('The Beatles', 'Let It Be'));
+      expect(getLocalId('Artist')).toMatch(/^local_[0-9a-f]{16}$/);
+    });
+  });
+
+  describe('saveCover', () => {
+    it('should extract the embedded cover art once', async () => {
+      expect(await saveCover('local_1', song, true)).toBe(true);
+      expect(await saveCover('local_1', song, true)).toBe(true);
+
+      expect(execFile).toHaveBeenCalledTimes(1);
+      expect(execFile.mock.calls[0][1]).toEqual(expect.arrayContaining(['-i', song, '-map', '0:v:0']));
+      expect(await getCoverPath('local_1')).toBe(path.join(process.env.COVER_PATH, 'local_1.jpg'));
+    });
+
+    it('should copy a cover image from the folder of the song', async () => {
+      fs.writeFileSync(path.join(albumDir, 'Folder.jpg'), 'folder');
+
+      expect(await saveCover('local_2', song, false)).toBe(true);
+
+      expect(execFile).not.toHaveBeenCalled();
+      expect(fs.readFileSync(await getCoverPath('local_2'), 'utf8')).toBe('folder');
+    });
+
+    it('should fall back to the folder when the extraction fails', async () => {
+      fs.writeFileSync(path.join(albumDir, 'cover.png'), 'png');
+      execFile.mockImplementationOnce((command, args, options, callback) => callback(new Error('ffmpeg failed')));
+
+      expect(await saveCover('local_3', song, true)).toBe(true);
+
+      expect(execFile).toHaveBeenCalledTimes(2);
+      expect(execFile.mock.calls[1][1]).toContain(path.join(albumDir, 'cover.png'));
+    });
+
+    it('should report albums without a cover', async () => {
+      expect(await saveCover('local_4', song, false)).toBe(false);
+      expect(await getCoverPath('local_4')).toBeNull();
+    });
+  });
+
+  describe('getCoverPath', () => {
+    it('should not leave the cover directory', async () => {
+      fs.mkdirSync(process.env.COVER_PATH, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'secret.jpg'), 'secret');
+
+      expect(await getCoverPath('../secret')).toBeNull();
+    });
+  });
+
+  describe('removeCover', () => {
+    it('should remove the cover of an album', async () => {
+      await saveCover('local_5', song, true);
+
+      await removeCover('local_5');
+      await removeCover('local_5');
+
+      expect(await getCoverPath('local_5')).toBeNull();
+    });
+  });
+});
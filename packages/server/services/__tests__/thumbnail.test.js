@@ -0,0 +1,143 @@
+// packages/server/services/__tests__/thumbnail.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const thumbnailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-test-'));
+process.env.THUMBNAIL_PATH = thumbnailDir;
+
+const {
+  getThumbnailSize,
+  buildThumbnailArgs,
+  buildThumbnailTrack,
+  generateThumbnails,
+  cleanThumbnails,
+  getThumbnailFile,
+  hasThumbnails
+} = require('../thumbnail');
+const { probeFile } = require('../probe');
+
+jest.mock('../probe', () => ({
+  probeFile: jest.fn()
+}));
+
+jest.mock('child_process', () => ({
+  spawn: jest.fn(),
+  execFile: jest.fn()
+}));
+
+describe('Thumbnail Service', () => {
+  const mediaDir = fs.mkdtempSync(path.join(os.tmpdir(), 'thumbnail-media-'));
+  const mediaFile = path.join(mediaDir, 'Movie (2020).mkv');
+  const info = {
+    container: '.mkv',
+    duration: 25,
+    video: { index: 0, codec: 'hevc', width: 3840, height: 1608 },
+    audio: [],
+    subtitles: []
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.rmSync(thumbnailDir, { recursive: true, force: true });
+    fs.mkdirSync(thumbnailDir);
+    fs.writeFileSync(mediaFile, 'video');
+    probeFile.mockResolvedValue(info);
+    // Fakes ffmpeg writing one sprite sheet
+    execFile.mockImplementation((file, args, options, callback) => {
+      fs.writeFileSync(args[args.length - 1].replace('%03d', '001'), 'jpeg');
+      callback(null);
+    });
+  });
+
+  afterAll(() => {
+    fs.rmSync(thumbnailDir, { recursive: true, force: true });
+    fs.rmSync(mediaDir, { recursive: true, force: true });
+  });
+
+  describe('getThumbnailSize', () => {
+    it('should keep the aspect ratio with an even height', () => {
+      expect(getThumbnailSize(info.video)).toEqual({ width: 160, height: 68 });
+      expect(getThumbnailSize({ width: 1920, height: 1080 })).toEqual({ width: 160, height: 90 });
+    });
+  });
+
+  describe('buildThumbnailArgs', () => {
+    it('should tile the key frames of the video stream', () => {
+      const args = buildThumbnailArgs(mediaFile, info, '/thumbnails/abc');
+
+      expect(args).toEqual(expect.arrayContaining(['-skip_frame', 'nokey', '-map', '0:0', '-vf', 'fps=1/10,scale=160:68,tile=10x10']));
+      expect(args[args.length - 1]).toBe(path.join('/thumbnails/abc', 'sprite%03d.jpg'));
+    });
+  });
+
+  describe('buildThumbnailTrack', () => {
+    it('should point each cue to its area of the sprite sheets', () => {
+      const track = buildThumbnailTrack({ ...info, duration: 1005 }, 2);
+
+      expect(track.startsWith('WEBVTT\n\n00:00:00.000 --> 00:00:10.000\nsprite001.jpg#xywh=0,0,160,68\n')).toBe(true);
+      expect(track).toContain('00:00:10.000 --> 00:00:20.000\nsprite001.jpg#xywh=160,0,160,68');
+      expect(track).toContain('00:02:00.000 --> 00:02:10.000\nsprite001.jpg#xywh=320,68,160,68');
+      expect(track).toContain('00:16:40.000 --> 00:16:45.000\nsprite002.jpg#xywh=0,0,160,68');
+    });
+
+    it('should stop at the last sprite sheet written', () => {
+      const track = buildThumbnailTrack({ ...info, duration: 1005 }, 1);
+
+      expect(track).not.toContain('sprite002.jpg');
+      expect(track).toContain('00:16:30.000 --> 00:16:40.000\nsprite001.jpg#xywh=1440,612,160,68');
+    });
+  });
+
+  describe('generateThumbnails', () => {
+    it('should write the sprite sheets and thumbnail track once', async () => {
+      const dir = await generateThumbnails(mediaFile);
+
+      expect(fs.readdirSync(dir).sort()).toEqual(['sprite001.jpg', 'thumbnails.vtt']);
+      expect(fs.readFileSync(path.join(dir, 'thumbnails.vtt'), 'utf8')).toContain('00:00:20.000 --> 00:00:25.000\nsprite001.jpg#xywh=320,0,160,68');
+      expect(await hasThumbnails(mediaFile)).toBe(true);
+
+      expect(await generateThumbnails(mediaFile)).toBe(dir);
+      expect(execFile).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip files without video', async () => {
+      probeFile.mockResolvedValue({ ...info, video: null });
+
+      expect(await generateThumbnails(mediaFile)).toBeNull();
+      expect(execFile).not.toHaveBeenCalled();
+    });
+
+    it('should leave nothing behind when ffmpeg fails', async () => {
+      execFile.mockImplementation((file, args, options, callback) => callback(new Error('Invalid data')));
+
+      await expect(generateThumbnails(mediaFile)).rejects.toThrow('Failed to generate thumbnails');
+      expect(fs.readdirSync(thumbnailDir)).toEqual([]);
+      expect(await hasThumbnails(mediaFile)).toBe(false);
+    });
+  });
+
+  describe('getThumbnailFile', () => {
+    it('should only send the thumbnail track and sprite sheets', async () => {
+      const dir = await generateThumbnails(mediaFile);
+
+      expect(await getThumbnailFile(mediaFile, 'sprite001.jpg')).toBe(path.join(dir, 'sprite001.jpg'));
+      expect(await getThumbnailFile(mediaFile, 'sprite002.jpg')).toBeNull();
+      expect(await getThumbnailFile(mediaFile, '../../etc/passwd')).toBeNull();
+    });
+  });
+
+  describe('cleanThumbnails', () => {
+    it('should delete the thumbnails of videos no longer in the library', async () => {
+      const dir = await generateThumbnails(mediaFile);
+      const removed = path.join(thumbnailDir, 'removed');
+      fs.mkdirSync(removed);
+
+      await cleanThumbnails([mediaFile, '/movies/Missing (2020).mkv']);
+
+      expect(fs.existsSync(removed)).toBe(false);
+      expect(fs.existsSync(dir)).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,277 @@
+// packages/server/services/__tests__/transcode.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { spawn } = require('child_process');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcode-test-'));
+process.env.TRANSCODE_PATH = cacheDir;
+
+const {
+  getRenditions,
+  buildArgs,
+  buildRenditionArgs,
+  cleanCache,
+  getPlaylist,
+  getSegment,
+  getMasterPlaylist,
+  getRenditionPlaylist,
+  getRenditionSegment
+} = require('../transcode');
+
+jest.mock('child_process', () => ({
+  spawn: jest.fn()
+}));
+
+describe('Transcode Service', () => {
+  const mediaFile = path.join(cacheDir, 'Movie (2020).mkv');
+  const info = {
+    container: '.mkv',
+    duration: 20,
+    video: { index: 0, codec: 'hevc', width: 3840, height: 1608 },
+    audio: [{ index: 2, codec: 'dts', channels: 6 }],
+    subtitles: []
+  };
+  const method = { method: 'transcode', copyVideo: false, copyAudio: false, reasons: [] };
+  let ffmpeg;
+
+  // Fakes an ffmpeg process writing the first segment and playlist of its output
+  const fakeFfmpeg = ({ finished }) => (command, args) => {
+    ffmpeg = Object.assign(new EventEmitter(), { stderr: new EventEmitter(), kill: jest.fn() });
+    const playlist = args[args.length - 1];
+    fs.writeFileSync(path.join(path.dirname(playlist), 'segment00000.ts'), 'segment');
+    fs.writeFileSync(playlist, `#EXTM3U\nsegment00000.ts\n${finished ? '#EXT-X-ENDLIST\n' : ''}`);
+    return ffmpeg;
+  };
+
+  // Fakes an ffmpeg process writing the first segment of a rendition transcode
+  const fakeRenditionFfmpeg = (command, args) => {
+    ffmpeg = Object.assign(new EventEmitter(), { stderr: new EventEmitter(), kill: jest.fn() });
+    const start = Number(args[args.indexOf('-start_number') + 1]);
+    const dir = path.dirname(args[args.length - 1]);
+    fs.writeFileSync(path.join(dir, `segment${String(start).padStart(5, '0')}.ts`), 'segment');
+    return ffmpeg;
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.writeFileSync(mediaFile, 'video');
+    spawn.mockImplementation(fakeFfmpeg({ finished: true }));
+  });
+
+  afterEach(() => {
+    // Ends the running fake ffmpeg so each test starts without jobs
+    if (ffmpeg) ffmpeg.emit('exit', 0);
+    ffmpeg = null;
+  });
+
+  afterAll(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  describe('buildArgs', () => {
+    it('should transcode to H.264 and stereo AAC segments', () => {
+      const args = buildArgs(mediaFile, info, method, '/cache/abc');
+
+      expect(args).toEqual(expect.arrayContaining(['-map', '0:0', '-c:v', 'libx264', '-map', '0:2', '-c:a', 'aac', '-ac', '2']));
+      expect(args.slice(-3)).toEqual(['-hls_segment_filename', path.join('/cache/abc', 'segment%05d.ts'), path.join('/cache/abc', 'index.m3u8')]);
+    });
+
+    it('should copy streams browsers can decode', () => {
+      const args = buildArgs(mediaFile, info, { ...method, copyVideo: true, copyAudio: true }, '/cache/abc');
+
+      expect(args).toEqual(expect.arrayContaining(['-c:v', 'copy', '-c:a', 'copy']));
+      expect(args).not.toContain('libx264');
+    });
+  });
+
+  describe('getPlaylist', () => {
+    it('should start ffmpeg once for concurrent requests', async () => {
+      spawn.mockImplementation(fakeFfmpeg({ finished: false }));
+
+      const [first, second] = await Promise.all([getPlaylist(mediaFile, info, method), getPlaylist(mediaFile, info, method)]);
+
+      expect(first).toBe(second);
+      expect(path.basename(first)).toBe('index.m3u8');
+      expect(spawn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reuse a finished transcode', async () => {
+      await getPlaylist(mediaFile, info, method);
+      ffmpeg.emit('exit', 0);
+
+      await getPlaylist(mediaFile, info, method);
+
+      expect(spawn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should restart a transcode stopped before the end', async () => {
+      spawn.mockImplementation(fakeFfmpeg({ finished: false }));
+      await getPlaylist(mediaFile, info, method);
+      ffmpeg.emit('exit', null);
+
+      await getPlaylist(mediaFile, info, method);
+
+      expect(spawn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should throw when ffmpeg cannot start', async () => {
+      spawn.mockImplementation(() => {
+        ffmpeg = Object.assign(new EventEmitter(), { stderr: new EventEmitter(), kill: jest.fn() });
+        process.nextTick(() => ffmpeg.emit('error', new Error('spawn ffmpeg ENOENT')));
+        return ffmpeg;
+      });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      fs.writeFileSync(mediaFile, 'another video');
+      fs.utimesSync(mediaFile, new Date(), new Date(Date.now() + 60000));
+
+      await expect(getPlaylist(mediaFile, info, method)).rejects.toThrow('Transcoding failed');
+      console.error.mockRestore();
+    });
+  });
+
+  describe('getSegment', () => {
+    it('should return written segments', async () => {
+      const playlist = await getPlaylist(mediaFile, info, method);
+
+      expect(await getSegment(mediaFile, info, 'segment00000.ts')).toBe(path.join(path.dirname(playlist), 'segment00000.ts'));
+    });
+
+    it('should keep each audio track apart', async () => {
+      const playlist = await getPlaylist(mediaFile, info, method);
+      ffmpeg.emit('exit', 0);
+      const french = { ...info, audio: [{ index: 3, codec: 'ac3', channels: 2 }, ...info.audio], alternateAudio: true };
+
+      const frenchPlaylist = await getPlaylist(mediaFile, french, method);
+
+      expect(path.basename(path.dirname(frenchPlaylist))).toBe('original-audio3');
+      expect(frenchPlaylist).not.toBe(playlist);
+      expect(spawn.mock.calls[1][1]).toEqual(expect.arrayContaining(['-map', '0:3']));
+    });
+
+    it('should reject names outside the segment pattern', async () => {
+      await getPlaylist(mediaFile, info, method);
+
+      expect(await getSegment(mediaFile, info, '../../etc/passwd')).toBeNull();
+      expect(await getSegment(mediaFile, info, 'index.m3u8')).toBeNull();
+    });
+  });
+
+  describe('getRenditions', () => {
+    it('should keep the aspect ratio of the file', () => {
+      expect(getRenditions(info).map(({ name, width, height }) => [name, width, height])).toEqual([
+        ['1080p', 1920, 804],
+        ['720p', 1280, 536],
+        ['480p', 854, 358]
+      ]);
+    });
+
+    it('should not upscale files', () => {
+      const renditions = getRenditions({ ...info, video: { index: 0, codec: 'h264', width: 1280, height: 720 } });
+
+      expect(renditions.map((rendition) => rendition.name)).toEqual(['720p', '480p']);
+      expect(renditions[0]).toMatchObject({ width: 1280, height: 720, bandwidth: 2928000 });
+    });
+
+    it('should keep the lowest rendition for small files', () => {
+      const renditions = getRenditions({ ...info, video: { index: 0, codec: 'mpeg4', width: 640, height: 360 } });
+
+      expect(renditions).toHaveLength(1);
+      expect(renditions[0]).toMatchObject({ name: '480p', width: 640, height: 360 });
+    });
+
+    it('should have no renditions without video or duration', () => {
+      expect(getRenditions({ ...info, video: null })).toEqual([]);
+      expect(getRenditions({ ...info, duration: null })).toEqual([]);
+    });
+  });
+
+  describe('getMasterPlaylist', () => {
+    it('should list each rendition', async () => {
+      const playlist = await getMasterPlaylist(mediaFile, info);
+
+      expect(playlist).toContain('#EXT-X-STREAM-INF:BANDWIDTH=5192000,RESOLUTION=1920x804,CODECS="avc1.640028,mp4a.40.2",NAME="1080p"\n1080p/index.m3u8');
+      expect(playlist).toContain('480p/index.m3u8');
+    });
+  });
+
+  describe('getRenditionPlaylist', () => {
+    it('should list every segment of the file', () => {
+      const playlist = getRenditionPlaylist(info, '720p');
+
+      expect(playlist).toContain('#EXT-X-PLAYLIST-TYPE:VOD');
+      expect(playlist).toContain('#EXTINF:6.000000,\nsegment00002.ts');
+      expect(playlist).toContain('#EXTINF:2.000000,\nsegment00003.ts\n#EXT-X-ENDLIST');
+    });
+
+    it('should reject renditions above the file resolution', () => {
+      expect(getRenditionPlaylist({ ...info, video: { index: 0, codec: 'h264', width: 854, height: 480 } }, '1080p')).toBeNull();
+    });
+  });
+
+  describe('buildRenditionArgs', () => {
+    it('should start at the segment and keep its timestamps', () => {
+      const [rendition] = getRenditions(info);
+      const args = buildRenditionArgs(mediaFile, info, rendition, 10, '/cache/abc/1080p');
+
+      expect(args.slice(0, 9)).toEqual(['-hide_banner', '-loglevel', 'error', '-ss', '60', '-i', mediaFile, '-copyts', '-avoid_negative_ts']);
+      expect(args).toEqual(expect.arrayContaining(['-vf', 'scale=1920:804', '-b:v', '5000000', '-force_key_frames', 'expr:gte(t,60+n_forced*6)', '-start_number', '10']));
+    });
+  });
+
+  describe('getRenditionSegment', () => {
+    beforeEach(() => {
+      spawn.mockImplementation(fakeRenditionFfmpeg);
+    });
+
+    it('should start ffmpeg at the requested segment', async () => {
+      const segment = await getRenditionSegment(mediaFile, info, '720p', 'segment00002.ts');
+
+      expect(path.basename(segment)).toBe('segment00002.ts');
+      expect(path.basename(path.dirname(segment))).toBe('720p');
+      expect(spawn).toHaveBeenCalledTimes(1);
+      expect(spawn.mock.calls[0][1]).toEqual(expect.arrayContaining(['-ss', '12', '-start_number', '2']));
+    });
+
+    it('should wait for the running ffmpeg for the next segments', async () => {
+      const first = await getRenditionSegment(mediaFile, info, '720p', 'segment00000.ts');
+      setTimeout(() => fs.writeFileSync(path.join(path.dirname(first), 'segment00001.ts'), 'segment'), 50);
+
+      await getRenditionSegment(mediaFile, info, '720p', 'segment00001.ts');
+
+      expect(spawn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should restart ffmpeg when the player seeks back', async () => {
+      await getRenditionSegment(mediaFile, info, '720p', 'segment00003.ts');
+      const previous = ffmpeg;
+
+      await getRenditionSegment(mediaFile, info, '720p', 'segment00001.ts');
+
+      expect(previous.kill).toHaveBeenCalledWith('SIGTERM');
+      expect(spawn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject unknown renditions and segments past the end', async () => {
+      expect(await getRenditionSegment(mediaFile, info, '2160p', 'segment00000.ts')).toBeNull();
+      expect(await getRenditionSegment(mediaFile, info, '720p', 'segment00004.ts')).toBeNull();
+      expect(await getRenditionSegment(mediaFile, info, '720p', 'index.m3u8')).toBeNull();
+      expect(spawn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cleanCache', () => {
+    it('should delete transcodes not watched for a week', async () => {
+      const expired = path.join(cacheDir, 'expired');
+      fs.mkdirSync(expired);
+      const eightDaysAgo = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000);
+      fs.utimesSync(expired, eightDaysAgo, eightDaysAgo);
+
+      await cleanCache();
+
+      expect(fs.existsSync(expired)).toBe(false);
+      expect(fs.existsSync(mediaFile)).toBe(true);
+    });
+  });
+});
@@ -1,5 +1,15 @@
 // packages/server/services/__tests__/user.test.js
-const { getUserById, getUserByEmail, createUser, verifyCredentials } = require('../user');
+const {
+  getUserById,
+  getUserByEmail,
+  createUser,
+  verifyCredentials,
+  listUsers,
+  updateUser,
+  updatePreferences,
+  resetPassword,
+  deleteUser
+} = require('../user');
 const { PrismaClient } = require('@prisma/client');
 const { validatePasswordStrength, hashPassword, verifyPassword } = require('../../services/auth');
 
@@ -8,12 +18,20 @@ jest.mock('@prisma/client', () => {
   const mockFindUnique = jest.fn();
   const mockFindFirst = jest.fn();
   const mockCreate = jest.fn();
+  const mockCount = jest.fn();
+  const mockFindMany = jest.fn();
+  const mockUpdate = jest.fn();
+  const mockDelete = jest.fn();
   return {
     PrismaClient: jest.fn().mockImplementation(() => ({
       user: {
         findUnique: mockFindUnique,
         findFirst: mockFindFirst,
-        create: mockCreate
+        create: mockCreate,
+        count: mockCount,
+        findMany: mockFindMany,
+        update: mockUpdate,
+        delete: mockDelete
       }
     }))
   };
@@ -217,6 +235,7 @@ describe('User Service', () => {
       validatePasswordStrength.mockReturnValue({ valid: true, message: 'Password meets strength requirements' });
       hashPassword.mockResolvedValue('hashed_secure_password');
       mockPrisma.user.findFirst.mockResolvedValue(null); // No existing user with email
+      mockPrisma.user.count.mockResolvedValue(1);
       
       const mockCreatedUser = {
         id: 1,
@@ -241,6 +260,10 @@ describe('User Service', () => {
           email: 'test@example.com',
           username: 'testuser',
           password: 'hashed_secure_password',
+          role: 'viewer',
+          profiles: {
+            create: { name: 'testuser' }
+          },
         }
       });
       
@@ -257,6 +280,30 @@ describe('User Service', () => {
       expect(result).not.toHaveProperty('password');
     });
 
+    it('should make the first registered user an admin', async () => {
+      // Arrange
+      validatePasswordStrength.mockReturnValue({ valid: true, message: 'Password meets strength requirements' });
+      hashPassword.mockResolvedValue('hashed_secure_password');
+      mockPrisma.user.findFirst.mockResolvedValue(null);
+      mockPrisma.user.count.mockResolvedValue(0);
+      mockPrisma.user.create.mockResolvedValue({
+        id: 1,
+        email: 'admin@example.com',
+        username: 'admin',
+        password: 'hashed_secure_password',
+        role: 'admin'
+      });
+
+      // Act
+      const result = await createUser('admin@example.com', 'admin', 'SecurePassword123!');
+
+      // Assert
+      expect(mockPrisma.user.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ role: 'admin' })
+      });
+      expect(result.role).toBe('admin');
+    });
+
     it('should reject creation if email already exists', async () => {
       // Arrange
       validatePasswordStrength.mockReturnValue({ valid: true, message: 'Password meets strength requirements' });
@@ -428,5 +475,191 @@ describe('User Service', () => {
       // Verify the console.error was called with the database error
       expect(console.error).toHaveBeenCalledWith('Error verifying credentials:', databaseError);
     });
+
+    it('should throw "Account disabled" for a disabled user with a correct password', async () => {
+      // Arrange
+      mockPrisma.user.findFirst.mockResolvedValue({
+        id: 1,
+        email: 'test@example.com',
+        password: 'hashed_password',
+        disabled: true
+      });
+      verifyPassword.mockResolvedValue(true);
+      
+      // Act & Assert
+      await expect(verifyCredentials('test@example.com', 'correct_password')).rejects.toThrow('Account disabled');
+    });
+  });
+
+  describe('listUsers', () => {
+    it('should return every user without their password', async () => {
+      // Arrange
+      mockPrisma.user.findMany.mockResolvedValue([
+        { id: 1, username: 'admin', password: 'hashed', role: 'admin' },
+        { id: 2, username: 'viewer', password: 'hashed', role: 'viewer' }
+      ]);
+      
+      // Act
+      const result = await listUsers();
+      
+      // Assert
+      expect(mockPrisma.user.findMany).toHaveBeenCalledWith({ orderBy: { createdAt: 'asc' } });
+      expect(result).toEqual([
+        { id: 1, username: 'admin', role: 'admin' },
+        { id: 2, username: 'viewer', role: 'viewer' }
+      ]);
+    });
+  });
+
+  describe('updateUser', () => {
+    it('should change the role of a user', async () => {
+      // Arrange
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 2, role: 'viewer', disabled: false });
+      mockPrisma.user.update.mockResolvedValue({ id: 2, role: 'admin', disabled: false, password: 'hashed' });
+      
+      // Act
+      const result = await updateUser('2', { role: 'admin' });
+      
+      // Assert
+      expect(mockPrisma.user.update).toHaveBeenCalledWith({
+        where: { id: 2 },
+        data: { role: 'admin' }
+      });
+      expect(result).toEqual({ id: 2, role: 'admin', disabled: false });
+    });
+
+    it('should reject unknown roles', async () => {
+      await expect(updateUser(2, { role: 'owner' })).rejects.toThrow('Invalid role');
+      expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should throw "User not found" when the user does not exist', async () => {
+      mockPrisma.user.findUnique.mockResolvedValue(null);
+      await expect(updateUser(9, { disabled: true })).rejects.toThrow('User not found');
+    });
+
+    it('should set content limits', async () => {
+      // Arrange
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 2, role: 'viewer', disabled: false });
+      mockPrisma.user.update.mockResolvedValue({ id: 2, role: 'viewer', maxCertification: 'PG', hideAdult: true, password: 'hashed' });
+      
+      // Act
+      await updateUser(2, { maxCertification: 'PG', hideAdult: true });
+      
+      // Assert
+      expect(mockPrisma.user.update).toHaveBeenCalledWith({
+        where: { id: 2 },
+        data: { maxCertification: 'PG', hideAdult: true }
+      });
+    });
+
+    it('should reject unknown certifications and non-boolean content flags', async () => {
+      await expect(updateUser(2, { maxCertification: 'X' })).rejects.toThrow('Invalid certification');
+      await expect(updateUser(2, { hideExplicit: 'yes' })).rejects.toThrow('Invalid content flag');
+      expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse to demote or disable the last enabled admin', async () => {
+      // Arrange
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 1, role: 'admin', disabled: false });
+      mockPrisma.user.count.mockResolvedValue(0);
+      
+      // Act & Assert
+      await expect(updateUser(1, { role: 'viewer' })).rejects.toThrow('Cannot remove the last admin');
+      await expect(updateUser(1, { disabled: true })).rejects.toThrow('Cannot remove the last admin');
+      expect(mockPrisma.user.count).toHaveBeenCalledWith({
+        where: { role: 'admin', disabled: false, id: { not: 1 } }
+      });
+      expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    });
+
+    it('should disable an admin when another admin remains', async () => {
+      // Arrange
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 1, role: 'admin', disabled: false });
+      mockPrisma.user.count.mockResolvedValue(1);
+      mockPrisma.user.update.mockResolvedValue({ id: 1, role: 'admin', disabled: true });
+      
+      // Act
+      const result = await updateUser(1, { disabled: true });
+      
+      // Assert
+      expect(result.disabled).toBe(true);
+    });
+  });
+
+  describe('updatePreferences', () => {
+    it('should save the audio language', async () => {
+      // Arrange
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 2, role: 'viewer' });
+      mockPrisma.user.update.mockResolvedValue({ id: 2, role: 'viewer', audioLanguage: 'fr', password: 'hashed' });
+      
+      // Act
+      const result = await updatePreferences(2, { audioLanguage: 'fr' });
+      
+      // Assert
+      expect(mockPrisma.user.update).toHaveBeenCalledWith({
+        where: { id: 2 },
+        data: { audioLanguage: 'fr' }
+      });
+      expect(result).toEqual({ id: 2, role: 'viewer', audioLanguage: 'fr' });
+    });
+
+    it('should reject values that are not language codes', async () => {
+      await expect(updatePreferences(2, { audioLanguage: 'French' })).rejects.toThrow('Invalid language');
+      await expect(updatePreferences(2, { audioLanguage: 7 })).rejects.toThrow('Invalid language');
+      expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('resetPassword', () => {
+    it('should hash and save the new password', async () => {
+      // Arrange
+      validatePasswordStrength.mockReturnValue({ valid: true });
+      hashPassword.mockResolvedValue('new_hashed_password');
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 2 });
+      mockPrisma.user.update.mockResolvedValue({ id: 2, password: 'new_hashed_password' });
+      
+      // Act
+      const result = await resetPassword('2', 'NewPassword123!');
+      
+      // Assert
+      expect(mockPrisma.user.update).toHaveBeenCalledWith({
+        where: { id: 2 },
+        data: { password: 'new_hashed_password' }
+      });
+      expect(result).toEqual({ id: 2 });
+    });
+
+    it('should reject weak passwords', async () => {
+      // Arrange
+      validatePasswordStrength.mockReturnValue({ valid: false, message: 'Password must be at least 8 characters long' });
+      
+      // Act & Assert
+      await expect(resetPassword(2, 'weak')).rejects.toThrow('Password must be at least 8 characters long');
+      expect(mockPrisma.user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteUser', () => {
+    it('should delete the user', async () => {
+      // Arrange
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 2, role: 'viewer', disabled: false });
+      
+      // Act
+      await deleteUser('2');
+      
+      // Assert
+      expect(mockPrisma.user.delete).toHaveBeenCalledWith({ where: { id: 2 } });
+    });
+
+    it('should refuse to delete the last enabled admin', async () => {
+      // Arrange
+      mockPrisma.user.findUnique.mockResolvedValue({ id: 1, role: 'admin', disabled: false });
+      mockPrisma.user.count.mockResolvedValue(0);
+      
+      // Act & Assert
+      await expect(deleteUser(1)).rejects.toThrow('Cannot remove the last admin');
+      expect(mockPrisma.user.delete).not.toHaveBeenCalled();
+    });
   });
 });
\ No newline at end of file
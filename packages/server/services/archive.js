@@ -0,0 +1,133 @@
+/**
+ * Archive service for streaming several files as one tar archive, without writing it to disk
+ * @module services/archive
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const BLOCK_SIZE = 512;
+
+// Largest size written in octal in a header, larger files use the base-256 encoding
+const MAX_OCTAL_SIZE = 0o77777777777;
+
+/**
+ * Writes a number in octal into a header field, padded with zeros and ended by a NUL
+ *
+ * @param {Buffer} header - The header
+ * @param {number} value - The number
+ * @param {number} offset - The offset of the field
+ * @param {number} length - The length of the field
+ */
+function writeOctal(header, value, offset, length) {
+  header.write(`${value.toString(8).padStart(length - 1, '0')}\0`, offset, length, 'ascii');
+}
+
+/**
+ * Splits a path between the name and prefix fields of a header, keeping only a shortened
+ * file name when the path cannot fit
+ *
+ * @param {string} name - The path in the archive
+ * @returns {Object} The name and prefix
+ */
+function splitName(name) {
+  if (Buffer.byteLength(name) <= 100) return { name, prefix: '' };
+
+  const slash = name.lastIndexOf('/', 155);
+  if (slash > 0 && Buffer.byteLength(name.slice(slash + 1)) <= 100 && Buffer.byteLength(name.slice(0, slash)) <= 155) {
+    return { name: name.slice(slash + 1), prefix: name.slice(0, slash) };
+  }
+
+  const base = path.basename(name);
+  const extension = path.extname(base);
+  let stem = base.slice(0, base.length - extension.length);
+  while (Buffer.byteLength(stem + extension) > 100) stem = stem.slice(0, -1);
+  return { name: stem + extension, prefix: '' };
+}
+
+/**
+ * Builds the ustar header of a file
+ *
+ * @param {Object} entry - The file
+ * @param {string} entry.name - The path in the archive
+ * @param {number} entry.size - The size in bytes
+ * @param {Date} entry.mtime - The modification time
+ * @returns {Buffer} The header block
+ */
+function buildHeader({ name, size, mtime }) {
+  const header = Buffer.alloc(BLOCK_SIZE);
+  const fields = splitName(name);
+
+  header.write(fields.name, 0, 100);
+  writeOctal(header, 0o644, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  if (size > MAX_OCTAL_SIZE) {
+    header[124] = 0x80;
+    header.writeBigUInt64BE(BigInt(size), 124 + 12 - 8);
+  } else {
+    writeOctal(header, size, 124, 12);
+  }
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.write('0', 156);
+  header.write('ustar\u000000', 257, 8, 'ascii');
+  header.write(fields.prefix, 345, 155);
+
+  // The checksum is computed with its own field filled with spaces
+  header.fill(' ', 148, 156);
+  const checksum = header.reduce((sum, byte) => sum + byte, 0);
+  header.write(`${checksum.toString(8).padStart(6, '0')}\0 `, 148, 8, 'ascii');
+  return header;
+}
+
+/**
+ * Counts the bytes of padding after the content of a file, up to the next block
+ *
+ * @param {number} size - The size of the file in bytes
+ * @returns {number} The padding in bytes
+ */
+function getPadding(size) {
+  return (BLOCK_SIZE - (size % BLOCK_SIZE)) % BLOCK_SIZE;
+}
+
+/**
+ * Computes the size of the archive of some files, so it can be sent with a Content-Length
+ *
+ * @param {Object[]} entries - The files with their size
+ * @returns {number} The size of the archive in bytes
+ */
+function getArchiveSize(entries) {
+  return entries.reduce((total, { size }) => total + BLOCK_SIZE + size + getPadding(size), 2 * BLOCK_SIZE);
+}
+
+/**
+ * Yields the blocks of the archive, reading each file only when the previous one is sent
+ *
+ * @param {Object[]} entries - The files with their path, name in the archive, size and modification time
+ * @returns {AsyncGenerator<Buffer>} The archive
+ */
+async function* generateArchive(entries) {
+  for (const entry of entries) {
+    yield buildHeader(entry);
+    for await (const chunk of fs.createReadStream(entry.path)) yield chunk;
+    if (getPadding(entry.size)) yield Buffer.alloc(getPadding(entry.size));
+  }
+  yield Buffer.alloc(2 * BLOCK_SIZE);
+}
+
+/**
+ * Creates a stream of the tar archive of some files
+ *
+ * @param {Object[]} entries - The files with their path, name in the archive, size and modification time
+ * @returns {Readable} The archive
+ */
+function createArchiveStream(entries) {
+  return Readable.from(generateArchive(entries), { objectMode: false });
+}
+
+module.exports = {
+  buildHeader,
+  getArchiveSize,
+  createArchiveStream,
+};
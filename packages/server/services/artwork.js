@@ -0,0 +1,72 @@
+/**
+ * Artwork service keeping copies of the posters, fanart and logos found next to local media
+ * @module services/artwork
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getDataPath } = require('../utils');
+const { getLocalId } = require('./tags');
+
+const ARTWORK_PATH = process.env.ARTWORK_PATH || getDataPath('artwork');
+
+// Extensions of the images looked for, in order of preference
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+/**
+ * Finds the first image of a folder named after one of the names given, whatever its case and extension
+ *
+ * @param {string} folder - The folder
+ * @param {string[]} names - The image names without extension, in order of preference
+ * @returns {Promise<string|null>} The path of the image, or null when there is none
+ */
+async function findArtwork(folder, names) {
+  const files = await fs.promises.readdir(folder).catch(() => []);
+  for (const name of names) {
+    for (const extension of IMAGE_EXTENSIONS) {
+      const file = files.find((item) => item.toLowerCase() === `${name}${extension}`.toLowerCase());
+      if (file) return path.join(folder, file);
+    }
+  }
+  return null;
+}
+
+/**
+ * Copies an image to the artwork directory once, a changed image gets a new name
+ *
+ * @param {string} filePath - The path of the image
+ * @returns {Promise<string>} The URL path the image is served from
+ */
+async function saveArtwork(filePath) {
+  const stats = await fs.promises.stat(filePath);
+  const name = `${getLocalId(filePath, stats.mtimeMs)}${path.extname(filePath).toLowerCase()}`;
+  const output = path.join(ARTWORK_PATH, name);
+
+  if (!fs.existsSync(output)) {
+    await fs.promises.mkdir(ARTWORK_PATH, { recursive: true });
+    await fs.promises.copyFile(filePath, output);
+  }
+  return `/api/artwork/${name}`;
+}
+
+/**
+ * Finds a saved image by its name
+ *
+ * @param {string} name - The image name
+ * @returns {Promise<string|null>} The path of the image, or null when it was never saved
+ */
+async function getArtworkPath(name) {
+  const file = path.join(ARTWORK_PATH, path.basename(name));
+  try {
+    await fs.promises.access(file);
+    return file;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  findArtwork,
+  saveArtwork,
+  getArtworkPath,
+};
@@ -0,0 +1,158 @@
+/**
+ * Audio service for streaming songs as is or transcoded from lossless files to a lighter format
+ * @module services/audio
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { probeFile } = require('./probe');
+const { getCacheDir, touchCacheDir } = require('./transcode');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Content types of the audio files, keyed by file extension
+const AUDIO_MIME_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.flac': 'audio/flac',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/ogg',
+  '.wav': 'audio/wav',
+  '.webm': 'audio/webm',
+};
+
+// Formats songs can be transcoded to, with their ffmpeg encoder and muxer
+const TRANSCODE_FORMATS = {
+  opus: { codec: 'libopus', muxer: 'ogg', extension: '.opus' },
+  aac: { codec: 'aac', muxer: 'ipod', extension: '.m4a' },
+  mp3: { codec: 'libmp3lame', muxer: 'mp3', extension: '.mp3' },
+};
+
+// Bit rates in kbps the player can ask for, the default one when it does not
+const BITRATES = [64, 96, 128, 160, 192, 256, 320];
+const DEFAULT_BITRATE = 192;
+
+// Lossless codecs worth transcoding, lossy files would only lose quality
+const LOSSLESS_CODECS = ['flac', 'alac', 'wavpack', 'ape', 'tta'];
+
+// Longest a transcode may take, songs are transcoded whole
+const TRANSCODE_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Transcodes running keyed by output file, so concurrent requests share one ffmpeg
+const transcoding = new Map();
+
+/**
+ * Finds the content type of an audio file from its extension
+ *
+ * @param {string} filePath - The path of the audio file
+ * @returns {string} The content type, 'application/octet-stream' for unknown extensions
+ */
+function getAudioMimeType(filePath) {
+  return AUDIO_MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Reads the format and bit rate a song is asked in, from the 'format' and 'bitrate' query parameters
+ *
+ * @param {Object} query - The request query
+ * @returns {Object|null} The format and bit rate in kbps, or null to stream the file as is
+ * @throws {Error} If the format or bit rate is not supported
+ */
+function parseTranscodeOptions(query) {
+  const { format, bitrate } = query || {};
+  if (!format) return null;
+  if (!TRANSCODE_FORMATS[format]) throw new Error('Invalid format');
+
+  const kbps = bitrate === undefined ? DEFAULT_BITRATE : parseInt(bitrate, 10);
+  if (!BITRATES.includes(kbps)) throw new Error('Invalid bitrate');
+
+  return { format, bitrate: kbps };
+}
+
+/**
+ * Checks whether an audio stream is lossless, like FLAC or ALAC, or raw PCM
+ *
+ * @param {Object} info - The probe result of the file
+ * @returns {boolean} True when the first audio stream is lossless
+ */
+function isLossless(info) {
+  const [audio] = info.audio;
+  return Boolean(audio) && (LOSSLESS_CODECS.includes(audio.codec) || audio.codec.startsWith('pcm_'));
+}
+
+/**
+ * Builds the ffmpeg arguments transcoding a song, without its cover art
+ *
+ * @param {string} filePath - The path of the audio file
+ * @param {Object} options - The format and bit rate in kbps
+ * @param {string} output - The path of the transcoded file
+ * @returns {string[]} The ffmpeg arguments
+ */
+function buildAudioArgs(filePath, { format, bitrate }, output) {
+  const { codec, muxer } = TRANSCODE_FORMATS[format];
+  return ['-hide_banner', '-loglevel', 'error', '-y', '-i', filePath, '-map', '0:a:0', '-vn', '-c:a', codec, '-b:a', `${bitrate}k`, '-f', muxer, output];
+}
+
+/**
+ * Runs ffmpeg to transcode a song, through a temporary file so a failed run leaves nothing behind
+ *
+ * @param {string} filePath - The path of the audio file
+ * @param {Object} options - The format and bit rate in kbps
+ * @param {string} output - The path of the transcoded file
+ * @returns {Promise<void>}
+ * @throws {Error} If ffmpeg fails
+ */
+function transcode(filePath, options, output) {
+  const partial = `${output}.partial`;
+
+  return new Promise((resolve, reject) => {
+    execFile(FFMPEG_PATH, buildAudioArgs(filePath, options, partial), { timeout: TRANSCODE_TIMEOUT_MS }, (error) => {
+      if (error) return reject(new Error('Failed to transcode song'));
+      resolve();
+    });
+  })
+    .then(() => fs.promises.rename(partial, output))
+    .catch(async (error) => {
+      await fs.promises.rm(partial, { force: true });
+      throw error;
+    });
+}
+
+/**
+ * Finds the file to stream for a song: the song itself, or for lossless songs asked in another format
+ * a transcode cached next to the video transcodes
+ *
+ * @param {string} filePath - The path of the audio file
+ * @param {Object|null} options - The format and bit rate in kbps, null to stream the file as is
+ * @returns {Promise<string>} The path of the file to stream
+ * @throws {Error} If the song cannot be transcoded
+ */
+async function getAudioFile(filePath, options) {
+  if (!options || !isLossless(await probeFile(filePath))) return filePath;
+
+  const cacheDir = await getCacheDir(filePath);
+  const dir = path.join(cacheDir, 'audio');
+  const output = path.join(dir, `${options.format}-${options.bitrate}${TRANSCODE_FORMATS[options.format].extension}`);
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  await touchCacheDir(cacheDir);
+  if (fs.existsSync(output)) return output;
+
+  if (!transcoding.has(output)) {
+    transcoding.set(output, transcode(filePath, options, output).finally(() => transcoding.delete(output)));
+  }
+  await transcoding.get(output);
+  return output;
+}
+
+module.exports = {
+  AUDIO_MIME_TYPES,
+  BITRATES,
+  getAudioMimeType,
+  parseTranscodeOptions,
+  isLossless,
+  buildAudioArgs,
+  getAudioFile,
+};
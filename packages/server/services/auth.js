@@ -9,9 +9,6 @@ const jwt = require('jsonwebtoken');
 // Number of salt rounds for bcrypt hashing
 const SALT_ROUNDS = 12;
 
-// In-memory token denylist (consider using Redis or DB in production)
-const TOKEN_DENYLIST = new Set();
-
 /**
  * Hashes a plaintext password using bcrypt
  * 
@@ -100,17 +97,18 @@ function validatePasswordStrength(password) {
  * 
  * @param {string|number} userId - The user ID to include in the token payload
  * @param {string|number} [expiry='1d'] - The expiration time for the token (e.g., '1h', '7d', '60m')
+ * @param {number} [sessionId] - The session the token belongs to, included as the 'sid' claim
  * @returns {string} A signed JWT token
  * @throws {Error} If JWT_SECRET environment variable is not set or signing fails
  */
-function generateToken(userId, expiry = '1d') {
+function generateToken(userId, expiry = '1d', sessionId) {
   if (!process.env.JWT_SECRET) {
     throw new Error('JWT_SECRET environment variable is not set');
   }
 
   try {
     return jwt.sign(
-      { userId },
+      sessionId ? { userId, sid: sessionId } : { userId },
       process.env.JWT_SECRET,
       { expiresIn: expiry }
     );
@@ -149,64 +147,10 @@ function verifyToken(token) {
   });
 }
 
-/**
- * Invalidates a token by adding it to the denylist
- * 
- * @param {string} token - The JWT token to invalidate
- * @returns {boolean} True if the token was successfully invalidated, false otherwise
- * @throws {Error} If token is null, undefined, or not a string
- */
-function invalidateToken(token) {
-  if (!token || typeof token !== 'string') {
-    throw new Error('Invalid token format');
-  }
-
-  try {
-    // Verify the token is valid before adding to denylist
-    const decoded = verifyToken(token);
-    
-    // Add the token to the denylist
-    TOKEN_DENYLIST.add(token);
-    
-    return true;
-  } catch (error) {
-    // If token is already invalid or expired, no need to invalidate
-    console.error('Error invalidating token:', error.message);
-    return false;
-  }
-}
-
-/**
- * Checks if a token is in the denylist (invalidated)
- * 
- * @param {string} token - The JWT token to check
- * @returns {boolean} True if the token is in the denylist, false otherwise
- */
-function isTokenInvalid(token) {
-  if (!token || typeof token !== 'string') {
-    // Consider non-existent or malformed tokens as invalid
-    return true;
-  }
-  
-  return TOKEN_DENYLIST.has(token);
-}
-
-/**
- * Clears the token denylist (mainly for testing purposes)
- * 
- * @returns {void}
- */
-function clearTokenDenylist() {
-  TOKEN_DENYLIST.clear();
-}
-
 module.exports = {
   hashPassword,
   verifyPassword,
   validatePasswordStrength,
   generateToken,
-  verifyToken,
-  invalidateToken,
-  isTokenInvalid,
-  clearTokenDenylist
+  verifyToken
 };
\ No newline at end of file
@@ -0,0 +1,472 @@
+/**
+ * Download service for the per-user queue of media taken offline, prepared one download at a time
+ * and transcoded to a lighter copy when a quality is picked
+ * @module services/download
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { PrismaClient } = require('@prisma/client');
+const { Type } = require('../constants');
+const { probeFile } = require('./probe');
+const { RENDITIONS, getRenditions } = require('./transcode');
+const { BITRATES, isLossless, buildAudioArgs } = require('./audio');
+const { movieWhere, tvShowWhere, songWhere, albumWhere } = require('./restriction');
+
+const prisma = new PrismaClient();
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const DOWNLOAD_PATH = process.env.DOWNLOAD_PATH || path.join(os.tmpdir(), 'homehost-downloads');
+
+// Media that can be downloaded, seasons and albums are sent as one archive
+const DOWNLOAD_TYPES = [Type.Movie, Type.TV.Episode, Type.TV.Season, Type.Music.Album];
+
+// Qualities videos and songs can be transcoded to, the original files are sent without one
+const VIDEO_QUALITIES = RENDITIONS.map(({ name }) => name);
+const AUDIO_QUALITIES = BITRATES.map((bitrate) => `${bitrate}k`);
+
+// Downloads a user may have in their queue at once
+const MAX_DOWNLOADS = 50;
+
+// Longest a copy may take, videos are transcoded whole
+const PREPARE_TIMEOUT_MS = 6 * 60 * 60 * 1000;
+
+// Runs of the queue, chained so only one download is prepared at a time
+let queue = Promise.resolve();
+
+/**
+ * Replaces the characters file systems do not allow in a file or directory name
+ *
+ * @param {string} name - The name
+ * @returns {string} The name safe to write to disk
+ */
+function sanitizeName(name) {
+  return String(name).replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-').replace(/^\.+/, '').trim() || 'Untitled';
+}
+
+/**
+ * Formats a download for API responses
+ *
+ * @param {Object} download - The download record, including its files
+ * @returns {Object} The download with how many of its files are ready
+ */
+function formatDownload(download) {
+  return {
+    id: download.id,
+    type: download.type,
+    title: download.title,
+    quality: download.quality,
+    status: download.status,
+    error: download.error,
+    files: download.files.length,
+    ready_files: download.files.filter(({ ready }) => ready).length,
+    created_at: download.createdAt,
+  };
+}
+
+/**
+ * Checks that a quality can be picked for a type of media
+ *
+ * @param {string} type - One of DOWNLOAD_TYPES
+ * @param {string|null} quality - A rendition name for videos or a bit rate for albums, null for the original files
+ * @returns {boolean} True if the quality is supported
+ */
+function isValidQuality(type, quality) {
+  if (quality === null) return true;
+  return (type === Type.Music.Album ? AUDIO_QUALITIES : VIDEO_QUALITIES).includes(quality);
+}
+
+/**
+ * Finds the files of the media to download, as long as the user may see it
+ *
+ * @param {string} type - One of DOWNLOAD_TYPES
+ * @param {Object} media - The IDs of the media, as in the playback URLs
+ * @param {string|number} media.id - The TMDb ID of the movie or TV show, or the Spotify ID of the album
+ * @param {number} [media.season_number] - The season of an episode or season
+ * @param {number} [media.episode_number] - The episode number of an episode
+ * @param {Object} restrictions - The content limits of the user, from getRestrictions
+ * @returns {Promise<Object|null>} The title and the files with their name in the archive, or null if not found
+ */
+async function findMedia(type, { id, season_number, episode_number }, restrictions) {
+  if (type === Type.Movie) {
+    const movie = await prisma.movie.findFirst({
+      where: { ...movieWhere(restrictions), tmdb_id: parseInt(id) },
+      select: { title: true, release_date: true, fs_path: true },
+    });
+    if (!movie) return null;
+
+    const year = movie.release_date.slice(0, 4);
+    const title = year ? `${movie.title} (${year})` : movie.title;
+    return { title, files: [{ fsPath: movie.fs_path, name: sanitizeName(title) }] };
+  }
+
+  if (type === Type.TV.Episode || type === Type.TV.Season) {
+    const season = await prisma.season.findFirst({
+      where: { tv_show_tmdb_id: parseInt(id), season_number: parseInt(season_number), tv_show: tvShowWhere(restrictions) },
+      select: {
+        name: true,
+        season_number: true,
+        tv_show: { select: { name: true } },
+        episodes: {
+          ...(type === Type.TV.Episode && { where: { episode_number: parseInt(episode_number) } }),
+          select: { episode_number: true, name: true, fs_path: true },
+          orderBy: { episode_number: 'asc' },
+        },
+      },
+    });
+    if (!season || !season.episodes.length) return null;
+
+    const show = season.tv_show.name;
+    const code = (episode) => `S${String(season.season_number).padStart(2, '0')}E${String(episode.episode_number).padStart(2, '0')}`;
+
+    if (type === Type.TV.Episode) {
+      const [episode] = season.episodes;
+      const title = `${show} - ${code(episode)} - ${episode.name}`;
+      return { title, files: [{ fsPath: episode.fs_path, name: sanitizeName(title) }] };
+    }
+    return {
+      title: `${show} - ${season.name}`,
+      files: season.episodes.map((episode) => ({
+        fsPath: episode.fs_path,
+        name: [show, season.name, `${code(episode)} - ${episode.name}`].map(sanitizeName).join('/'),
+      })),
+    };
+  }
+
+  const album = await prisma.album.findFirst({
+    where: { ...albumWhere(restrictions), spotify_id: String(id) },
+    select: {
+      name: true,
+      artists: { select: { name: true } },
+      songs: {
+        where: songWhere(restrictions),
+        select: { disc_number: true, track_number: true, name: true, fs_path: true },
+        orderBy: [{ disc_number: 'asc' }, { track_number: 'asc' }],
+      },
+    },
+  });
+  if (!album || !album.songs.length) return null;
+
+  const title = [album.artists.map(({ name }) => name).join(', '), album.name].filter(Boolean).join(' - ');
+  const discs = new Set(album.songs.map(({ disc_number }) => disc_number)).size;
+  return {
+    title,
+    files: album.songs.map((song) => {
+      const track = `${discs > 1 ? `${song.disc_number}-` : ''}${String(song.track_number).padStart(2, '0')} ${song.name}`;
+      return { fsPath: song.fs_path, name: [title, track].map(sanitizeName).join('/') };
+    }),
+  };
+}
+
+/**
+ * Adds media to the download queue of a user. Downloads of the original files are ready at once,
+ * the others are transcoded in the background
+ *
+ * @param {number} userId - The ID of the user
+ * @param {Object} request - What to download
+ * @param {string} request.type - One of DOWNLOAD_TYPES
+ * @param {string|null} [request.quality] - A rendition name for videos or a bit rate such as '192k' for albums
+ * @param {Object} restrictions - The content limits of the user, from getRestrictions
+ * @returns {Promise<Object>} The download formatted for API responses
+ * @throws {Error} If the type or quality is not supported, the media is not found or the queue is full
+ */
+async function createDownload(userId, { type, quality = null, ...media }, restrictions) {
+  if (!DOWNLOAD_TYPES.includes(type)) throw new Error('Invalid download type');
+  if (!isValidQuality(type, quality)) throw new Error('Invalid quality');
+
+  const found = await findMedia(type, media, restrictions);
+  if (!found) throw new Error('Media not found');
+
+  if ((await prisma.download.count({ where: { userId } })) >= MAX_DOWNLOADS) {
+    throw new Error('Download queue full');
+  }
+
+  const download = await prisma.download.create({
+    data: {
+      userId,
+      type,
+      title: found.title,
+      quality,
+      status: quality ? 'queued' : 'ready',
+      files: { create: found.files.map((file) => ({ ...file, ready: !quality })) },
+    },
+    include: { files: true },
+  });
+
+  if (quality) processQueue();
+  return formatDownload(download);
+}
+
+/**
+ * Lists the download queue of a user, oldest first
+ *
+ * @param {number} userId - The ID of the user
+ * @returns {Promise<Array>} The downloads formatted for API responses
+ */
+async function listDownloads(userId) {
+  const downloads = await prisma.download.findMany({
+    where: { userId },
+    include: { files: true },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  return downloads.map(formatDownload);
+}
+
+/**
+ * Gets a download of a user
+ *
+ * @param {number} userId - The ID of the user
+ * @param {number|string} id - The ID of the download
+ * @returns {Promise<Object|null>} The download record with its files, or null if the user has no such download
+ */
+async function getDownload(userId, id) {
+  return prisma.download.findFirst({
+    where: { id: parseInt(id), userId },
+    include: { files: { orderBy: { id: 'asc' } } },
+  });
+}
+
+/**
+ * Removes a download from the queue of a user, with the copies no other download uses
+ *
+ * @param {number} userId - The ID of the user
+ * @param {number|string} id - The ID of the download
+ * @returns {Promise<boolean>} False if the user has no such download
+ */
+async function removeDownload(userId, id) {
+  const download = await getDownload(userId, id);
+  if (!download) return false;
+
+  await prisma.download.delete({ where: { id: download.id } });
+
+  for (const { copyPath } of download.files) {
+    if (copyPath && !(await prisma.downloadFile.count({ where: { copyPath } }))) {
+      await fs.promises.rm(copyPath, { force: true });
+    }
+  }
+  return true;
+}
+
+/**
+ * Finds the path of the copy of a file in a quality, which changes whenever the file is modified
+ *
+ * @param {string} filePath - The path of the media file
+ * @param {string} quality - The quality of the copy
+ * @param {string} extension - The extension of the copy
+ * @returns {Promise<string>} The path of the copy
+ */
+async function getCopyPath(filePath, quality, extension) {
+  const { mtimeMs } = await fs.promises.stat(filePath);
+  const key = crypto.createHash('sha1').update(`${filePath}:${mtimeMs}`).digest('hex');
+  return path.join(DOWNLOAD_PATH, key, `${quality}${extension}`);
+}
+
+/**
+ * Picks the rendition a video is transcoded to, the one asked for unless it would upscale the video
+ *
+ * @param {Object} info - The probe result of the video
+ * @param {string} quality - The rendition name
+ * @returns {Object|null} The rendition, or null for files without video
+ */
+function pickRendition(info, quality) {
+  const index = VIDEO_QUALITIES.indexOf(quality);
+  const renditions = getRenditions(info);
+  return renditions.find(({ name }) => VIDEO_QUALITIES.indexOf(name) >= index) || renditions[renditions.length - 1] || null;
+}
+
+/**
+ * Builds the ffmpeg arguments writing an MP4 copy of a video in a rendition, with the metadata at
+ * the start of the file so it plays before it is fully copied to a device
+ *
+ * @param {string} filePath - The path of the video
+ * @param {Object} info - The probe result of the video
+ * @param {Object} rendition - The rendition to write
+ * @param {string} output - The path of the copy
+ * @returns {string[]} The ffmpeg arguments
+ */
+function buildVideoArgs(filePath, info, rendition, output) {
+  const args = [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-y',
+    '-i', filePath,
+    '-map', `0:${info.video.index}`,
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-b:v', String(rendition.videoBitrate),
+    '-maxrate', String(rendition.videoBitrate),
+    '-bufsize', String(rendition.videoBitrate * 2),
+    '-vf', `scale=${rendition.width}:${rendition.height}`,
+    '-pix_fmt', 'yuv420p',
+  ];
+  if (info.audio.length) {
+    args.push('-map', `0:${info.audio[0].index}`, '-c:a', 'aac', '-ac', '2', '-b:a', String(rendition.audioBitrate));
+  }
+
+  args.push('-sn', '-movflags', '+faststart', '-f', 'mp4', output);
+  return args;
+}
+
+/**
+ * Works out how a file of a download is copied in its quality
+ *
+ * @param {string} filePath - The path of the media file
+ * @param {string} quality - The quality of the download
+ * @returns {Promise<Object|null>} The extension of the copy and the function building the ffmpeg
+ * arguments, or null when the file is sent as is
+ */
+async function planCopy(filePath, quality) {
+  const info = await probeFile(filePath);
+
+  if (AUDIO_QUALITIES.includes(quality)) {
+    // Lossy songs would only lose quality
+    if (!isLossless(info)) return null;
+    const options = { format: 'mp3', bitrate: parseInt(quality, 10) };
+    return { extension: '.mp3', args: (output) => buildAudioArgs(filePath, options, output) };
+  }
+
+  const rendition = pickRendition(info, quality);
+  if (!rendition) return null;
+  return { extension: '.mp4', args: (output) => buildVideoArgs(filePath, info, rendition, output) };
+}
+
+/**
+ * Copies a file of a download in its quality, unless an earlier download already did. The copy is
+ * written to a temporary file first so a failed run leaves nothing behind
+ *
+ * @param {string} filePath - The path of the media file
+ * @param {string} quality - The quality of the download
+ * @returns {Promise<string|null>} The path of the copy, or null when the file is sent as is
+ * @throws {Error} If the file cannot be probed or ffmpeg fails
+ */
+async function prepareFile(filePath, quality) {
+  const plan = await planCopy(filePath, quality);
+  if (!plan) return null;
+
+  const output = await getCopyPath(filePath, quality, plan.extension);
+  if (fs.existsSync(output)) return output;
+
+  const partial = `${output}.partial`;
+  await fs.promises.mkdir(path.dirname(output), { recursive: true });
+
+  try {
+    await new Promise((resolve, reject) => {
+      execFile(FFMPEG_PATH, plan.args(partial), { timeout: PREPARE_TIMEOUT_MS }, (error) => {
+        if (error) return reject(new Error('Failed to transcode file'));
+        resolve();
+      });
+    });
+    await fs.promises.rename(partial, output);
+    return output;
+  } catch (error) {
+    await fs.promises.rm(partial, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Prepares a download file by file, stopping early if it is removed meanwhile
+ *
+ * @param {Object} download - The download record with its files
+ * @returns {Promise<void>}
+ */
+async function prepareDownload(download) {
+  await prisma.download.update({ where: { id: download.id }, data: { status: 'preparing' } });
+  let copyPath = null;
+
+  try {
+    for (const file of download.files.filter(({ ready }) => !ready)) {
+      copyPath = await prepareFile(file.fsPath, download.quality);
+      await prisma.downloadFile.update({ where: { id: file.id }, data: { copyPath, ready: true } });
+      copyPath = null;
+    }
+    await prisma.download.update({ where: { id: download.id }, data: { status: 'ready' } });
+  } catch (error) {
+    if (!(await prisma.download.count({ where: { id: download.id } }))) {
+      // Removed while the copy was written, which no other download may use yet
+      if (copyPath && !(await prisma.downloadFile.count({ where: { copyPath } }))) await fs.promises.rm(copyPath, { force: true });
+      return;
+    }
+    console.error(`Failed to prepare download ${download.id}:`, error);
+    await prisma.download.update({ where: { id: download.id }, data: { status: 'failed', error: error.message } });
+  }
+}
+
+/**
+ * Prepares the queued downloads of every user, oldest first
+ *
+ * @returns {Promise<void>}
+ */
+async function runQueue() {
+  for (;;) {
+    const download = await prisma.download.findFirst({
+      where: { status: 'queued' },
+      include: { files: true },
+      orderBy: { createdAt: 'asc' },
+    });
+    if (!download) return;
+    await prepareDownload(download);
+  }
+}
+
+/**
+ * Starts preparing the queued downloads once the current run is over
+ *
+ * @returns {Promise<void>} Resolves once the queue is empty
+ */
+function processQueue() {
+  queue = queue.then(runQueue).catch((error) => console.error('Download queue error:', error));
+  return queue;
+}
+
+/**
+ * Queues again the downloads left preparing when the server stopped, and prepares the queue
+ *
+ * @returns {Promise<void>}
+ */
+async function resumeDownloads() {
+  await prisma.download.updateMany({ where: { status: 'preparing' }, data: { status: 'queued' } });
+  return processQueue();
+}
+
+/**
+ * Lists the files to send for a download, the copies when it was transcoded
+ *
+ * @param {Object} download - The download record with its files
+ * @returns {Promise<Object[]>} The path, name in the archive with its extension, size and modification time of each file
+ * @throws {Error} If a file was removed since the download was prepared
+ */
+async function getDownloadEntries(download) {
+  return Promise.all(
+    download.files.map(async (file) => {
+      const filePath = file.copyPath || file.fsPath;
+      const stat = await fs.promises.stat(filePath).catch(() => {
+        throw new Error('Download file missing');
+      });
+      return { path: filePath, name: `${file.name}${path.extname(filePath)}`, size: stat.size, mtime: stat.mtime };
+    })
+  );
+}
+
+module.exports = {
+  DOWNLOAD_PATH,
+  DOWNLOAD_TYPES,
+  VIDEO_QUALITIES,
+  AUDIO_QUALITIES,
+  sanitizeName,
+  findMedia,
+  createDownload,
+  listDownloads,
+  getDownload,
+  removeDownload,
+  pickRendition,
+  buildVideoArgs,
+  prepareFile,
+  processQueue,
+  resumeDownloads,
+  getDownloadEntries,
+};
@@ -0,0 +1,129 @@
+/**
+ * Favorite service for managing a profile's "My List" across media types
+ * @module services/favorite
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { format } = require('../utils');
+const { MEDIA_TYPES, getMediaType, findMediaItem } = require('./media');
+
+const prisma = new PrismaClient();
+
+// Prisma model holding the favorites of each media type
+const FAVORITE_MODELS = Object.freeze({
+  movies: 'favoriteMovie',
+  tv: 'favoriteTVShow',
+  episodes: 'favoriteEpisode',
+  albums: 'favoriteAlbum',
+  songs: 'favoriteSong',
+});
+
+// Type of each item of "My List", naming the route the client opens it with
+const LIST_MEDIA_TYPES = Object.freeze({
+  movies: 'movie',
+  tv: 'tv',
+  episodes: 'episode',
+  albums: 'album',
+  songs: 'song',
+});
+
+/**
+ * Adds an item to a profile's favorites. Adding an existing favorite is a no-op.
+ * @param {number} profileId - The profile ID
+ * @param {string} type - The media type URL segment (e.g. 'movies', 'albums')
+ * @param {string|number} id - The public ID of the item
+ * @param {Object} [restrictions] - The content limits of the user and profile, from getRestrictions
+ * @returns {Promise<Object>} The favorite record
+ * @throws {Error} If the media type is not supported, or the item does not exist or is hidden from the profile
+ */
+async function addFavorite(profileId, type, id, restrictions) {
+  const mediaType = getMediaType(type);
+  const item = await findMediaItem(type, id, restrictions);
+  const key = { profileId, [mediaType.foreignKey]: item.id };
+
+  return prisma[FAVORITE_MODELS[type]].upsert({
+    where: { [`profileId_${mediaType.foreignKey}`]: key },
+    update: {},
+    create: key,
+  });
+}
+
+/**
+ * Removes an item from a profile's favorites
+ * @param {number} profileId - The profile ID
+ * @param {string} type - The media type URL segment
+ * @param {string|number} id - The public ID of the item
+ * @param {Object} [restrictions] - The content limits of the user and profile, from getRestrictions
+ * @returns {Promise<boolean>} True if a favorite was removed, false if it was not a favorite
+ * @throws {Error} If the media type is not supported, or the item does not exist or is hidden from the profile
+ */
+async function removeFavorite(profileId, type, id, restrictions) {
+  const mediaType = getMediaType(type);
+  const item = await findMediaItem(type, id, restrictions);
+
+  const result = await prisma[FAVORITE_MODELS[type]].deleteMany({
+    where: { profileId, [mediaType.foreignKey]: item.id },
+  });
+  return result.count > 0;
+}
+
+/**
+ * Lists a profile's favorites of a single media type, most recently added first,
+ * leaving out the items hidden from the profile
+ * @param {number} profileId - The profile ID
+ * @param {string} type - The media type URL segment
+ * @param {Object} [restrictions={}] - The content limits of the user and profile, from getRestrictions
+ * @returns {Promise<Array<Object>>} The favorited items, each with an `added_at` date
+ * @throws {Error} If the media type is not supported
+ */
+async function getFavorites(profileId, type, restrictions = {}) {
+  const mediaType = getMediaType(type);
+
+  const favorites = await prisma[FAVORITE_MODELS[type]].findMany({
+    where: { profileId, [mediaType.relation]: mediaType.where(restrictions) },
+    include: {
+      [mediaType.relation]: mediaType.include
+        ? { include: mediaType.include }
+        : true,
+    },
+    orderBy: { addedAt: 'desc' },
+  });
+
+  return format(
+    favorites.map((favorite) => ({
+      ...favorite[mediaType.relation],
+      added_at: favorite.addedAt,
+    }))
+  );
+}
+
+/**
+ * Builds the combined "My List" feed of every favorited item of a profile.
+ * A movie and a TV show can share a TMDb ID, so items are keyed by their type and ID.
+ * @param {number} profileId - The profile ID
+ * @param {Object} [restrictions] - The content limits of the user and profile, from getRestrictions
+ * @returns {Promise<Array<Object>>} The favorited items of all media types the profile may see, most
+ * recently added first, each with its `media_type` and `key`
+ */
+async function getMyList(profileId, restrictions) {
+  const lists = await Promise.all(
+    Object.keys(MEDIA_TYPES).map(async (type) => {
+      const media_type = LIST_MEDIA_TYPES[type];
+      const items = await getFavorites(profileId, type, restrictions);
+      return items.map((item) => ({
+        ...item,
+        media_type,
+        key: `${media_type}_${item.id}`,
+      }));
+    })
+  );
+
+  return lists.flat().sort((a, b) => b.added_at - a.added_at);
+}
+
+module.exports = {
+  addFavorite,
+  removeFavorite,
+  getFavorites,
+  getMyList,
+};
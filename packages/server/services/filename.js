@@ -0,0 +1,173 @@
+/**
+ * Filename service reading the title, year, episode and quality of a video from a release name,
+ * as in 'The.Matrix.1999.1080p.BluRay.x264-GROUP.mkv'
+ * @module services/filename
+ */
+
+const path = require('path');
+
+// Episode markers, as in 'S01E02', 'S01.E02' and '1x02', and the season of a season pack, as in 'S01'
+const EPISODE_PATTERNS = [
+  /\bS(\d{1,2})[ ._-]?E(\d{1,3})(?!\d)/i,
+  /\b(\d{1,2})x(\d{2,3})\b/i,
+  /\bS(\d{1,2})\b/i,
+  /\bSeason[ ._-]?(\d{1,2})\b/i
+];
+
+// Release years, the last one wins so '2001.A.Space.Odyssey.1968' keeps its title
+const YEAR_PATTERN = /\b(19\d{2}|20\d{2})\b/g;
+
+// Years past the next one are part of titles, as in 'Blade Runner 2049'
+const MAX_YEAR_AHEAD = 1;
+
+// Quality tags of release names, anything after the first one is not part of the title.
+// Tags that are also English words only count in capitals, so 'Charlotte's Web' keeps its title
+const QUALITY_TAGS = {
+  resolution: [/\b(2160p|1080p|1080i|720p|576p|480p|4K|UHD)\b/i],
+  source: [/\b(Blu-?Ray|BDRip|BRRip|BDRemux|Remux|WEB-?DL|WEB-?Rip|HDTV|DVDRip|HDRip|HDCAM)\b/i, /\b(WEB|DVD|CAM)\b/],
+  codec: [/\b([xh] ?26[45]|HEVC|AVC|XviD|DivX|AV1|VP9)\b/i]
+};
+
+// Other release tags that end the title
+const RELEASE_TAGS = [
+  /\b(PROPER|REPACK|UNRATED|REMASTERED|DIRECTORS? ?CUT|HDR10|10bit|DTS|DDP?5 1|AAC|AC3|ATMOS|SUBBED|DUBBED)\b/i,
+  /\b(EXTENDED|IMAX|HDR|DV|MULTI)\b/
+];
+
+// Folders grouping the episodes of a show by season, as in 'Season 1', 'Series 02' or 'Specials'
+const SEASON_FOLDER_PATTERN = /^((season|series|s)[ ._-]?\d{1,2}|specials)$/i;
+
+/**
+ * Tidies the words of a release name: separators and brackets become spaces, a leading release group is dropped
+ *
+ * @param {string} name - A file or folder name without its extension
+ * @returns {string} The words of the name separated by single spaces
+ */
+function cleanName(name) {
+  return name
+    .replace(/^\s*\[[^\]]*\]/, ' ')
+    .replace(/[._()[\]]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Finds the first tag of a kind in a release name
+ *
+ * @param {string} name - The cleaned name
+ * @param {RegExp[]} patterns - The patterns of the tag
+ * @returns {RegExpMatchArray|null} The earliest match, or null
+ */
+function findTag(name, patterns) {
+  return patterns
+    .map((pattern) => name.match(pattern))
+    .filter(Boolean)
+    .reduce((first, match) => (!first || match.index < first.index ? match : first), null);
+}
+
+/**
+ * Reads the title, year, season and episode numbers and quality tags of a release name.
+ * The title is everything before the year, the episode marker or the first release tag
+ *
+ * @param {string} file - The path or name of the file
+ * @returns {{title: string, year: number|null, season_number: number|null, episode_number: number|null, resolution: string|null, source: string|null, codec: string|null}} The parsed release
+ */
+function parseReleaseName(file) {
+  const base = path.basename(file);
+  const name = cleanName(base.slice(0, base.length - path.extname(base).length));
+
+  // Each marker cuts the title where it starts
+  const cuts = [name.length];
+  let season_number = null;
+  let episode_number = null;
+
+  for (const pattern of EPISODE_PATTERNS) {
+    const match = name.match(pattern);
+    if (match) {
+      season_number = parseInt(match[1]);
+      episode_number = match[2] ? parseInt(match[2]) : null;
+      cuts.push(match.index);
+      break;
+    }
+  }
+
+  const tags = {};
+  for (const [kind, patterns] of Object.entries({ ...QUALITY_TAGS, release: RELEASE_TAGS })) {
+    const match = findTag(name, patterns);
+    tags[kind] = match ? match[1] : null;
+    if (match) cuts.push(match.index);
+  }
+
+  // A year counts once there is a title before it, so '1917' and '2012' stay titles
+  let year = null;
+  const head = name.slice(0, Math.min(...cuts));
+  const latest = new Date().getFullYear() + MAX_YEAR_AHEAD;
+  const years = [...head.matchAll(YEAR_PATTERN)].filter((match) => match.index > 0 && parseInt(match[1]) <= latest);
+  if (years.length) {
+    const last = years[years.length - 1];
+    year = parseInt(last[1]);
+    cuts.push(last.index);
+  }
+
+  const title = name
+    .slice(0, Math.min(...cuts))
+    .replace(/[\s-]+$/, '')
+    .trim();
+
+  return {
+    title,
+    year,
+    season_number,
+    episode_number,
+    resolution: tags.resolution,
+    source: tags.source,
+    codec: tags.codec
+  };
+}
+
+/**
+ * Checks whether a folder groups the episodes of one season
+ *
+ * @param {string} name - The folder name
+ * @returns {boolean} True for season folders such as 'Season 1'
+ */
+function isSeasonFolder(name) {
+  return SEASON_FOLDER_PATTERN.test(name.trim());
+}
+
+/**
+ * Reads an episode from its path. Episodes named only by their number, as in 'S01E02.mkv',
+ * take the show title and year from the nearest folder that is not a season folder
+ *
+ * @param {string} file - The path of the episode
+ * @param {string} [root] - The TV path, folders above it are not read
+ * @returns {Object} The parsed release, as returned by parseReleaseName
+ */
+function parseEpisodePath(file, root = process.env.TV_PATH) {
+  const release = parseReleaseName(file);
+  if (release.title) return release;
+
+  let dir = path.dirname(file);
+  while (dir && dir !== path.dirname(dir) && (!root || path.resolve(dir) !== path.resolve(root))) {
+    const folder = path.basename(dir);
+    if (!isSeasonFolder(folder)) {
+      // Folder names have no extension, the dots of release folders are separators
+      const show = parseReleaseName(`${folder}.mkv`);
+      return {
+        ...release,
+        title: show.title,
+        year: show.year,
+        season_number: release.season_number ?? show.season_number
+      };
+    }
+    dir = path.dirname(dir);
+  }
+  return release;
+}
+
+module.exports = {
+  cleanName,
+  parseReleaseName,
+  isSeasonFolder,
+  parseEpisodePath
+};
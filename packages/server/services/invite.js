@@ -0,0 +1,187 @@
+/**
+ * Invite service for the single-use codes required to register when
+ * registration is restricted
+ * @module services/invite
+ */
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Letters and digits that cannot be mistaken for one another when read aloud or typed
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 90;
+
+/**
+ * Generates a random invite code such as "K7QM-4TZP"
+ *
+ * @returns {string} The invite code
+ */
+function generateInviteCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const chars = Array.from(bytes, (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+/**
+ * Normalizes a code typed by a user, so case and surrounding spaces do not matter
+ *
+ * @param {string} code - The invite code
+ * @returns {string} The normalized code
+ */
+function normalizeInviteCode(code) {
+  return typeof code === 'string' ? code.trim().toUpperCase() : '';
+}
+
+/**
+ * Works out whether an invite is still usable
+ *
+ * @param {Object} invite - The invite record
+ * @returns {string} "redeemed", "expired" or "active"
+ */
+function getInviteStatus(invite) {
+  if (invite.redeemedAt) {
+    return 'redeemed';
+  }
+
+  return invite.expiresAt > new Date() ? 'active' : 'expired';
+}
+
+/**
+ * Formats an invite with the names of the users who created and redeemed it
+ *
+ * @param {Object} invite - The invite record, including createdBy and redeemedBy
+ * @returns {Object} The invite formatted for API responses
+ */
+function formatInvite(invite) {
+  return {
+    id: invite.id,
+    code: invite.code,
+    status: getInviteStatus(invite),
+    created_by: invite.createdBy ? invite.createdBy.username : null,
+    redeemed_by: invite.redeemedBy ? invite.redeemedBy.username : null,
+    created_at: invite.createdAt,
+    expires_at: invite.expiresAt,
+    redeemed_at: invite.redeemedAt,
+  };
+}
+
+/**
+ * Creates an invite code
+ *
+ * @param {number} createdById - The ID of the admin creating the invite
+ * @param {number} [expiresInDays=7] - How long the code can be used, up to 90 days
+ * @returns {Promise<Object>} The invite formatted for API responses
+ * @throws {Error} If the expiry is not a whole number of days within range
+ */
+async function createInvite(createdById, expiresInDays = DEFAULT_EXPIRY_DAYS) {
+  if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > MAX_EXPIRY_DAYS) {
+    throw new Error('Invalid invite expiry');
+  }
+
+  const invite = await prisma.inviteCode.create({
+    data: {
+      code: generateInviteCode(),
+      createdById,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    },
+    include: { createdBy: true, redeemedBy: true },
+  });
+
+  return formatInvite(invite);
+}
+
+/**
+ * Lists every invite, newest first
+ *
+ * @returns {Promise<Array>} The invites formatted for API responses
+ */
+async function listInvites() {
+  const invites = await prisma.inviteCode.findMany({
+    orderBy: { createdAt: 'desc' },
+    include: { createdBy: true, redeemedBy: true },
+  });
+
+  return invites.map(formatInvite);
+}
+
+/**
+ * Checks that an invite code exists and can still be redeemed
+ *
+ * @param {string} code - The invite code
+ * @returns {Promise<Object>} The invite record
+ * @throws {Error} If the code is unknown, already redeemed or expired
+ */
+async function validateInvite(code) {
+  const normalizedCode = normalizeInviteCode(code);
+  if (!normalizedCode) {
+    throw new Error('Invalid invite code');
+  }
+
+  const invite = await prisma.inviteCode.findUnique({
+    where: { code: normalizedCode },
+  });
+
+  if (!invite || getInviteStatus(invite) !== 'active') {
+    throw new Error('Invalid invite code');
+  }
+
+  return invite;
+}
+
+/**
+ * Marks an invite code as used by a new user. Only one registration can
+ * redeem a code, even when two use it at the same time.
+ *
+ * @param {string} code - The invite code
+ * @param {number} userId - The ID of the user who registered with the code
+ * @returns {Promise<void>}
+ * @throws {Error} If the code is unknown, already redeemed or expired
+ */
+async function redeemInvite(code, userId) {
+  const { count } = await prisma.inviteCode.updateMany({
+    where: {
+      code: normalizeInviteCode(code),
+      redeemedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    data: {
+      redeemedById: userId,
+      redeemedAt: new Date(),
+    },
+  });
+
+  if (count === 0) {
+    throw new Error('Invalid invite code');
+  }
+}
+
+/**
+ * Deletes an invite code that has not been redeemed yet
+ *
+ * @param {number|string} id - The invite ID
+ * @returns {Promise<boolean>} True if an unredeemed invite was deleted
+ */
+async function revokeInvite(id) {
+  const { count } = await prisma.inviteCode.deleteMany({
+    where: { id: Number(id), redeemedAt: null },
+  });
+
+  return count > 0;
+}
+
+module.exports = {
+  DEFAULT_EXPIRY_DAYS,
+  generateInviteCode,
+  normalizeInviteCode,
+  createInvite,
+  listInvites,
+  validateInvite,
+  redeemInvite,
+  revokeInvite,
+};
@@ -0,0 +1,251 @@
+/**
+ * Marker service for detecting the intro and credits of TV episodes, by matching audio
+ * fingerprints of the episodes of a season against each other
+ * @module services/marker
+ */
+
+const { execFile } = require('child_process');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Duration of each point of a Chromaprint fingerprint, in seconds
+const POINT_DURATION = 0.1238;
+
+// Parts of an episode searched for the intro and the credits, in seconds
+const INTRO_ANALYSIS_SECONDS = 10 * 60;
+const CREDITS_ANALYSIS_SECONDS = 4 * 60;
+
+// Shortest and longest segment taken for an intro or credits, in seconds
+const MIN_SEGMENT_SECONDS = 15;
+const MAX_INTRO_SECONDS = 2 * 60;
+
+// Points match when their fingerprints differ by at most this many bits
+const MAX_BIT_ERRORS = 6;
+
+// Longest run of unmatched points inside a shared segment, in seconds
+const MAX_GAP_SECONDS = 3.5;
+
+// Alignments between two episodes tested, the ones with the most identical points first
+const MAX_SHIFTS = 10;
+
+// Longest a fingerprint may take, only the searched part of the episode is decoded
+const FINGERPRINT_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Computes the Chromaprint fingerprint of a part of the audio of a file with ffmpeg
+ *
+ * @param {string} filePath - The path of the video
+ * @param {number} start - Where the part starts, in seconds
+ * @param {number} length - The length of the part, in seconds
+ * @returns {Promise<Uint32Array>} The fingerprint points
+ * @throws {Error} If ffmpeg fails or is not built with Chromaprint
+ */
+function getFingerprint(filePath, start, length) {
+  const args = ['-hide_banner', '-loglevel', 'error', '-ss', String(start), '-t', String(length), '-i', filePath, '-vn', '-sn', '-ac', '2', '-f', 'chromaprint', '-fp_format', 'raw', '-'];
+
+  return new Promise((resolve, reject) => {
+    execFile(FFMPEG_PATH, args, { encoding: 'buffer', maxBuffer: 10 * 1024 * 1024, timeout: FINGERPRINT_TIMEOUT_MS }, (error, stdout) => {
+      if (error) return reject(new Error('Failed to fingerprint audio'));
+      const points = new Uint32Array(Math.floor(stdout.length / 4));
+      for (let i = 0; i < points.length; i++) points[i] = stdout.readUInt32LE(i * 4);
+      resolve(points);
+    });
+  });
+}
+
+/**
+ * Counts the bits set in a 32-bit integer
+ *
+ * @param {number} value - The integer
+ * @returns {number} The number of bits set
+ */
+function countBits(value) {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+/**
+ * Lists the alignments of two fingerprints most likely to share a segment, from the points they have in common
+ *
+ * @param {Uint32Array} a - The first fingerprint
+ * @param {Uint32Array} b - The second fingerprint
+ * @returns {number[]} The shifts from positions in the first fingerprint to the second one
+ */
+function findShifts(a, b) {
+  const positions = new Map();
+  b.forEach((point, j) => {
+    if (!positions.has(point)) positions.set(point, []);
+    positions.get(point).push(j);
+  });
+
+  const counts = new Map();
+  a.forEach((point, i) => {
+    for (const j of positions.get(point) || []) counts.set(j - i, (counts.get(j - i) || 0) + 1);
+  });
+
+  return [...counts.entries()]
+    .sort((x, y) => y[1] - x[1])
+    .slice(0, MAX_SHIFTS)
+    .map(([shift]) => shift);
+}
+
+/**
+ * Finds the longest segment two fingerprints share, allowing short gaps of unmatched points
+ *
+ * @param {Uint32Array} a - The first fingerprint
+ * @param {Uint32Array} b - The second fingerprint
+ * @returns {Object|null} The segment as start and end seconds in each fingerprint, or null if none is long enough
+ */
+function findSharedSegment(a, b) {
+  const maxGap = Math.round(MAX_GAP_SECONDS / POINT_DURATION);
+  let best = null;
+
+  for (const shift of findShifts(a, b)) {
+    let runStart = null;
+    let last = null;
+
+    const closeRun = () => {
+      if (runStart !== null && (!best || last - runStart > best.end - best.start)) best = { start: runStart, end: last, shift };
+    };
+
+    for (let i = Math.max(0, -shift); i < Math.min(a.length, b.length - shift); i++) {
+      if (countBits(a[i] ^ b[i + shift]) > MAX_BIT_ERRORS) continue;
+      if (last === null || i - last > maxGap) {
+        closeRun();
+        runStart = i;
+      }
+      last = i;
+    }
+    closeRun();
+  }
+
+  if (!best || (best.end - best.start) * POINT_DURATION < MIN_SEGMENT_SECONDS) return null;
+  return {
+    a: { start: best.start * POINT_DURATION, end: (best.end + 1) * POINT_DURATION },
+    b: { start: (best.start + best.shift) * POINT_DURATION, end: (best.end + best.shift + 1) * POINT_DURATION },
+  };
+}
+
+/**
+ * Rounds a marker to tenths of a second
+ *
+ * @param {number} seconds - The marker
+ * @returns {number} The rounded marker
+ */
+function roundMarker(seconds) {
+  return Math.round(seconds * 10) / 10;
+}
+
+/**
+ * Finds the parts of an episode searched for the intro and the credits
+ *
+ * @param {Object} episode - The episode with its duration
+ * @returns {Object} The start and length in seconds of each part
+ */
+function getAnalysisParts(episode) {
+  const introLength = Math.min(INTRO_ANALYSIS_SECONDS, episode.duration / 3);
+  const creditsLength = Math.min(CREDITS_ANALYSIS_SECONDS, episode.duration / 4);
+  return {
+    intro: { start: 0, length: introLength },
+    credits: { start: episode.duration - creditsLength, length: creditsLength },
+  };
+}
+
+/**
+ * Detects the markers of the episodes of a season not analyzed yet. Each one is matched against
+ * the other episodes, which get the markers of a match they were missing
+ *
+ * @param {Object[]} episodes - The episodes of the season with their path, duration and markers
+ * @param {Function} [fingerprint] - Computes the fingerprint of a part of a file
+ * @returns {Promise<Map<number, Object>>} The markers found, keyed by episode ID
+ */
+async function analyzeSeason(episodes, fingerprint = getFingerprint) {
+  const fingerprints = new Map();
+  const markers = new Map();
+  const playable = episodes.filter((episode) => episode.duration);
+
+  // Fingerprints are kept for the whole season, each one is compared with every other episode
+  const getPart = async (episode, kind) => {
+    const key = `${episode.id}:${kind}`;
+    if (!fingerprints.has(key)) {
+      const { start, length } = getAnalysisParts(episode)[kind];
+      fingerprints.set(key, await fingerprint(episode.fs_path, start, length).catch(() => new Uint32Array(0)));
+    }
+    return fingerprints.get(key);
+  };
+
+  const current = (episode) => ({ intro_start: episode.intro_start, intro_end: episode.intro_end, credits_start: episode.credits_start, ...markers.get(episode.id) });
+  const setMarkers = (episode, values) => markers.set(episode.id, { ...markers.get(episode.id), ...values });
+
+  for (const episode of playable.filter(({ markers_analyzed }) => !markers_analyzed)) {
+    let intro = null;
+    let credits = null;
+
+    for (const other of playable.filter(({ id }) => id !== episode.id)) {
+      const sharedIntro = findSharedSegment(await getPart(episode, 'intro'), await getPart(other, 'intro'));
+      if (sharedIntro && sharedIntro.a.end - sharedIntro.a.start <= MAX_INTRO_SECONDS && (!intro || sharedIntro.a.end - sharedIntro.a.start > intro.a.end - intro.a.start)) {
+        intro = { ...sharedIntro, other };
+      }
+
+      const sharedCredits = findSharedSegment(await getPart(episode, 'credits'), await getPart(other, 'credits'));
+      if (sharedCredits && (!credits || sharedCredits.a.start < credits.a.start)) credits = { ...sharedCredits, other };
+    }
+
+    setMarkers(episode, { markers_analyzed: true });
+    if (intro) {
+      setMarkers(episode, { intro_start: roundMarker(intro.a.start), intro_end: roundMarker(intro.a.end) });
+      if (current(intro.other).intro_end == null) setMarkers(intro.other, { intro_start: roundMarker(intro.b.start), intro_end: roundMarker(intro.b.end) });
+    }
+    if (credits) {
+      const offset = (other) => getAnalysisParts(other).credits.start;
+      setMarkers(episode, { credits_start: roundMarker(offset(episode) + credits.a.start) });
+      if (current(credits.other).credits_start == null) setMarkers(credits.other, { credits_start: roundMarker(offset(credits.other) + credits.b.start) });
+    }
+  }
+
+  return markers;
+}
+
+/**
+ * Detects the intro and credits of the episodes not analyzed yet, one season at a time
+ *
+ * @returns {Promise<number>} The number of episodes analyzed
+ */
+async function detectMarkers() {
+  const seasons = await prisma.season.findMany({
+    where: { episodes: { some: { markers_analyzed: false } } },
+    select: { tmdb_id: true },
+  });
+
+  let analyzed = 0;
+  for (const season of seasons) {
+    const episodes = await prisma.episode.findMany({
+      where: { season_tmdb_id: season.tmdb_id },
+      select: { id: true, fs_path: true, duration: true, intro_start: true, intro_end: true, credits_start: true, markers_analyzed: true },
+      orderBy: { episode_number: 'asc' },
+    });
+
+    // A season of a single episode is analyzed again once another one is added
+    if (episodes.length < 2) continue;
+
+    const markers = await analyzeSeason(episodes);
+    for (const [id, data] of markers) {
+      await prisma.episode.update({ where: { id }, data });
+      if (data.markers_analyzed) analyzed++;
+    }
+  }
+  return analyzed;
+}
+
+module.exports = {
+  POINT_DURATION,
+  getFingerprint,
+  countBits,
+  findSharedSegment,
+  analyzeSeason,
+  detectMarkers,
+};
@@ -0,0 +1,241 @@
+/**
+ * Match service finding the TMDb movie or TV show of a release name. Confident matches are used
+ * right away, the others wait in NotAvailable for an admin to review
+ * @module services/match
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PrismaClient } = require('@prisma/client');
+const { Type } = require('../constants');
+const { sanitizeName } = require('./download');
+const metadataServiceConstructor = require('./metadata');
+
+const prisma = new PrismaClient();
+const metadataService = new metadataServiceConstructor();
+
+// Confidence from which a match is used without review
+const AUTO_MATCH_CONFIDENCE = 0.85;
+
+// Runner-up results this close to the best one make a match ambiguous, as with remakes sharing a title
+const AMBIGUITY_MARGIN = 0.1;
+const AMBIGUITY_PENALTY = 0.8;
+
+// How much the release year changes the confidence: same year, a year apart (festival and theatrical
+// releases), another year, or no year in the name
+const YEAR_FACTORS = { same: 1, near: 0.9, other: 0.5, unknown: 0.9 };
+
+// Media a release can be matched to
+const MATCH_TYPES = [Type.Movie, Type.TV.Episode];
+
+/**
+ * Normalizes a title for comparison: lower case, no accents or punctuation, '&' read as 'and'
+ *
+ * @param {string} title - The title
+ * @returns {string} The normalized title
+ */
+function normalizeTitle(title) {
+  return String(title || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Compares two titles by their edit distance
+ *
+ * @param {string} a - A title
+ * @param {string} b - Another title
+ * @returns {number} 1 for the same title down to 0 for nothing in common
+ */
+function titleSimilarity(a, b) {
+  const x = normalizeTitle(a);
+  const y = normalizeTitle(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+
+  let previous = Array.from({ length: y.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= x.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= y.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (x[i - 1] === y[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return 1 - previous[y.length] / Math.max(x.length, y.length);
+}
+
+/**
+ * Scores a TMDb search result against a release: how alike the titles are, weighed by the year
+ *
+ * @param {Object} release - The release, as parsed from its file name
+ * @param {Object} result - A movie or TV show of the search results
+ * @returns {number} The score, from 0 to 1
+ */
+function scoreResult(release, result) {
+  const similarity = Math.max(
+    titleSimilarity(release.title, result.title || result.name),
+    titleSimilarity(release.title, result.original_title || result.original_name)
+  );
+
+  const year = parseInt(result.release_date || result.first_air_date) || null;
+  let factor = YEAR_FACTORS.unknown;
+  if (release.year && year) {
+    const apart = Math.abs(release.year - year);
+    factor = apart === 0 ? YEAR_FACTORS.same : apart === 1 ? YEAR_FACTORS.near : YEAR_FACTORS.other;
+  }
+  return similarity * factor;
+}
+
+/**
+ * Picks the search result a release most likely is
+ *
+ * @param {Object} release - The release, as parsed from its file name
+ * @param {Object[]} results - The TMDb search results
+ * @returns {{tmdb_id: number, match_title: string, match_year: number|null, confidence: number}|null} The best match, or null without results
+ */
+function findBestMatch(release, results) {
+  const scored = (results || [])
+    .map((result) => ({ result, score: scoreResult(release, result) }))
+    .sort((a, b) => b.score - a.score);
+  if (!scored.length || !scored[0].score) return null;
+
+  const [best, runnerUp] = scored;
+  let confidence = best.score;
+  if (runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN) {
+    confidence *= AMBIGUITY_PENALTY;
+  }
+
+  return {
+    tmdb_id: best.result.id,
+    match_title: best.result.title || best.result.name,
+    match_year: parseInt(best.result.release_date || best.result.first_air_date) || null,
+    confidence: Math.round(confidence * 100) / 100
+  };
+}
+
+/**
+ * Searches TMDb for the movie or TV show of a release
+ *
+ * @param {string} type - Type.Movie, or Type.TV.Episode for the show of an episode
+ * @param {Object} release - The release, as parsed from its file name
+ * @returns {Promise<Object|null>} The best match and whether it is confident enough to use, or null
+ */
+async function matchRelease(type, release) {
+  if (!release.title) return null;
+
+  const response = await metadataService.search(type, release.title);
+  const match = findBestMatch(release, response?.results);
+  if (!match) return null;
+
+  console.log(`MATCH: ${release.title} (${release.year || '?'}) -> ${match.match_title} ${match.tmdb_id}, confidence ${match.confidence}`);
+  return { ...match, accepted: match.confidence >= AUTO_MATCH_CONFIDENCE };
+}
+
+/**
+ * Formats a file waiting for review for API responses
+ *
+ * @param {Object} item - The NotAvailable record
+ * @returns {Object} The file, what was read from its name and the suggested match
+ */
+function formatMatch(item) {
+  return {
+    id: item.id,
+    type: item.type,
+    fs_path: item.fs_path,
+    title: item.title,
+    year: item.year,
+    season_number: item.season_number,
+    episode_number: item.episode_number,
+    suggestion: item.tmdb_id
+      ? { tmdb_id: item.tmdb_id, title: item.match_title, year: item.match_year, confidence: item.confidence }
+      : null
+  };
+}
+
+/**
+ * Lists the movies and episodes that could not be matched with confidence, best suggestions first
+ *
+ * @returns {Promise<Object[]>} The files waiting for review
+ */
+async function listMatches() {
+  const items = await prisma.notAvailable.findMany({
+    where: { type: { in: MATCH_TYPES } },
+    orderBy: [{ confidence: 'desc' }, { fs_path: 'asc' }]
+  });
+  return items.map(formatMatch);
+}
+
+/**
+ * Moves a file to its new path, creating the directory
+ *
+ * @param {string} from - The current path
+ * @param {string} to - The new path
+ * @returns {Promise<void>}
+ */
+async function moveFile(from, to) {
+  if (fs.existsSync(to)) throw new Error('File already exists');
+  await fs.promises.mkdir(path.dirname(to), { recursive: true });
+  await fs.promises.rename(from, to);
+}
+
+/**
+ * Accepts the match of a file waiting for review, the suggested one or another TMDb ID. The file is
+ * renamed after the naming conventions, so the next sync adds it: a movie gets its ID at the end of
+ * its name, the episodes of a folder move to a show directory ending in the ID
+ *
+ * @param {number|string} id - The NotAvailable ID
+ * @param {number|string} [tmdbId] - The TMDb ID, defaults to the suggested one
+ * @returns {Promise<{id: number, tmdb_id: number, files: Array<{from: string, to: string}>}>} The renamed files
+ */
+async function acceptMatch(id, tmdbId) {
+  const item = await prisma.notAvailable.findUnique({ where: { id: Number(id) } });
+  if (!item || !MATCH_TYPES.includes(item.type)) throw new Error('Match not found');
+
+  const chosen = Number(tmdbId || item.tmdb_id);
+  if (!Number.isInteger(chosen) || chosen <= 0) throw new Error('No match to accept');
+
+  const media = await metadataService.get({ type: item.type === Type.Movie ? Type.Movie : Type.TV.Show, id: chosen });
+  if (!media || !media.id) throw new Error('TMDb item not found');
+
+  let items = [item];
+  let target;
+  if (item.type === Type.Movie) {
+    const year = parseInt(media.release_date);
+    const name = `${sanitizeName(media.title)}${year ? ` (${year})` : ''} ${media.id}${path.extname(item.fs_path)}`;
+    target = () => path.join(path.dirname(item.fs_path), name);
+  } else {
+    // The show is read from the folder, so its other episodes waiting for review go along
+    items = await prisma.notAvailable.findMany({
+      where: { type: Type.TV.Episode, fs_path: { startsWith: path.dirname(item.fs_path) + path.sep } }
+    });
+    items = items.filter((other) => path.dirname(other.fs_path) === path.dirname(item.fs_path));
+    const showDir = path.join(process.env.TV_PATH, `${sanitizeName(media.name)} ${media.id}`);
+    target = (file) => path.join(showDir, path.basename(file));
+  }
+
+  const files = [];
+  for (const file of items.map((other) => other.fs_path)) {
+    const to = target(file);
+    await moveFile(file, to);
+    files.push({ from: file, to });
+  }
+
+  await prisma.notAvailable.deleteMany({ where: { fs_path: { in: files.map(({ from }) => from) } } });
+  return { id: item.id, tmdb_id: media.id, files };
+}
+
+module.exports = {
+  AUTO_MATCH_CONFIDENCE,
+  normalizeTitle,
+  titleSimilarity,
+  scoreResult,
+  findBestMatch,
+  matchRelease,
+  listMatches,
+  acceptMatch
+};
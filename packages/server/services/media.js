@@ -0,0 +1,146 @@
+/**
+ * Media service for resolving library items exposed to users by their public IDs
+ * @module services/media
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const {
+  movieWhere,
+  tvShowWhere,
+  songWhere,
+  albumWhere,
+} = require('./restriction');
+
+const prisma = new PrismaClient();
+
+const MOVIE_INCLUDE = {
+  genres: true,
+  production_companies: true,
+  credits: true,
+  similar: true,
+};
+
+const TV_SHOW_INCLUDE = {
+  genres: true,
+  production_companies: true,
+  seasons: { include: { episodes: true } },
+  credits: true,
+  similar: true,
+};
+
+const ALBUM_INCLUDE = {
+  artists: true,
+  songs: { include: { album: { include: { artists: true } } } },
+};
+
+const SONG_INCLUDE = { album: { include: { artists: true } } };
+
+// Episodes are seen by the profiles that may see their show
+const episodeWhere = (restrictions) => ({
+  season: { tv_show: tvShowWhere(restrictions) },
+});
+
+/**
+ * Media types addressable by users, keyed by the URL segment used in the API.
+ * Movies, shows and episodes are identified by their TMDb ID, albums and songs
+ * by their Spotify ID, matching the `id` the client receives from `format`.
+ * `where` builds the filter of the items a profile may see from its restrictions.
+ */
+const MEDIA_TYPES = Object.freeze({
+  movies: {
+    model: 'movie',
+    relation: 'movie',
+    foreignKey: 'movieId',
+    publicId: 'tmdb_id',
+    include: MOVIE_INCLUDE,
+    where: movieWhere,
+  },
+  tv: {
+    model: 'tVShow',
+    relation: 'tvShow',
+    foreignKey: 'tvShowId',
+    publicId: 'tmdb_id',
+    include: TV_SHOW_INCLUDE,
+    where: tvShowWhere,
+  },
+  episodes: {
+    model: 'episode',
+    relation: 'episode',
+    foreignKey: 'episodeId',
+    publicId: 'tmdb_id',
+    include: undefined,
+    where: episodeWhere,
+  },
+  albums: {
+    model: 'album',
+    relation: 'album',
+    foreignKey: 'albumId',
+    publicId: 'spotify_id',
+    include: ALBUM_INCLUDE,
+    where: albumWhere,
+  },
+  songs: {
+    model: 'song',
+    relation: 'song',
+    foreignKey: 'songId',
+    publicId: 'spotify_id',
+    include: SONG_INCLUDE,
+    where: songWhere,
+  },
+});
+
+/**
+ * Looks up the definition of a media type
+ * @param {string} type - The media type URL segment (e.g. 'movies', 'albums')
+ * @returns {Object} The media type definition
+ * @throws {Error} If the media type is not supported
+ */
+function getMediaType(type) {
+  if (!Object.prototype.hasOwnProperty.call(MEDIA_TYPES, type)) {
+    throw new Error('Unsupported media type');
+  }
+  return MEDIA_TYPES[type];
+}
+
+/**
+ * Converts a public ID to the type stored in the database
+ * @param {Object} mediaType - The media type definition
+ * @param {string|number} id - The public ID
+ * @returns {string|number} The ID as stored in the public ID column
+ */
+function parsePublicId(mediaType, id) {
+  return mediaType.publicId === 'tmdb_id' ? parseInt(id) : String(id);
+}
+
+/**
+ * Finds a library item by its media type and public ID, among the items a profile may see
+ * @param {string} type - The media type URL segment
+ * @param {string|number} id - The public ID of the item (TMDb or Spotify ID)
+ * @param {Object} [restrictions={}] - The content limits of the user and profile, from getRestrictions
+ * @returns {Promise<Object>} The library item
+ * @throws {Error} If the media type is not supported, or the item does not exist or is hidden from the profile
+ */
+async function findMediaItem(type, id, restrictions = {}) {
+  const mediaType = getMediaType(type);
+  const publicId = parsePublicId(mediaType, id);
+
+  if (Number.isNaN(publicId)) {
+    throw new Error('Media not found');
+  }
+
+  const item = await prisma[mediaType.model].findFirst({
+    where: { ...mediaType.where(restrictions), [mediaType.publicId]: publicId },
+  });
+
+  if (!item) {
+    throw new Error('Media not found');
+  }
+
+  return item;
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  getMediaType,
+  findMediaItem,
+};
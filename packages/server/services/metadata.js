@@ -1,110 +1,145 @@
-const axios = require('axios');
-const Cookies = require('universal-cookie');
-const qs = require('qs');
+/**
+ * Metadata service looking up movies, TV shows and music with the providers chosen for each library
+ * @module services/metadata
+ */
+
 const { Type } = require('../constants');
+const TMDbProvider = require('./providers/tmdb');
+const SpotifyProvider = require('./providers/spotify');
+const NfoProvider = require('./providers/nfo');
+const MusicBrainzProvider = require('./providers/musicbrainz');
 
-const TMDB_API = 'api.themoviedb.org/3';
-const SPOTIFY_API = 'api.spotify.com/v1';
-const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
-const cookies = new Cookies();
+// Providers by the names used in the configuration
+const PROVIDERS = {
+  tmdb: TMDbProvider,
+  spotify: SpotifyProvider,
+  nfo: NfoProvider,
+  musicbrainz: MusicBrainzProvider,
+};
 
-class Metadata {
-  constructor() {}
+// Libraries, the types of items they hold, the variable choosing their providers and the providers used without it
+const LIBRARIES = {
+  movies: { types: [Type.Movie], variable: 'MOVIES_METADATA', providers: 'tmdb' },
+  tv: { types: [Type.TV.Show, Type.TV.Episode], variable: 'TV_METADATA', providers: 'tmdb' },
+  music: { types: [Type.Music.Album, Type.Music.Artist, Type.Music.Song], variable: 'MUSIC_METADATA', providers: 'spotify' },
+};
 
-  async get(item, delay = 0) {
-    let request_url;
-    let auth;
+// Provider methods looking up each type of item
+const LOOKUPS = {
+  [Type.Movie]: 'getMovie',
+  [Type.TV.Show]: 'getShow',
+  [Type.TV.Episode]: 'getEpisode',
+  [Type.Music.Album]: 'getAlbum',
+  [Type.Music.Artist]: 'getArtist',
+};
 
-    if (item.type in Type.Music) {
-      auth = await getAuth(); // authorization header
-    }
+// Answered when no provider of the library knows the item
+const NOT_FOUND = { status: 404, data: {} };
 
-    if (item.type == Type.Movie) {
-      request_url = `https://${TMDB_API}/movie/${item.id}?api_key=${process.env.TMDB_KEY}&append_to_response=images,credits,similar`;
-    } else if (item.type == Type.TV.Show) {
-      request_url = `https://${TMDB_API}/tv/${item.id}?api_key=${process.env.TMDB_KEY}&append_to_response=images,credits,similar,external_ids`;
-    } else if (item.type == Type.TV.Episode) {
-      request_url = `https://${TMDB_API}/tv/${item.tv_show_id}/season/${item.season_number}/episode/${item.episode_number}?api_key=${process.env.TMDB_KEY}`;
-    } else if (item.type == Type.Music.Album) {
-      request_url = `https://${SPOTIFY_API}/albums/${item.id}?access_token=${auth}`;
-    } else if (item.type == Type.Music.Artist) {
-      request_url = `https://${SPOTIFY_API}/artists/${item.id}?access_token=${auth}`;
-    }
+/**
+ * Finds the library holding a type of item
+ *
+ * @param {string} type - The item type
+ * @returns {string|undefined} The library name
+ */
+function getLibrary(type) {
+  return Object.keys(LIBRARIES).find((library) => LIBRARIES[library].types.includes(type));
+}
 
-    console.log('url: ' + request_url);
-    return wait(delay).then(() =>
-      axios
-        .get(request_url)
-        .then((response) => {
-          return response.data;
-        })
-        .catch((error) => {
-          return error.response;
-        })
-    );
-  }
+/**
+ * Builds the providers of a library from its comma separated list, such as MOVIES_METADATA='nfo,tmdb'
+ *
+ * @param {string} library - The library name
+ * @returns {Object[]} The providers, in the order they are asked
+ * @throws {Error} If a provider is unknown or does not support the library
+ */
+function getConfiguredProviders(library) {
+  const { variable, providers } = LIBRARIES[library];
+  const names = (process.env[variable] || providers)
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
 
-  async search(type, keyword, delay = 0) {
-    let request_url;
-    let auth;
+  return names.map((name) => {
+    const Provider = PROVIDERS[name];
+    if (!Provider) throw new Error(`Unknown metadata provider: ${name}`);
+    if (!Provider.libraries.includes(library)) throw new Error(`Metadata provider ${name} does not support the ${library} library`);
+    return new Provider();
+  });
+}
 
-    if (type in Type.Music) {
-      auth = await getAuth(); // authorization header
-    }
+// Failed requests answer with their status, missing items with nothing
+const isMissing = (result) => !result || typeof result.status === 'number';
 
-    if (type == Type.Movie) {
-      request_url = `https://${TMDB_API}/search/movie?api_key=${process.env.TMDB_KEY}&language=en-US&query=${keyword}&page=1&include_adult=true`;
-    } else if (type == Type.TV.Episode) {
-      request_url = `https://${TMDB_API}/search/tv?api_key=${process.env.TMDB_KEY}&language=en-US&query=${keyword}&page=1&include_adult=true`;
-    } else if (type == Type.Music.Song) {
-      request_url = `https://${SPOTIFY_API}/search?type=track&q=${keyword}&access_token=${auth}`;
+class Metadata {
+  /**
+   * @param {Object} [providers] - The providers of each library, read from the environment for the others
+   */
+  constructor(providers = {}) {
+    this.providers = {};
+    for (const library of Object.keys(LIBRARIES)) {
+      this.providers[library] = providers[library] || getConfiguredProviders(library);
     }
-
-    console.log('url: ' + request_url);
-    return wait(delay).then(() =>
-      axios
-        .get(request_url)
-        .then((response) => {
-          return response.data;
-        })
-        .catch((error) => {
-          return error.response;
-        })
-    );
   }
-}
 
-async function getAuthorizationToken() {
-  return axios
-    .post(
-      'https://accounts.spotify.com/api/token',
-      qs.stringify({
-        grant_type: 'client_credentials',
-        client_id: process.env.SPOTIFY_CLIENT_ID,
-        client_secret: process.env.SPOTIFY_CLIENT_SECRET,
-      }),
-      {
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-        },
-      }
-    )
-    .then(function (response) {
-      cookies.set('auth', response.data.access_token, {
-        maxAge: response.data.expires_in,
-      });
-    });
-}
+  /**
+   * Lists the providers of the library holding a type of item
+   *
+   * @param {string} type - The item type
+   * @returns {Object[]} The providers
+   */
+  getProviders(type) {
+    const library = getLibrary(type);
+    return library ? this.providers[library] : [];
+  }
 
-const getAuth = async () => {
-  let auth = cookies.get('auth');
+  /**
+   * Looks up an item with the first provider of its library that knows it
+   *
+   * @param {Object} item - The item, with its `type`, its `id` and, for providers reading local files, its `fs_path`
+   * @returns {Promise<Object>} The item as TMDb or Spotify describe it, or the last error response
+   */
+  async get(item) {
+    let result = NOT_FOUND;
+    for (const provider of this.getProviders(item.type)) {
+      if (!provider[LOOKUPS[item.type]]) continue;
+      result = await provider[LOOKUPS[item.type]](item);
+      if (!isMissing(result)) return result;
+    }
+    return result || NOT_FOUND;
+  }
 
-  if (!auth) {
-    await getAuthorizationToken();
-    auth = cookies.get('auth');
+  /**
+   * Searches items by name with the first provider of their library that can
+   *
+   * @param {string} type - Type.Movie, Type.TV.Episode for TV shows or Type.Music.Song
+   * @param {string} keyword - The name searched
+   * @returns {Promise<Object>} The results, or the last error response
+   */
+  async search(type, keyword) {
+    let result = NOT_FOUND;
+    for (const provider of this.getProviders(type)) {
+      if (!provider.search) continue;
+      result = await provider.search(type, keyword);
+      if (!isMissing(result)) return result;
+    }
+    return result || NOT_FOUND;
   }
 
-  return auth;
-};
+  /**
+   * Finds the ID of a movie or TV show recorded next to its files, such as in a .nfo file
+   *
+   * @param {Object} item - The item, with its `type` and `fs_path`
+   * @returns {Promise<number|null>} The ID, or null when no provider records one
+   */
+  async findId(item) {
+    for (const provider of this.getProviders(item.type)) {
+      if (!provider.findId) continue;
+      const id = await provider.findId(item);
+      if (id != null) return id;
+    }
+    return null;
+  }
+}
 
 module.exports = Metadata;
@@ -0,0 +1,269 @@
+/**
+ * Probe service for reading the container and streams of media files with ffprobe
+ * @module services/probe
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+
+// Containers browsers play natively, keyed by file extension, with the codecs they accept inside
+const DIRECT_PLAY_PROFILES = {
+  '.mp4': { video: ['h264'], audio: ['aac', 'mp3'] },
+  '.m4v': { video: ['h264'], audio: ['aac', 'mp3'] },
+  '.webm': { video: ['vp8', 'vp9', 'av1'], audio: ['opus', 'vorbis'] },
+};
+
+// Transfer characteristics of HDR video streams
+const HDR_TRANSFERS = {
+  smpte2084: 'HDR10',
+  'arib-std-b67': 'HLG',
+};
+
+// Probe results keyed by file path, reused until the file is modified
+const cache = new Map();
+
+/**
+ * Runs ffprobe on a file
+ *
+ * @param {string} filePath - The path of the media file
+ * @returns {Promise<Object>} The parsed ffprobe JSON output
+ * @throws {Error} If ffprobe fails or is not installed
+ */
+function runFfprobe(filePath) {
+  return new Promise((resolve, reject) => {
+    execFile(
+      FFPROBE_PATH,
+      ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath],
+      { maxBuffer: 10 * 1024 * 1024 },
+      (error, stdout) => {
+        if (error) return reject(new Error('Failed to probe file'));
+        try {
+          resolve(JSON.parse(stdout));
+        } catch (parseError) {
+          reject(new Error('Failed to probe file'));
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Keeps the fields of an ffprobe stream used to choose how a file is played
+ *
+ * @param {Object} stream - The ffprobe stream
+ * @returns {Object} The stream index, codec, language and title
+ */
+function formatStream(stream) {
+  return {
+    index: stream.index,
+    codec: stream.codec_name,
+    language: (stream.tags && stream.tags.language) || null,
+    title: (stream.tags && stream.tags.title) || null,
+  };
+}
+
+/**
+ * Summarizes the ffprobe output of a file
+ *
+ * @param {string} filePath - The path of the media file
+ * @param {Object} output - The ffprobe JSON output
+ * @returns {Object} The container, duration in seconds, first video stream and audio and subtitle streams
+ */
+function formatProbe(filePath, output) {
+  const streams = output.streams || [];
+  const video = streams.find((stream) => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+
+  return {
+    container: path.extname(filePath).toLowerCase(),
+    duration: parseFloat(output.format && output.format.duration) || null,
+    video: video ? { ...formatStream(video), width: video.width, height: video.height } : null,
+    audio: streams.filter((stream) => stream.codec_type === 'audio').map((stream) => ({ ...formatStream(stream), channels: stream.channels })),
+    subtitles: streams.filter((stream) => stream.codec_type === 'subtitle').map(formatStream),
+  };
+}
+
+/**
+ * Runs ffprobe on a file, caching the output until the file changes
+ *
+ * @param {string} filePath - The path of the media file
+ * @returns {Promise<Object>} The parsed ffprobe JSON output
+ * @throws {Error} If the file cannot be probed
+ */
+async function readProbe(filePath) {
+  const { mtimeMs } = await fs.promises.stat(filePath);
+  const cached = cache.get(filePath);
+  if (cached && cached.mtimeMs === mtimeMs) return cached.output;
+
+  const output = await runFfprobe(filePath);
+  cache.set(filePath, { mtimeMs, output });
+  return output;
+}
+
+/**
+ * Reads the container and streams of a media file
+ *
+ * @param {string} filePath - The path of the media file
+ * @returns {Promise<Object>} The container, duration, video, audio and subtitle streams
+ * @throws {Error} If the file cannot be probed
+ */
+async function probeFile(filePath) {
+  return formatProbe(filePath, await readProbe(filePath));
+}
+
+/**
+ * Finds the dynamic range of a video stream
+ *
+ * @param {Object} stream - The ffprobe video stream
+ * @returns {string|null} 'Dolby Vision', 'HDR10' or 'HLG', or null for SDR video
+ */
+function getDynamicRange(stream) {
+  if ((stream.side_data_list || []).some((data) => data.side_data_type === 'DOVI configuration record')) {
+    return 'Dolby Vision';
+  }
+  return HDR_TRANSFERS[stream.color_transfer] || null;
+}
+
+/**
+ * Converts an ffprobe stream into a MediaStream record
+ *
+ * @param {Object} stream - The ffprobe stream
+ * @returns {Object} The MediaStream fields
+ */
+function formatMediaStream(stream) {
+  const bitRate = parseInt(stream.bit_rate || (stream.tags && stream.tags.BPS), 10);
+  const isVideo = stream.codec_type === 'video';
+  const isAudio = stream.codec_type === 'audio';
+
+  return {
+    stream_index: stream.index,
+    codec_type: stream.codec_type,
+    codec_name: stream.codec_name || 'unknown',
+    profile: stream.profile || null,
+    language: (stream.tags && stream.tags.language) || null,
+    title: (stream.tags && stream.tags.title) || null,
+    is_default: Boolean(stream.disposition && stream.disposition.default),
+    is_forced: Boolean(stream.disposition && stream.disposition.forced),
+    width: isVideo ? stream.width || null : null,
+    height: isVideo ? stream.height || null : null,
+    dynamic_range: isVideo ? getDynamicRange(stream) : null,
+    channels: isAudio ? stream.channels || null : null,
+    channel_layout: isAudio ? stream.channel_layout || null : null,
+    bit_rate: Number.isNaN(bitRate) ? null : bitRate,
+  };
+}
+
+/**
+ * Reads the technical metadata stored for a media file when the library is scanned
+ *
+ * @param {string} filePath - The path of the media file
+ * @returns {Promise<Object>} The container, duration in seconds, overall bit rate and MediaStream records
+ * @throws {Error} If the file cannot be probed
+ */
+async function getTechnicalMetadata(filePath) {
+  const output = await readProbe(filePath);
+  const format = output.format || {};
+  const bitRate = parseInt(format.bit_rate, 10);
+
+  return {
+    container: path.extname(filePath).toLowerCase().slice(1),
+    duration: parseFloat(format.duration) || null,
+    bit_rate: Number.isNaN(bitRate) ? null : bitRate,
+    streams: (output.streams || [])
+      // Cover art embedded in the file is not a track
+      .filter((stream) => ['video', 'audio', 'subtitle'].includes(stream.codec_type) && !(stream.disposition && stream.disposition.attached_pic))
+      .map(formatMediaStream),
+  };
+}
+
+/**
+ * Moves the audio track picked by the viewer first, where transcoding and the playback method read it
+ *
+ * @param {Object} info - The probe result of the file
+ * @param {number} [index] - The stream index of the audio track, the first track when missing
+ * @returns {Object|null} The probe result, with 'alternateAudio' set when the track is not the first one,
+ * or null if the file has no such audio track
+ */
+function selectAudioTrack(info, index) {
+  if (index === undefined || index === null) return info;
+
+  const track = info.audio.find((stream) => stream.index === index);
+  if (!track) return null;
+  if (track === info.audio[0]) return info;
+
+  return { ...info, audio: [track, ...info.audio.filter((stream) => stream !== track)], alternateAudio: true };
+}
+
+/**
+ * Reduces an ISO 639 language code to its primary language, so 'eng', 'en' and 'en-GB' all read 'en'
+ *
+ * @param {string} [language] - The language code
+ * @returns {string|null} The primary language, or null for missing or invalid codes
+ */
+function getPrimaryLanguage(language) {
+  try {
+    return language ? Intl.getCanonicalLocales(language)[0].split('-')[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Finds the audio track in a language, preferring the first one, which is the main track of most releases
+ *
+ * @param {Object} info - The probe result of the file
+ * @param {string} [language] - The ISO 639 language code
+ * @returns {Object|null} The audio track, or null if none is in the language
+ */
+function findAudioTrack(info, language) {
+  const primary = getPrimaryLanguage(language);
+  if (!primary) return null;
+  return info.audio.find((stream) => getPrimaryLanguage(stream.language) === primary) || null;
+}
+
+/**
+ * Decides whether browsers can play a file as is or it has to be transcoded to HLS.
+ * Transcoding copies the video stream when it is H.264 and the audio stream when it is AAC
+ *
+ * @param {Object} info - The probe result of the file
+ * @returns {object} The 'method' ('direct' or 'transcode'), whether the video and audio can be copied and the reasons for transcoding
+ */
+function getPlaybackMethod(info) {
+  const profile = DIRECT_PLAY_PROFILES[info.container];
+  const audio = info.audio[0];
+  const reasons = [];
+
+  if (!profile) {
+    reasons.push(`Container ${info.container || 'unknown'} is not supported`);
+  } else {
+    if (info.video && !profile.video.includes(info.video.codec)) {
+      reasons.push(`Video codec ${info.video.codec} is not supported`);
+    }
+    if (audio && !profile.audio.includes(audio.codec)) {
+      reasons.push(`Audio codec ${audio.codec} is not supported`);
+    }
+    // Browsers always play the first audio track of a file
+    if (info.alternateAudio) {
+      reasons.push(`Audio track ${audio.index} is not the first track`);
+    }
+  }
+
+  return {
+    method: reasons.length ? 'transcode' : 'direct',
+    copyVideo: Boolean(info.video && info.video.codec === 'h264'),
+    copyAudio: Boolean(audio && audio.codec === 'aac' && audio.channels <= 2),
+    reasons,
+  };
+}
+
+module.exports = {
+  DIRECT_PLAY_PROFILES,
+  readProbe,
+  probeFile,
+  getTechnicalMetadata,
+  selectAudioTrack,
+  findAudioTrack,
+  getPlaybackMethod,
+};
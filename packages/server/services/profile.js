@@ -0,0 +1,184 @@
+/**
+ * Profile service for the viewer profiles sharing one account
+ * @module services/profile
+ */
+
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Avatars shipped with the client, identified by their color
+const AVATARS = Object.freeze(['red', 'orange', 'yellow', 'green', 'blue', 'purple']);
+
+const MAX_PROFILES = 5;
+const MAX_NAME_LENGTH = 30;
+
+/**
+ * Picks the fields of a profile returned by the API
+ *
+ * @param {Object} profile - The profile record
+ * @returns {Object} The profile formatted for API responses
+ */
+function formatProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    avatar: profile.avatar,
+    kid: profile.kid,
+  };
+}
+
+/**
+ * Validates the fields of a profile being created or changed
+ *
+ * @param {Object} fields - The fields to validate
+ * @param {string} [fields.name] - The name shown in the profile picker
+ * @param {string|null} [fields.avatar] - One of AVATARS, or null for the default avatar
+ * @param {boolean} [fields.kid] - Whether the profile is limited to content suitable for children
+ * @returns {Object} The validated fields, with the name trimmed
+ * @throws {Error} If a field is invalid
+ */
+function validateProfile({ name, avatar, kid }) {
+  const trimmedName = typeof name === 'string' ? name.trim() : name;
+
+  if (trimmedName !== undefined && (typeof trimmedName !== 'string' || !trimmedName || trimmedName.length > MAX_NAME_LENGTH)) {
+    throw new Error('Invalid profile name');
+  }
+
+  if (avatar !== undefined && avatar !== null && !AVATARS.includes(avatar)) {
+    throw new Error('Invalid avatar');
+  }
+
+  if (kid !== undefined && typeof kid !== 'boolean') {
+    throw new Error('Invalid kid flag');
+  }
+
+  return {
+    ...(trimmedName !== undefined && { name: trimmedName }),
+    ...(avatar !== undefined && { avatar }),
+    ...(kid !== undefined && { kid }),
+  };
+}
+
+/**
+ * Rethrows the unique constraint error Prisma raises for a duplicate name
+ *
+ * @param {Error} error - The error thrown by Prisma
+ * @throws {Error} Always
+ */
+function rethrowDuplicateName(error) {
+  if (error.code === 'P2002') {
+    throw new Error('Profile name already in use');
+  }
+
+  throw error;
+}
+
+/**
+ * Lists the profiles of a user, oldest first
+ *
+ * @param {number} userId - The user ID
+ * @returns {Promise<Array>} The profiles formatted for API responses
+ */
+async function listProfiles(userId) {
+  const profiles = await prisma.profile.findMany({
+    where: { userId },
+    orderBy: { createdAt: 'asc' },
+  });
+
+  return profiles.map(formatProfile);
+}
+
+/**
+ * Gets a profile of a user
+ *
+ * @param {number} userId - The user ID
+ * @param {number|string} id - The profile ID
+ * @returns {Promise<Object>} The profile record
+ * @throws {Error} If the profile does not exist or belongs to another user
+ */
+async function getProfile(userId, id) {
+  const profile = await prisma.profile.findFirst({
+    where: { id: Number(id), userId },
+  });
+
+  if (!profile) {
+    throw new Error('Profile not found');
+  }
+
+  return profile;
+}
+
+/**
+ * Creates a profile for a user
+ *
+ * @param {number} userId - The user ID
+ * @param {Object} fields - The name, avatar and kid flag of the profile
+ * @returns {Promise<Object>} The profile formatted for API responses
+ * @throws {Error} If a field is invalid, the name is taken or the user has too many profiles
+ */
+async function createProfile(userId, fields) {
+  const data = validateProfile(fields);
+  if (!data.name) {
+    throw new Error('Invalid profile name');
+  }
+
+  if (await prisma.profile.count({ where: { userId } }) >= MAX_PROFILES) {
+    throw new Error('Profile limit reached');
+  }
+
+  const profile = await prisma.profile
+    .create({ data: { ...data, userId } })
+    .catch(rethrowDuplicateName);
+
+  return formatProfile(profile);
+}
+
+/**
+ * Changes the name, avatar or kid flag of a profile
+ *
+ * @param {number} userId - The user ID
+ * @param {number|string} id - The profile ID
+ * @param {Object} fields - The fields to change
+ * @returns {Promise<Object>} The profile formatted for API responses
+ * @throws {Error} If a field is invalid, the name is taken or the profile does not exist
+ */
+async function updateProfile(userId, id, fields) {
+  const data = validateProfile(fields);
+  const profile = await getProfile(userId, id);
+
+  const updated = await prisma.profile
+    .update({ where: { id: profile.id }, data })
+    .catch(rethrowDuplicateName);
+
+  return formatProfile(updated);
+}
+
+/**
+ * Deletes a profile along with its favorites, ratings and watch progress
+ *
+ * @param {number} userId - The user ID
+ * @param {number|string} id - The profile ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the profile does not exist or is the last one of the user
+ */
+async function deleteProfile(userId, id) {
+  const profile = await getProfile(userId, id);
+
+  if (await prisma.profile.count({ where: { userId } }) <= 1) {
+    throw new Error('Cannot delete the last profile');
+  }
+
+  await prisma.profile.delete({ where: { id: profile.id } });
+}
+
+module.exports = {
+  AVATARS,
+  MAX_PROFILES,
+  formatProfile,
+  listProfiles,
+  getProfile,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+};
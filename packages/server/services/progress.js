@@ -0,0 +1,146 @@
+/**
+ * Progress service for resuming movies and episodes where a profile left off
+ * @module services/progress
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { getMediaType, findMediaItem } = require('./media');
+
+const prisma = new PrismaClient();
+
+// Fraction of the duration after which an item counts as watched
+const DEFAULT_COMPLETED_THRESHOLD = 0.9;
+
+// Media types that can be played in the video player
+const PLAYABLE_TYPES = ['movies', 'episodes'];
+
+/**
+ * Reads the completion threshold from the WATCH_COMPLETED_THRESHOLD environment variable
+ *
+ * @returns {number} The fraction of the duration, between 0 and 1, after which an item is completed
+ */
+function getCompletedThreshold() {
+  const threshold = parseFloat(process.env.WATCH_COMPLETED_THRESHOLD);
+
+  if (Number.isNaN(threshold) || threshold <= 0 || threshold > 1) {
+    return DEFAULT_COMPLETED_THRESHOLD;
+  }
+  return threshold;
+}
+
+/**
+ * Looks up the media type definition of a playable media type
+ *
+ * @param {string} type - The media type URL segment ('movies' or 'episodes')
+ * @returns {Object} The media type definition
+ * @throws {Error} If the media type cannot be played
+ */
+function getPlayableType(type) {
+  if (!PLAYABLE_TYPES.includes(type)) {
+    throw new Error('Unsupported media type');
+  }
+  return getMediaType(type);
+}
+
+/**
+ * Validates a playback position report
+ *
+ * @param {*} position - The position in seconds
+ * @param {*} duration - The total duration in seconds
+ * @returns {object} An object with 'valid' boolean and 'errors' array of field errors
+ */
+function validateProgress(position, duration) {
+  const errors = [];
+
+  if (typeof position !== 'number' || !Number.isFinite(position) || position < 0) {
+    errors.push({ field: 'position', message: 'Position must be a positive number of seconds' });
+  }
+
+  if (typeof duration !== 'number' || !Number.isFinite(duration) || duration <= 0) {
+    errors.push({ field: 'duration', message: 'Duration must be a positive number of seconds' });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Formats a watch progress record for API responses
+ *
+ * @param {Object|null} progress - The watch progress record
+ * @returns {Object|null} The position, duration, completed flag and update date
+ */
+function formatProgress(progress) {
+  if (!progress) {
+    return null;
+  }
+
+  return {
+    position: progress.position,
+    duration: progress.duration,
+    completed: progress.completed,
+    updated_at: progress.updatedAt,
+  };
+}
+
+/**
+ * Gets a profile's playback progress of a movie or episode
+ *
+ * @param {number} profileId - The profile ID
+ * @param {string} type - The media type URL segment ('movies' or 'episodes')
+ * @param {string|number} id - The TMDb ID of the movie or episode
+ * @returns {Promise<Object|null>} The progress, or null if the item was never played
+ * @throws {Error} If the media type cannot be played or the item does not exist
+ */
+async function getProgress(profileId, type, id) {
+  const mediaType = getPlayableType(type);
+  const item = await findMediaItem(type, id);
+
+  const progress = await prisma.watchProgress.findUnique({
+    where: {
+      [`profileId_${mediaType.foreignKey}`]: { profileId, [mediaType.foreignKey]: item.id },
+    },
+  });
+
+  return formatProgress(progress);
+}
+
+/**
+ * Saves a profile's playback position of a movie or episode. The item is marked
+ * completed once the position passes the completion threshold, or when
+ * playback ended.
+ *
+ * @param {number} profileId - The profile ID
+ * @param {string} type - The media type URL segment ('movies' or 'episodes')
+ * @param {string|number} id - The TMDb ID of the movie or episode
+ * @param {object} data - The playback report
+ * @param {number} data.position - The position in seconds
+ * @param {number} data.duration - The total duration in seconds
+ * @param {boolean} [data.completed=false] - Whether playback reached the end
+ * @returns {Promise<Object>} The saved progress
+ * @throws {Error} If the media type cannot be played or the item does not exist
+ */
+async function saveProgress(profileId, type, id, { position, duration, completed = false }) {
+  const mediaType = getPlayableType(type);
+  const item = await findMediaItem(type, id);
+  const key = { profileId, [mediaType.foreignKey]: item.id };
+  const data = {
+    position: Math.min(position, duration),
+    duration,
+    completed: completed === true || position / duration >= getCompletedThreshold(),
+  };
+
+  const progress = await prisma.watchProgress.upsert({
+    where: { [`profileId_${mediaType.foreignKey}`]: key },
+    update: data,
+    create: { ...key, ...data },
+  });
+
+  return formatProgress(progress);
+}
+
+module.exports = {
+  getCompletedThreshold,
+  validateProgress,
+  getProgress,
+  saveProgress,
+};
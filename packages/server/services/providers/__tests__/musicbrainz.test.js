@@ -0,0 +1,178 @@
+// packages/server/services/providers/__tests__/musicbrainz.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'musicbrainz-test-'));
+process.env.COVER_PATH = path.join(dir, 'covers');
+
+const MusicBrainzProvider = require('../musicbrainz');
+const { request } = require('../request');
+const { getLocalId } = require('../../tags');
+const { Type } = require('../../../constants');
+
+jest.mock('../request', () => ({
+  ...jest.requireActual('../request'),
+  request: jest.fn()
+}));
+
+const RELEASE_ID = 'b1392450-e666-3926-a536-22c65f834433';
+const ARTIST_ID = 'a74b1b7f-71a5-4011-9441-d0b5e4122711';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const headers = { 'User-Agent': 'homehost/1.0', Accept: 'application/json' };
+
+const release = {
+  id: RELEASE_ID,
+  title: 'OK Computer',
+  status: 'Official',
+  date: '1997-05-21',
+  'artist-credit': [{ name: 'Radiohead', artist: { id: ARTIST_ID, name: 'Radiohead' } }],
+  'release-group': { 'primary-type': 'Album', 'secondary-types': [] },
+  'label-info': [{ label: { name: 'Parlophone' } }],
+  'cover-art-archive': { front: true },
+  media: [
+    {
+      position: 1,
+      'track-count': 2,
+      tracks: [
+        { position: 1, title: 'Airbag', length: 284000, recording: { id: 'rec-1' } },
+        { position: 2, title: 'Paranoid Android', length: 383000, recording: { id: 'rec-2' } }
+      ]
+    }
+  ]
+};
+
+const tags = { album: 'OK Computer', album_artists: ['Radiohead'], artists: ['Radiohead'], total_tracks: 12, release_date: '1997-05-21', musicbrainz_album_id: null };
+
+describe('MusicBrainz Provider', () => {
+  const provider = new MusicBrainzProvider();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('getAlbum', () => {
+    it('should get a release by its MBID as a Spotify album', async () => {
+      request.mockResolvedValue(release);
+
+      const album = await provider.getAlbum({ id: RELEASE_ID });
+      const id = getLocalId(RELEASE_ID);
+
+      expect(request).toHaveBeenCalledWith(`https://musicbrainz.org/ws/2/release/${RELEASE_ID}?inc=recordings+artist-credits+labels+release-groups&fmt=json`, { headers, ttl: 30 * DAY_MS });
+      expect(album).toMatchObject({
+        id,
+        musicbrainz_id: RELEASE_ID,
+        album_type: 'album',
+        artists: [{ id: getLocalId(ARTIST_ID), musicbrainz_id: ARTIST_ID, name: 'Radiohead' }],
+        images: [{ url: `https://coverartarchive.org/release/${RELEASE_ID}/front-500` }],
+        label: 'Parlophone',
+        name: 'OK Computer',
+        release_date: '1997-05-21',
+        total_tracks: 2
+      });
+      expect(album.tracks.items[1]).toMatchObject({ id: getLocalId(id, 1, 2), musicbrainz_id: 'rec-2', disc_number: 1, track_number: 2, duration_ms: 383000, name: 'Paranoid Android' });
+    });
+
+    it('should find the release of tags, preferring the same number of tracks and year', async () => {
+      request
+        .mockResolvedValueOnce({
+          releases: [
+            { id: 'low-score', score: 60, 'track-count': 12, date: '1997' },
+            { id: 'reissue', score: 100, 'track-count': 24, date: '2017-06-23' },
+            { id: RELEASE_ID, score: 98, 'track-count': 12, date: '1997-05-21' }
+          ]
+        })
+        .mockResolvedValueOnce(release);
+
+      const album = await provider.getAlbum({ tags });
+
+      expect(request).toHaveBeenCalledWith(`https://musicbrainz.org/ws/2/release?query=${encodeURIComponent('release:"OK Computer" AND artist:"Radiohead"')}&limit=10&fmt=json`, { headers, ttl: 7 * DAY_MS });
+      expect(request.mock.calls[1][0]).toContain(`/release/${RELEASE_ID}?`);
+      expect(album.musicbrainz_id).toBe(RELEASE_ID);
+    });
+
+    it('should use the release MBID of tags without searching', async () => {
+      request.mockResolvedValue(release);
+
+      await provider.getAlbum({ tags: { ...tags, musicbrainz_album_id: RELEASE_ID } });
+
+      expect(request).toHaveBeenCalledTimes(1);
+      expect(request.mock.calls[0][0]).toContain(`/release/${RELEASE_ID}?`);
+    });
+
+    it('should not match releases without confidence or IDs', async () => {
+      request.mockResolvedValue({ releases: [{ id: RELEASE_ID, score: 70 }] });
+
+      expect(await provider.getAlbum({ tags })).toEqual({ status: 404, data: {} });
+      expect(request).toHaveBeenCalledTimes(1);
+
+      expect(await provider.getAlbum({ id: '4aawyAB9vmqN3uQ7FjRGTy' })).toEqual({ status: 404, data: {} });
+      expect(request).toHaveBeenCalledTimes(1);
+    });
+
+    it('should prefer the covers of the songs', async () => {
+      const song = path.join(dir, 'music', 'OK Computer', '01 Airbag.mp3');
+      fs.mkdirSync(path.dirname(song), { recursive: true });
+      fs.writeFileSync(song, 'song');
+      fs.writeFileSync(path.join(path.dirname(song), 'cover.jpg'), 'cover');
+      request.mockResolvedValue(release);
+
+      const album = await provider.getAlbum({ id: RELEASE_ID, fs_path: song });
+
+      expect(album.images).toEqual([{ url: `/api/music/covers/${getLocalId(RELEASE_ID)}` }]);
+    });
+
+    it('should return the error response', async () => {
+      request.mockResolvedValue({ status: 503, data: {} });
+
+      expect(await provider.getAlbum({ id: RELEASE_ID })).toEqual({ status: 503, data: {} });
+    });
+  });
+
+  describe('getArtist', () => {
+    it('should answer artists with an MBID without a request', async () => {
+      const id = getLocalId(ARTIST_ID);
+
+      expect(await provider.getArtist({ id, musicbrainz_id: ARTIST_ID })).toEqual({ id, musicbrainz_id: ARTIST_ID, images: [], popularity: undefined });
+      expect(await provider.getArtist({ id: getLocalId('Radiohead'), musicbrainz_id: null })).toEqual({ status: 404, data: {} });
+      expect(request).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('search', () => {
+    it('should search recordings as Spotify tracks', async () => {
+      request.mockResolvedValue({
+        recordings: [
+          {
+            id: 'rec-2',
+            title: 'Paranoid Android',
+            length: 383000,
+            'artist-credit': [{ artist: { id: ARTIST_ID, name: 'Radiohead' } }],
+            releases: [{ id: RELEASE_ID, title: 'OK Computer', date: '1997-05-21', media: [{ position: 1, 'track-offset': 1 }] }]
+          },
+          { id: 'rec-3', title: 'Single', releases: [] }
+        ]
+      });
+
+      const results = await provider.search(Type.Music.Song, 'Paranoid Android');
+
+      expect(request.mock.calls[0][0]).toBe('https://musicbrainz.org/ws/2/recording?query=Paranoid%20Android&limit=10&fmt=json');
+      expect(results.tracks.items).toEqual([
+        {
+          id: `rec-2_${RELEASE_ID}`,
+          artists: [{ id: getLocalId(ARTIST_ID), musicbrainz_id: ARTIST_ID, name: 'Radiohead' }],
+          disc_number: 1,
+          duration_ms: 383000,
+          name: 'Paranoid Android',
+          track_number: 2,
+          album: { id: RELEASE_ID, name: 'OK Computer', release_date: '1997-05-21', images: [{ url: `https://coverartarchive.org/release/${RELEASE_ID}/front-250` }] }
+        }
+      ]);
+      expect(await provider.search(Type.Movie, 'Fight Club')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,290 @@
+// packages/server/services/providers/__tests__/nfo.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nfo-test-'));
+process.env.ARTWORK_PATH = path.join(dir, 'artwork');
+process.env.COVER_PATH = path.join(dir, 'covers');
+
+const NfoProvider = require('../nfo');
+const { getLocalId } = require('../../tags');
+const { Type } = require('../../../constants');
+
+const write = (file, content) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, content);
+};
+
+describe('NFO Provider', () => {
+  const provider = new NfoProvider();
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('movies', () => {
+    const movie = path.join(dir, 'movies', 'Fight Club (1999)', 'Fight Club (1999).mkv');
+
+    beforeAll(() => {
+      write(movie, 'movie');
+      write(
+        path.join(path.dirname(movie), 'Fight Club (1999).nfo'),
+        `<?xml version="1.0" encoding="UTF-8" standalone="yes" ?>
+<!-- created by a scraper -->
+<movie>
+  <title>Fight Club</title>
+  <plot><![CDATA[A depressed man & a soap maker form an underground fight club.]]></plot>
+  <tagline>Mischief. Mayhem. Soap.</tagline>
+  <runtime>139</runtime>
+  <mpaa>UK:18 / US:R</mpaa>
+  <uniqueid type="imdb">tt0137523</uniqueid>
+  <uniqueid type="tmdb" default="true">550</uniqueid>
+  <genre>Drama</genre>
+  <genre>Cult Classic</genre>
+  <studio>Fox 2000 Pictures</studio>
+  <premiered>1999-10-15</premiered>
+  <ratings>
+    <rating name="themoviedb" max="10" default="true">
+      <value>8.4</value>
+      <votes>26280</votes>
+    </rating>
+  </ratings>
+  <thumb aspect="poster">https://image.tmdb.org/t/p/original/pB8BM7pdSp6B6Ih7QZ4DrQ3PmJK.jpg</thumb>
+  <director>David Fincher</director>
+  <credits>Jim Uhls</credits>
+  <actor>
+    <name>Brad Pitt</name>
+    <role>Tyler Durden</role>
+    <order>1</order>
+    <thumb>https://image.tmdb.org/t/p/original/cckcYc2v0yh1tc9QjRelptcOBko.jpg</thumb>
+  </actor>
+  <actor>
+    <name>Edward Norton</name>
+    <role>The Narrator</role>
+    <order>0</order>
+  </actor>
+</movie>`
+      );
+      write(path.join(path.dirname(movie), 'fanart.jpg'), 'fanart');
+    });
+
+    it('should find the TMDb ID of the .nfo file', async () => {
+      expect(await provider.findId({ type: Type.Movie, fs_path: movie })).toBe(550);
+    });
+
+    it('should read the movie as TMDb describes it', async () => {
+      const result = await provider.getMovie({ type: Type.Movie, id: 550, fs_path: movie });
+
+      expect(result).toMatchObject({
+        id: 550,
+        title: 'Fight Club',
+        overview: 'A depressed man & a soap maker form an underground fight club.',
+        tagline: 'Mischief. Mayhem. Soap.',
+        runtime: 139,
+        imdb_id: 'tt0137523',
+        release_date: '1999-10-15',
+        vote_average: 8.4,
+        vote_count: 26280,
+        poster_path: '/pB8BM7pdSp6B6Ih7QZ4DrQ3PmJK.jpg',
+        images: { logos: [] },
+        similar: { results: [] },
+        release_dates: { results: [{ iso_3166_1: 'US', release_dates: [{ certification: 'R' }] }] }
+      });
+      expect(result.genres[0]).toEqual({ id: 18, name: 'Drama' });
+      expect(result.genres[1].id).toBeLessThan(0);
+      expect(result.production_companies[0]).toMatchObject({ name: 'Fox 2000 Pictures', logo_path: null });
+      expect(result.credits.cast.map(({ name, character, order }) => [name, character, order])).toEqual([
+        ['Brad Pitt', 'Tyler Durden', 1],
+        ['Edward Norton', 'The Narrator', 0]
+      ]);
+      expect(result.credits.cast[0].profile_path).toBe('/cckcYc2v0yh1tc9QjRelptcOBko.jpg');
+      expect(result.credits.crew.map(({ name, job }) => [name, job])).toEqual([
+        ['David Fincher', 'Director'],
+        ['Jim Uhls', 'Writer']
+      ]);
+    });
+
+    it('should serve the local artwork', async () => {
+      const result = await provider.getMovie({ type: Type.Movie, id: 550, fs_path: movie });
+
+      expect(result.backdrop_path).toMatch(/^\/api\/artwork\/local_[0-9a-f]{16}\.jpg$/);
+      expect(fs.readFileSync(path.join(process.env.ARTWORK_PATH, path.basename(result.backdrop_path)), 'utf8')).toBe('fanart');
+    });
+
+    it('should give movies without a TMDb ID a stable local ID', async () => {
+      const home = path.join(dir, 'movies', 'Holidays', 'Holidays.mp4');
+      write(home, 'movie');
+      write(path.join(dir, 'movies', 'Holidays', 'movie.nfo'), '<movie><title>Holidays</title><year>2019</year></movie>');
+
+      const id = await provider.findId({ type: Type.Movie, fs_path: home });
+      const result = await provider.getMovie({ type: Type.Movie, id, fs_path: home });
+
+      expect(id).toBeLessThan(0);
+      expect(await provider.findId({ type: Type.Movie, fs_path: home })).toBe(id);
+      expect(result).toMatchObject({ id, title: 'Holidays', release_date: '2019-01-01', imdb_id: '', poster_path: '' });
+    });
+
+    it('should read the ID of .nfo files holding only a link', async () => {
+      const linked = path.join(dir, 'movies', 'Heat.1995.mkv');
+      write(linked, 'movie');
+      write(path.join(dir, 'movies', 'Heat.1995.nfo'), 'https://www.themoviedb.org/movie/949-heat\n');
+
+      expect(await provider.findId({ type: Type.Movie, fs_path: linked })).toBe(949);
+      expect(await provider.getMovie({ type: Type.Movie, id: 949, fs_path: linked })).toEqual({ status: 404, data: {} });
+    });
+
+    it('should not know movies without a .nfo file', async () => {
+      const other = path.join(dir, 'movies', 'Other.mkv');
+
+      expect(await provider.findId({ type: Type.Movie, fs_path: other })).toBeNull();
+      expect(await provider.getMovie({ type: Type.Movie, id: 1, fs_path: other })).toEqual({ status: 404, data: {} });
+      expect(await provider.getMovie({ type: Type.Movie, id: 1 })).toEqual({ status: 404, data: {} });
+    });
+  });
+
+  describe('TV shows', () => {
+    const show = path.join(dir, 'tv', 'The Office');
+    const episode = path.join(show, 'Season 1', 'The Office S01E02.mkv');
+
+    beforeAll(() => {
+      write(episode, 'episode');
+      write(
+        path.join(show, 'tvshow.nfo'),
+        `<tvshow>
+  <title>The Office</title>
+  <plot>A mockumentary on a group of office workers.</plot>
+  <mpaa>TV-14</mpaa>
+  <uniqueid type="tvdb" default="true">73244</uniqueid>
+  <uniqueid type="tmdb">2316</uniqueid>
+  <genre>Comedy</genre>
+  <namedseason number="1">Season One</namedseason>
+  <thumb aspect="poster" type="season" season="1">https://image.tmdb.org/t/p/original/season1.jpg</thumb>
+</tvshow>`
+      );
+      write(path.join(show, 'poster.png'), 'poster');
+      write(
+        path.join(show, 'Season 1', 'The Office S01E02.nfo'),
+        `<episodedetails>
+  <title>Diversity Day</title>
+  <season>1</season>
+  <episode>2</episode>
+  <aired>2005-03-29</aired>
+  <plot>Michael's off color remark puts a sensitivity trainer in the office.</plot>
+  <uniqueid type="tmdb">1</uniqueid>
+</episodedetails>`
+      );
+      write(path.join(show, 'Season 1', 'The Office S01E02-thumb.jpg'), 'thumb');
+    });
+
+    it('should find the TMDb ID of the show folder', async () => {
+      expect(await provider.findId({ type: Type.TV.Show, fs_path: episode })).toBe(2316);
+    });
+
+    it('should read the show with the season of the episode', async () => {
+      const result = await provider.getShow({ type: Type.TV.Show, id: 2316, fs_path: episode });
+
+      expect(result).toMatchObject({
+        id: 2316,
+        name: 'The Office',
+        genres: [{ id: 35, name: 'Comedy' }],
+        content_ratings: { results: [{ iso_3166_1: 'US', rating: 'TV-14' }] },
+        external_ids: { imdb_id: '' },
+        backdrop_path: ''
+      });
+      expect(result.poster_path).toMatch(/^\/api\/artwork\/.+\.png$/);
+      expect(result.seasons).toEqual([
+        expect.objectContaining({ name: 'Season One', season_number: 1, poster_path: '/season1.jpg' })
+      ]);
+      expect(result.seasons[0].id).toBeLessThan(0);
+    });
+
+    it('should read the episode', async () => {
+      const result = await provider.getEpisode({ type: Type.TV.Episode, tv_show_id: 2316, season_number: 1, episode_number: 2, fs_path: episode });
+
+      expect(result).toMatchObject({
+        id: 1,
+        air_date: '2005-03-29',
+        name: 'Diversity Day',
+        season_number: 1,
+        episode_number: 2
+      });
+      expect(result.still_path).toMatch(/^\/api\/artwork\//);
+    });
+
+    it('should pick the episode of multi-episode files', async () => {
+      const double = path.join(show, 'Season 1', 'The Office S01E05-E06.mkv');
+      write(double, 'episode');
+      write(path.join(show, 'Season 1', 'The Office S01E05-E06.nfo'), '<episodedetails><title>Five</title><episode>5</episode></episodedetails><episodedetails><title>Six</title><episode>6</episode></episodedetails>');
+
+      const result = await provider.getEpisode({ type: Type.TV.Episode, tv_show_id: 2316, season_number: 1, episode_number: 6, fs_path: double });
+
+      expect(result.name).toBe('Six');
+      expect(result.id).toBeLessThan(0);
+    });
+  });
+
+  describe('music', () => {
+    const artist = path.join(dir, 'music', 'The Beatles');
+    const song = path.join(artist, 'Abbey Road', '01 Come Together.flac');
+
+    beforeAll(() => {
+      write(song, 'song');
+      write(
+        path.join(artist, 'Abbey Road', 'album.nfo'),
+        `<album>
+  <title>Abbey Road</title>
+  <musicbrainzalbumid>b1e6f0f9-0b16-4bd0-9c64-0c7cbb4a4f2e</musicbrainzalbumid>
+  <albumArtistCredits>
+    <artist>The Beatles</artist>
+    <musicBrainzArtistID>b10bbbfc-cf9e-42e0-be17-e2c3e1d2600d</musicBrainzArtistID>
+  </albumArtistCredits>
+  <label>Apple</label>
+  <releasedate>1969-09-26</releasedate>
+  <track><position>1</position><title>Come Together</title><duration>4:19</duration></track>
+  <track><position>2</position><title>Something</title><duration>183</duration></track>
+</album>`
+      );
+      write(path.join(artist, 'Abbey Road', 'cover.jpg'), 'cover');
+      write(path.join(artist, 'artist.nfo'), '<artist><name>The Beatles</name><musicBrainzArtistID>b10bbbfc-cf9e-42e0-be17-e2c3e1d2600d</musicBrainzArtistID></artist>');
+      write(path.join(artist, 'folder.jpg'), 'artist');
+    });
+
+    it('should read the album as Spotify describes it, with the IDs of tagged albums', async () => {
+      const album_id = getLocalId('b1e6f0f9-0b16-4bd0-9c64-0c7cbb4a4f2e');
+
+      const result = await provider.getAlbum({ type: Type.Music.Album, id: undefined, fs_path: song });
+
+      expect(result).toMatchObject({
+        id: album_id,
+        album_type: 'album',
+        artists: [{ id: getLocalId('b10bbbfc-cf9e-42e0-be17-e2c3e1d2600d'), musicbrainz_id: 'b10bbbfc-cf9e-42e0-be17-e2c3e1d2600d', name: 'The Beatles' }],
+        images: [{ url: `/api/music/covers/${album_id}` }],
+        label: 'Apple',
+        name: 'Abbey Road',
+        release_date: '1969-09-26',
+        total_tracks: 2
+      });
+      expect(result.tracks.items.map(({ id, name, track_number, duration_ms }) => [id, name, track_number, duration_ms])).toEqual([
+        [getLocalId(album_id, 1, 1), 'Come Together', 1, 259000],
+        [getLocalId(album_id, 1, 2), 'Something', 2, 183000]
+      ]);
+    });
+
+    it('should read the artist of the folder above the album', async () => {
+      const result = await provider.getArtist({ type: Type.Music.Artist, id: getLocalId('b10bbbfc-cf9e-42e0-be17-e2c3e1d2600d'), fs_path: song });
+
+      expect(result.name).toBe('The Beatles');
+      expect(result.images[0].url).toMatch(/^\/api\/artwork\//);
+    });
+
+    it('should leave other artists to other providers', async () => {
+      expect(await provider.getArtist({ type: Type.Music.Artist, id: '3WrFJ7ztbogyGnTHbHJFl2', fs_path: song })).toEqual({ status: 404, data: {} });
+      expect(await provider.getArtist({ type: Type.Music.Artist, id: getLocalId('Billy Preston'), fs_path: song })).toEqual({
+        id: getLocalId('Billy Preston'),
+        images: [],
+        popularity: undefined
+      });
+    });
+  });
+});
@@ -0,0 +1,144 @@
+// packages/server/services/providers/__tests__/request.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'request-test-'));
+process.env.METADATA_CACHE_PATH = dir;
+
+jest.mock('axios');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers, data: {} } });
+
+describe('Request', () => {
+  let axios;
+  let request;
+  let cleanCache;
+
+  beforeEach(() => {
+    // Token buckets and requests in flight are kept by the module
+    jest.resetModules();
+    axios = require('axios');
+    ({ request, cleanCache } = require('../request'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should return the data, or the error response without retrying client errors', async () => {
+    axios.get.mockResolvedValueOnce({ data: { id: 550 } }).mockRejectedValueOnce(httpError(404));
+
+    expect(await request('https://api.themoviedb.org/3/movie/550', { headers: { Accept: 'application/json' } })).toEqual({ id: 550 });
+    expect(axios.get).toHaveBeenCalledWith('https://api.themoviedb.org/3/movie/550', { headers: { Accept: 'application/json' } });
+    expect(await request('https://api.themoviedb.org/3/movie/0')).toMatchObject({ status: 404 });
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  describe('cache', () => {
+    it('should keep responses on disk for their time to live', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      axios.get.mockResolvedValueOnce({ data: { id: 1 } }).mockResolvedValueOnce({ data: { id: 2 } });
+
+      expect(await request('https://api.themoviedb.org/3/movie/550', { ttl: HOUR_MS })).toEqual({ id: 1 });
+      expect(await request('https://api.themoviedb.org/3/movie/550', { ttl: HOUR_MS })).toEqual({ id: 1 });
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(fs.readdirSync(dir)).toHaveLength(1);
+
+      Date.now.mockReturnValue(now + HOUR_MS);
+      expect(await request('https://api.themoviedb.org/3/movie/550', { ttl: HOUR_MS })).toEqual({ id: 2 });
+      expect(axios.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not cache failed requests or requests without a time to live', async () => {
+      axios.get.mockRejectedValueOnce(httpError(404)).mockResolvedValue({ data: { id: 550 } });
+
+      expect(await request('https://api.themoviedb.org/3/movie/550', { ttl: HOUR_MS })).toMatchObject({ status: 404 });
+      expect(await request('https://api.themoviedb.org/3/movie/551')).toEqual({ id: 550 });
+      expect(fs.existsSync(dir) ? fs.readdirSync(dir) : []).toHaveLength(0);
+    });
+
+    it('should delete expired responses', async () => {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, 'expired.json'), JSON.stringify({ expires_at: Date.now() - 1, data: {} }));
+      fs.writeFileSync(path.join(dir, 'fresh.json'), JSON.stringify({ expires_at: Date.now() + HOUR_MS, data: {} }));
+
+      await cleanCache();
+
+      expect(fs.readdirSync(dir)).toEqual(['fresh.json']);
+    });
+  });
+
+  it('should share one request between concurrent lookups of the same URL', async () => {
+    let resolve;
+    axios.get.mockReturnValueOnce(new Promise((r) => (resolve = r)));
+
+    const first = request('https://api.spotify.com/v1/artists/1');
+    const second = request('https://api.spotify.com/v1/artists/1');
+    await new Promise(setImmediate);
+    resolve({ data: { id: '1' } });
+
+    expect(await Promise.all([first, second])).toEqual([{ id: '1' }, { id: '1' }]);
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  describe('rate limit', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      axios.get.mockResolvedValue({ data: {} });
+    });
+
+    it('should space requests by the rate limit of the API', async () => {
+      const requests = ['a', 'b', 'c'].map((id) => request(`https://musicbrainz.org/ws/2/release/${id}`));
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(axios.get).toHaveBeenCalledTimes(3);
+      await Promise.all(requests);
+    });
+
+    it('should wait the Retry-After of a 429 response before any request to the API', async () => {
+      axios.get.mockRejectedValueOnce(httpError(429, { 'retry-after': '5' }));
+
+      const limited = request('https://api.spotify.com/v1/albums/1');
+      await jest.advanceTimersByTimeAsync(0);
+      const other = request('https://api.spotify.com/v1/albums/2');
+      await jest.advanceTimersByTimeAsync(4999);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(1);
+      expect(await limited).toEqual({});
+      expect(await other).toEqual({});
+      expect(axios.get).toHaveBeenCalledTimes(3);
+    });
+
+    it('should retry server and network errors with a doubling delay, then return the error', async () => {
+      axios.get.mockReset().mockRejectedValueOnce(new Error('socket hang up')).mockRejectedValue(httpError(503));
+
+      const response = request('https://api.themoviedb.org/3/tv/1396');
+      await jest.advanceTimersByTimeAsync(0);
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(axios.get).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(axios.get).toHaveBeenCalledTimes(3);
+      await jest.advanceTimersByTimeAsync(4000);
+      expect(axios.get).toHaveBeenCalledTimes(4);
+
+      expect(await response).toMatchObject({ status: 503 });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * MusicBrainz provider looking up albums by their release IDs or the tags of their songs, with covers from
+ * the Cover Art Archive, so music needs no Spotify credentials
+ * @module services/providers/musicbrainz
+ */
+
+const { Type } = require('../../constants');
+const { DEFAULT_IMAGE_URL, getLocalId, isMusicBrainzId, saveCover } = require('../tags');
+const { DAY_MS, request } = require('./request');
+
+const MUSICBRAINZ_API = 'musicbrainz.org/ws/2';
+const COVER_ART_ARCHIVE = 'coverartarchive.org';
+
+// MusicBrainz asks clients to name themselves, with a contact when they can, requests are sent a second apart
+const USER_AGENT = process.env.MUSICBRAINZ_USER_AGENT || 'homehost/1.0';
+
+// How long responses are cached, releases rarely change once they are entered
+const CACHE_TTL = { release: 30 * DAY_MS, search: 7 * DAY_MS };
+
+// Lowest search score, out of 100, of the releases matched by tags
+const MIN_SCORE = 90;
+
+// Answered when no release matches
+const NOT_FOUND = { status: 404, data: {} };
+
+const get = (resource, ttl) => request(`https://${MUSICBRAINZ_API}/${resource}`, { headers: { 'User-Agent': USER_AGENT, Accept: 'application/json' }, ttl });
+
+// Failed requests answer with their status, releases hold theirs as text, such as 'Official'
+const isFailed = (response) => !response || typeof response.status === 'number';
+
+// Quotes a value of a search query
+const quote = (value) => `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+
+/**
+ * Reads the artists of an artist credit, keyed by MBID like the artists read from tags
+ *
+ * @param {Object[]} [credits] - The artist credit of a release or track
+ * @returns {Object[]} The artists as Spotify describes them, with their `musicbrainz_id`
+ */
+function getArtists(credits) {
+  return (credits || []).map((credit) => ({
+    id: getLocalId(credit.artist.id),
+    musicbrainz_id: credit.artist.id,
+    name: credit.artist.name
+  }));
+}
+
+/**
+ * Finds the release of the tags of a song, by its release MBID or a search of the album and artist names,
+ * preferring releases of the same number of tracks and year
+ *
+ * @param {Object} tags - The tags of the song, as read by services/tags
+ * @returns {Promise<string|null>} The release MBID, or null when no release matches with confidence
+ */
+async function findReleaseId(tags) {
+  if (isMusicBrainzId(tags.musicbrainz_album_id)) return tags.musicbrainz_album_id;
+
+  const artist = tags.album_artists[0] || tags.artists[0];
+  const query = [`release:${quote(tags.album)}`, artist && `artist:${quote(artist)}`].filter(Boolean).join(' AND ');
+  const response = await get(`release?query=${encodeURIComponent(query)}&limit=10&fmt=json`, CACHE_TTL.search);
+  if (isFailed(response) || !response.releases) return null;
+
+  const year = tags.release_date && tags.release_date.slice(0, 4);
+  const rank = (release) => (tags.total_tracks && release['track-count'] == tags.total_tracks ? 2 : 0) + (year && (release.date || '').startsWith(year) ? 1 : 0);
+  const best = response.releases.filter((release) => release.score >= MIN_SCORE).reduce((best, release) => (!best || rank(release) > rank(best) ? release : best), null);
+  return best ? best.id : null;
+}
+
+class MusicBrainzProvider {
+  /**
+   * Gets an album with its tracks, by the release MBID given as its ID or the tags of one of its songs
+   *
+   * @param {Object} item - The album, with its `id`, or the `tags` and `fs_path` of one of its songs
+   * @returns {Promise<Object>} The album as Spotify describes it, with the MBIDs of the release, artists and
+   * recordings, or a 404 or error response
+   */
+  async getAlbum(item) {
+    const mbid = isMusicBrainzId(item.id) ? item.id : item.tags && item.tags.album ? await findReleaseId(item.tags) : null;
+    if (!mbid) return NOT_FOUND;
+
+    const release = await get(`release/${mbid}?inc=recordings+artist-credits+labels+release-groups&fmt=json`, CACHE_TTL.release);
+    if (isFailed(release)) return release || NOT_FOUND;
+
+    // The same IDs as albums built from tags
+    const id = getLocalId(release.id);
+    const artists = getArtists(release['artist-credit']);
+    const group = release['release-group'] || {};
+    const media = release.media || [];
+
+    // Covers of the songs are preferred, they are served without going online
+    const has_cover = item.fs_path ? await saveCover(id, item.fs_path, Boolean(item.tags && item.tags.has_cover)) : false;
+    const front = release['cover-art-archive'] && release['cover-art-archive'].front;
+    const label = (release['label-info'] || []).find((info) => info.label);
+
+    return {
+      id,
+      musicbrainz_id: release.id,
+      album_type: (group['secondary-types'] || []).includes('Compilation') ? 'compilation' : (group['primary-type'] || 'Album').toLowerCase(),
+      artists,
+      images: [{ url: has_cover ? `/api/music/covers/${id}` : front ? `https://${COVER_ART_ARCHIVE}/release/${release.id}/front-500` : DEFAULT_IMAGE_URL }],
+      label: label ? label.label.name : '',
+      name: release.title,
+      popularity: undefined,
+      release_date: release.date || group['first-release-date'] || '',
+      tracks: {
+        items: media.flatMap((medium) =>
+          (medium.tracks || []).map((track) => ({
+            id: getLocalId(id, medium.position, track.position),
+            musicbrainz_id: track.recording ? track.recording.id : null,
+            artists: track['artist-credit'] ? getArtists(track['artist-credit']) : artists,
+            disc_number: medium.position,
+            duration_ms: track.length || (track.recording && track.recording.length) || 0,
+            explicit: false,
+            name: track.title,
+            preview_url: null,
+            track_number: track.position
+          }))
+        )
+      },
+      total_tracks: media.reduce((total, medium) => total + (medium['track-count'] || 0), 0)
+    };
+  }
+
+  /**
+   * Gets an artist found on a release, MusicBrainz keeps no artist images so no request is sent
+   *
+   * @param {Object} item - The artist, with its `id` and `musicbrainz_id`
+   * @returns {Promise<Object>} The artist as Spotify describes it, or a 404 response for artists without an MBID
+   */
+  async getArtist(item) {
+    if (!isMusicBrainzId(item.musicbrainz_id)) return NOT_FOUND;
+    return { id: item.id, musicbrainz_id: item.musicbrainz_id, images: [], popularity: undefined };
+  }
+
+  /**
+   * Searches recordings by name, as Spotify describes tracks, with the release MBID as the album ID
+   *
+   * @param {string} type - Type.Music.Song
+   * @param {string} keyword - The name searched
+   * @returns {Promise<Object|null>} The tracks, the error response, or null for other types
+   */
+  async search(type, keyword) {
+    if (type != Type.Music.Song) return null;
+    const response = await get(`recording?query=${encodeURIComponent(keyword)}&limit=10&fmt=json`, CACHE_TTL.search);
+    if (isFailed(response)) return response;
+
+    const items = (response.recordings || []).flatMap((recording) => {
+      const release = (recording.releases || [])[0];
+      const medium = release && (release.media || [])[0];
+      if (!medium) return [];
+      return [
+        {
+          id: `${recording.id}_${release.id}`,
+          artists: getArtists(recording['artist-credit']),
+          disc_number: medium.position || 1,
+          duration_ms: recording.length || 0,
+          name: recording.title,
+          track_number: (medium['track-offset'] || 0) + 1,
+          album: {
+            id: release.id,
+            name: release.title,
+            release_date: release.date || '',
+            images: [{ url: `https://${COVER_ART_ARCHIVE}/release/${release.id}/front-250` }]
+          }
+        }
+      ];
+    });
+    return { tracks: { items } };
+  }
+}
+
+MusicBrainzProvider.libraries = ['music'];
+
+module.exports = MusicBrainzProvider;
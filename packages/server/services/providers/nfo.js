@@ -0,0 +1,564 @@
+/**
+ * NFO provider reading the Kodi .nfo files and the artwork kept next to local media, so libraries work offline
+ * @module services/providers/nfo
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Type } = require('../../constants');
+const { parseReleaseName, isSeasonFolder } = require('../filename');
+const { DEFAULT_IMAGE_URL, LOCAL_ID_PREFIX, getLocalId, saveCover } = require('../tags');
+const { findArtwork, saveArtwork } = require('../artwork');
+
+// Answered when the item has no .nfo file
+const NOT_FOUND = { status: 404, data: {} };
+
+// TMDb genre IDs, so genres read from .nfo files meet the ones of TMDb
+const TMDB_GENRES = {
+  action: 28,
+  adventure: 12,
+  animation: 16,
+  comedy: 35,
+  crime: 80,
+  documentary: 99,
+  drama: 18,
+  family: 10751,
+  fantasy: 14,
+  history: 36,
+  horror: 27,
+  music: 10402,
+  mystery: 9648,
+  romance: 10749,
+  'science fiction': 878,
+  'tv movie': 10770,
+  thriller: 53,
+  war: 10752,
+  western: 37,
+  'action & adventure': 10759,
+  kids: 10762,
+  news: 10763,
+  reality: 10764,
+  'sci-fi & fantasy': 10765,
+  soap: 10766,
+  talk: 10767,
+  'war & politics': 10768
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Decodes the character references of XML text
+ *
+ * @param {string} text - The text
+ * @returns {string} The decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (match, hex, decimal, name) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    if (decimal) return String.fromCodePoint(parseInt(decimal, 10));
+    return name in ENTITIES ? ENTITIES[name] : match;
+  });
+}
+
+/**
+ * Parses the elements of an XML document, as far as .nfo files need
+ *
+ * @param {string} text - The document
+ * @returns {Object[]} The top elements, each with its lower case `name`, `attributes`, `children` and `text`
+ */
+function parseXml(text) {
+  const root = { name: null, attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokens = /<!--[\s\S]*?-->|<[?!](?!\[CDATA\[)[^>]*>|<!\[CDATA\[([\s\S]*?)\]\]>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+
+  while ((match = tokens.exec(text))) {
+    const [, cdata, closing, tag, attributes, selfClosing, content] = match;
+    const element = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      element.text += cdata;
+    } else if (content !== undefined) {
+      element.text += decodeEntities(content);
+    } else if (tag && closing) {
+      // Elements left open are closed with their parent
+      const index = stack.map((item) => item.name).lastIndexOf(tag.toLowerCase());
+      if (index > 0) stack.length = index;
+    } else if (tag) {
+      const child = { name: tag.toLowerCase(), attributes: {}, children: [], text: '' };
+      for (const [, name, double, single] of (attributes || '').matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        child.attributes[name.toLowerCase()] = decodeEntities(double ?? single);
+      }
+      element.children.push(child);
+      if (!selfClosing) stack.push(child);
+    }
+  }
+  return root.children;
+}
+
+const getChildren = (element, name) => (element ? element.children.filter((child) => child.name === name) : []);
+
+const getChild = (element, name) => getChildren(element, name)[0] || null;
+
+const getText = (element, name) => {
+  const child = getChild(element, name);
+  return (child && child.text.trim()) || null;
+};
+
+const getTexts = (element, name) => getChildren(element, name).map((child) => child.text.trim()).filter(Boolean);
+
+/**
+ * Reads the first .nfo file found with the element wanted, or holding only a link such as a themoviedb.org URL
+ *
+ * @param {string[]} files - The paths of the .nfo files, in order of preference
+ * @param {string} name - The name of the element, such as 'movie' or 'tvshow'
+ * @param {Function} [accept] - Tells apart the element wanted when the file holds several, such as multi-episode files
+ * @returns {Promise<{root: Object|null, text: string}|null>} The element and the text of the file, or null without a file
+ */
+async function readNfo(files, name, accept = () => true) {
+  for (const file of files) {
+    let text;
+    try {
+      text = await fs.promises.readFile(file, 'utf8');
+    } catch (e) {
+      continue;
+    }
+    const elements = parseXml(text);
+    const matching = elements.filter((element) => element.name === name);
+    const root = matching.find(accept) || matching[0] || null;
+    if (root || !elements.length) return { root, text };
+  }
+  return null;
+}
+
+/**
+ * Builds a stable ID for an item TMDb has no ID for in the .nfo file, negative so it never meets a TMDb ID
+ *
+ * @param {...(string|number)} parts - What identifies the item, such as its type and name
+ * @returns {number} The ID
+ */
+function getLocalNumber(...parts) {
+  const key = parts.map((part) => String(part ?? '').toLowerCase()).join('\n');
+  return -parseInt(crypto.createHash('sha1').update(key).digest('hex').slice(0, 7), 16) - 1;
+}
+
+/**
+ * Reads the TMDb ID from <uniqueid type="tmdb">, <tmdbid>, or a themoviedb.org link after the XML
+ *
+ * @param {Object|null} root - The element of the item
+ * @param {string} [text=''] - The text of the file, searched for a link
+ * @returns {number|null} The TMDb ID
+ */
+function getTMDbId(root, text = '') {
+  const uniqueid = getChildren(root, 'uniqueid').find((child) => (child.attributes.type || '').toLowerCase() === 'tmdb');
+  const value = (uniqueid && uniqueid.text.trim()) || getText(root, 'tmdbid');
+  if (value && /^\d+$/.test(value)) return parseInt(value);
+
+  const link = text.match(/themoviedb\.org\/(?:movie|tv)\/(\d+)/);
+  return link ? parseInt(link[1]) : null;
+}
+
+// IMDb IDs are read the same way, <id> holds them for some scrapers
+function getImdbId(root, text = '') {
+  const uniqueid = getChildren(root, 'uniqueid').find((child) => (child.attributes.type || '').toLowerCase() === 'imdb');
+  const value = (uniqueid && uniqueid.text.trim()) || getText(root, 'imdbid') || getText(root, 'id');
+  if (value && /^tt\d+$/.test(value)) return value;
+
+  const link = text.match(/imdb\.com\/title\/(tt\d+)/);
+  return link ? link[1] : null;
+}
+
+// Images on TMDb keep only their path, which the client sizes like the ones TMDb returns
+const getImagePath = (url) => {
+  if (!url) return null;
+  const tmdb = url.match(/^https?:\/\/image\.tmdb\.org\/t\/p\/[^/]+(\/.+)$/);
+  return tmdb ? tmdb[1] : url;
+};
+
+/**
+ * Reads the image of an aspect listed in a .nfo file, such as 'poster' or 'clearlogo'
+ *
+ * @param {Object} root - The element of the item
+ * @param {string} aspect - The aspect of the image
+ * @returns {string|null} The image URL
+ */
+function getThumb(root, aspect) {
+  const thumb = getChildren(root, 'thumb').find((child) => child.attributes.aspect === aspect && child.attributes.type !== 'season');
+  if (thumb && thumb.text.trim()) return thumb.text.trim();
+  if (aspect === 'fanart') return getText(getChild(root, 'fanart'), 'thumb');
+  return null;
+}
+
+/**
+ * Finds the artwork of an item, local images first and the images listed in the .nfo file otherwise
+ *
+ * @param {string} folder - The folder of the item
+ * @param {string[]} names - The local image names without extension, in order of preference
+ * @param {string|null} url - The image listed in the .nfo file
+ * @returns {Promise<string|null>} The image path
+ */
+async function getArtwork(folder, names, url) {
+  const file = await findArtwork(folder, names);
+  if (file) return saveArtwork(file);
+  return getImagePath(url);
+}
+
+function getRating(root) {
+  const ratings = getChildren(getChild(root, 'ratings'), 'rating');
+  const rating = ratings.find((child) => child.attributes.default === 'true') || ratings[0];
+  const value = rating ? getText(rating, 'value') : getText(root, 'rating');
+  const votes = rating ? getText(rating, 'votes') : getText(root, 'votes');
+  return {
+    vote_average: parseFloat(value) || 0,
+    vote_count: parseInt(String(votes || '').replace(/[,.]/g, '')) || 0
+  };
+}
+
+// <mpaa> holds 'R', 'Rated R', 'US:R' or the ratings of several countries, as in 'UK:15 / US:R'
+function getCertification(root) {
+  const mpaa = getText(root, 'mpaa');
+  if (!mpaa) return null;
+  const us = mpaa.split('/').map((part) => part.trim()).find((part) => /^US:/i.test(part));
+  const certification = us ? us.slice(3) : /^\w+:/.test(mpaa) ? null : mpaa;
+  return certification ? certification.replace(/^Rated\s+/i, '').trim() || null : null;
+}
+
+// Full dates are expected, a year alone stands for its first day
+function getReleaseDate(root) {
+  const date = getText(root, 'premiered') || getText(root, 'releasedate') || getText(root, 'aired');
+  if (date && /^\d{4}-\d{2}-\d{2}/.test(date)) return date.slice(0, 10);
+  const year = getText(root, 'year');
+  return year && /^\d{4}$/.test(year) ? `${year}-01-01` : '';
+}
+
+function getGenres(root) {
+  return getTexts(root, 'genre')
+    .flatMap((genre) => genre.split(/\s*\/\s*/))
+    .filter(Boolean)
+    .map((name) => ({ id: TMDB_GENRES[name.toLowerCase()] || getLocalNumber('genre', name), name }));
+}
+
+function getCompanies(root) {
+  return getTexts(root, 'studio').map((name) => ({
+    id: getLocalNumber('company', name),
+    logo_path: null,
+    name,
+    origin_country: ''
+  }));
+}
+
+/**
+ * Reads the cast from <actor> and the crew from <director> and <credits>
+ *
+ * @param {Object} root - The element of the movie or TV show
+ * @param {...(string|number)} scope - What the credits belong to, keeping their credit IDs apart
+ * @returns {{cast: Object[], crew: Object[]}} The credits as TMDb describes them
+ */
+function getCredits(root, ...scope) {
+  const person = (name, department) => ({
+    id: getLocalNumber('person', name),
+    adult: false,
+    gender: 0,
+    known_for_department: department,
+    name,
+    popularity: 0,
+    profile_path: null
+  });
+
+  const cast = getChildren(root, 'actor')
+    .filter((actor) => getText(actor, 'name'))
+    .map((actor, index) => {
+      const name = getText(actor, 'name');
+      const character = getText(actor, 'role');
+      const order = parseInt(getText(actor, 'order'));
+      return {
+        ...person(name, 'Acting'),
+        id: parseInt(getText(actor, 'tmdbid')) || getLocalNumber('person', name),
+        profile_path: getImagePath(getText(actor, 'thumb')),
+        character,
+        credit_id: getLocalId(...scope, 'cast', name, character),
+        order: isNaN(order) ? index : order
+      };
+    });
+
+  const crew = [
+    ...getTexts(root, 'director').map((name) => ({ name, department: 'Directing', job: 'Director' })),
+    ...getTexts(root, 'credits').map((name) => ({ name, department: 'Writing', job: 'Writer' }))
+  ].map(({ name, department, job }) => ({
+    ...person(name, department),
+    credit_id: getLocalId(...scope, job, name),
+    department,
+    job
+  }));
+
+  return { cast, crew };
+}
+
+// Movies have a .nfo file of their own name, or a movie.nfo in their own folder
+function readMovieNfo(filePath) {
+  const folder = path.dirname(filePath);
+  const name = path.basename(filePath, path.extname(filePath));
+  return readNfo([path.join(folder, `${name}.nfo`), path.join(folder, 'movie.nfo')], 'movie');
+}
+
+// TV shows keep a tvshow.nfo in their folder, above the season folders
+function getShowFolder(filePath) {
+  let folder = path.dirname(filePath);
+  while (isSeasonFolder(path.basename(folder))) folder = path.dirname(folder);
+  return folder;
+}
+
+function getMovieId(nfo, filePath) {
+  const id = getTMDbId(nfo.root, nfo.text);
+  if (id || !nfo.root) return id;
+  const title = getText(nfo.root, 'title') || parseReleaseName(filePath).title;
+  return getLocalNumber(Type.Movie, title, getText(nfo.root, 'year'));
+}
+
+function getShowId(nfo) {
+  const id = getTMDbId(nfo.root, nfo.text);
+  if (id || !nfo.root) return id;
+  return getLocalNumber(Type.TV.Show, getText(nfo.root, 'title'));
+}
+
+// Songs of albums of several discs may sit in a folder per disc
+function getAlbumFolder(filePath) {
+  const folder = path.dirname(filePath);
+  return /^(cd|dis[ck])\s*\d+$/i.test(path.basename(folder)) ? path.dirname(folder) : folder;
+}
+
+// Track durations are written as '3:45' or in seconds
+function parseDuration(value) {
+  if (!value) return 0;
+  const seconds = value.split(':').reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+  return Math.round(seconds * 1000);
+}
+
+class NfoProvider {
+  /**
+   * Finds the ID of a movie or TV show from its .nfo file
+   *
+   * @param {Object} item - The movie, or the episode of a TV show, with its `type` and `fs_path`
+   * @returns {Promise<number|null>} The TMDb ID, a local ID when the file has none, or null without a file
+   */
+  async findId(item) {
+    if (item.type == Type.Movie) {
+      const nfo = await readMovieNfo(item.fs_path);
+      return nfo ? getMovieId(nfo, item.fs_path) : null;
+    } else if (item.type == Type.TV.Show || item.type == Type.TV.Episode) {
+      const nfo = await readNfo([path.join(getShowFolder(item.fs_path), 'tvshow.nfo')], 'tvshow');
+      return nfo ? getShowId(nfo) : null;
+    }
+    return null;
+  }
+
+  /**
+   * Reads a movie from its .nfo file and the artwork next to it
+   *
+   * @param {Object} item - The movie, with its `id` and `fs_path`
+   * @returns {Promise<Object>} The movie as TMDb describes it, or a 404 response without a .nfo file
+   */
+  async getMovie(item) {
+    if (!item.fs_path) return NOT_FOUND;
+    const nfo = await readMovieNfo(item.fs_path);
+    if (!nfo || !nfo.root) return NOT_FOUND;
+
+    const root = nfo.root;
+    const id = item.id != null ? parseInt(item.id) : getMovieId(nfo, item.fs_path);
+    const folder = path.dirname(item.fs_path);
+    const name = path.basename(item.fs_path, path.extname(item.fs_path));
+    const logo = await getArtwork(folder, [`${name}-clearlogo`, 'clearlogo', 'logo'], getThumb(root, 'clearlogo'));
+    const certification = getCertification(root);
+
+    return {
+      id,
+      adult: false,
+      backdrop_path: (await getArtwork(folder, [`${name}-fanart`, 'fanart', 'backdrop'], getThumb(root, 'fanart'))) || '',
+      budget: 0,
+      genres: getGenres(root),
+      imdb_id: getImdbId(root, nfo.text) || '',
+      overview: getText(root, 'plot') || getText(root, 'outline') || '',
+      popularity: 0,
+      poster_path: (await getArtwork(folder, [`${name}-poster`, 'poster', 'folder'], getThumb(root, 'poster'))) || '',
+      production_companies: getCompanies(root),
+      release_date: getReleaseDate(root),
+      revenue: 0,
+      runtime: parseInt(getText(root, 'runtime')) || 0,
+      tagline: getText(root, 'tagline'),
+      title: getText(root, 'title') || parseReleaseName(item.fs_path).title,
+      ...getRating(root),
+      images: { logos: logo ? [{ iso_639_1: 'en', file_path: logo }] : [] },
+      credits: getCredits(root, Type.Movie, id),
+      similar: { results: [] },
+      release_dates: { results: certification ? [{ iso_3166_1: 'US', release_dates: [{ certification }] }] : [] }
+    };
+  }
+
+  /**
+   * Reads a TV show from its tvshow.nfo file and the artwork of its folder
+   *
+   * @param {Object} item - The TV show, with its `id` and the `fs_path` of one of its episodes
+   * @returns {Promise<Object>} The TV show as TMDb describes it, with the seasons named in the file and the
+   * season of the episode, or a 404 response without a .nfo file
+   */
+  async getShow(item) {
+    if (!item.fs_path) return NOT_FOUND;
+    const folder = getShowFolder(item.fs_path);
+    const nfo = await readNfo([path.join(folder, 'tvshow.nfo')], 'tvshow');
+    if (!nfo || !nfo.root) return NOT_FOUND;
+
+    const root = nfo.root;
+    const id = item.id != null ? parseInt(item.id) : getShowId(nfo);
+    const logo = await getArtwork(folder, ['clearlogo', 'logo'], getThumb(root, 'clearlogo'));
+    const certification = getCertification(root);
+
+    const named = getChildren(root, 'namedseason');
+    const numbers = new Set(named.map((season) => parseInt(season.attributes.number)).filter((number) => !isNaN(number)));
+    const { season_number } = parseReleaseName(item.fs_path);
+    if (season_number != null) numbers.add(season_number);
+
+    const seasons = [];
+    for (const number of [...numbers].sort((a, b) => a - b)) {
+      const season = named.find((element) => parseInt(element.attributes.number) === number);
+      const thumb = getChildren(root, 'thumb').find((child) => child.attributes.type === 'season' && parseInt(child.attributes.season) === number);
+      const poster = number === 0 ? 'season-specials-poster' : `season${String(number).padStart(2, '0')}-poster`;
+      seasons.push({
+        id: getLocalNumber(Type.TV.Season, id, number),
+        air_date: '',
+        name: (season && season.text.trim()) || (number === 0 ? 'Specials' : `Season ${number}`),
+        overview: '',
+        poster_path: (await getArtwork(folder, [poster], thumb && thumb.text.trim())) || '',
+        season_number: number
+      });
+    }
+
+    return {
+      id,
+      backdrop_path: (await getArtwork(folder, ['fanart', 'backdrop'], getThumb(root, 'fanart'))) || '',
+      created_by: [],
+      genres: getGenres(root),
+      name: getText(root, 'title') || path.basename(folder),
+      overview: getText(root, 'plot') || getText(root, 'outline') || '',
+      popularity: 0,
+      poster_path: (await getArtwork(folder, ['poster', 'folder'], getThumb(root, 'poster'))) || '',
+      production_companies: getCompanies(root),
+      seasons,
+      tagline: getText(root, 'tagline'),
+      ...getRating(root),
+      images: { logos: logo ? [{ iso_639_1: 'en', file_path: logo }] : [] },
+      adult: false,
+      content_ratings: { results: certification ? [{ iso_3166_1: 'US', rating: certification }] : [] },
+      credits: getCredits(root, Type.TV.Show, id),
+      similar: { results: [] },
+      external_ids: { imdb_id: getImdbId(root, nfo.text) || '' }
+    };
+  }
+
+  /**
+   * Reads an episode from the .nfo file of its own name and its thumbnail
+   *
+   * @param {Object} item - The episode, with its `tv_show_id`, `season_number`, `episode_number` and `fs_path`
+   * @returns {Promise<Object>} The episode as TMDb describes it, or a 404 response without a .nfo file
+   */
+  async getEpisode(item) {
+    if (!item.fs_path) return NOT_FOUND;
+    const folder = path.dirname(item.fs_path);
+    const name = path.basename(item.fs_path, path.extname(item.fs_path));
+    const nfo = await readNfo([path.join(folder, `${name}.nfo`)], 'episodedetails', (element) => parseInt(getText(element, 'episode')) === item.episode_number);
+    if (!nfo || !nfo.root) return NOT_FOUND;
+
+    const root = nfo.root;
+    return {
+      id: getTMDbId(root) || getLocalNumber(Type.TV.Episode, item.tv_show_id, item.season_number, item.episode_number),
+      air_date: getText(root, 'aired') || '',
+      episode_number: item.episode_number,
+      name: getText(root, 'title') || `Episode ${item.episode_number}`,
+      overview: getText(root, 'plot') || '',
+      season_number: item.season_number,
+      still_path: (await getArtwork(folder, [`${name}-thumb`], getText(root, 'thumb'))) || '',
+      ...getRating(root)
+    };
+  }
+
+  /**
+   * Reads an album from its album.nfo file, with the songs it lists and the cover of its folder
+   *
+   * @param {Object} item - The album, with the `fs_path` of one of its songs
+   * @returns {Promise<Object>} The album as Spotify describes it, or a 404 response without a .nfo file
+   */
+  async getAlbum(item) {
+    if (!item.fs_path) return NOT_FOUND;
+    const nfo = await readNfo([path.join(getAlbumFolder(item.fs_path), 'album.nfo')], 'album');
+    if (!nfo || !nfo.root || !getText(nfo.root, 'title')) return NOT_FOUND;
+
+    const root = nfo.root;
+    const name = getText(root, 'title');
+    const credits = getChildren(root, 'albumartistcredits')
+      .map((credit) => ({ name: getText(credit, 'artist'), musicbrainz_id: getText(credit, 'musicbrainzartistid') }))
+      .filter((credit) => credit.name);
+    const listed = credits.length ? credits : getTexts(root, 'artist').map((artist) => ({ name: artist, musicbrainz_id: null }));
+    const named = listed.length ? listed : [{ name: getText(root, 'artistdesc') || 'Unknown Artist', musicbrainz_id: null }];
+    const names = named.map((artist) => artist.name);
+    // The same IDs as artists read from tags
+    const artists = named.map((artist) => ({ id: getLocalId(artist.musicbrainz_id || artist.name), ...artist }));
+
+    // The same IDs as albums built from tags
+    const musicbrainz_id = getText(root, 'musicbrainzalbumid');
+    const id = musicbrainz_id ? getLocalId(musicbrainz_id) : getLocalId(names.join(';'), name);
+    const has_cover = await saveCover(id, item.fs_path, false);
+
+    const tracks = getChildren(root, 'track')
+      .map((track) => {
+        const disc_number = parseInt(getText(track, 'disc')) || 1;
+        const track_number = parseInt(getText(track, 'position'));
+        return {
+          id: getLocalId(id, disc_number, track_number),
+          artists,
+          disc_number,
+          duration_ms: parseDuration(getText(track, 'duration')),
+          explicit: false,
+          name: getText(track, 'title') || `Track ${track_number}`,
+          preview_url: null,
+          track_number
+        };
+      })
+      .filter((track) => track.track_number);
+
+    return {
+      id,
+      album_type: getText(root, 'compilation') === 'true' ? 'compilation' : (getText(root, 'releasetype') || 'album').toLowerCase(),
+      artists,
+      images: [{ url: has_cover ? `/api/music/covers/${id}` : getText(root, 'thumb') || DEFAULT_IMAGE_URL }],
+      label: getText(root, 'label') || '',
+      name,
+      popularity: undefined,
+      release_date: getText(root, 'releasedate') || getText(root, 'year') || '',
+      tracks: { items: tracks },
+      total_tracks: tracks.length
+    };
+  }
+
+  /**
+   * Reads an artist from the artist.nfo file of the folder above its albums
+   *
+   * @param {Object} item - The artist, with its `id` and the `fs_path` of one of its songs
+   * @returns {Promise<Object>} The artist as Spotify describes it, without images when it has no .nfo file,
+   * or a 404 response for artists not read from .nfo files
+   */
+  async getArtist(item) {
+    if (!String(item.id).startsWith(LOCAL_ID_PREFIX)) return NOT_FOUND;
+    const artist = { id: item.id, images: [], popularity: undefined };
+    if (!item.fs_path) return artist;
+
+    const folder = path.dirname(getAlbumFolder(item.fs_path));
+    const nfo = await readNfo([path.join(folder, 'artist.nfo')], 'artist');
+    if (!nfo || !nfo.root || getLocalId(getText(nfo.root, 'musicbrainzartistid') || getText(nfo.root, 'name')) !== item.id) return artist;
+
+    const image = await getArtwork(folder, ['folder', 'artist', 'poster'], getText(nfo.root, 'thumb'));
+    return { ...artist, name: getText(nfo.root, 'name'), images: image ? [{ url: image }] : [] };
+  }
+}
+
+NfoProvider.libraries = ['movies', 'tv', 'music'];
+
+module.exports = NfoProvider;
@@ -0,0 +1,206 @@
+/**
+ * Requests to the APIs of the online metadata providers, cached on disk, shared while in flight, spaced by the rate
+ * limit of each API and retried when they fail
+ * @module services/providers/request
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+const METADATA_CACHE_PATH = process.env.METADATA_CACHE_PATH || path.join(os.tmpdir(), 'homehost-metadata');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Requests each API is sent, as a bucket of tokens refilled over an interval, so bursts of a scan are spread out
+const RATE_LIMITS = {
+  'api.themoviedb.org': { tokens: 40, interval: 1000 },
+  'api.spotify.com': { tokens: 10, interval: 1000 },
+  'musicbrainz.org': { tokens: 1, interval: 1000 }
+};
+const DEFAULT_RATE_LIMIT = { tokens: 10, interval: 1000 };
+
+// Failed requests are retried this many times, waiting the Retry-After of the response or a doubling delay
+const MAX_RETRIES = 3;
+const RETRY_DELAY_MS = 1000;
+
+// Token buckets keyed by host
+const buckets = new Map();
+
+// Requests in flight keyed by cache key, so concurrent lookups of the same item share one request
+const pending = new Map();
+
+// Expired responses are deleted once, when the first response is cached
+let cleaning = null;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const getCacheKey = (request_url) => crypto.createHash('sha1').update(request_url).digest('hex');
+
+const getCacheFile = (key) => path.join(METADATA_CACHE_PATH, `${key}.json`);
+
+/**
+ * Takes a token from the bucket of a host, waiting for one to be refilled or for a Retry-After to pass
+ *
+ * @param {string} host - The host of the API
+ * @returns {Promise<void>}
+ */
+async function takeToken(host) {
+  if (!buckets.has(host)) {
+    const limit = RATE_LIMITS[host] || DEFAULT_RATE_LIMIT;
+    buckets.set(host, { ...limit, available: limit.tokens, refilledAt: Date.now(), blockedUntil: 0 });
+  }
+  const bucket = buckets.get(host);
+
+  for (;;) {
+    const now = Date.now();
+    bucket.available = Math.min(bucket.tokens, bucket.available + ((now - bucket.refilledAt) * bucket.tokens) / bucket.interval);
+    bucket.refilledAt = now;
+
+    if (bucket.blockedUntil > now) {
+      await wait(bucket.blockedUntil - now);
+    } else if (bucket.available >= 1) {
+      bucket.available -= 1;
+      return;
+    } else {
+      await wait(Math.ceil(((1 - bucket.available) * bucket.interval) / bucket.tokens));
+    }
+  }
+}
+
+/**
+ * Reads how long to wait before retrying a failed request
+ *
+ * @param {Object} [response] - The error response
+ * @param {number} attempt - The number of the attempt that failed, from 0
+ * @returns {number|null} Milliseconds to wait, or null when the request should not be retried
+ */
+function getRetryDelay(response, attempt) {
+  if (attempt >= MAX_RETRIES) return null;
+  if (response && response.status !== 429 && response.status < 500) return null;
+
+  const retryAfter = response && response.headers && response.headers['retry-after'];
+  if (retryAfter) {
+    // Seconds, or the HTTP date to retry at
+    const ms = /^\d+$/.test(retryAfter) ? parseInt(retryAfter) * 1000 : Date.parse(retryAfter) - Date.now();
+    if (!Number.isNaN(ms)) return Math.max(0, ms);
+  }
+  return RETRY_DELAY_MS * 2 ** attempt;
+}
+
+/**
+ * Sends a request within the rate limit of its API, retrying it on network errors, 429 and 5xx responses
+ *
+ * @param {string} request_url - The URL
+ * @param {Object} [headers] - The request headers
+ * @returns {Promise<Object>} Whether the request succeeded, with the response data, or the error response, which is
+ * undefined when the API could not be reached
+ */
+async function send(request_url, headers) {
+  const { host } = new URL(request_url);
+
+  for (let attempt = 0; ; attempt++) {
+    await takeToken(host);
+    console.log('url: ' + request_url);
+    const response = await axios.get(request_url, headers && { headers }).catch((error) => error);
+    if (!(response instanceof Error)) return { ok: true, data: response.data };
+
+    const delay = getRetryDelay(response.response, attempt);
+    if (delay === null) return { ok: false, data: response.response };
+    if (response.response && response.response.status === 429) {
+      // The whole API is rate limited, other requests wait as well
+      const bucket = buckets.get(host);
+      bucket.blockedUntil = Math.max(bucket.blockedUntil, Date.now() + delay);
+    }
+    await wait(delay);
+  }
+}
+
+/**
+ * Reads a cached response
+ *
+ * @param {string} key - The cache key
+ * @returns {Promise<Object|undefined>} The response data, or undefined when it is not cached or expired
+ */
+async function readCache(key) {
+  const file = getCacheFile(key);
+  const cached = await fs.promises
+    .readFile(file, 'utf8')
+    .then(JSON.parse)
+    .catch(() => null);
+  if (!cached) return undefined;
+  if (cached.expires_at <= Date.now()) {
+    await fs.promises.rm(file, { force: true });
+    return undefined;
+  }
+  return cached.data;
+}
+
+/**
+ * Caches a response
+ *
+ * @param {string} key - The cache key
+ * @param {Object} data - The response data
+ * @param {number} ttl - Milliseconds the response is kept
+ * @returns {Promise<void>}
+ */
+async function writeCache(key, data, ttl) {
+  await fs.promises.mkdir(METADATA_CACHE_PATH, { recursive: true });
+  if (!cleaning) cleaning = cleanCache().catch((error) => console.error('Failed to clean metadata cache:', error));
+  await fs.promises.writeFile(getCacheFile(key), JSON.stringify({ expires_at: Date.now() + ttl, data }));
+}
+
+/**
+ * Deletes the cached responses that expired
+ *
+ * @returns {Promise<void>}
+ */
+async function cleanCache() {
+  const now = Date.now();
+  const entries = await fs.promises.readdir(METADATA_CACHE_PATH).catch(() => []);
+
+  await Promise.all(
+    entries.map(async (entry) => {
+      const file = path.join(METADATA_CACHE_PATH, entry);
+      const cached = await fs.promises
+        .readFile(file, 'utf8')
+        .then(JSON.parse)
+        .catch(() => null);
+      if (!cached || cached.expires_at <= now) await fs.promises.rm(file, { force: true });
+    })
+  );
+}
+
+/**
+ * Gets the JSON of an API URL, from the cache when it was requested within its time to live
+ *
+ * @param {string} request_url - The URL, which keys the cache and should hold no credentials that change
+ * @param {Object} [options]
+ * @param {Object} [options.headers] - The request headers
+ * @param {number} [options.ttl=0] - Milliseconds the response is cached, it is not cached without one
+ * @returns {Promise<Object|undefined>} The response data, or the error response when the request fails
+ */
+async function request(request_url, { headers, ttl = 0 } = {}) {
+  const key = getCacheKey(request_url);
+  if (ttl > 0) {
+    const cached = await readCache(key);
+    if (cached !== undefined) return cached;
+  }
+  if (pending.has(key)) return pending.get(key);
+
+  const promise = send(request_url, headers)
+    .then(async ({ ok, data }) => {
+      if (ok && ttl > 0) {
+        await writeCache(key, data, ttl).catch((error) => console.error('Failed to cache metadata:', error));
+      }
+      return data;
+    })
+    .finally(() => pending.delete(key));
+  pending.set(key, promise);
+  return promise;
+}
+
+module.exports = { HOUR_MS, DAY_MS, METADATA_CACHE_PATH, request, cleanCache };
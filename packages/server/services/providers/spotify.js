@@ -0,0 +1,106 @@
+/**
+ * Spotify provider looking up albums and artists by their Spotify IDs, used once its credentials are set
+ * @module services/providers/spotify
+ */
+
+const axios = require('axios');
+const Cookies = require('universal-cookie');
+const qs = require('qs');
+const { Type } = require('../../constants');
+const { DAY_MS, request } = require('./request');
+
+const SPOTIFY_API = 'api.spotify.com/v1';
+
+// How long responses are cached, the popularity and images of artists change more often than albums
+const CACHE_TTL = { album: 30 * DAY_MS, artist: 7 * DAY_MS, search: DAY_MS };
+const cookies = new Cookies();
+
+// Answered without a request while the credentials are missing
+const NOT_CONFIGURED = { status: 401, data: {} };
+
+// Answered without a request for IDs Spotify never gives, such as the ones of albums built from tags
+const NOT_FOUND = { status: 404, data: {} };
+
+const isConfigured = () => Boolean(process.env.SPOTIFY_CLIENT_ID && process.env.SPOTIFY_CLIENT_SECRET);
+
+// Spotify IDs are 22 base62 characters
+const isSpotifyId = (id) => /^[0-9A-Za-z]{22}$/.test(String(id));
+
+class SpotifyProvider {
+  /**
+   * Gets an album with its tracks
+   *
+   * @param {Object} item - The album, with its Spotify `id`
+   * @returns {Promise<Object>} The Spotify album, or the error response
+   */
+  async getAlbum(item) {
+    if (!isConfigured()) return NOT_CONFIGURED;
+    if (!isSpotifyId(item.id)) return NOT_FOUND;
+    const auth = await getAuth();
+    return request(`https://${SPOTIFY_API}/albums/${item.id}`, { headers: { Authorization: `Bearer ${auth}` }, ttl: CACHE_TTL.album });
+  }
+
+  /**
+   * Gets an artist
+   *
+   * @param {Object} item - The artist, with its Spotify `id`
+   * @returns {Promise<Object>} The Spotify artist, or the error response
+   */
+  async getArtist(item) {
+    if (!isConfigured()) return NOT_CONFIGURED;
+    if (!isSpotifyId(item.id)) return NOT_FOUND;
+    const auth = await getAuth();
+    return request(`https://${SPOTIFY_API}/artists/${item.id}`, { headers: { Authorization: `Bearer ${auth}` }, ttl: CACHE_TTL.artist });
+  }
+
+  /**
+   * Searches tracks by name
+   *
+   * @param {string} type - Type.Music.Song
+   * @param {string} keyword - The name searched
+   * @returns {Promise<Object|null>} The Spotify results, the error response, or null for other types
+   */
+  async search(type, keyword) {
+    if (type != Type.Music.Song) return null;
+    if (!isConfigured()) return NOT_CONFIGURED;
+    const auth = await getAuth();
+    return request(`https://${SPOTIFY_API}/search?type=track&q=${encodeURIComponent(keyword)}`, { headers: { Authorization: `Bearer ${auth}` }, ttl: CACHE_TTL.search });
+  }
+}
+
+SpotifyProvider.libraries = ['music'];
+
+async function getAuthorizationToken() {
+  return axios
+    .post(
+      'https://accounts.spotify.com/api/token',
+      qs.stringify({
+        grant_type: 'client_credentials',
+        client_id: process.env.SPOTIFY_CLIENT_ID,
+        client_secret: process.env.SPOTIFY_CLIENT_SECRET,
+      }),
+      {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+      }
+    )
+    .then(function (response) {
+      cookies.set('auth', response.data.access_token, {
+        maxAge: response.data.expires_in,
+      });
+    });
+}
+
+const getAuth = async () => {
+  let auth = cookies.get('auth');
+
+  if (!auth) {
+    await getAuthorizationToken();
+    auth = cookies.get('auth');
+  }
+
+  return auth;
+};
+
+module.exports = SpotifyProvider;
@@ -0,0 +1,64 @@
+/**
+ * TMDb provider looking up movies, TV shows and episodes by their TMDb IDs
+ * @module services/providers/tmdb
+ */
+
+const { Type } = require('../../constants');
+const { DAY_MS, request } = require('./request');
+
+const TMDB_API = 'api.themoviedb.org/3';
+
+// How long responses are cached, shows change as their seasons air
+const CACHE_TTL = { movie: 30 * DAY_MS, show: DAY_MS, episode: 7 * DAY_MS, search: DAY_MS };
+
+class TMDbProvider {
+  /**
+   * Gets a movie with its images, credits, similar movies and release dates
+   *
+   * @param {Object} item - The movie, with its TMDb `id`
+   * @returns {Promise<Object>} The TMDb movie, or the error response
+   */
+  async getMovie(item) {
+    return request(`https://${TMDB_API}/movie/${item.id}?api_key=${process.env.TMDB_KEY}&append_to_response=images,credits,similar,release_dates`, { ttl: CACHE_TTL.movie });
+  }
+
+  /**
+   * Gets a TV show with its images, credits, similar shows, external IDs and content ratings
+   *
+   * @param {Object} item - The TV show, with its TMDb `id`
+   * @returns {Promise<Object>} The TMDb TV show, or the error response
+   */
+  async getShow(item) {
+    return request(`https://${TMDB_API}/tv/${item.id}?api_key=${process.env.TMDB_KEY}&append_to_response=images,credits,similar,external_ids,content_ratings`, { ttl: CACHE_TTL.show });
+  }
+
+  /**
+   * Gets an episode of a TV show
+   *
+   * @param {Object} item - The episode, with its `tv_show_id`, `season_number` and `episode_number`
+   * @returns {Promise<Object>} The TMDb episode, or the error response
+   */
+  async getEpisode(item) {
+    return request(`https://${TMDB_API}/tv/${item.tv_show_id}/season/${item.season_number}/episode/${item.episode_number}?api_key=${process.env.TMDB_KEY}`, { ttl: CACHE_TTL.episode });
+  }
+
+  /**
+   * Searches movies or TV shows by name
+   *
+   * @param {string} type - Type.Movie, or Type.TV.Episode for TV shows
+   * @param {string} keyword - The name searched
+   * @returns {Promise<Object|null>} The TMDb results, the error response, or null for other types
+   */
+  async search(type, keyword) {
+    if (type == Type.Movie) {
+      return request(`https://${TMDB_API}/search/movie?api_key=${process.env.TMDB_KEY}&language=en-US&query=${encodeURIComponent(keyword)}&page=1&include_adult=true`, { ttl: CACHE_TTL.search });
+    } else if (type == Type.TV.Episode) {
+      return request(`https://${TMDB_API}/search/tv?api_key=${process.env.TMDB_KEY}&language=en-US&query=${encodeURIComponent(keyword)}&page=1&include_adult=true`, { ttl: CACHE_TTL.search });
+    }
+    return null;
+  }
+}
+
+TMDbProvider.libraries = ['movies', 'tv'];
+
+module.exports = TMDbProvider;
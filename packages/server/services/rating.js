@@ -0,0 +1,168 @@
+/**
+ * Rating service for profile ratings, reviews and household scores
+ * @module services/rating
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { getMediaType, findMediaItem } = require('./media');
+
+const prisma = new PrismaClient();
+
+// Ratings use the same 0-10 scale as TMDb's vote_average
+const MIN_RATING = 0.5;
+const MAX_RATING = 10;
+
+// Prisma model holding the ratings of each media type
+const RATING_MODELS = Object.freeze({
+  movies: 'movieRating',
+  tv: 'tVShowRating',
+  episodes: 'episodeRating',
+  albums: 'albumRating',
+  songs: 'songRating',
+});
+
+/**
+ * Validates a rating and an optional review
+ *
+ * @param {*} rating - The rating to validate
+ * @param {*} [review] - The optional review text
+ * @returns {object} An object with 'valid' boolean and 'errors' array of field errors
+ */
+function validateRating(rating, review) {
+  const errors = [];
+
+  if (rating === undefined || rating === null || rating === '') {
+    errors.push({ field: 'rating', message: 'Rating is required' });
+  } else if (
+    typeof rating !== 'number' ||
+    Number.isNaN(rating) ||
+    rating < MIN_RATING ||
+    rating > MAX_RATING ||
+    !Number.isInteger(rating * 2)
+  ) {
+    errors.push({
+      field: 'rating',
+      message: `Rating must be between ${MIN_RATING} and ${MAX_RATING} in steps of 0.5`
+    });
+  }
+
+  if (review !== undefined && review !== null && typeof review !== 'string') {
+    errors.push({ field: 'review', message: 'Review must be text' });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Creates or updates a profile's rating and review of an item
+ *
+ * @param {number} profileId - The profile ID
+ * @param {string} type - The media type URL segment (e.g. 'movies', 'albums')
+ * @param {string|number} id - The public ID of the item
+ * @param {object} data - The rating data
+ * @param {number} data.rating - The rating, between 0.5 and 10
+ * @param {string} [data.review] - The optional review text
+ * @param {Object} [restrictions] - The content limits of the user and profile, from getRestrictions
+ * @returns {Promise<Object>} The saved rating
+ * @throws {Error} If the media type is not supported, or the item does not exist or is hidden from the profile
+ */
+async function rateMedia(profileId, type, id, { rating, review }, restrictions) {
+  const mediaType = getMediaType(type);
+  const item = await findMediaItem(type, id, restrictions);
+  const key = { profileId, [mediaType.foreignKey]: item.id };
+  const data = { rating, review: review ? review.trim() || null : null };
+
+  return prisma[RATING_MODELS[type]].upsert({
+    where: { [`profileId_${mediaType.foreignKey}`]: key },
+    update: data,
+    create: { ...key, ...data },
+  });
+}
+
+/**
+ * Deletes a profile's rating and review of an item
+ *
+ * @param {number} profileId - The profile ID
+ * @param {string} type - The media type URL segment
+ * @param {string|number} id - The public ID of the item
+ * @param {Object} [restrictions] - The content limits of the user and profile, from getRestrictions
+ * @returns {Promise<boolean>} True if a rating was deleted, false if there was none
+ * @throws {Error} If the media type is not supported, or the item does not exist or is hidden from the profile
+ */
+async function deleteRating(profileId, type, id, restrictions) {
+  const mediaType = getMediaType(type);
+  const item = await findMediaItem(type, id, restrictions);
+
+  const result = await prisma[RATING_MODELS[type]].deleteMany({
+    where: { profileId, [mediaType.foreignKey]: item.id },
+  });
+  return result.count > 0;
+}
+
+/**
+ * Computes the household average rating of an item
+ *
+ * @param {string} type - The media type URL segment
+ * @param {number} itemId - The internal database ID of the item
+ * @returns {Promise<Object>} An object with the 'average' rating (null when unrated) and the rating 'count'
+ */
+async function getRatingSummary(type, itemId) {
+  const mediaType = getMediaType(type);
+
+  const result = await prisma[RATING_MODELS[type]].aggregate({
+    where: { [mediaType.foreignKey]: itemId },
+    _avg: { rating: true },
+    _count: { rating: true },
+  });
+
+  return {
+    average:
+      result._avg.rating === null
+        ? null
+        : Math.round(result._avg.rating * 10) / 10,
+    count: result._count.rating,
+  };
+}
+
+/**
+ * Lists the ratings and reviews of an item along with its household average
+ *
+ * @param {string} type - The media type URL segment
+ * @param {string|number} id - The public ID of the item
+ * @param {number} [profileId] - The current profile ID, used to return its own rating
+ * @param {Object} [restrictions] - The content limits of the user and profile, from getRestrictions
+ * @returns {Promise<Object>} The 'average', 'count', the current profile's rating as 'mine' and all 'reviews'
+ * @throws {Error} If the media type is not supported, or the item does not exist or is hidden from the profile
+ */
+async function getRatings(type, id, profileId, restrictions) {
+  const mediaType = getMediaType(type);
+  const item = await findMediaItem(type, id, restrictions);
+
+  const ratings = await prisma[RATING_MODELS[type]].findMany({
+    where: { [mediaType.foreignKey]: item.id },
+    include: { profile: { select: { id: true, name: true } } },
+    orderBy: { updatedAt: 'desc' },
+  });
+
+  const reviews = ratings.map((rating) => ({
+    profile_name: rating.profile.name,
+    rating: rating.rating,
+    review: rating.review,
+    updated_at: rating.updatedAt,
+  }));
+  const mine = ratings.find((rating) => rating.profile.id === profileId);
+
+  return {
+    ...(await getRatingSummary(type, item.id)),
+    mine: mine ? { rating: mine.rating, review: mine.review } : null,
+    reviews,
+  };
+}
+
+module.exports = {
+  validateRating,
+  rateMedia,
+  deleteRating,
+  getRatingSummary,
+  getRatings,
+};
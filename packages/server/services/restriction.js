@@ -0,0 +1,130 @@
+/**
+ * Restriction service for the content limits an admin sets per user and
+ * the ones applied to kid profiles
+ * @module services/restriction
+ */
+
+// The limits an admin can choose, from the most to the least restrictive
+const CERTIFICATIONS = Object.freeze(['G', 'PG', 'PG-13', 'R', 'NC-17']);
+
+// The most a kid profile may watch, whatever the limits of its account
+const KID_CERTIFICATION = 'PG';
+
+// US movie certifications and TV ratings placed on one scale, so one limit covers both
+const CERTIFICATION_LEVELS = Object.freeze({
+  G: 1,
+  'TV-Y': 1,
+  'TV-G': 1,
+  PG: 2,
+  'TV-Y7': 2,
+  'TV-PG': 2,
+  'PG-13': 3,
+  'TV-14': 3,
+  R: 4,
+  'TV-MA': 4,
+  'NC-17': 5,
+});
+
+/**
+ * Places a movie certification or TV rating on the common scale
+ *
+ * @param {string|null} certification - A certification such as "PG-13" or "TV-14"
+ * @returns {number|null} The level, or null if the certification is unknown
+ */
+function getCertificationLevel(certification) {
+  return CERTIFICATION_LEVELS[certification] || null;
+}
+
+/**
+ * Checks that a certification can be used as a limit
+ *
+ * @param {string|null} certification - The certification, or null for no limit
+ * @returns {boolean} True if the certification is one of CERTIFICATIONS or null
+ */
+function isValidCertification(certification) {
+  return certification === null || CERTIFICATIONS.includes(certification);
+}
+
+/**
+ * Reads the content limits of a user, tightened further on a kid profile
+ *
+ * @param {Object} [user] - The signed-in user
+ * @param {Object} [profile] - The profile picked on the device
+ * @returns {{maxCertificationLevel: number|null, hideAdult: boolean, hideExplicit: boolean}} The restrictions
+ */
+function getRestrictions(user, profile) {
+  const userLevel = getCertificationLevel(user?.maxCertification);
+
+  if (!profile?.kid) {
+    return {
+      maxCertificationLevel: userLevel,
+      hideAdult: Boolean(user?.hideAdult),
+      hideExplicit: Boolean(user?.hideExplicit),
+    };
+  }
+
+  const kidLevel = getCertificationLevel(KID_CERTIFICATION);
+  return {
+    maxCertificationLevel: userLevel ? Math.min(userLevel, kidLevel) : kidLevel,
+    hideAdult: true,
+    hideExplicit: true,
+  };
+}
+
+/**
+ * Builds the Prisma filter for the movies a user may see. Unrated movies are
+ * hidden as soon as a certification limit is set.
+ *
+ * @param {Object} [restrictions={}] - The restrictions from getRestrictions
+ * @returns {Object} A Prisma where clause for Movie
+ */
+function movieWhere(restrictions = {}) {
+  return {
+    ...(restrictions.hideAdult && { adult: false }),
+    ...(restrictions.maxCertificationLevel && {
+      certification_level: { lte: restrictions.maxCertificationLevel },
+    }),
+  };
+}
+
+/**
+ * Builds the Prisma filter for the TV shows a user may see
+ *
+ * @param {Object} [restrictions={}] - The restrictions from getRestrictions
+ * @returns {Object} A Prisma where clause for TVShow
+ */
+function tvShowWhere(restrictions = {}) {
+  return movieWhere(restrictions);
+}
+
+/**
+ * Builds the Prisma filter for the songs a user may hear
+ *
+ * @param {Object} [restrictions={}] - The restrictions from getRestrictions
+ * @returns {Object} A Prisma where clause for Song
+ */
+function songWhere(restrictions = {}) {
+  return restrictions.hideExplicit ? { explicit: false } : {};
+}
+
+/**
+ * Builds the Prisma filter for albums, dropping those left without any song
+ *
+ * @param {Object} [restrictions={}] - The restrictions from getRestrictions
+ * @returns {Object} A Prisma where clause for Album
+ */
+function albumWhere(restrictions = {}) {
+  return restrictions.hideExplicit ? { songs: { some: songWhere(restrictions) } } : {};
+}
+
+module.exports = {
+  CERTIFICATIONS,
+  KID_CERTIFICATION,
+  getCertificationLevel,
+  isValidCertification,
+  getRestrictions,
+  movieWhere,
+  tvShowWhere,
+  songWhere,
+  albumWhere,
+};
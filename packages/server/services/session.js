@@ -0,0 +1,245 @@
+/**
+ * Session service for refresh tokens and signed-in devices
+ * @module services/session
+ */
+
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Lifetime of the access token carried in the auth_token cookie
+const ACCESS_TOKEN_EXPIRY = '15m';
+const ACCESS_TOKEN_MAX_AGE = 15 * 60 * 1000;
+
+// Lifetime of a session, extended each time its refresh token is rotated
+const REFRESH_TOKEN_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Generates a random refresh token
+ *
+ * @returns {string} A 64 byte hex encoded token
+ */
+function generateRefreshToken() {
+  return crypto.randomBytes(64).toString('hex');
+}
+
+/**
+ * Hashes a refresh token so the plaintext is never stored
+ *
+ * @param {string} refreshToken - The refresh token
+ * @returns {string} The SHA-256 hex digest of the token
+ */
+function hashRefreshToken(refreshToken) {
+  return crypto.createHash('sha256').update(refreshToken).digest('hex');
+}
+
+/**
+ * Computes the expiry date of a session starting now
+ *
+ * @returns {Date} The date the refresh token expires
+ */
+function getRefreshTokenExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_MAX_AGE);
+}
+
+/**
+ * Starts a new session for a user
+ *
+ * @param {number} userId - The user ID
+ * @param {object} [device={}] - The device signing in
+ * @param {string} [device.userAgent] - The User-Agent header of the device
+ * @param {string} [device.ipAddress] - The IP address of the device
+ * @returns {Promise<{session: Object, refreshToken: string}>} The session and its refresh token
+ */
+async function createSession(userId, { userAgent, ipAddress } = {}) {
+  const refreshToken = generateRefreshToken();
+
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      tokenHash: hashRefreshToken(refreshToken),
+      userAgent: userAgent || null,
+      ipAddress: ipAddress || null,
+      expiresAt: getRefreshTokenExpiry(),
+    },
+  });
+
+  return { session, refreshToken };
+}
+
+/**
+ * Checks whether a session has been revoked or has expired
+ *
+ * @param {Object|null} session - The session record
+ * @returns {boolean} True if the session can still be used
+ */
+function isActive(session) {
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+}
+
+/**
+ * Gets a session that has not been revoked or expired, along with the
+ * profile picked on its device
+ *
+ * @param {number} sessionId - The session ID
+ * @returns {Promise<Object|null>} The session, or null if it is no longer active
+ */
+async function getActiveSession(sessionId) {
+  if (!sessionId) {
+    return null;
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: Number(sessionId) },
+    include: { profile: true },
+  });
+
+  return isActive(session) ? session : null;
+}
+
+/**
+ * Switches the profile used by a session
+ *
+ * @param {number} sessionId - The session ID
+ * @param {number} profileId - The profile ID, which must belong to the user of the session
+ * @returns {Promise<Object>} The updated session
+ */
+async function selectProfile(sessionId, profileId) {
+  return prisma.session.update({
+    where: { id: sessionId },
+    data: { profileId },
+  });
+}
+
+/**
+ * Exchanges a refresh token for a new one. The previous token stops working
+ * immediately, so a stolen token can only be used once.
+ *
+ * @param {string} refreshToken - The current refresh token
+ * @param {object} [device={}] - The device refreshing the session
+ * @param {string} [device.userAgent] - The User-Agent header of the device
+ * @param {string} [device.ipAddress] - The IP address of the device
+ * @returns {Promise<{session: Object, refreshToken: string}>} The session and its new refresh token
+ * @throws {Error} If the refresh token is unknown, revoked or expired
+ */
+async function rotateSession(refreshToken, { userAgent, ipAddress } = {}) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new Error('Invalid refresh token');
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { tokenHash: hashRefreshToken(refreshToken) },
+  });
+
+  if (!isActive(session)) {
+    throw new Error('Invalid refresh token');
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  const updated = await prisma.session.update({
+    where: { id: session.id },
+    data: {
+      tokenHash: hashRefreshToken(nextRefreshToken),
+      userAgent: userAgent || session.userAgent,
+      ipAddress: ipAddress || session.ipAddress,
+      lastUsedAt: new Date(),
+      expiresAt: getRefreshTokenExpiry(),
+    },
+    include: { profile: true },
+  });
+
+  return { session: updated, refreshToken: nextRefreshToken };
+}
+
+/**
+ * Lists the active sessions of a user, most recently used first
+ *
+ * @param {number} userId - The user ID
+ * @param {number} [currentSessionId] - The session making the request, flagged as current
+ * @returns {Promise<Array>} The sessions formatted for API responses
+ */
+async function getActiveSessions(userId, currentSessionId) {
+  const sessions = await prisma.session.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    orderBy: { lastUsedAt: 'desc' },
+  });
+
+  return sessions.map((session) => ({
+    id: session.id,
+    user_agent: session.userAgent,
+    ip_address: session.ipAddress,
+    created_at: session.createdAt,
+    last_used_at: session.lastUsedAt,
+    current: session.id === currentSessionId,
+  }));
+}
+
+/**
+ * Revokes one session of a user
+ *
+ * @param {number} userId - The user ID
+ * @param {number|string} sessionId - The session ID
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+async function revokeSession(userId, sessionId) {
+  const { count } = await prisma.session.updateMany({
+    where: { id: Number(sessionId), userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  return count > 0;
+}
+
+/**
+ * Revokes the session a refresh token belongs to
+ *
+ * @param {string} refreshToken - The refresh token
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+async function revokeSessionByRefreshToken(refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return false;
+  }
+
+  const { count } = await prisma.session.updateMany({
+    where: { tokenHash: hashRefreshToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  return count > 0;
+}
+
+/**
+ * Revokes every session of a user, signing them out on all devices
+ *
+ * @param {number} userId - The user ID
+ * @returns {Promise<number>} The number of sessions revoked
+ */
+async function revokeAllSessions(userId) {
+  const { count } = await prisma.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+
+  return count;
+}
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRY,
+  ACCESS_TOKEN_MAX_AGE,
+  REFRESH_TOKEN_MAX_AGE,
+  hashRefreshToken,
+  createSession,
+  getActiveSession,
+  selectProfile,
+  rotateSession,
+  getActiveSessions,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions,
+};
@@ -0,0 +1,118 @@
+/**
+ * Settings service for server-wide options changed from the Admin page
+ * @module services/settings
+ */
+
+const { PrismaClient } = require('@prisma/client');
+const { RegistrationMode, Role } = require('../constants');
+
+const prisma = new PrismaClient();
+
+const REGISTRATION_MODE_KEY = 'registration_mode';
+const DOWNLOAD_ROLES_KEY = 'download_roles';
+
+/**
+ * Gets the value of a setting
+ *
+ * @param {string} key - The setting key
+ * @param {string} [defaultValue=null] - The value used when the setting was never saved
+ * @returns {Promise<string|null>} The setting value
+ */
+async function getSetting(key, defaultValue = null) {
+  const setting = await prisma.setting.findUnique({ where: { key } });
+  return setting ? setting.value : defaultValue;
+}
+
+/**
+ * Saves the value of a setting
+ *
+ * @param {string} key - The setting key
+ * @param {string} value - The new value
+ * @returns {Promise<string>} The saved value
+ */
+async function setSetting(key, value) {
+  const setting = await prisma.setting.upsert({
+    where: { key },
+    update: { value },
+    create: { key, value },
+  });
+
+  return setting.value;
+}
+
+/**
+ * Gets whether anyone can register or an invite code is required. Defaults to
+ * REGISTRATION_MODE from the environment, then to open registration.
+ *
+ * @returns {Promise<string>} One of the RegistrationMode values
+ */
+async function getRegistrationMode() {
+  const fallback = Object.values(RegistrationMode).includes(process.env.REGISTRATION_MODE)
+    ? process.env.REGISTRATION_MODE
+    : RegistrationMode.Open;
+
+  return getSetting(REGISTRATION_MODE_KEY, fallback);
+}
+
+/**
+ * Sets whether anyone can register or an invite code is required
+ *
+ * @param {string} mode - One of the RegistrationMode values
+ * @returns {Promise<string>} The saved mode
+ * @throws {Error} If the mode is not a RegistrationMode value
+ */
+async function setRegistrationMode(mode) {
+  if (!Object.values(RegistrationMode).includes(mode)) {
+    throw new Error('Invalid registration mode');
+  }
+
+  return setSetting(REGISTRATION_MODE_KEY, mode);
+}
+
+/**
+ * Gets the roles allowed to download media. Every role may download until an admin changes it
+ *
+ * @returns {Promise<string[]>} The Role values allowed to download
+ */
+async function getDownloadRoles() {
+  const value = await getSetting(DOWNLOAD_ROLES_KEY);
+  if (value === null) return Object.values(Role);
+
+  return value.split(',').filter((role) => Object.values(Role).includes(role));
+}
+
+/**
+ * Sets the roles allowed to download media
+ *
+ * @param {string[]} roles - The Role values allowed to download, empty to disable downloads
+ * @returns {Promise<string[]>} The saved roles
+ * @throws {Error} If roles is not a list of Role values
+ */
+async function setDownloadRoles(roles) {
+  if (!Array.isArray(roles) || !roles.every((role) => Object.values(Role).includes(role))) {
+    throw new Error('Invalid download roles');
+  }
+
+  const value = await setSetting(DOWNLOAD_ROLES_KEY, [...new Set(roles)].join(','));
+  return value ? value.split(',') : [];
+}
+
+/**
+ * Checks whether a user may download media
+ *
+ * @param {Object} user - The signed-in user
+ * @returns {Promise<boolean>} True when the role of the user is allowed to download
+ */
+async function canDownload(user) {
+  return (await getDownloadRoles()).includes(user.role);
+}
+
+module.exports = {
+  getSetting,
+  setSetting,
+  getRegistrationMode,
+  setRegistrationMode,
+  getDownloadRoles,
+  setDownloadRoles,
+  canDownload,
+};
@@ -0,0 +1,215 @@
+/**
+ * Subtitle service for the sidecar and embedded subtitles of movies and episodes, served as WebVTT
+ * @module services/subtitle
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { PrismaClient } = require('@prisma/client');
+const { movieWhere, tvShowWhere } = require('./restriction');
+const { getCacheDir, touchCacheDir } = require('./transcode');
+
+const prisma = new PrismaClient();
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Extensions of the subtitle files read next to videos
+const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.ass', '.ssa'];
+
+// Embedded subtitle codecs ffmpeg can convert to WebVTT, unlike image based ones such as PGS
+const TEXT_SUBTITLE_CODECS = ['subrip', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+// Flags of sidecar file names, as in 'Movie (2020).en.forced.srt'
+const FORCED_FLAG = 'forced';
+const DEFAULT_FLAG = 'default';
+
+// ISO 639 language codes with an optional region, as in 'en', 'fre' or 'pt-BR'
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z]{2,4})?$/i;
+
+// Name flags that look like language codes
+const NOT_LANGUAGES = ['sdh', 'cc', 'hi'];
+
+// Longest an extraction may take, embedded tracks are spread over the whole video
+const CONVERT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Conversions running keyed by output file, so concurrent requests share one ffmpeg
+const converting = new Map();
+
+/**
+ * Checks whether a file is a subtitle file
+ *
+ * @param {string} filePath - The path of the file
+ * @returns {boolean} True for subtitle files
+ */
+function isSubtitleFile(filePath) {
+  return SUBTITLE_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Reads a sidecar subtitle file named after a video, as in 'Movie (2020).en.forced.srt' for 'Movie (2020).mkv'
+ *
+ * @param {string} subtitlePath - The path of the subtitle file
+ * @param {string} mediaPath - The path of the video
+ * @returns {Object|null} The Subtitle fields, or null when the file is not a subtitle of the video
+ */
+function parseSidecarFile(subtitlePath, mediaPath) {
+  const extension = path.extname(subtitlePath);
+  const name = path.basename(subtitlePath, extension);
+  const base = path.basename(mediaPath, path.extname(mediaPath));
+
+  if (!isSubtitleFile(subtitlePath) || path.dirname(subtitlePath) !== path.dirname(mediaPath)) return null;
+  if (name !== base && !name.startsWith(`${base}.`)) return null;
+
+  const tags = name.slice(base.length).split('.').filter(Boolean);
+  const flags = tags.map((tag) => tag.toLowerCase());
+  const language = tags.find((tag) => LANGUAGE_PATTERN.test(tag) && !NOT_LANGUAGES.includes(tag.toLowerCase()));
+  const title = tags.filter((tag) => tag !== language && ![FORCED_FLAG, DEFAULT_FLAG].includes(tag.toLowerCase())).join(' ');
+
+  return {
+    fs_path: subtitlePath,
+    stream_index: null,
+    format: extension.slice(1).toLowerCase(),
+    language: language || null,
+    title: title || null,
+    is_default: flags.includes(DEFAULT_FLAG),
+    is_forced: flags.includes(FORCED_FLAG),
+  };
+}
+
+/**
+ * Lists the embedded subtitle tracks of a video that can be converted to WebVTT
+ *
+ * @param {Object[]} streams - The MediaStream records of the video
+ * @returns {Object[]} The Subtitle fields of each text track
+ */
+function getEmbeddedSubtitles(streams) {
+  return streams
+    .filter((stream) => stream.codec_type === 'subtitle' && TEXT_SUBTITLE_CODECS.includes(stream.codec_name))
+    .map((stream) => ({
+      fs_path: null,
+      stream_index: stream.stream_index,
+      format: stream.codec_name,
+      language: stream.language,
+      title: stream.title,
+      is_default: stream.is_default,
+      is_forced: stream.is_forced,
+    }));
+}
+
+/**
+ * Lists the subtitles of the movie or episode stored at a path
+ *
+ * @param {string} filePath - The path of the video
+ * @returns {Promise<Object[]>} The subtitles, defaults and forced tracks first
+ */
+async function getSubtitles(filePath) {
+  return prisma.subtitle.findMany({
+    where: { OR: [{ movie: { fs_path: filePath } }, { episode: { fs_path: filePath } }] },
+    orderBy: [{ is_default: 'desc' }, { is_forced: 'desc' }, { language: 'asc' }, { id: 'asc' }],
+  });
+}
+
+/**
+ * Finds a subtitle of a movie or episode allowed by the content limits
+ *
+ * @param {string|number} id - The subtitle ID
+ * @param {Object} restrictions - The content limits of the user and profile
+ * @returns {Promise<Object|null>} The subtitle with the path of its video, or null if not found
+ */
+async function getSubtitle(id, restrictions) {
+  const subtitleId = parseInt(id, 10);
+  if (Number.isNaN(subtitleId)) return null;
+
+  const subtitle = await prisma.subtitle.findFirst({
+    where: {
+      id: subtitleId,
+      OR: [
+        { movie_tmdb_id: { not: null }, movie: movieWhere(restrictions) },
+        { episode_tmdb_id: { not: null }, episode: { season: { tv_show: tvShowWhere(restrictions) } } },
+      ],
+    },
+    include: {
+      movie: { select: { fs_path: true } },
+      episode: { select: { fs_path: true } },
+    },
+  });
+  if (!subtitle) return null;
+
+  const { movie, episode, ...fields } = subtitle;
+  return { ...fields, media_path: (movie || episode).fs_path };
+}
+
+/**
+ * Builds the ffmpeg arguments converting a subtitle to WebVTT
+ *
+ * @param {Object} subtitle - The subtitle with the path of its video
+ * @param {string} output - The path of the WebVTT file
+ * @returns {string[]} The ffmpeg arguments
+ */
+function buildConvertArgs(subtitle, output) {
+  const input = subtitle.fs_path ? ['-i', subtitle.fs_path] : ['-i', subtitle.media_path, '-map', `0:${subtitle.stream_index}`];
+  return ['-hide_banner', '-loglevel', 'error', '-y', ...input, '-f', 'webvtt', output];
+}
+
+/**
+ * Runs ffmpeg to write a WebVTT file, through a temporary file so a failed run leaves nothing behind
+ *
+ * @param {Object} subtitle - The subtitle with the path of its video
+ * @param {string} output - The path of the WebVTT file
+ * @returns {Promise<void>}
+ * @throws {Error} If ffmpeg fails
+ */
+function convert(subtitle, output) {
+  const partial = `${output}.partial`;
+
+  return new Promise((resolve, reject) => {
+    execFile(FFMPEG_PATH, buildConvertArgs(subtitle, partial), { timeout: CONVERT_TIMEOUT_MS }, (error) => {
+      if (error) return reject(new Error('Failed to convert subtitle'));
+      resolve();
+    });
+  })
+    .then(() => fs.promises.rename(partial, output))
+    .catch(async (error) => {
+      await fs.promises.rm(partial, { force: true });
+      throw error;
+    });
+}
+
+/**
+ * Finds the WebVTT file of a subtitle, converting it with ffmpeg and caching it next to the transcodes of its video
+ *
+ * @param {Object} subtitle - The subtitle with the path of its video
+ * @returns {Promise<string>} The path of the WebVTT file
+ * @throws {Error} If the subtitle cannot be converted
+ */
+async function getSubtitleFile(subtitle) {
+  if (subtitle.format === 'vtt') return subtitle.fs_path;
+
+  const cacheDir = await getCacheDir(subtitle.media_path);
+  const dir = path.join(cacheDir, 'subtitles');
+  // Sidecar files can change without the video changing
+  const version = subtitle.fs_path ? (await fs.promises.stat(subtitle.fs_path)).mtimeMs : subtitle.stream_index;
+  const output = path.join(dir, `${subtitle.id}-${Math.round(version)}.vtt`);
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  await touchCacheDir(cacheDir);
+  if (fs.existsSync(output)) return output;
+
+  if (!converting.has(output)) {
+    converting.set(output, convert(subtitle, output).finally(() => converting.delete(output)));
+  }
+  await converting.get(output);
+  return output;
+}
+
+module.exports = {
+  SUBTITLE_EXTENSIONS,
+  isSubtitleFile,
+  parseSidecarFile,
+  getEmbeddedSubtitles,
+  getSubtitles,
+  getSubtitle,
+  buildConvertArgs,
+  getSubtitleFile,
+};
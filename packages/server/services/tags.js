@@ -0,0 +1,282 @@
+/**
+ * Tag service reading the ID3, Vorbis and MP4 tags and the cover art of songs, used to build albums
+ * and artists without looking them up on Spotify
+ * @module services/tags
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { getDataPath } = require('../utils');
+const { readProbe } = require('./probe');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const COVER_PATH = process.env.COVER_PATH || getDataPath('covers');
+
+// Image shown for albums and artists without art
+const DEFAULT_IMAGE_URL = 'http://i.imgur.com/bVnx0IY.png';
+
+// Prefix of the IDs of albums, artists and songs built from tags, stored where Spotify IDs go
+const LOCAL_ID_PREFIX = 'local_';
+
+// MusicBrainz IDs (MBIDs) are UUIDs
+const MBID_PATTERN = /^[0-9a-f]{8}(?:-[0-9a-f]{4}){3}-[0-9a-f]{12}$/i;
+
+// Images next to the songs of an album, in order of preference
+const FOLDER_COVERS = ['cover.jpg', 'cover.png', 'folder.jpg', 'folder.png', 'front.jpg', 'front.png'];
+
+// Names of the same tag across formats, as read by ffprobe and reduced to lower case letters and digits,
+// e.g. 'ALBUMARTIST' in Vorbis comments, 'album_artist' in ID3 and 'MusicBrainz Album Id' in MP4
+const TAG_KEYS = {
+  title: ['title'],
+  artist: ['artists', 'artist'],
+  album_artist: ['albumartist', 'albumartists'],
+  album: ['album'],
+  track: ['track', 'tracknumber'],
+  total_tracks: ['tracktotal', 'totaltracks'],
+  disc: ['disc', 'discnumber'],
+  total_discs: ['disctotal', 'totaldiscs'],
+  date: ['date', 'originaldate', 'year'],
+  label: ['label', 'publisher', 'organization'],
+  compilation: ['compilation', 'itunescompilation'],
+  musicbrainz_album_id: ['musicbrainzalbumid'],
+  musicbrainz_artist_id: ['musicbrainzartistid'],
+  musicbrainz_album_artist_id: ['musicbrainzalbumartistid'],
+  musicbrainz_track_id: ['musicbrainztrackid']
+};
+
+// Longest a cover may take to extract
+const EXTRACT_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Merges the tags of the container and of the audio stream, Ogg files keep theirs on the stream
+ *
+ * @param {Object} output - The ffprobe JSON output
+ * @returns {Object} The tags keyed by lower case letters and digits
+ */
+function collectTags(output) {
+  const stream = (output.streams || []).find((item) => item.codec_type === 'audio');
+  const tags = {};
+  for (const source of [stream && stream.tags, output.format && output.format.tags]) {
+    for (const [key, value] of Object.entries(source || {})) {
+      tags[key.toLowerCase().replace(/[^a-z0-9]/g, '')] = String(value).trim();
+    }
+  }
+  return tags;
+}
+
+/**
+ * Reads the first tag found under any of the names of a field
+ *
+ * @param {Object} tags - The collected tags
+ * @param {string} field - The field of TAG_KEYS
+ * @returns {string|null} The value, or null when empty or missing
+ */
+function findTag(tags, field) {
+  const key = TAG_KEYS[field].find((name) => tags[name]);
+  return key ? tags[key] : null;
+}
+
+/**
+ * Splits a tag holding several values, ffprobe joins them with ';'
+ *
+ * @param {string|null} value - The tag value
+ * @param {RegExp} [separator] - The separator of the values
+ * @returns {string[]} The values
+ */
+function splitTag(value, separator = /\s*;\s*/) {
+  return value ? value.split(separator).filter(Boolean) : [];
+}
+
+/**
+ * Reads a position tag such as '3' or '3/12'
+ *
+ * @param {string|null} value - The tag value
+ * @returns {{number: number|null, total: number|null}} The position and the total, when given
+ */
+function parsePosition(value) {
+  const match = String(value || '').match(/^\s*(\d+)\s*(?:\/\s*(\d+))?/);
+  return {
+    number: match ? parseInt(match[1]) : null,
+    total: match && match[2] ? parseInt(match[2]) : null
+  };
+}
+
+/**
+ * Reads the song, album and artist fields from the ffprobe output of a song
+ *
+ * @param {Object} output - The ffprobe JSON output
+ * @returns {Object} The title, artists, album, positions, release date, label, MusicBrainz IDs,
+ * duration and whether the file has cover art
+ */
+function parseTags(output) {
+  const tags = collectTags(output);
+  const track = parsePosition(findTag(tags, 'track'));
+  const disc = parsePosition(findTag(tags, 'disc'));
+  const artists = splitTag(findTag(tags, 'artist'));
+  const date = findTag(tags, 'date');
+  // MusicBrainz IDs never hold '/', some taggers join them with it
+  const ids = (field) => splitTag(findTag(tags, field), /\s*[;/]\s*/);
+
+  return {
+    title: findTag(tags, 'title'),
+    artists,
+    album_artists: splitTag(findTag(tags, 'album_artist')),
+    album: findTag(tags, 'album'),
+    track_number: track.number,
+    total_tracks: track.total || parseInt(findTag(tags, 'total_tracks')) || null,
+    disc_number: disc.number,
+    total_discs: disc.total || parseInt(findTag(tags, 'total_discs')) || null,
+    release_date: date && /^\d{4}/.test(date) ? date.slice(0, 10) : null,
+    label: findTag(tags, 'label'),
+    compilation: findTag(tags, 'compilation') === '1',
+    musicbrainz_album_id: ids('musicbrainz_album_id')[0] || null,
+    musicbrainz_artist_ids: ids('musicbrainz_artist_id'),
+    musicbrainz_album_artist_ids: ids('musicbrainz_album_artist_id'),
+    musicbrainz_track_id: ids('musicbrainz_track_id')[0] || null,
+    duration: parseFloat(output.format && output.format.duration) || null,
+    has_cover: (output.streams || []).some((stream) => stream.disposition && stream.disposition.attached_pic)
+  };
+}
+
+/**
+ * Reads the tags of a song
+ *
+ * @param {string} filePath - The path of the song
+ * @returns {Promise<Object>} The parsed tags, as returned by parseTags
+ * @throws {Error} If the file cannot be probed
+ */
+async function readTags(filePath) {
+  return parseTags(await readProbe(filePath));
+}
+
+/**
+ * Builds a stable ID for an album, artist or song read from tags, the same names always give the same ID
+ *
+ * @param {...(string|number)} parts - What identifies the item, such as a MusicBrainz ID or the artist and album names
+ * @returns {string} The ID
+ */
+function getLocalId(...parts) {
+  const key = parts.map((part) => String(part ?? '').toLowerCase()).join('\n');
+  return LOCAL_ID_PREFIX + crypto.createHash('sha1').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Tells MusicBrainz IDs apart from Spotify and local IDs
+ *
+ * @param {string} id - The ID
+ * @returns {boolean} True for a MusicBrainz ID
+ */
+function isMusicBrainzId(id) {
+  return MBID_PATTERN.test(String(id || ''));
+}
+
+/**
+ * Finds the cover of an album in the cover directory
+ *
+ * @param {string} albumId - The album ID
+ * @returns {string} The path of the cover
+ */
+function getCoverFile(albumId) {
+  return path.join(COVER_PATH, `${path.basename(albumId)}.jpg`);
+}
+
+/**
+ * Runs ffmpeg to write the embedded cover art of a song as a JPEG
+ *
+ * @param {string} filePath - The path of the song
+ * @param {string} output - The path of the image
+ * @returns {Promise<void>}
+ * @throws {Error} If ffmpeg fails
+ */
+function extractCover(filePath, output) {
+  const partial = `${output}.partial.jpg`;
+  return new Promise((resolve, reject) => {
+    execFile(
+      FFMPEG_PATH,
+      ['-v', 'error', '-y', '-i', filePath, '-map', '0:v:0', '-frames:v', '1', '-q:v', '2', partial],
+      { timeout: EXTRACT_TIMEOUT_MS },
+      (error) => (error ? reject(new Error('Failed to extract cover')) : resolve())
+    );
+  }).then(() => fs.promises.rename(partial, output));
+}
+
+/**
+ * Saves the cover of an album once, from the cover art embedded in a song or an image in its folder
+ *
+ * @param {string} albumId - The album ID
+ * @param {string} filePath - The path of a song of the album
+ * @param {boolean} hasCover - Whether the song has embedded cover art
+ * @returns {Promise<boolean>} True when the album has a cover
+ */
+async function saveCover(albumId, filePath, hasCover) {
+  const output = getCoverFile(albumId);
+  if (fs.existsSync(output)) return true;
+  await fs.promises.mkdir(COVER_PATH, { recursive: true });
+
+  if (hasCover) {
+    try {
+      await extractCover(filePath, output);
+      return true;
+    } catch (e) {
+      console.log('There was a problem extracting this cover', filePath);
+    }
+  }
+
+  const folder = path.dirname(filePath);
+  const names = await fs.promises.readdir(folder).catch(() => []);
+  const image = FOLDER_COVERS.map((name) => names.find((item) => item.toLowerCase() === name)).find(Boolean);
+  if (!image) return false;
+
+  if (path.extname(image).toLowerCase() === '.jpg') {
+    await fs.promises.copyFile(path.join(folder, image), output);
+    return true;
+  }
+  try {
+    await extractCover(path.join(folder, image), output);
+    return true;
+  } catch (e) {
+    console.log('There was a problem converting this cover', image);
+    return false;
+  }
+}
+
+/**
+ * Finds the saved cover of an album
+ *
+ * @param {string} albumId - The album ID
+ * @returns {Promise<string|null>} The path of the cover, or null when the album has none
+ */
+async function getCoverPath(albumId) {
+  const file = getCoverFile(albumId);
+  try {
+    await fs.promises.access(file);
+    return file;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Removes the saved cover of an album
+ *
+ * @param {string} albumId - The album ID
+ * @returns {Promise<void>}
+ */
+async function removeCover(albumId) {
+  await fs.promises.rm(getCoverFile(albumId), { force: true });
+}
+
+module.exports = {
+  DEFAULT_IMAGE_URL,
+  LOCAL_ID_PREFIX,
+  parsePosition,
+  parseTags,
+  readTags,
+  getLocalId,
+  isMusicBrainzId,
+  saveCover,
+  getCoverPath,
+  removeCover
+};
@@ -0,0 +1,216 @@
+/**
+ * Thumbnail service for the sprite sheets and WebVTT thumbnail tracks previewing videos while seeking
+ * @module services/thumbnail
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { probeFile } = require('./probe');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const THUMBNAIL_PATH = process.env.THUMBNAIL_PATH || path.join(os.tmpdir(), 'homehost-thumbnails');
+
+const TRACK_NAME = 'thumbnails.vtt';
+const SPRITE_PATTERN = /^sprite(\d{3})\.jpg$/;
+
+// Seconds of video between two thumbnails
+const THUMBNAIL_INTERVAL = 10;
+
+// Width of each thumbnail, the height keeps the aspect ratio of the video
+const THUMBNAIL_WIDTH = 160;
+
+// Thumbnails per row and column of a sprite sheet
+const SPRITE_COLUMNS = 10;
+const SPRITE_ROWS = 10;
+
+// Longest a video may take, only its key frames are decoded
+const GENERATE_TIMEOUT_MS = 30 * 60 * 1000;
+
+/**
+ * Finds the thumbnail directory of a video, which changes whenever the file is modified
+ *
+ * @param {string} filePath - The path of the video
+ * @returns {Promise<string>} The thumbnail directory
+ */
+async function getThumbnailDir(filePath) {
+  const { mtimeMs } = await fs.promises.stat(filePath);
+  const key = crypto.createHash('sha1').update(`${filePath}:${mtimeMs}`).digest('hex');
+  return path.join(THUMBNAIL_PATH, key);
+}
+
+/**
+ * Finds the size of the thumbnails of a video
+ *
+ * @param {Object} video - The video stream of the probe result
+ * @returns {Object} The width and an even height keeping the aspect ratio
+ */
+function getThumbnailSize(video) {
+  const height = Math.max(2, Math.round((THUMBNAIL_WIDTH * video.height) / video.width / 2) * 2);
+  return { width: THUMBNAIL_WIDTH, height };
+}
+
+/**
+ * Builds the ffmpeg arguments tiling a thumbnail every interval into sprite sheets
+ *
+ * @param {string} filePath - The path of the video
+ * @param {Object} info - The probe result of the video
+ * @param {string} dir - The directory the sprite sheets are written to
+ * @returns {string[]} The ffmpeg arguments
+ */
+function buildThumbnailArgs(filePath, info, dir) {
+  const { width, height } = getThumbnailSize(info.video);
+  return [
+    '-hide_banner',
+    '-loglevel', 'error',
+    '-y',
+    // Decoding the key frames only is enough for previews and much faster
+    '-skip_frame', 'nokey',
+    '-i', filePath,
+    '-map', `0:${info.video.index}`,
+    '-vf', `fps=1/${THUMBNAIL_INTERVAL},scale=${width}:${height},tile=${SPRITE_COLUMNS}x${SPRITE_ROWS}`,
+    '-q:v', '5',
+    path.join(dir, 'sprite%03d.jpg'),
+  ];
+}
+
+/**
+ * Formats a time for a WebVTT cue
+ *
+ * @param {number} seconds - The time in seconds
+ * @returns {string} The time as 'hh:mm:ss.ttt'
+ */
+function formatCueTime(seconds) {
+  return new Date(Math.round(seconds * 1000)).toISOString().slice(11, 23);
+}
+
+/**
+ * Builds the WebVTT thumbnail track of a video, each cue pointing to its area of a sprite sheet
+ *
+ * @param {Object} info - The probe result of the video
+ * @param {number} sprites - The number of sprite sheets written
+ * @returns {string} The WebVTT track
+ */
+function buildThumbnailTrack(info, sprites) {
+  const { width, height } = getThumbnailSize(info.video);
+  const perSprite = SPRITE_COLUMNS * SPRITE_ROWS;
+  const count = Math.min(Math.ceil(info.duration / THUMBNAIL_INTERVAL), sprites * perSprite);
+  const cues = [];
+
+  for (let i = 0; i < count; i++) {
+    const start = i * THUMBNAIL_INTERVAL;
+    const end = Math.min(start + THUMBNAIL_INTERVAL, info.duration);
+    const sprite = `sprite${String(Math.floor(i / perSprite) + 1).padStart(3, '0')}.jpg`;
+    const x = (i % SPRITE_COLUMNS) * width;
+    const y = (Math.floor(i / SPRITE_COLUMNS) % SPRITE_ROWS) * height;
+    cues.push(`${formatCueTime(start)} --> ${formatCueTime(end)}\n${sprite}#xywh=${x},${y},${width},${height}`);
+  }
+
+  return `WEBVTT\n\n${cues.join('\n\n')}\n`;
+}
+
+/**
+ * Runs ffmpeg to write the sprite sheets of a video
+ *
+ * @param {string} filePath - The path of the video
+ * @param {Object} info - The probe result of the video
+ * @param {string} dir - The directory the sprite sheets are written to
+ * @returns {Promise<void>}
+ * @throws {Error} If ffmpeg fails
+ */
+function runFfmpeg(filePath, info, dir) {
+  return new Promise((resolve, reject) => {
+    execFile(FFMPEG_PATH, buildThumbnailArgs(filePath, info, dir), { timeout: GENERATE_TIMEOUT_MS }, (error) => {
+      if (error) return reject(new Error('Failed to generate thumbnails'));
+      resolve();
+    });
+  });
+}
+
+/**
+ * Generates the sprite sheets and thumbnail track of a video, unless they already exist.
+ * They are written to a temporary directory first so a failed run leaves nothing behind
+ *
+ * @param {string} filePath - The path of the video
+ * @returns {Promise<string|null>} The thumbnail directory, or null for files without video
+ * @throws {Error} If the video cannot be probed or ffmpeg fails
+ */
+async function generateThumbnails(filePath) {
+  const dir = await getThumbnailDir(filePath);
+  if (fs.existsSync(path.join(dir, TRACK_NAME))) return dir;
+
+  const info = await probeFile(filePath);
+  if (!info.video || !info.video.width || !info.video.height || !info.duration) return null;
+
+  const partial = `${dir}.partial`;
+  await fs.promises.rm(partial, { recursive: true, force: true });
+  await fs.promises.mkdir(partial, { recursive: true });
+
+  try {
+    await runFfmpeg(filePath, info, partial);
+    const sprites = (await fs.promises.readdir(partial)).filter((file) => SPRITE_PATTERN.test(file)).length;
+    await fs.promises.writeFile(path.join(partial, TRACK_NAME), buildThumbnailTrack(info, sprites));
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    await fs.promises.rename(partial, dir);
+    return dir;
+  } catch (error) {
+    await fs.promises.rm(partial, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Deletes the thumbnails of videos removed or modified since they were generated
+ *
+ * @param {string[]} filePaths - The paths of the videos in the library
+ * @returns {Promise<void>}
+ */
+async function cleanThumbnails(filePaths) {
+  const keep = new Set();
+  for (const filePath of filePaths) {
+    const dir = await getThumbnailDir(filePath).catch(() => null);
+    if (dir) keep.add(path.basename(dir));
+  }
+
+  const entries = await fs.promises.readdir(THUMBNAIL_PATH).catch(() => []);
+  for (const entry of entries) {
+    if (!keep.has(entry)) await fs.promises.rm(path.join(THUMBNAIL_PATH, entry), { recursive: true, force: true });
+  }
+}
+
+/**
+ * Finds a file of the generated thumbnails of a video
+ *
+ * @param {string} filePath - The path of the video
+ * @param {string} name - The file name, the thumbnail track or a sprite sheet
+ * @returns {Promise<string|null>} The path of the file, or null if it is not generated
+ */
+async function getThumbnailFile(filePath, name) {
+  if (name !== TRACK_NAME && !SPRITE_PATTERN.test(name)) return null;
+
+  const file = path.join(await getThumbnailDir(filePath), name);
+  return fs.existsSync(file) ? file : null;
+}
+
+/**
+ * Checks whether the thumbnails of a video are generated
+ *
+ * @param {string} filePath - The path of the video
+ * @returns {Promise<boolean>} True when the thumbnail track exists
+ */
+async function hasThumbnails(filePath) {
+  return (await getThumbnailFile(filePath, TRACK_NAME)) !== null;
+}
+
+module.exports = {
+  TRACK_NAME,
+  getThumbnailSize,
+  buildThumbnailArgs,
+  buildThumbnailTrack,
+  generateThumbnails,
+  cleanThumbnails,
+  getThumbnailFile,
+  hasThumbnails,
+};
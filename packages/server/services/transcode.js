@@ -0,0 +1,518 @@
+/**
+ * Transcode service for converting video files browsers cannot play into cached HLS playlists with ffmpeg
+ * @module services/transcode
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+const TRANSCODE_PATH = process.env.TRANSCODE_PATH || path.join(os.tmpdir(), 'homehost-transcodes');
+
+const PLAYLIST_NAME = 'index.m3u8';
+const MASTER_PLAYLIST_NAME = 'master.m3u8';
+const SEGMENT_PATTERN = /^segment(\d{5})\.ts$/;
+
+// Variant keeping the resolution of the file, copying the streams browsers can decode
+const ORIGINAL = 'original';
+
+// Renditions of the adaptive bitrate ladder, from the highest quality
+const RENDITIONS = [
+  { name: '1080p', width: 1920, height: 1080, videoBitrate: 5000000, audioBitrate: 192000 },
+  { name: '720p', width: 1280, height: 720, videoBitrate: 2800000, audioBitrate: 128000 },
+  { name: '480p', width: 854, height: 480, videoBitrate: 1200000, audioBitrate: 96000 },
+];
+
+// Length of each HLS segment in seconds
+const SEGMENT_DURATION = 6;
+
+// A rendition transcode is restarted at the requested segment when it is further ahead than this
+const MAX_SEGMENT_GAP = 3;
+
+// ffmpeg is stopped once the player has not asked for the playlist or a segment for this long
+const IDLE_TIMEOUT_MS = 60 * 1000;
+
+// Cached transcodes not watched for this long are deleted when a new transcode starts
+const DEFAULT_CACHE_DAYS = 7;
+
+// How long a request waits for ffmpeg to write the playlist or a segment
+const WAIT_TIMEOUT_MS = 30 * 1000;
+const WAIT_INTERVAL_MS = 250;
+
+// Running ffmpeg processes keyed by output directory
+const jobs = new Map();
+
+// Transcodes being set up keyed by output directory, so concurrent requests share one ffmpeg
+const starting = new Map();
+
+/**
+ * Reads the cache lifetime from the TRANSCODE_CACHE_DAYS environment variable
+ *
+ * @returns {number} The number of milliseconds a cached transcode is kept after it was last watched
+ */
+function getCacheMaxAge() {
+  const days = parseFloat(process.env.TRANSCODE_CACHE_DAYS);
+  return (Number.isNaN(days) || days <= 0 ? DEFAULT_CACHE_DAYS : days) * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Finds the cache directory of a file, which changes whenever the file is modified
+ *
+ * @param {string} filePath - The path of the media file
+ * @returns {Promise<string>} The cache directory
+ */
+async function getCacheDir(filePath) {
+  const { mtimeMs } = await fs.promises.stat(filePath);
+  const key = crypto.createHash('sha1').update(`${filePath}:${mtimeMs}`).digest('hex');
+  return path.join(TRANSCODE_PATH, key);
+}
+
+/**
+ * Finds the directory a variant of a file is written to, one per audio track picked by the viewer
+ *
+ * @param {string} root - The cache directory of the file
+ * @param {string} name - The variant name, 'original' or a rendition name
+ * @param {Object} info - The probe result of the file, with the audio track to play first
+ * @returns {string} The variant directory
+ */
+function getVariantDir(root, name, info) {
+  return path.join(root, info.alternateAudio ? `${name}-audio${info.audio[0].index}` : name);
+}
+
+/**
+ * Marks the cache directory of a file as recently watched
+ *
+ * @param {string} dir - The cache directory
+ * @returns {Promise<void>}
+ */
+async function touchCacheDir(dir) {
+  const now = new Date();
+  await fs.promises.utimes(dir, now, now).catch(() => {});
+}
+
+/**
+ * Lists the renditions of the adaptive bitrate ladder a file can be transcoded to, never upscaling it
+ *
+ * @param {Object} info - The probe result of the file
+ * @returns {Object[]} The renditions with their output size and bandwidth, empty for files without video
+ */
+function getRenditions(info) {
+  const { video } = info;
+  if (!video || !video.width || !video.height || !info.duration) return [];
+
+  const fitting = RENDITIONS.filter((rendition) => rendition.width <= video.width || rendition.height <= video.height);
+  return (fitting.length ? fitting : RENDITIONS.slice(-1)).map((rendition) => {
+    const scale = Math.min(rendition.width / video.width, rendition.height / video.height, 1);
+    const even = (size) => Math.max(2, Math.round((size * scale) / 2) * 2);
+
+    return {
+      ...rendition,
+      width: even(video.width),
+      height: even(video.height),
+      bandwidth: rendition.videoBitrate + rendition.audioBitrate,
+    };
+  });
+}
+
+/**
+ * Builds the master playlist listing the renditions of a file
+ *
+ * @param {Object} info - The probe result of the file
+ * @returns {string} The master playlist
+ */
+function buildMasterPlaylist(info) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+
+  for (const rendition of getRenditions(info)) {
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height},CODECS="avc1.640028,mp4a.40.2",NAME="${rendition.name}"`,
+      `${rendition.name}/${PLAYLIST_NAME}`
+    );
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Builds the playlist of a rendition from the duration of the file, listing segments before they are transcoded
+ *
+ * @param {Object} info - The probe result of the file
+ * @returns {string} The rendition playlist
+ */
+function buildRenditionPlaylist(info) {
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3', `#EXT-X-TARGETDURATION:${SEGMENT_DURATION}`, '#EXT-X-MEDIA-SEQUENCE:0', '#EXT-X-PLAYLIST-TYPE:VOD'];
+  const count = Math.ceil(info.duration / SEGMENT_DURATION);
+
+  for (let index = 0; index < count; index++) {
+    const duration = Math.min(SEGMENT_DURATION, info.duration - index * SEGMENT_DURATION);
+    lines.push(`#EXTINF:${duration.toFixed(6)},`, getSegmentName(index));
+  }
+  lines.push('#EXT-X-ENDLIST');
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Names the file of a segment
+ *
+ * @param {number} index - The segment number
+ * @returns {string} The segment file name
+ */
+function getSegmentName(index) {
+  return `segment${String(index).padStart(5, '0')}.ts`;
+}
+
+/**
+ * Builds the ffmpeg arguments that write an HLS playlist and its segments
+ *
+ * @param {string} filePath - The path of the media file
+ * @param {Object} info - The probe result of the file
+ * @param {Object} method - The playback method, telling whether video and audio can be copied
+ * @param {string} outputDir - The directory the playlist and segments are written to
+ * @returns {string[]} The ffmpeg arguments
+ */
+function buildArgs(filePath, info, method, outputDir) {
+  const args = ['-hide_banner', '-loglevel', 'error', '-i', filePath];
+
+  if (info.video) {
+    args.push('-map', `0:${info.video.index}`);
+    if (method.copyVideo) {
+      args.push('-c:v', 'copy');
+    } else {
+      // Key frames on segment boundaries so every segment starts playable
+      args.push('-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p', '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_DURATION})`);
+    }
+  }
+  if (info.audio.length) {
+    args.push('-map', `0:${info.audio[0].index}`);
+    args.push(...(method.copyAudio ? ['-c:a', 'copy'] : ['-c:a', 'aac', '-ac', '2', '-b:a', '192k']));
+  }
+
+  args.push(
+    '-sn',
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_DURATION),
+    '-hls_playlist_type', 'event',
+    '-hls_flags', 'temp_file',
+    '-hls_segment_filename', path.join(outputDir, 'segment%05d.ts'),
+    path.join(outputDir, PLAYLIST_NAME)
+  );
+  return args;
+}
+
+/**
+ * Builds the ffmpeg arguments that write the segments of a rendition from a given segment on.
+ * Source timestamps are kept and key frames forced on segment boundaries, so segments written by
+ * different runs line up with the playlist
+ *
+ * @param {string} filePath - The path of the media file
+ * @param {Object} info - The probe result of the file
+ * @param {Object} rendition - The rendition to write
+ * @param {number} startSegment - The first segment to write
+ * @param {string} outputDir - The directory the segments are written to
+ * @returns {string[]} The ffmpeg arguments
+ */
+function buildRenditionArgs(filePath, info, rendition, startSegment, outputDir) {
+  const start = startSegment * SEGMENT_DURATION;
+  const args = ['-hide_banner', '-loglevel', 'error', '-ss', String(start), '-i', filePath, '-copyts', '-avoid_negative_ts', 'disabled'];
+
+  args.push(
+    '-map', `0:${info.video.index}`,
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-b:v', String(rendition.videoBitrate),
+    '-maxrate', String(rendition.videoBitrate),
+    '-bufsize', String(rendition.videoBitrate * 2),
+    '-vf', `scale=${rendition.width}:${rendition.height}`,
+    '-pix_fmt', 'yuv420p',
+    '-force_key_frames', `expr:gte(t,${start}+n_forced*${SEGMENT_DURATION})`
+  );
+  if (info.audio.length) {
+    args.push('-map', `0:${info.audio[0].index}`, '-c:a', 'aac', '-ac', '2', '-b:a', String(rendition.audioBitrate));
+  }
+
+  args.push(
+    '-sn',
+    '-f', 'hls',
+    '-hls_time', String(SEGMENT_DURATION),
+    '-hls_playlist_type', 'vod',
+    '-hls_flags', 'temp_file',
+    '-start_number', String(startSegment),
+    '-hls_segment_filename', path.join(outputDir, 'segment%05d.ts'),
+    // The playlist served to players is built from the duration, this one is left unused
+    path.join(outputDir, 'ffmpeg.m3u8')
+  );
+  return args;
+}
+
+/**
+ * Tells whether ffmpeg finished writing the playlist of an output directory
+ *
+ * @param {string} dir - The output directory
+ * @returns {Promise<boolean>} True if the playlist is complete
+ */
+async function isComplete(dir) {
+  try {
+    const playlist = await fs.promises.readFile(path.join(dir, PLAYLIST_NAME), 'utf8');
+    return playlist.includes('#EXT-X-ENDLIST');
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Pushes back the moment an idle ffmpeg process is stopped
+ *
+ * @param {Object} job - The running job
+ */
+function touchJob(job) {
+  clearTimeout(job.idleTimer);
+  job.idleTimer = setTimeout(() => job.process.kill('SIGTERM'), IDLE_TIMEOUT_MS);
+  job.idleTimer.unref();
+}
+
+/**
+ * Deletes cached transcodes that were not watched recently and are not being written
+ *
+ * @returns {Promise<void>}
+ */
+async function cleanCache() {
+  const expiredBefore = Date.now() - getCacheMaxAge();
+  const entries = await fs.promises.readdir(TRANSCODE_PATH).catch(() => []);
+  const running = [...jobs.keys()];
+
+  await Promise.all(
+    entries.map(async (entry) => {
+      const dir = path.join(TRANSCODE_PATH, entry);
+      if (running.some((jobDir) => jobDir.startsWith(dir + path.sep))) return;
+      const { mtimeMs } = await fs.promises.stat(dir);
+      if (mtimeMs < expiredBefore) {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+      }
+    })
+  );
+}
+
+/**
+ * Runs ffmpeg writing into an output directory
+ *
+ * @param {string} dir - The output directory
+ * @param {string[]} args - The ffmpeg arguments
+ * @param {number} [startSegment=0] - The first segment ffmpeg writes
+ * @returns {Object} The running job
+ */
+function spawnJob(dir, args, startSegment = 0) {
+  const job = { process: spawn(FFMPEG_PATH, args), dir, start: startSegment, next: startSegment, exited: false };
+  jobs.set(dir, job);
+
+  job.process.stderr.on('data', (data) => console.error(`ffmpeg: ${data}`));
+  const finish = () => {
+    job.exited = true;
+    clearTimeout(job.idleTimer);
+    // A replacing job may already be running in the same directory
+    if (jobs.get(dir) === job) jobs.delete(dir);
+  };
+  job.process.on('error', (error) => {
+    console.error('Failed to start ffmpeg:', error.message);
+    finish();
+  });
+  job.process.on('exit', finish);
+
+  touchJob(job);
+  return job;
+}
+
+/**
+ * Starts ffmpeg once for an output directory, sharing the setup between concurrent requests
+ *
+ * @param {string} dir - The output directory
+ * @param {Function} start - Sets up the directory and resolves with the running job
+ * @returns {Promise<Object>} The running job
+ */
+function startOnce(dir, start) {
+  if (!starting.has(dir)) {
+    starting.set(dir, start().finally(() => starting.delete(dir)));
+  }
+  return starting.get(dir);
+}
+
+/**
+ * Starts ffmpeg for the original variant of a file, replacing any partial output left by a stopped transcode
+ *
+ * @param {string} filePath - The path of the media file
+ * @param {Object} info - The probe result of the file
+ * @param {Object} method - The playback method of the file
+ * @param {string} dir - The output directory
+ * @returns {Promise<Object>} The running job
+ */
+async function startTranscode(filePath, info, method, dir) {
+  await cleanCache().catch((error) => console.error('Failed to clean transcode cache:', error));
+  await fs.promises.rm(dir, { recursive: true, force: true });
+  await fs.promises.mkdir(dir, { recursive: true });
+  return spawnJob(dir, buildArgs(filePath, info, method, dir));
+}
+
+/**
+ * Waits until ffmpeg wrote a file
+ *
+ * @param {string} file - The expected file
+ * @param {Object} [job] - The running job writing the file
+ * @returns {Promise<boolean>} True once the file exists, false if ffmpeg stopped or took too long
+ */
+async function waitForFile(file, job) {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+
+  for (;;) {
+    if (fs.existsSync(file)) return true;
+    if (!job || job.exited || Date.now() > deadline) return false;
+    await new Promise((resolve) => setTimeout(resolve, WAIT_INTERVAL_MS));
+  }
+}
+
+/**
+ * Gets the HLS playlist of the original variant of a file, starting ffmpeg unless it is cached or already running
+ *
+ * @param {string} filePath - The path of the media file
+ * @param {Object} info - The probe result of the file
+ * @param {Object} method - The playback method of the file
+ * @returns {Promise<string>} The path of the playlist
+ * @throws {Error} If ffmpeg fails to write the playlist
+ */
+async function getPlaylist(filePath, info, method) {
+  const root = await getCacheDir(filePath);
+  const dir = getVariantDir(root, ORIGINAL, info);
+  const playlist = path.join(dir, PLAYLIST_NAME);
+  let job = jobs.get(dir);
+
+  if (job) {
+    touchJob(job);
+  } else if (!starting.has(dir) && (await isComplete(dir))) {
+    await touchCacheDir(root);
+    return playlist;
+  } else {
+    job = await startOnce(dir, () => startTranscode(filePath, info, method, dir));
+  }
+
+  if (!(await waitForFile(playlist, job))) {
+    throw new Error('Transcoding failed');
+  }
+  return playlist;
+}
+
+/**
+ * Gets a segment of the HLS playlist of the original variant of a file, waiting for ffmpeg if it is still being written
+ *
+ * @param {string} filePath - The path of the media file
+ * @param {Object} info - The probe result of the file
+ * @param {string} name - The segment file name
+ * @returns {Promise<string|null>} The path of the segment, or null if it does not exist
+ */
+async function getSegment(filePath, info, name) {
+  if (!SEGMENT_PATTERN.test(name)) return null;
+
+  const dir = getVariantDir(await getCacheDir(filePath), ORIGINAL, info);
+  const job = jobs.get(dir);
+  if (job) touchJob(job);
+
+  const segment = path.join(dir, name);
+  return (await waitForFile(segment, job)) ? segment : null;
+}
+
+/**
+ * Gets the master playlist of a file and marks its transcodes as recently watched
+ *
+ * @param {string} filePath - The path of the media file
+ * @param {Object} info - The probe result of the file
+ * @returns {Promise<string|null>} The master playlist, or null if the file has no renditions
+ */
+async function getMasterPlaylist(filePath, info) {
+  if (!getRenditions(info).length) return null;
+
+  const root = await getCacheDir(filePath);
+  await fs.promises.mkdir(root, { recursive: true });
+  await touchCacheDir(root);
+  return buildMasterPlaylist(info);
+}
+
+/**
+ * Gets the playlist of a rendition of a file
+ *
+ * @param {Object} info - The probe result of the file
+ * @param {string} name - The rendition name
+ * @returns {string|null} The rendition playlist, or null if the file has no such rendition
+ */
+function getRenditionPlaylist(info, name) {
+  if (!getRenditions(info).some((rendition) => rendition.name === name)) return null;
+  return buildRenditionPlaylist(info);
+}
+
+/**
+ * Finds the first segment a job has not written yet
+ *
+ * @param {Object} job - The running job
+ * @returns {number} The segment number
+ */
+function getNextSegment(job) {
+  while (fs.existsSync(path.join(job.dir, getSegmentName(job.next)))) {
+    job.next++;
+  }
+  return job.next;
+}
+
+/**
+ * Gets a segment of a rendition of a file. Cached segments are sent as is, otherwise ffmpeg is
+ * started at the segment unless it is about to write it
+ *
+ * @param {string} filePath - The path of the media file
+ * @param {Object} info - The probe result of the file
+ * @param {string} renditionName - The rendition name
+ * @param {string} name - The segment file name
+ * @returns {Promise<string|null>} The path of the segment, or null if it does not exist
+ */
+async function getRenditionSegment(filePath, info, renditionName, name) {
+  const match = name.match(SEGMENT_PATTERN);
+  const rendition = getRenditions(info).find(({ name: candidate }) => candidate === renditionName);
+  if (!match || !rendition) return null;
+
+  const index = parseInt(match[1], 10);
+  if (index >= Math.ceil(info.duration / SEGMENT_DURATION)) return null;
+
+  const dir = getVariantDir(await getCacheDir(filePath), rendition.name, info);
+  const segment = path.join(dir, name);
+  let job = jobs.get(dir);
+
+  if (!fs.existsSync(segment) && !starting.has(dir) && (!job || index < job.start || index > getNextSegment(job) + MAX_SEGMENT_GAP)) {
+    // The player seeked or switched rendition, restart where it is playing
+    if (job) job.process.kill('SIGTERM');
+    job = await startOnce(dir, async () => {
+      await cleanCache().catch((error) => console.error('Failed to clean transcode cache:', error));
+      await fs.promises.mkdir(dir, { recursive: true });
+      return spawnJob(dir, buildRenditionArgs(filePath, info, rendition, index, dir), index);
+    });
+  } else if (starting.has(dir)) {
+    job = await starting.get(dir);
+  }
+  if (job) touchJob(job);
+
+  return (await waitForFile(segment, job)) ? segment : null;
+}
+
+module.exports = {
+  TRANSCODE_PATH,
+  PLAYLIST_NAME,
+  MASTER_PLAYLIST_NAME,
+  SEGMENT_DURATION,
+  RENDITIONS,
+  getCacheDir,
+  touchCacheDir,
+  getRenditions,
+  buildArgs,
+  buildRenditionArgs,
+  cleanCache,
+  getPlaylist,
+  getSegment,
+  getMasterPlaylist,
+  getRenditionPlaylist,
+  getRenditionSegment,
+};
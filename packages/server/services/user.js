@@ -1,9 +1,14 @@
 // packages/server/services/user.js
 const { PrismaClient } = require('@prisma/client');
 const { hashPassword, validatePasswordStrength, verifyPassword } = require('./auth');
+const { Role } = require('../constants');
+const { isValidCertification } = require('./restriction');
 
 const prisma = new PrismaClient();
 
+// ISO 639 language codes with an optional region, as in 'en', 'fre' or 'pt-BR'
+const LANGUAGE_PATTERN = /^[a-z]{2,3}(-[a-z]{2,4})?$/i;
+
 /**
  * Get a user by their ID
  * @param {number|string} id - The user ID
@@ -96,12 +101,20 @@ async function createUser(email, username, password) {
     // Hash the password
     const hashedPassword = await hashPassword(password);
     
+    // The first account to register administers the server
+    const userCount = await prisma.user.count();
+    
     // Create the user
     const newUser = await prisma.user.create({
       data: {
         email: normalizedEmail,
         username,
         password: hashedPassword,
+        role: userCount === 0 ? Role.Admin : Role.Viewer,
+        // Every account starts with one profile named after it
+        profiles: {
+          create: { name: username },
+        },
       },
     });
     
@@ -146,12 +159,17 @@ async function verifyCredentials(email, password) {
       throw new Error('Invalid credentials');
     }
     
+    // Only reveal that the account is disabled once the password is proven
+    if (user.disabled) {
+      throw new Error('Account disabled');
+    }
+    
     // Return user without password
     const { password: _, ...userWithoutPassword } = user;
     return userWithoutPassword;
   } catch (error) {
-    // Re-throw specific error for invalid credentials
-    if (error.message === 'Invalid credentials') {
+    // Re-throw specific errors for invalid credentials and disabled accounts
+    if (error.message === 'Invalid credentials' || error.message === 'Account disabled') {
       throw error;
     }
     
@@ -160,9 +178,267 @@ async function verifyCredentials(email, password) {
   }
 }
 
+/**
+ * Count the registered users
+ * @returns {Promise<number>} The number of users
+ */
+async function countUsers() {
+  try {
+    return await prisma.user.count();
+  } catch (error) {
+    console.error('Error counting users:', error);
+    throw new Error('Failed to count users');
+  }
+}
+
+/**
+ * List every user, oldest account first
+ * @returns {Promise<Array>} The users without their passwords
+ */
+async function listUsers() {
+  try {
+    const users = await prisma.user.findMany({
+      orderBy: {
+        createdAt: 'asc'
+      },
+    });
+    
+    return users.map(({ password, ...userWithoutPassword }) => userWithoutPassword);
+  } catch (error) {
+    console.error('Error listing users:', error);
+    throw new Error('Failed to list users');
+  }
+}
+
+/**
+ * Ensure another enabled admin remains, so the server is never left without one
+ * @param {number} id - The ID of the admin about to be demoted, disabled or deleted
+ * @returns {Promise<void>}
+ * @throws {Error} If the user is the last enabled admin
+ */
+async function ensureAnotherAdmin(id) {
+  const otherAdmins = await prisma.user.count({
+    where: {
+      role: Role.Admin,
+      disabled: false,
+      id: {
+        not: id
+      }
+    },
+  });
+  
+  if (otherAdmins === 0) {
+    throw new Error('Cannot remove the last admin');
+  }
+}
+
+/**
+ * Change the role, account status or content limits of a user
+ * @param {number|string} id - The user ID
+ * @param {Object} changes - The fields to change
+ * @param {string} [changes.role] - One of the Role values
+ * @param {boolean} [changes.disabled] - Whether the user can no longer sign in
+ * @param {string|null} [changes.maxCertification] - The highest certification the user may watch, or null for no limit
+ * @param {boolean} [changes.hideAdult] - Whether adult movies and TV shows are hidden
+ * @param {boolean} [changes.hideExplicit] - Whether explicit songs are hidden
+ * @returns {Promise<Object>} The updated user without password
+ * @throws {Error} If a change is invalid, the user does not exist or is the last admin
+ */
+async function updateUser(id, { role, disabled, maxCertification, hideAdult, hideExplicit }) {
+  try {
+    if (role !== undefined && !Object.values(Role).includes(role)) {
+      throw new Error('Invalid role');
+    }
+    
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      throw new Error('Invalid disabled flag');
+    }
+    
+    if (maxCertification !== undefined && !isValidCertification(maxCertification)) {
+      throw new Error('Invalid certification');
+    }
+    
+    if ([hideAdult, hideExplicit].some((flag) => flag !== undefined && typeof flag !== 'boolean')) {
+      throw new Error('Invalid content flag');
+    }
+    
+    const user = await prisma.user.findUnique({
+      where: {
+        id: Number(id)
+      },
+    });
+    
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    // Demoting or disabling an admin must leave another admin behind
+    const losesAdmin = (role !== undefined && role !== Role.Admin) || disabled === true;
+    if (user.role === Role.Admin && !user.disabled && losesAdmin) {
+      await ensureAnotherAdmin(user.id);
+    }
+    
+    const updatedUser = await prisma.user.update({
+      where: {
+        id: user.id
+      },
+      data: {
+        ...(role !== undefined && { role }),
+        ...(disabled !== undefined && { disabled }),
+        ...(maxCertification !== undefined && { maxCertification }),
+        ...(hideAdult !== undefined && { hideAdult }),
+        ...(hideExplicit !== undefined && { hideExplicit }),
+      },
+    });
+    
+    const { password, ...userWithoutPassword } = updatedUser;
+    return userWithoutPassword;
+  } catch (error) {
+    if (['Invalid role', 'Invalid disabled flag', 'Invalid certification', 'Invalid content flag', 'User not found', 'Cannot remove the last admin'].includes(error.message)) {
+      throw error;
+    }
+    
+    console.error('Error updating user:', error);
+    throw new Error('Failed to update user');
+  }
+}
+
+/**
+ * Save the playback preferences of a user
+ * @param {number|string} id - The user ID
+ * @param {Object} preferences - The preferences to change
+ * @param {string|null} [preferences.audioLanguage] - ISO 639 code of the audio language played by default, null for the first track of each file
+ * @returns {Promise<Object>} The updated user without password
+ * @throws {Error} If the language is invalid or the user does not exist
+ */
+async function updatePreferences(id, { audioLanguage }) {
+  try {
+    if (audioLanguage !== undefined && audioLanguage !== null && !(typeof audioLanguage === 'string' && LANGUAGE_PATTERN.test(audioLanguage))) {
+      throw new Error('Invalid language');
+    }
+    
+    const user = await prisma.user.findUnique({
+      where: {
+        id: Number(id)
+      },
+    });
+    
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    const updatedUser = await prisma.user.update({
+      where: {
+        id: user.id
+      },
+      data: {
+        ...(audioLanguage !== undefined && { audioLanguage }),
+      },
+    });
+    
+    const { password, ...userWithoutPassword } = updatedUser;
+    return userWithoutPassword;
+  } catch (error) {
+    if (['Invalid language', 'User not found'].includes(error.message)) {
+      throw error;
+    }
+    
+    console.error('Error updating preferences:', error);
+    throw new Error('Failed to update preferences');
+  }
+}
+
+/**
+ * Set a new password for a user
+ * @param {number|string} id - The user ID
+ * @param {string} newPassword - The new password (plaintext)
+ * @returns {Promise<Object>} The updated user without password
+ * @throws {Error} If password validation fails or the user does not exist
+ */
+async function resetPassword(id, newPassword) {
+  try {
+    const passwordValidation = validatePasswordStrength(newPassword);
+    if (!passwordValidation.valid) {
+      throw new Error(passwordValidation.message);
+    }
+    
+    const user = await prisma.user.findUnique({
+      where: {
+        id: Number(id)
+      },
+    });
+    
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    const updatedUser = await prisma.user.update({
+      where: {
+        id: user.id
+      },
+      data: {
+        password: await hashPassword(newPassword),
+      },
+    });
+    
+    const { password, ...userWithoutPassword } = updatedUser;
+    return userWithoutPassword;
+  } catch (error) {
+    if (error.message === 'User not found' || error.message.includes('Password')) {
+      throw error;
+    }
+    
+    console.error('Error resetting password:', error);
+    throw new Error('Failed to reset password');
+  }
+}
+
+/**
+ * Delete a user along with their favorites, ratings, progress and sessions
+ * @param {number|string} id - The user ID
+ * @returns {Promise<void>}
+ * @throws {Error} If the user does not exist or is the last admin
+ */
+async function deleteUser(id) {
+  try {
+    const user = await prisma.user.findUnique({
+      where: {
+        id: Number(id)
+      },
+    });
+    
+    if (!user) {
+      throw new Error('User not found');
+    }
+    
+    if (user.role === Role.Admin && !user.disabled) {
+      await ensureAnotherAdmin(user.id);
+    }
+    
+    await prisma.user.delete({
+      where: {
+        id: user.id
+      },
+    });
+  } catch (error) {
+    if (error.message === 'User not found' || error.message === 'Cannot remove the last admin') {
+      throw error;
+    }
+    
+    console.error('Error deleting user:', error);
+    throw new Error('Failed to delete user');
+  }
+}
+
 module.exports = {
   getUserById,
   getUserByEmail,
   createUser,
   verifyCredentials,
+  countUsers,
+  listUsers,
+  updateUser,
+  updatePreferences,
+  resetPassword,
+  deleteUser,
 };
\ No newline at end of file
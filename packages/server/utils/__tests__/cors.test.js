@@ -0,0 +1,38 @@
+// packages/server/utils/__tests__/cors.test.js
+const request = require('supertest');
+const express = require('express');
+const cors = require('cors');
+const { corsOptions } = require('../cors');
+
+const app = express();
+app.use(cors(corsOptions));
+app.patch('/api/admin/users/:id', (req, res) => res.json({ id: req.params.id }));
+app.patch('/api/profiles/:id', (req, res) => res.json({ id: req.params.id }));
+
+describe('CORS', () => {
+  const preflight = (url, method, origin = 'http://localhost:3000') =>
+    request(app).options(url).set('Origin', origin).set('Access-Control-Request-Method', method).set('Access-Control-Request-Headers', 'Content-Type');
+
+  it('should allow PATCH requests of the client', async () => {
+    const response = await preflight('/api/admin/users/1', 'PATCH');
+
+    expect(response.status).toBe(204);
+    expect(response.headers['access-control-allow-origin']).toBe('http://localhost:3000');
+    expect(response.headers['access-control-allow-credentials']).toBe('true');
+    expect(response.headers['access-control-allow-methods'].split(',')).toContain('PATCH');
+  });
+
+  it('should allow profile edits of the client', async () => {
+    const response = await preflight('/api/profiles/1', 'PATCH');
+
+    expect(response.status).toBe(204);
+    expect(response.headers['access-control-allow-methods'].split(',')).toContain('PATCH');
+  });
+
+  it('should not allow other origins', async () => {
+    const response = await preflight('/api/admin/users/1', 'PATCH', 'http://example.com');
+
+    expect(response.status).toBe(500);
+    expect(response.headers['access-control-allow-origin']).toBeUndefined();
+  });
+});
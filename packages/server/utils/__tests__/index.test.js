@@ -0,0 +1,32 @@
+// packages/server/utils/__tests__/index.test.js
+const path = require('path');
+const { getDataPath } = require('../index');
+
+describe('Utils', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  describe('getDataPath', () => {
+    it('should find a directory next to the database, relative to the Prisma schema', () => {
+      process.env.DATABASE_URL = 'file:./data/media.db';
+
+      expect(getDataPath('covers')).toBe(path.join(__dirname, '..', '..', 'prisma', 'data', 'covers'));
+    });
+
+    it('should follow a database moved elsewhere', () => {
+      process.env.DATABASE_URL = 'file:/var/lib/homehost/media.db?connection_limit=1';
+
+      expect(getDataPath('covers')).toBe(path.join('/var/lib/homehost', 'covers'));
+      expect(getDataPath('artwork')).toBe(path.join('/var/lib/homehost', 'artwork'));
+    });
+
+    it('should default to the data directory of the Prisma schema', () => {
+      delete process.env.DATABASE_URL;
+
+      expect(getDataPath('covers')).toBe(path.join(__dirname, '..', '..', 'prisma', 'data', 'covers'));
+    });
+  });
+});
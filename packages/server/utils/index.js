@@ -1,3 +1,17 @@
+const path = require('path');
+
+// Prisma reads the relative path of a SQLite database from the directory of its schema
+const PRISMA_PATH = path.join(__dirname, '..', 'prisma');
+
+// Files the database links to, like album covers, are kept next to it so they outlive a reboot
+const getDataPath = (name) => {
+  const url = process.env.DATABASE_URL || '';
+  const database = url.startsWith('file:')
+    ? url.slice('file:'.length).split('?')[0]
+    : './data/media.db';
+  return path.join(path.dirname(path.resolve(PRISMA_PATH, database)), name);
+};
+
 const shuffleArr = (arr) => {
   const newArr = arr.slice();
   for (let i = newArr.length - 1; i > 0; i--) {
@@ -76,4 +90,4 @@ const format = (result) => {
   }
 };
 
-module.exports = { shuffleArr, format };
+module.exports = { shuffleArr, format, getDataPath };